@@ -21,12 +21,16 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-define(['jquery', 'core/ajax', 'core/notification', 'core/templates', 'core/modal_factory', 'core/modal_events'],
-function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
+define(['jquery', 'core/ajax', 'core/notification', 'core/templates', 'core/modal_factory', 'core/modal_events',
+    'local_aigrading/review_workspace'],
+function($, Ajax, Notification, Templates, ModalFactory, ModalEvents, ReviewWorkspace) {
 
     var config = {};
     var strings = {};
 
+    /** @var {number} Milliseconds between two progress checks of a grading job. */
+    var JOB_POLL_INTERVAL = 2000;
+
     /**
      * Initialize the grading helper.
      *
@@ -114,8 +118,6 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
 
         var progressDiv = document.createElement('div');
         progressDiv.className = 'aigrading-global-progress mt-2 d-none';
-        progressDiv.innerHTML = '<div class="spinner-border spinner-border-sm mr-2" role="status"></div>' +
-            '<span class="aigrading-global-progress-text">Processing all questions...</span>';
 
         btn.addEventListener('click', function(e) {
             e.preventDefault();
@@ -127,6 +129,11 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
 
         // Insert before the table.
         table.parentNode.insertBefore(container, table);
+
+        // Pick up a job started on an earlier visit.
+        if (config.activejobid) {
+            watchJob(config.activejobid, btn, progressDiv);
+        }
     };
 
     /**
@@ -137,65 +144,297 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
      */
     var handleGlobalAutoGrade = function(btn, progressDiv) {
         // Confirm with user.
-        if (!confirm('Are you sure you want to auto-grade ALL ungraded essays for ALL questions in this quiz? ' +
+        if (!confirmAutoGrade('Are you sure you want to auto-grade ALL ungraded answers to ALL questions in this quiz? ' +
                      'This will apply grades automatically without review.')) {
             return;
         }
 
-        var originalText = btn.innerHTML;
-        btn.disabled = true;
-        btn.innerHTML = '<i class="fa fa-spinner fa-spin mr-2"></i>' + (strings.processing || 'Processing...');
+        startJob('local_aigrading_auto_grade_all', {cmid: config.cmid}, btn, progressDiv);
+    };
+
+    /**
+     * Start a background grading job and follow its progress.
+     *
+     * @param {string} methodname Auto-grade web service to call
+     * @param {Object} args Web service arguments
+     * @param {HTMLElement} btn Button that started the job
+     * @param {HTMLElement} progressDiv Element showing the job progress
+     */
+    var startJob = function(methodname, args, btn, progressDiv) {
+        setBusy(btn, true);
         progressDiv.classList.remove('d-none');
+        progressDiv.innerHTML = '<div class="spinner-border spinner-border-sm mr-2" role="status"></div>' +
+            (strings.jobstarting || 'Starting grading job...');
 
         Ajax.call([{
-            methodname: 'local_aigrading_auto_grade_all',
-            args: {
-                cmid: config.cmid
-            }
+            methodname: methodname,
+            args: args
         }])[0].then(function(result) {
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-            progressDiv.classList.add('d-none');
-
-            if (result.success) {
+            if (result.success && result.jobid) {
+                watchJob(result.jobid, btn, progressDiv);
+            } else {
+                setBusy(btn, false);
+                progressDiv.classList.add('d-none');
                 Notification.addNotification({
-                    message: 'Auto-grading complete: ' + result.graded + ' graded, ' + result.failed + ' failed.',
-                    type: result.failed > 0 ? 'warning' : 'success'
+                    message: result.message || 'Auto-grading failed.',
+                    type: result.success ? 'info' : 'error'
                 });
+            }
+            return result;
+        }).catch(function(error) {
+            setBusy(btn, false);
+            progressDiv.classList.add('d-none');
+            Notification.exception(error);
+        });
+    };
 
-                // Reload the page to show updated counts.
-                if (result.graded > 0) {
-                    setTimeout(function() {
-                        window.location.reload();
-                    }, 1500);
+    /**
+     * Poll a background grading job until it has finished.
+     *
+     * Grading carries on in the background if the teacher leaves the page;
+     * the running job is picked up again on the next visit.
+     *
+     * @param {int} jobid Grading job ID
+     * @param {HTMLElement} btn Button to re-enable when the job has finished
+     * @param {HTMLElement} progressDiv Element showing the job progress
+     */
+    var watchJob = function(jobid, btn, progressDiv) {
+        setBusy(btn, true);
+        progressDiv.classList.remove('d-none');
+
+        var poll = function() {
+            Ajax.call([{
+                methodname: 'local_aigrading_get_job_status',
+                args: {jobid: jobid}
+            }])[0].then(function(status) {
+                renderJobProgress(progressDiv, status);
+                if (!status.finished) {
+                    setTimeout(poll, JOB_POLL_INTERVAL);
+                    return status;
+                }
+
+                setBusy(btn, false);
+                if (status.failures.length) {
+                    renderJobFailures(progressDiv, status, btn);
+                } else {
+                    progressDiv.classList.add('d-none');
+                }
+                if (status.status === 'failed') {
+                    Notification.addNotification({
+                        message: strings.jobfailed || 'The grading job stopped unexpectedly.',
+                        type: 'error'
+                    });
                 }
+                notifyAutoGradeResult(status);
+                return status;
+            }).catch(function(error) {
+                setBusy(btn, false);
+                progressDiv.classList.add('d-none');
+                Notification.exception(error);
+            });
+        };
+
+        poll();
+    };
+
+    /**
+     * Show the progress of a grading job.
+     *
+     * @param {HTMLElement} progressDiv Element showing the job progress
+     * @param {Object} status Result of local_aigrading_get_job_status
+     */
+    var renderJobProgress = function(progressDiv, status) {
+        var done = status.total - status.remaining;
+        var percent = status.total > 0 ? Math.round(done * 100 / status.total) : 0;
+        var text = status.status === 'queued'
+            ? (strings.jobqueued || 'Waiting for the grading job to start...')
+            : formatString(strings.jobprogress || '{$a->done} of {$a->total} processed ' +
+                '({$a->graded} graded, {$a->queued} queued for review, {$a->held} need human review, ' +
+                '{$a->failed} failed)', {
+                done: done,
+                total: status.total,
+                graded: status.graded,
+                queued: status.queued,
+                held: status.held,
+                failed: status.failed
+            });
+
+        progressDiv.innerHTML =
+            '<div class="progress mb-1" style="height: 1rem;">' +
+                '<div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" ' +
+                    'style="width: ' + percent + '%;" aria-valuenow="' + percent + '" ' +
+                    'aria-valuemin="0" aria-valuemax="100">' + percent + '%</div>' +
+            '</div>' +
+            '<small class="text-muted">' + text + '</small>';
+    };
+
+    /**
+     * List the items a finished job could not grade, with a button to grade them again.
+     *
+     * @param {HTMLElement} progressDiv Element showing the job progress
+     * @param {Object} status Result of local_aigrading_get_job_status
+     * @param {HTMLElement} btn Button that started the job
+     */
+    var renderJobFailures = function(progressDiv, status, btn) {
+        Templates.render('local_aigrading/job_failures', {
+            failed: status.failed,
+            retryable: status.retryable,
+            reload: !config.reviewmode && status.graded > 0,
+            failures: status.failures,
+            strings: strings
+        }).then(function(html) {
+            progressDiv.innerHTML = html;
+            var retry = progressDiv.querySelector('[data-action="retry-failed"]');
+            if (retry) {
+                retry.addEventListener('click', function() {
+                    retryFailed(status.jobid, btn, progressDiv);
+                });
+            }
+            return html;
+        }).catch(Notification.exception);
+    };
+
+    /**
+     * Grade the retryable failed items of a job again.
+     *
+     * @param {int} jobid Grading job ID
+     * @param {HTMLElement} btn Button that started the job
+     * @param {HTMLElement} progressDiv Element showing the job progress
+     */
+    var retryFailed = function(jobid, btn, progressDiv) {
+        setBusy(btn, true);
+        Ajax.call([{
+            methodname: 'local_aigrading_retry_failed',
+            args: {jobid: jobid}
+        }])[0].then(function(result) {
+            if (result.jobid) {
+                watchJob(result.jobid, btn, progressDiv);
             } else {
+                setBusy(btn, false);
                 Notification.addNotification({
-                    message: result.message || 'Auto-grading failed.',
-                    type: 'error'
+                    message: result.message,
+                    type: 'info'
                 });
             }
             return result;
         }).catch(function(error) {
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-            progressDiv.classList.add('d-none');
+            setBusy(btn, false);
             Notification.exception(error);
         });
     };
 
+    /**
+     * Disable a button while work is in progress, or restore it.
+     *
+     * @param {HTMLElement} btn Button element
+     * @param {boolean} busy Whether work is in progress
+     */
+    var setBusy = function(btn, busy) {
+        if (busy) {
+            if (!btn.dataset.originalHtml) {
+                btn.dataset.originalHtml = btn.innerHTML;
+            }
+            btn.disabled = true;
+            btn.innerHTML = '<i class="fa fa-spinner fa-spin mr-1"></i> ' + (strings.processing || 'Processing...');
+        } else {
+            btn.disabled = false;
+            if (btn.dataset.originalHtml) {
+                btn.innerHTML = btn.dataset.originalHtml;
+                delete btn.dataset.originalHtml;
+            }
+        }
+    };
+
+    /**
+     * Replace {$a->name} placeholders of a language string.
+     *
+     * @param {string} template Language string
+     * @param {Object} values Placeholder values
+     * @returns {string}
+     */
+    var formatString = function(template, values) {
+        return template.replace(/\{\$a->(\w+)\}/g, function(match, name) {
+            return values.hasOwnProperty(name) ? values[name] : match;
+        });
+    };
+
+    /**
+     * Ask the teacher to confirm a bulk auto-grade run.
+     *
+     * In review mode nothing is written to the gradebook, so a different
+     * message is shown.
+     *
+     * @param {string} applyMessage Message used when grades are applied directly
+     * @returns {boolean} Whether the teacher confirmed
+     */
+    var confirmAutoGrade = function(applyMessage) {
+        if (config.reviewmode) {
+            return confirm(strings.autogradeconfirmreview ||
+                'Generate AI suggestions for all ungraded answers? They will be queued for your review.');
+        }
+        return confirm(applyMessage);
+    };
+
+    /**
+     * Show the outcome of a bulk auto-grade run.
+     *
+     * @param {Object} result Result from one of the auto-grade web services
+     */
+    var notifyAutoGradeResult = function(result) {
+        var held = result.held || 0;
+        var heldMessage = held > 0
+            ? ' ' + (strings.heldforreview || '{$a} need human review.').replace('{$a}', held)
+            : '';
+        if (result.unstable > 0) {
+            heldMessage += ' ' + (strings.unstableheld || '{$a} got different grades on each run.')
+                .replace('{$a}', result.unstable);
+        }
+        var reviewLink = (result.queued > 0 || held > 0) && config.reviewurl
+            ? ' <a href="' + config.reviewurl + '">' + (strings.openreviewqueue || 'Open review queue') + '</a>'
+            : '';
+
+        if (config.reviewmode) {
+            var message = (strings.queuedforreview || '{$a} suggestions queued for review.')
+                .replace('{$a}', result.queued) + heldMessage;
+            if (result.failed > 0) {
+                message += ' ' + result.failed + ' failed.';
+            }
+            Notification.addNotification({
+                message: message + reviewLink,
+                type: result.failed > 0 ? 'warning' : 'success'
+            });
+            return;
+        }
+
+        Notification.addNotification({
+            message: 'Auto-grading complete: ' + result.graded + ' graded, ' + result.failed + ' failed.' +
+                heldMessage + reviewLink,
+            type: result.failed > 0 || held > 0 ? 'warning' : 'success'
+        });
+
+        // Reload the page to show updated grades, unless the teacher still has to look at the failures.
+        if (result.graded > 0 && !result.failures.length) {
+            setTimeout(function() {
+                window.location.reload();
+            }, 1500);
+        }
+    };
+
     /**
      * Setup buttons for the individual grading page.
      */
     var setupGradingPageButtons = function() {
-        // Find all essay question containers.
-        var questionContainers = document.querySelectorAll('.que.essay');
+        // Find the containers of all questions of a supported type.
+        var selector = (config.qtypes || ['essay']).map(function(qtype) {
+            return '.que.' + qtype;
+        }).join(', ');
+        var questionContainers = document.querySelectorAll(selector);
 
         questionContainers.forEach(function(container, index) {
             addSingleGradeButton(container, index);
         });
 
-        // Add bulk grade button if there are multiple essays.
+        // Add bulk grade button if there are answers to grade.
         if (questionContainers.length > 0) {
             addBulkGradeButton(questionContainers);
         }
@@ -223,6 +462,11 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
             return;
         }
 
+        // Only questions of a supported type get a button.
+        if (config.questionids && config.questionids.indexOf(parseInt(questionid, 10)) === -1) {
+            return;
+        }
+
         // Check if button already exists.
         if (row.querySelector('.aigrading-auto-btn')) {
             return;
@@ -242,67 +486,39 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
         btn.dataset.slot = slot;
         btn.dataset.questionid = questionid;
 
+        var progressDiv = document.createElement('div');
+        progressDiv.className = 'aigrading-auto-progress mt-1 d-none';
+
         btn.addEventListener('click', function(e) {
             e.preventDefault();
-            handleAutoGrade(btn, slot, questionid);
+            handleAutoGrade(btn, progressDiv, slot, questionid);
         });
 
         lastCell.appendChild(btn);
+        lastCell.appendChild(progressDiv);
     };
 
     /**
-     * Handle auto-grade request for all ungraded essays of a question.
+     * Handle auto-grade request for all ungraded answers to a question.
      *
      * @param {HTMLElement} btn The button clicked
+     * @param {HTMLElement} progressDiv Progress element
      * @param {int} slot Question slot
      * @param {int} questionid Question ID
      */
-    var handleAutoGrade = function(btn, slot, questionid) {
+    var handleAutoGrade = function(btn, progressDiv, slot, questionid) {
         // Confirm with user.
-        if (!confirm('Are you sure you want to auto-grade all ungraded essays for this question? ' +
-                     'This will apply grades automatically without review.')) {
+        if (!confirmAutoGrade(strings.autogradeconfirm ||
+                'Are you sure you want to auto-grade all ungraded answers to this question? ' +
+                'This will apply grades automatically without review.')) {
             return;
         }
 
-        var originalText = btn.innerHTML;
-        btn.disabled = true;
-        btn.innerHTML = '<i class="fa fa-spinner fa-spin mr-1"></i> ' + (strings.processing || 'Processing...');
-
-        Ajax.call([{
-            methodname: 'local_aigrading_auto_grade_question',
-            args: {
-                cmid: config.cmid,
-                slot: parseInt(slot),
-                questionid: parseInt(questionid)
-            }
-        }])[0].then(function(result) {
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-
-            if (result.success) {
-                Notification.addNotification({
-                    message: 'Auto-grading complete: ' + result.graded + ' graded, ' + result.failed + ' failed.',
-                    type: result.failed > 0 ? 'warning' : 'success'
-                });
-
-                // Reload the page to show updated counts.
-                if (result.graded > 0) {
-                    setTimeout(function() {
-                        window.location.reload();
-                    }, 1500);
-                }
-            } else {
-                Notification.addNotification({
-                    message: result.message || 'Auto-grading failed.',
-                    type: 'error'
-                });
-            }
-            return result;
-        }).catch(function(error) {
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-            Notification.exception(error);
-        });
+        startJob('local_aigrading_auto_grade_question', {
+            cmid: config.cmid,
+            slot: parseInt(slot),
+            questionid: parseInt(questionid)
+        }, btn, progressDiv);
     };
 
     /**
@@ -382,7 +598,22 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
             handleBulkGrade(questionContainers, btn, progressDiv);
         });
 
+        // All answers to the question side by side, not only those on this page.
+        var workspaceBtn = document.createElement('button');
+        workspaceBtn.type = 'button';
+        workspaceBtn.className = 'btn btn-secondary ml-2 aigrading-workspace-btn';
+        workspaceBtn.innerHTML = '<i class="fa fa-columns mr-1"></i> ' + (strings.reviewworkspace || 'Review workspace');
+        workspaceBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            ReviewWorkspace.open({
+                cmid: config.cmid,
+                slot: config.slot,
+                strings: strings
+            });
+        });
+
         btnContainer.appendChild(btn);
+        btnContainer.appendChild(workspaceBtn);
         btnContainer.appendChild(progressDiv);
 
         // Insert after the options section, or before the grading questions.
@@ -415,27 +646,24 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
         btn.disabled = true;
         btn.innerHTML = '<i class="fa fa-spinner fa-spin mr-1"></i> ' + (strings.processing || 'Processing...');
 
-        var questionData = extractQuestionData(container);
-        if (!questionData) {
-            Notification.exception({message: 'Could not extract question data'});
+        var ids = getQuestionIds(container);
+        if (!ids) {
+            Notification.exception({message: 'Could not find the question attempt'});
             btn.disabled = false;
             btn.innerHTML = originalText;
             return;
         }
 
-        callSuggestGrade(questionData).then(function(result) {
-            if (result.success) {
-                showSuggestionModal(container, result, questionData.maxgrade);
-            } else {
-                Notification.exception({message: result.error || 'Unknown error'});
-            }
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-        }).catch(function(error) {
-            Notification.exception(error);
+        var suggestion = startSuggestion('local_aigrading_suggest_grade', {
+            cmid: config.cmid,
+            qubaid: ids.qubaid,
+            slot: ids.slot
+        });
+        suggestion.result.always(function() {
             btn.disabled = false;
             btn.innerHTML = originalText;
         });
+        showSuggestionModal(container, suggestion);
     };
 
     /**
@@ -457,6 +685,8 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
         var total = containers.length;
         var processed = 0;
         var successCount = 0;
+        var flaggedCount = 0;
+        var unstableCount = 0;
 
         var processNext = function(index) {
             if (index >= containers.length) {
@@ -466,6 +696,22 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
                     message: strings.allgradesapplied || 'All grades have been applied. Please review before saving.',
                     type: 'success'
                 });
+                if (flaggedCount) {
+                    Notification.addNotification({
+                        message: (strings.flaggedskipped ||
+                            '{$a} answers may be trying to manipulate the AI grader and were not graded.')
+                            .replace('{$a}', flaggedCount),
+                        type: 'warning'
+                    });
+                }
+                if (unstableCount) {
+                    Notification.addNotification({
+                        message: (strings.unstableskipped ||
+                            '{$a} answers got different grades on each run and were not graded.')
+                            .replace('{$a}', unstableCount),
+                        type: 'warning'
+                    });
+                }
                 btn.disabled = false;
                 btn.innerHTML = originalText;
                 setTimeout(function() {
@@ -480,11 +726,18 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
             progressBar.style.width = progress + '%';
             progressText.textContent = 'Processing ' + (index + 1) + ' of ' + total + '...';
 
-            var questionData = extractQuestionData(container);
-            if (questionData) {
-                callSuggestGrade(questionData).then(function(result) {
-                    if (result.success) {
+            var ids = getQuestionIds(container);
+            if (ids) {
+                callSuggestGrade(ids).then(function(result) {
+                    if (result.success && (result.flags || []).length) {
+                        // Never apply a grade to an answer that may be manipulating the grader.
+                        flaggedCount++;
+                    } else if (result.success && result.consistency && result.consistency.unstable) {
+                        // An unstable grade needs a teacher to look at the answer.
+                        unstableCount++;
+                    } else if (result.success) {
                         applyGradeToForm(container, result);
+                        recordDecision(result, 'applied');
                         successCount++;
                     }
                     processNext(index + 1);
@@ -500,119 +753,316 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
     };
 
     /**
-     * Extract question data from a container.
+     * Get the question usage and slot of a question container.
+     *
+     * The server loads the question, the answer and the maximum mark from them.
      *
      * @param {HTMLElement} container Question container
-     * @returns {Object|null} Question data or null
+     * @returns {Object|null} qubaid and slot, or null if the container is not a question attempt
      */
-    var extractQuestionData = function(container) {
-        // Extract question text.
-        var questionTextEl = container.querySelector('.qtext');
-        var questionText = questionTextEl ? questionTextEl.textContent.trim() : '';
+    var getQuestionIds = function(container) {
+        // Containers have the id question-<usage id>-<slot>.
+        var match = (container.id || '').match(/^question-(\d+)-(\d+)$/);
+        if (!match) {
+            // Grade inputs are named q<usage id>:<slot>_-mark.
+            var gradeInput = container.querySelector('input[name$="_-mark"]');
+            match = gradeInput ? (gradeInput.name || '').match(/^q(\d+):(\d+)_/) : null;
+        }
+        if (!match) {
+            return null;
+        }
 
-        // Extract student answer.
-        var answerEl = container.querySelector('.answer .qtype_essay_response, .answer .text_to_html, .answer');
-        var answerText = answerEl ? answerEl.textContent.trim() : '';
+        return {
+            qubaid: parseInt(match[1], 10),
+            slot: parseInt(match[2], 10)
+        };
+    };
 
-        // Extract max grade.
-        var gradeInput = container.querySelector('input[name*="-mark"]');
-        var maxgrade = 10; // Default.
+    /**
+     * Call the suggest_grade AJAX endpoint.
+     *
+     * @param {Object} ids Question usage ID and slot, see getQuestionIds()
+     * @returns {Promise<Object>} Result
+     */
+    var callSuggestGrade = function(ids) {
+        return Ajax.call([{
+            methodname: 'local_aigrading_suggest_grade',
+            args: {
+                cmid: config.cmid,
+                qubaid: ids.qubaid,
+                slot: ids.slot
+            }
+        }])[0];
+    };
 
-        if (gradeInput) {
-            // Try to find max from nearby text or input attributes.
-            var maxAttr = gradeInput.getAttribute('max');
-            if (maxAttr) {
-                maxgrade = parseFloat(maxAttr);
-            } else {
-                // Look for "out of X" text.
-                var gradeText = container.querySelector('.grade, .maxgrade');
-                if (gradeText) {
-                    var match = gradeText.textContent.match(/(\d+(?:\.\d+)?)/);
-                    if (match) {
-                        maxgrade = parseFloat(match[1]);
-                    }
-                }
+    /**
+     * Ask for a single suggestion.
+     *
+     * When streaming is enabled the suggestion comes from stream.php, which sends the feedback and
+     * explanation while they are written and stops the request to the AI backend when the connection
+     * is closed. Otherwise the web service is called.
+     *
+     * @param {string} methodname Web service that suggests the grade
+     * @param {Object} args Arguments of the web service
+     * @returns {Object} Suggestion: result (promise of the web service result), cancellable,
+     *     onPartial(callback) to receive the feedback and explanation written so far, and cancel()
+     */
+    var startSuggestion = function(methodname, args) {
+        var deferred = $.Deferred();
+        var listeners = [];
+        var suggestion = {
+            result: deferred.promise(),
+            cancellable: false,
+            onPartial: function(callback) {
+                listeners.push(callback);
+            },
+            cancel: function() {
+                return;
             }
-        }
+        };
 
-        if (!questionText || !answerText) {
-            return null;
+        if (!config.streamurl || !window.EventSource) {
+            Ajax.call([{
+                methodname: methodname,
+                args: args
+            }])[0].then(deferred.resolve).catch(deferred.reject);
+            return suggestion;
         }
 
-        return {
-            questionText: questionText,
-            answerText: answerText,
-            maxgrade: maxgrade,
-            gradeInput: gradeInput,
-            graderinfo: extractGraderInfo(container)
+        var source = new EventSource(config.streamurl + '?' + $.param($.extend({sesskey: M.cfg.sesskey}, args)));
+        var settle = function(method, value) {
+            source.close();
+            if (deferred.state() === 'pending') {
+                deferred[method](value);
+            }
         };
+        source.addEventListener('partial', function(e) {
+            var fields = JSON.parse(e.data);
+            listeners.forEach(function(callback) {
+                callback(fields);
+            });
+        });
+        source.addEventListener('result', function(e) {
+            settle('resolve', JSON.parse(e.data));
+        });
+        source.addEventListener('failure', function(e) {
+            settle('reject', {message: JSON.parse(e.data).message});
+        });
+        source.onerror = function() {
+            // Closing stops EventSource from reconnecting, which would ask for a second suggestion.
+            settle('reject', {message: strings.streamfailed || 'The connection to the server was lost.'});
+        };
+
+        suggestion.cancellable = true;
+        suggestion.cancel = function() {
+            settle('reject', {cancelled: true});
+        };
+        return suggestion;
     };
 
     /**
-     * Extract grader information from the page if available.
+     * Record in the audit log whether the teacher applied or dismissed a suggestion.
      *
-     * @param {HTMLElement} container Question container
-     * @returns {string} Grader info or empty string
+     * @param {Object} result AI result
+     * @param {string} decision applied or rejected
      */
-    var extractGraderInfo = function(container) {
-        // Try to find grader information in various locations.
-        // First look for explicit grader info section.
-        var graderInfoEl = container.querySelector('.graderinfo, .generalfeedback, .rightanswer');
-        if (graderInfoEl) {
-            return graderInfoEl.textContent.trim();
+    var recordDecision = function(result, decision) {
+        if (!result.logid) {
+            return;
         }
 
-        // Look for "Response information" or similar sections.
-        var responseInfo = document.querySelector('.responseinfo, .response-information');
-        if (responseInfo) {
-            return responseInfo.textContent.trim();
+        var args = {
+            logid: result.logid,
+            decision: decision,
+            grade: result.grade
+        };
+        if (config.labelledfeedback && decision === 'applied') {
+            // Labelled feedback is kept by the server instead of the comment field.
+            args.feedback = result.feedback || '';
         }
 
-        return '';
+        Ajax.call([{
+            methodname: 'local_aigrading_record_decision',
+            args: args
+        }])[0].catch(Notification.exception);
     };
 
     /**
-     * Call the suggest_grade AJAX endpoint.
+     * Add the per-criterion scores of a structured rubric to the modal context.
      *
-     * @param {Object} questionData Question data
-     * @returns {Promise<Object>} Result
+     * @param {Object} context Template context
+     * @param {Object} result AI result
+     * @returns {Object} The template context
      */
-    var callSuggestGrade = function(questionData) {
-        return Ajax.call([{
-            methodname: 'local_aigrading_suggest_grade',
-            args: {
-                cmid: config.cmid,
-                questiontext: questionData.questionText,
-                answertext: questionData.answerText,
-                maxgrade: questionData.maxgrade,
-                rubric: '',
-                graderinfo: questionData.graderinfo || ''
+    var addCriteriaContext = function(context, result) {
+        var criteria = result.criteria || [];
+        context.hascriteria = criteria.length > 0;
+        context.criteria = criteria.map(function(criterion, index) {
+            return Object.assign({index: index}, criterion);
+        });
+        context.criteriatotal = sumScores(criteria, 'score');
+        context.rubricmax = sumScores(criteria, 'maxscore');
+        return context;
+    };
+
+    /**
+     * Add the grading runs of the consistency check to the modal context.
+     *
+     * @param {Object} context Template context
+     * @param {Object} result AI result
+     * @returns {Object} The template context
+     */
+    var addConsistencyContext = function(context, result) {
+        var consistency = result.consistency || {};
+        context.unstable = !!consistency.unstable;
+        var detail = strings.unstablegradedetail || 'Grading this answer {$a->runs} times gave {$a->grades}. ' +
+            'Check the answer yourself before applying a grade.';
+        context.unstabledetail = formatString(detail, {
+            runs: consistency.runs,
+            grades: (consistency.grades || []).join(', ')
+        });
+        return context;
+    };
+
+    /**
+     * Add the graded parts and the skipped files of a submission or quiz answer to the modal context.
+     *
+     * @param {Object} context Template context
+     * @param {Object} result AI result
+     * @returns {Object} The template context
+     */
+    var addPartsContext = function(context, result) {
+        context.parts = (result.parts || []).map(function(part) {
+            return Object.assign({ocr: part.method === 'ocr'}, part);
+        });
+        context.skipped = result.skipped || [];
+        context.hasparts = context.parts.length > 1 || context.skipped.length > 0 ||
+            context.parts.some(function(part) {
+                return part.ocr;
+            });
+        return context;
+    };
+
+    /**
+     * Describe the files that could not be graded, for an error message.
+     *
+     * @param {Object} result AI result
+     * @returns {string} Empty if no file was skipped
+     */
+    var describeSkipped = function(result) {
+        var skipped = (result.skipped || []).map(function(file) {
+            return file.name + ': ' + file.reason;
+        });
+        return skipped.length ? ' ' + (strings.skippedfiles || 'Files not graded') + ': ' + skipped.join(', ') : '';
+    };
+
+    /**
+     * Add up one field of the criterion scores.
+     *
+     * @param {Array} criteria Criterion scores
+     * @param {string} field score or maxscore
+     * @returns {number}
+     */
+    var sumScores = function(criteria, field) {
+        return Math.round(criteria.reduce(function(total, criterion) {
+            return total + (parseFloat(criterion[field]) || 0);
+        }, 0) * 100) / 100;
+    };
+
+    /**
+     * Read the criterion scores as adjusted by the teacher in the modal.
+     *
+     * The grade is the total of the scores scaled to the maximum grade, and
+     * the breakdown is added to the feedback, as the server does for bulk grading.
+     *
+     * @param {HTMLElement} root Modal root
+     * @param {Object} result AI result
+     * @param {number} maxgrade Maximum grade
+     * @returns {Object} Result to apply
+     */
+    var getAdjustedResult = function(root, result, maxgrade) {
+        if (!result.criteria || !result.criteria.length) {
+            return result;
+        }
+
+        var rubricmin = 0;
+        var criteria = result.criteria.map(function(criterion, index) {
+            var input = root.querySelector('.aigrading-criterion-score[data-index="' + index + '"]');
+            var score = input ? parseFloat(input.value) : criterion.score;
+            if (isNaN(score)) {
+                score = 0;
             }
-        }])[0];
+            var adjusted = Object.assign({}, criterion, {
+                score: Math.max(0, Math.min(criterion.maxscore, score))
+            });
+
+            // A Moodle rubric only has fixed levels, so take the nearest one.
+            if (criterion.levels && criterion.levels.length) {
+                var level = criterion.levels.reduce(function(nearest, candidate) {
+                    return Math.abs(candidate.score - adjusted.score) < Math.abs(nearest.score - adjusted.score) ?
+                        candidate : nearest;
+                });
+                adjusted.score = level.score;
+                adjusted.levelid = level.id;
+                rubricmin += Math.min.apply(null, criterion.levels.map(function(candidate) {
+                    return candidate.score;
+                }));
+            }
+            return adjusted;
+        });
+
+        var rubricmax = sumScores(criteria, 'maxscore');
+        var template = strings.rubricbreakdownline || '- {$a->name}: {$a->score}/{$a->maxscore}. {$a->justification}';
+        var lines = criteria.map(function(criterion) {
+            return formatString(template, criterion);
+        });
+
+        return Object.assign({}, result, {
+            criteria: criteria,
+            grade: rubricmax > rubricmin ?
+                Math.round((sumScores(criteria, 'score') - rubricmin) / (rubricmax - rubricmin) * maxgrade * 100) / 100 : 0,
+            feedback: (result.feedback + '\n\n' + (strings.rubricbreakdown || 'Rubric breakdown:') + '\n' +
+                lines.join('\n')).trim()
+        });
     };
 
     /**
-     * Show the suggestion modal.
+     * Keep the total and the suggested grade in the modal in line with the criterion scores.
      *
-     * @param {HTMLElement} container Question container
+     * @param {HTMLElement} root Modal root
      * @param {Object} result AI result
      * @param {number} maxgrade Maximum grade
      */
-    var showSuggestionModal = function(container, result, maxgrade) {
-        var confidence = result.confidence || 'medium';
-        var templateContext = {
-            grade: result.grade,
-            maxgrade: maxgrade,
-            feedback: result.feedback,
-            explanation: result.explanation,
-            confidence: confidence,
-            confidenceHigh: confidence === 'high',
-            confidenceMedium: confidence === 'medium',
-            confidenceLow: confidence === 'low',
-            strings: strings
-        };
+    var watchCriteriaScores = function(root, result, maxgrade) {
+        root.addEventListener('input', function(e) {
+            if (!e.target.classList.contains('aigrading-criterion-score')) {
+                return;
+            }
+            var adjusted = getAdjustedResult(root, result, maxgrade);
+            root.querySelector('[data-region="criteria-total"]').textContent = sumScores(adjusted.criteria, 'score');
+            root.querySelector('[data-region="suggested-grade"]').textContent = adjusted.grade;
+        });
+    };
 
-        Templates.render('local_aigrading/suggestion_modal', templateContext).then(function(html) {
+    /**
+     * Show a suggestion in a modal.
+     *
+     * The modal opens at once and shows the feedback and explanation while they are written. The grade
+     * and the apply button follow when the suggestion is complete.
+     *
+     * @param {Object} suggestion Suggestion, see startSuggestion()
+     * @param {Function} apply Called with the result the teacher applies
+     */
+    var openSuggestionModal = function(suggestion, apply) {
+        var result = null;
+        var applied = false;
+        var closed = false;
+
+        Templates.render('local_aigrading/suggestion_modal', {
+            pending: true,
+            cancellable: suggestion.cancellable,
+            strings: strings
+        }).then(function(html) {
             return ModalFactory.create({
                 title: strings.suggestedgrade || 'Suggested Grade',
                 body: html,
@@ -620,23 +1070,121 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
                 large: true
             });
         }).then(function(modal) {
+            var root = modal.getRoot();
+            var saveButton = modal.getFooter().find('[data-action="save"]');
             modal.setSaveButtonText(strings.applygrade || 'Apply Grade');
+            saveButton.prop('disabled', true);
 
-            modal.getRoot().on(ModalEvents.save, function() {
-                applyGradeToForm(container, result);
+            suggestion.onPartial(function(fields) {
+                if (result) {
+                    return;
+                }
+                root.find('[data-region="stream-status"]').text(strings.streamwriting ||
+                    'The AI backend is writing its suggestion...');
+                root.find('[data-region="feedback"]').text(fields.feedback || '');
+                root.find('[data-region="explanation"]').text(fields.explanation || '');
+            });
+            root.on('click', '[data-action="cancel-stream"]', function() {
+                modal.hide();
+            });
+
+            root.on(ModalEvents.save, function() {
+                if (!result) {
+                    return;
+                }
+                applied = true;
+                var adjusted = getAdjustedResult(root[0], result, result.maxgrade);
+                apply(adjusted);
+                recordDecision(adjusted, 'applied');
                 Notification.addNotification({
                     message: strings.gradeapplied || 'Grade has been applied.',
                     type: 'success'
                 });
             });
+            root.on(ModalEvents.hidden, function() {
+                closed = true;
+                if (!result) {
+                    // Closing the modal before the suggestion is complete stops it.
+                    suggestion.cancel();
+                } else if (!applied) {
+                    recordDecision(result, 'rejected');
+                }
+            });
 
             modal.show();
+
+            suggestion.result.then(function(response) {
+                if (closed) {
+                    return null;
+                }
+                if (!response.success) {
+                    modal.hide();
+                    Notification.addNotification({
+                        message: (response.error || 'Failed to get AI suggestion.') + describeSkipped(response),
+                        type: 'error'
+                    });
+                    return null;
+                }
+
+                var confidence = response.confidence || 'medium';
+                var templateContext = {
+                    grade: response.grade,
+                    maxgrade: response.maxgrade,
+                    feedback: response.feedback,
+                    explanation: response.explanation,
+                    confidence: confidence,
+                    confidenceHigh: confidence === 'high',
+                    confidenceMedium: confidence === 'medium',
+                    confidenceLow: confidence === 'low',
+                    flagged: (response.flags || []).length > 0,
+                    flags: response.flags || [],
+                    labelledfeedback: !!config.labelledfeedback,
+                    strings: strings
+                };
+                addCriteriaContext(templateContext, response);
+                addConsistencyContext(templateContext, response);
+                addPartsContext(templateContext, response);
+
+                return Templates.render('local_aigrading/suggestion_modal', templateContext).then(function(html) {
+                    result = response;
+                    modal.setBody(html);
+                    watchCriteriaScores(root[0], result, result.maxgrade);
+                    saveButton.prop('disabled', false);
+                    return html;
+                });
+            }, function(error) {
+                if (error.cancelled) {
+                    Notification.addNotification({
+                        message: strings.streamcancelled || 'The suggestion was stopped.',
+                        type: 'info'
+                    });
+                    return;
+                }
+                if (!closed) {
+                    modal.hide();
+                    Notification.exception(error);
+                }
+            }).catch(Notification.exception);
+
             return modal;
         }).catch(function(error) {
+            suggestion.cancel();
             Notification.exception(error);
         });
     };
 
+    /**
+     * Show the suggestion modal.
+     *
+     * @param {HTMLElement} container Question container
+     * @param {Object} suggestion Suggestion, see startSuggestion()
+     */
+    var showSuggestionModal = function(container, suggestion) {
+        openSuggestionModal(suggestion, function(result) {
+            applyGradeToForm(container, result);
+        });
+    };
+
     /**
      * Apply grade to the form fields.
      *
@@ -644,81 +1192,40 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
      * @param {Object} result AI result
      */
     var applyGradeToForm = function(container, result) {
-        // Find the question's parent form area (may be the whole form for single questions)
-        var formArea = container.closest('form') || document;
-
-        // Debug log
-        console.log('Applying grade:', result.grade, 'Feedback:', result.feedback);
-
-        // Try multiple selectors for the grade/mark input
-        var gradeInput = container.querySelector('input[name*="-mark"]') ||
-                         container.querySelector('input[name*="mark"]') ||
-                         formArea.querySelector('input[id*="-mark"]') ||
-                         formArea.querySelector('.que input[type="text"]');
+        var ids = getQuestionIds(container);
+        if (!ids) {
+            return;
+        }
 
+        // The manual grading fields are named q<usage id>:<slot>_-mark and q<usage id>:<slot>_-comment.
+        var prefix = 'q' + ids.qubaid + ':' + ids.slot + '_';
+        var gradeInput = document.getElementsByName(prefix + '-mark')[0];
         if (gradeInput) {
-            console.log('Found grade input:', gradeInput.name || gradeInput.id);
             gradeInput.value = result.grade;
             gradeInput.dispatchEvent(new Event('change', {bubbles: true}));
             gradeInput.dispatchEvent(new Event('input', {bubbles: true}));
-        } else {
-            console.log('Grade input not found, trying alternative selectors...');
-            // Try finding by label text
-            var markLabels = formArea.querySelectorAll('label');
-            markLabels.forEach(function(label) {
-                if (label.textContent.toLowerCase().includes('mark')) {
-                    var inputId = label.getAttribute('for');
-                    if (inputId) {
-                        var input = document.getElementById(inputId);
-                        if (input) {
-                            console.log('Found grade input via label:', input.id);
-                            input.value = result.grade;
-                            input.dispatchEvent(new Event('change', {bubbles: true}));
-                        }
-                    }
-                }
-            });
         }
 
-        // Handle TinyMCE editor (Moodle 5 default)
-        var commentTextarea = container.querySelector('textarea[name*="-comment"]') ||
-                              formArea.querySelector('textarea[name*="-comment"]');
-
-        if (commentTextarea) {
-            var textareaId = commentTextarea.id;
-            console.log('Found comment textarea:', textareaId);
-
-            // Try to use TinyMCE API if available
-            if (typeof window.tinymce !== 'undefined' && textareaId) {
-                var editor = window.tinymce.get(textareaId);
-                if (editor) {
-                    console.log('Setting content via TinyMCE API');
-                    editor.setContent('<p>' + result.feedback + '</p>');
-                    // Also update the hidden textarea
-                    commentTextarea.value = result.feedback;
-                } else {
-                    console.log('TinyMCE editor not found for id:', textareaId);
-                    // Just set the textarea value directly
-                    commentTextarea.value = result.feedback;
-                }
+        var commentTextarea = document.getElementsByName(prefix + '-comment')[0];
+
+        // Labelled feedback stays out of the teacher comment.
+        if (commentTextarea && !config.labelledfeedback) {
+            var editor = window.tinymce && commentTextarea.id ? window.tinymce.get(commentTextarea.id) : null;
+            if (editor) {
+                // TinyMCE, the default editor.
+                editor.setContent('<p>' + result.feedback + '</p>');
             } else {
-                // No TinyMCE, try Atto or plain textarea
-                var attoContainer = container.querySelector('.editor_atto_wrap') ||
-                                    formArea.querySelector('.editor_atto_wrap');
-
-                if (attoContainer) {
-                    var editorContent = attoContainer.querySelector('.editor_atto_content');
-                    if (editorContent) {
-                        console.log('Found Atto editor content area');
-                        editorContent.innerHTML = '<p>' + result.feedback + '</p>';
-                        editorContent.dispatchEvent(new Event('input', {bubbles: true}));
-                    }
+                var attoContainer = container.querySelector('.editor_atto_wrap');
+                var editorContent = attoContainer ? attoContainer.querySelector('.editor_atto_content') : null;
+                if (editorContent) {
+                    editorContent.innerHTML = '<p>' + result.feedback + '</p>';
+                    editorContent.dispatchEvent(new Event('input', {bubbles: true}));
                 }
-
-                // Always set textarea value as fallback
-                commentTextarea.value = result.feedback;
-                commentTextarea.dispatchEvent(new Event('change', {bubbles: true}));
             }
+
+            // Always set the textarea as well, it is what the form submits.
+            commentTextarea.value = result.feedback;
+            commentTextarea.dispatchEvent(new Event('change', {bubbles: true}));
         }
 
         // Visual feedback that apply was successful
@@ -793,180 +1300,57 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
         btn.disabled = true;
         btn.innerHTML = '<i class="fa fa-spinner fa-spin mr-2"></i>' + (strings.processing || 'Processing...');
 
-        var assignmentData = extractAssignmentData();
-
-        // Determine which API to use.
-        var hasOnlineText = assignmentData && assignmentData.submissionText;
-        var apiMethod = hasOnlineText ? 'local_aigrading_suggest_grade' : 'local_aigrading_suggest_grade_file';
-        var apiArgs = hasOnlineText ? {
-            cmid: config.cmid,
-            questiontext: assignmentData.assignmentDescription,
-            answertext: assignmentData.submissionText,
-            maxgrade: assignmentData.maxgrade,
-            rubric: '',
-            graderinfo: ''
-        } : {
+        // The server loads the assignment and combines the online text and all files of the submission.
+        var suggestion = startSuggestion('local_aigrading_suggest_grade_file', {
             cmid: config.cmid,
-            userid: config.userid || getUserIdFromUrl(),
-            assignmentdesc: assignmentData ? assignmentData.assignmentDescription : '',
-            maxgrade: assignmentData ? assignmentData.maxgrade : 100
-        };
-
-        Ajax.call([{
-            methodname: apiMethod,
-            args: apiArgs
-        }])[0].then(function(result) {
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-
-            if (result.success) {
-                showAssignmentSuggestionModal(result, assignmentData ? assignmentData.maxgrade : 100);
-            } else {
-                Notification.addNotification({
-                    message: result.error || 'Failed to get AI suggestion.',
-                    type: 'error'
-                });
-            }
-            return result;
-        }).catch(function(error) {
+            userid: config.userid || getUserIdFromUrl()
+        });
+        suggestion.result.always(function() {
             btn.disabled = false;
             btn.innerHTML = originalText;
-            Notification.exception(error);
         });
+        showAssignmentSuggestionModal(suggestion);
     };
 
     /**
-     * Extract assignment data from the page.
+     * Show suggestion modal for assignment.
      *
-     * @returns {Object|null} Assignment data
+     * @param {Object} suggestion Suggestion, see startSuggestion()
      */
-    var extractAssignmentData = function() {
-        // Get assignment description/instructions.
-        var descEl = document.querySelector('.activityinstance .instancename, .assignmentname, [data-region="assign-intro"]');
-        var assignmentDescription = '';
-        if (descEl) {
-            assignmentDescription = descEl.textContent.trim();
-        }
-
-        // Try to get from intro section.
-        var introEl = document.querySelector('.activityinstance, .intro, .submissionsummarytable td');
-        if (introEl && !assignmentDescription) {
-            assignmentDescription = introEl.textContent.trim().substring(0, 500);
-        }
-
-        // Get submission text (online text) - try multiple selectors.
-        var submissionText = '';
-
-        // Selector 1: Look for online text submission in grader panel.
-        var selectors = [
-            '[data-region="submission"] .submissionfull',
-            '[data-region="submission"] .no-overflow',
-            '.assignsubmission_onlinetext .no-overflow',
-            '.assignsubmission_onlinetext .text_to_html',
-            '.submission-full .no-overflow',
-            '.submissionfull',
-            '.onlinetext',
-            '.assignsubmission_onlinetext_editor',
-            '[data-region="submission"]',
-            // For grader drawer - the submission content.
-            '.drawer-content .submission-full',
-            '.grading-panel .submissionfull',
-            // Generic content areas.
-            '.submission-status + div',
-            '.box.py-3.submission-full'
-        ];
-
-        for (var i = 0; i < selectors.length; i++) {
-            var el = document.querySelector(selectors[i]);
-            if (el) {
-                var text = el.textContent.trim();
-                if (text && text.length > 5) {
-                    submissionText = text;
-                    break;
-                }
-            }
-        }
-
-        // If still no text, try to find any text after "Submission" heading.
-        if (!submissionText) {
-            var submissionContainer = document.querySelector('[data-region="submission"]');
-            if (submissionContainer) {
-                submissionText = submissionContainer.innerText.trim();
-            }
-        }
-
-        // Get max grade.
-        var maxgrade = 100;
-        var gradeInput = document.querySelector('input[name="grade"], input[name="quickgrade_-1"], [id*="id_grade"]');
-        if (gradeInput) {
-            var maxAttr = gradeInput.getAttribute('max');
-            if (maxAttr) {
-                maxgrade = parseFloat(maxAttr);
-            }
-        }
-
-        // Try to find max from label.
-        var gradeLabelEl = document.querySelector('.grader-out-of, .grade-max, [class*="outof"]');
-        if (gradeLabelEl) {
-            var match = gradeLabelEl.textContent.match(/(\d+(?:\.\d+)?)/);
-            if (match) {
-                maxgrade = parseFloat(match[1]);
-            }
-        }
-
-        if (!submissionText) {
-            return null;
-        }
-
-        return {
-            assignmentDescription: assignmentDescription,
-            submissionText: submissionText,
-            maxgrade: maxgrade
-        };
+    var showAssignmentSuggestionModal = function(suggestion) {
+        openSuggestionModal(suggestion, applyGradeToAssignment);
     };
 
     /**
-     * Show suggestion modal for assignment.
+     * Fill in the Moodle rubric or marking guide of the grading form.
      *
-     * @param {Object} result AI result
-     * @param {number} maxgrade Maximum grade
+     * @param {Array} criteria Criterion scores with criterionid and, for rubrics, levelid
      */
-    var showAssignmentSuggestionModal = function(result, maxgrade) {
-        var confidence = result.confidence || 'medium';
-        var templateContext = {
-            grade: result.grade,
-            maxgrade: maxgrade,
-            feedback: result.feedback,
-            explanation: result.explanation,
-            confidence: confidence,
-            confidenceHigh: confidence === 'high',
-            confidenceMedium: confidence === 'medium',
-            confidenceLow: confidence === 'low',
-            strings: strings
-        };
-
-        Templates.render('local_aigrading/suggestion_modal', templateContext).then(function(html) {
-            return ModalFactory.create({
-                title: strings.suggestedgrade || 'Suggested Grade',
-                body: html,
-                type: ModalFactory.types.SAVE_CANCEL,
-                large: true
-            });
-        }).then(function(modal) {
-            modal.setSaveButtonText(strings.applygrade || 'Apply Grade');
+    var applyAdvancedGrading = function(criteria) {
+        criteria.forEach(function(criterion) {
+            if (!criterion.criterionid) {
+                return;
+            }
+            var prefix = 'advancedgrading[criteria][' + criterion.criterionid + ']';
 
-            modal.getRoot().on(ModalEvents.save, function() {
-                applyGradeToAssignment(result);
-                Notification.addNotification({
-                    message: strings.gradeapplied || 'Grade has been applied.',
-                    type: 'success'
-                });
-            });
+            if (criterion.levelid) {
+                var level = document.querySelector('input[name="' + prefix + '[levelid]"][value="' + criterion.levelid + '"]');
+                if (level && !level.checked) {
+                    level.click();
+                }
+            } else {
+                var score = document.querySelector('input[name="' + prefix + '[score]"]');
+                if (score) {
+                    score.value = criterion.score;
+                    score.dispatchEvent(new Event('change', {bubbles: true}));
+                }
+            }
 
-            modal.show();
-            return modal;
-        }).catch(function(error) {
-            Notification.exception(error);
+            var remark = document.querySelector('textarea[name="' + prefix + '[remark]"]');
+            if (remark) {
+                remark.value = criterion.justification;
+                remark.dispatchEvent(new Event('change', {bubbles: true}));
+            }
         });
     };
 
@@ -996,7 +1380,8 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
             feedbackTextarea = document.querySelector('textarea[name*="feedback_comments"]');
         }
         
-        if (feedbackTextarea) {
+        // Labelled feedback stays out of the teacher comment.
+        if (feedbackTextarea && !config.labelledfeedback) {
             feedbackTextarea.value = result.feedback;
             feedbackTextarea.dispatchEvent(new Event('input', {bubbles: true}));
             feedbackTextarea.dispatchEvent(new Event('change', {bubbles: true}));
@@ -1007,6 +1392,8 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
                 window.tinymce.get(textareaId).setContent(result.feedback);
             }
         }
+
+        applyAdvancedGrading(result.criteria || []);
     };
 
     /**
@@ -1042,8 +1429,6 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
 
         var progressDiv = document.createElement('div');
         progressDiv.className = 'aigrading-bulk-progress mt-2 d-none';
-        progressDiv.innerHTML = '<div class="spinner-border spinner-border-sm mr-2"></div>' +
-            '<span class="progress-text">Processing...</span>';
 
         btn.addEventListener('click', function(e) {
             e.preventDefault();
@@ -1055,6 +1440,11 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
 
         // Insert before the table/area.
         actionsArea.parentNode.insertBefore(btnContainer, actionsArea);
+
+        // Pick up a job started on an earlier visit.
+        if (config.activejobid) {
+            watchJob(config.activejobid, btn, progressDiv);
+        }
     };
 
     /**
@@ -1065,53 +1455,12 @@ function($, Ajax, Notification, Templates, ModalFactory, ModalEvents) {
      */
     var handleBulkAssignmentGrade = function(btn, progressDiv) {
         // Confirm with user.
-        if (!confirm('Auto grade ALL ungraded online text submissions? ' +
+        if (!confirmAutoGrade('Auto grade ALL ungraded online text submissions? ' +
                      'This will apply grades automatically.')) {
             return;
         }
 
-        var originalText = btn.innerHTML;
-        btn.disabled = true;
-        btn.innerHTML = '<i class="fa fa-spinner fa-spin mr-2"></i>' +
-            (strings.processing || 'Processing...');
-        progressDiv.classList.remove('d-none');
-
-        Ajax.call([{
-            methodname: 'local_aigrading_auto_grade_assignment',
-            args: {
-                cmid: config.cmid
-            }
-        }])[0].then(function(result) {
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-            progressDiv.classList.add('d-none');
-
-            if (result.success) {
-                Notification.addNotification({
-                    message: 'Auto-grading complete: ' + result.graded +
-                        ' graded, ' + result.failed + ' failed.',
-                    type: result.failed > 0 ? 'warning' : 'success'
-                });
-
-                // Reload to show updated grades.
-                if (result.graded > 0) {
-                    setTimeout(function() {
-                        window.location.reload();
-                    }, 1500);
-                }
-            } else {
-                Notification.addNotification({
-                    message: result.message || 'Auto-grading failed.',
-                    type: 'error'
-                });
-            }
-            return result;
-        }).catch(function(error) {
-            btn.disabled = false;
-            btn.innerHTML = originalText;
-            progressDiv.classList.add('d-none');
-            Notification.exception(error);
-        });
+        startJob('local_aigrading_auto_grade_assignment', {cmid: config.cmid}, btn, progressDiv);
     };
 
     return {
@@ -0,0 +1,558 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Review workspace listing the answers of all students to one quiz question next to their AI suggestions.
+ *
+ * Suggestions are asked for one answer at a time. The teacher sorts, filters,
+ * edits and accepts rows, and one save writes the accepted grades.
+ *
+ * @module
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['core/ajax', 'core/notification', 'core/templates', 'core/modal_factory', 'core/modal_events'],
+function(Ajax, Notification, Templates, ModalFactory, ModalEvents) {
+
+    /** @var {number} Standard deviations from the mean AI grade beyond which an answer is an outlier. */
+    var OUTLIER_DEVIATIONS = 2;
+
+    /** @var {Object} Order of the confidence levels when sorting, least sure first. */
+    var CONFIDENCE_RANK = {low: 1, medium: 2, high: 3};
+
+    /**
+     * Open the workspace for one question of a quiz.
+     *
+     * @param {Object} options cmid, slot and strings
+     */
+    var open = function(options) {
+        var strings = options.strings || {};
+
+        Ajax.call([{
+            methodname: 'local_aigrading_get_review_answers',
+            args: {cmid: options.cmid, slot: options.slot}
+        }])[0].then(function(response) {
+            var answers = response.answers;
+            var context = {
+                rows: answers.map(function(answer, index) {
+                    var hasmark = answer.mark !== null && answer.mark !== undefined;
+                    return {
+                        index: index,
+                        fullname: answer.fullname,
+                        answertext: answer.answertext,
+                        skipped: answer.skipped,
+                        currentmark: hasmark ? formatString(strings.workspacecurrentmark ||
+                            'Current mark: {$a->mark} / {$a->maxgrade}', answer) : '',
+                        graded: answer.graded,
+                        maxgrade: answer.maxgrade
+                    };
+                }),
+                empty: answers.length === 0,
+                strings: strings
+            };
+
+            return Templates.render('local_aigrading/review_workspace', context).then(function(html) {
+                return ModalFactory.create({
+                    title: strings.reviewworkspace || 'Review workspace',
+                    body: html,
+                    type: ModalFactory.types.SAVE_CANCEL,
+                    large: true
+                });
+            }).then(function(modal) {
+                setup(modal, answers, options);
+                modal.show();
+                return modal;
+            });
+        }).catch(Notification.exception);
+    };
+
+    /**
+     * Connect the controls of the workspace.
+     *
+     * @param {Object} modal Modal holding the workspace
+     * @param {Array} answers Result of local_aigrading_get_review_answers
+     * @param {Object} options cmid, slot and strings
+     */
+    var setup = function(modal, answers, options) {
+        var root = modal.getRoot()[0];
+        var state = {
+            modal: modal,
+            root: root,
+            tbody: root.querySelector('[data-region="rows"]'),
+            options: options,
+            strings: options.strings || {},
+            stopped: false,
+            rows: answers.map(function(answer, index) {
+                return {
+                    answer: answer,
+                    el: root.querySelector('tr[data-index="' + index + '"]'),
+                    result: null,
+                    accepted: false
+                };
+            })
+        };
+
+        modal.getModal().addClass('modal-xl');
+        updateSaveButton(state);
+
+        root.querySelector('[data-action="generate"]').addEventListener('click', function(e) {
+            generate(state, e.currentTarget);
+        });
+        root.querySelector('[data-action="accept-shown"]').addEventListener('click', function() {
+            acceptShown(state);
+        });
+        root.querySelector('[data-region="sort"]').addEventListener('change', function() {
+            applyView(state);
+        });
+        root.querySelector('[data-region="filter"]').addEventListener('change', function() {
+            applyView(state);
+        });
+
+        if (state.tbody) {
+            state.tbody.addEventListener('keydown', function(e) {
+                handleKey(state, e);
+            });
+            state.tbody.addEventListener('input', function(e) {
+                var row = getRow(state, e.target);
+                if (row && (e.target.dataset.field === 'grade' || e.target.dataset.field === 'feedback')) {
+                    // Editing a row accepts it.
+                    setAccepted(state, row, true);
+                }
+            });
+            state.tbody.addEventListener('change', function(e) {
+                var row = getRow(state, e.target);
+                if (row && e.target.dataset.field === 'accept') {
+                    setAccepted(state, row, e.target.checked);
+                }
+            });
+        }
+
+        modal.getRoot().on(ModalEvents.shown, function() {
+            var first = visibleRows(state)[0];
+            if (first) {
+                first.el.focus();
+            }
+        });
+        modal.getRoot().on(ModalEvents.save, function(e) {
+            // The workspace stays open until the grades are saved.
+            e.preventDefault();
+            save(state);
+        });
+        modal.getRoot().on(ModalEvents.hidden, function() {
+            state.stopped = true;
+            modal.destroy();
+        });
+    };
+
+    /**
+     * Get the workspace row an element belongs to.
+     *
+     * @param {Object} state Workspace state
+     * @param {HTMLElement} element Element in the row
+     * @returns {Object|null}
+     */
+    var getRow = function(state, element) {
+        var tr = element.closest('tr[data-index]');
+        return tr ? state.rows[tr.dataset.index] : null;
+    };
+
+    /**
+     * Get the rows that are shown, in the order they are shown.
+     *
+     * @param {Object} state Workspace state
+     * @returns {Array}
+     */
+    var visibleRows = function(state) {
+        if (!state.tbody) {
+            return [];
+        }
+        return Array.prototype.slice.call(state.tbody.children).filter(function(tr) {
+            return !tr.classList.contains('d-none');
+        }).map(function(tr) {
+            return state.rows[tr.dataset.index];
+        });
+    };
+
+    /**
+     * Move between rows and edit them with the keyboard.
+     *
+     * @param {Object} state Workspace state
+     * @param {KeyboardEvent} e Key event
+     */
+    var handleKey = function(state, e) {
+        var row = getRow(state, e.target);
+        if (!row) {
+            return;
+        }
+
+        var field = e.target.dataset.field;
+        if (field === 'grade' || field === 'feedback') {
+            // Go back to the row; Escape must not close the workspace.
+            if (e.key === 'Escape' || (e.key === 'Enter' && field === 'grade')) {
+                e.preventDefault();
+                e.stopPropagation();
+                row.el.focus();
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'j':
+                moveFocus(state, row, 1);
+                break;
+            case 'ArrowUp':
+            case 'k':
+                moveFocus(state, row, -1);
+                break;
+            case 'a':
+            case ' ':
+                setAccepted(state, row, !row.accepted);
+                break;
+            case 'g':
+            case 'Enter':
+                row.el.querySelector('[data-field="grade"]').focus();
+                row.el.querySelector('[data-field="grade"]').select();
+                break;
+            case 'c':
+                row.el.querySelector('[data-field="feedback"]').focus();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    };
+
+    /**
+     * Focus the next or previous shown row.
+     *
+     * @param {Object} state Workspace state
+     * @param {Object} row Current row
+     * @param {number} step 1 for the next row, -1 for the previous one
+     */
+    var moveFocus = function(state, row, step) {
+        var rows = visibleRows(state);
+        var next = rows[rows.indexOf(row) + step];
+        if (next) {
+            next.el.focus();
+            next.el.scrollIntoView({block: 'nearest'});
+        }
+    };
+
+    /**
+     * Accept a row for saving, or take it back.
+     *
+     * @param {Object} state Workspace state
+     * @param {Object} row Row
+     * @param {boolean} accepted Whether the row is accepted
+     */
+    var setAccepted = function(state, row, accepted) {
+        row.accepted = accepted;
+        row.el.querySelector('[data-field="accept"]').checked = accepted;
+        row.el.classList.toggle('table-success', accepted);
+        updateSaveButton(state);
+    };
+
+    /**
+     * Accept the shown rows that have a grade, except answers the AI grader did not trust.
+     *
+     * @param {Object} state Workspace state
+     */
+    var acceptShown = function(state) {
+        visibleRows(state).forEach(function(row) {
+            var hasgrade = row.el.querySelector('[data-field="grade"]').value !== '';
+            if (hasgrade && !isFlagged(row)) {
+                setAccepted(state, row, true);
+            }
+        });
+    };
+
+    /**
+     * Show the number of accepted rows on the save button.
+     *
+     * @param {Object} state Workspace state
+     */
+    var updateSaveButton = function(state) {
+        var count = state.rows.filter(function(row) {
+            return row.accepted;
+        }).length;
+        state.modal.setSaveButtonText((state.strings.workspacesave || 'Save accepted ({$a})').replace('{$a}', count));
+    };
+
+    /**
+     * Ask for the AI suggestions of the shown rows that do not have one yet, one at a time.
+     *
+     * @param {Object} state Workspace state
+     * @param {HTMLElement} btn Button that started it
+     */
+    var generate = function(state, btn) {
+        var rows = visibleRows(state).filter(function(row) {
+            return !row.result || !row.result.success;
+        });
+        var status = state.root.querySelector('[data-region="status"]');
+        btn.disabled = true;
+
+        var next = function(index) {
+            if (state.stopped || index >= rows.length) {
+                btn.disabled = false;
+                status.textContent = '';
+                applyView(state);
+                return;
+            }
+
+            status.textContent = formatString(state.strings.workspaceprogress ||
+                'Getting AI suggestions: {$a->done} of {$a->total}', {done: index, total: rows.length});
+
+            var row = rows[index];
+            Ajax.call([{
+                methodname: 'local_aigrading_suggest_grade',
+                args: {
+                    cmid: state.options.cmid,
+                    qubaid: row.answer.qubaid,
+                    slot: row.answer.slot
+                }
+            }])[0].then(function(result) {
+                showResult(state, row, result);
+                next(index + 1);
+                return result;
+            }).catch(function(error) {
+                showResult(state, row, {success: false, error: error.message || ''});
+                next(index + 1);
+            });
+        };
+
+        next(0);
+    };
+
+    /**
+     * Show the AI suggestion of a row and put it into the grade and comment fields.
+     *
+     * Fields the teacher has already edited are left alone.
+     *
+     * @param {Object} state Workspace state
+     * @param {Object} row Row
+     * @param {Object} result Result of local_aigrading_suggest_grade
+     */
+    var showResult = function(state, row, result) {
+        var strings = state.strings;
+        var pending = row.el.querySelector('[data-region="pending"]');
+        var region = row.el.querySelector('[data-region="result"]');
+        row.result = result;
+
+        if (!result.success) {
+            pending.textContent = result.error || 'Unknown error';
+            pending.className = 'small text-danger';
+            return;
+        }
+
+        pending.classList.add('d-none');
+        region.classList.remove('d-none');
+        region.querySelector('[data-region="aigrade"]').textContent = result.grade;
+
+        var confidence = result.confidence || 'medium';
+        var badge = region.querySelector('[data-region="confidence"]');
+        badge.className = 'badge ' + {high: 'badge-success', medium: 'badge-warning', low: 'badge-danger'}[confidence];
+        badge.textContent = (strings.confidence || 'Confidence: {$a}').replace('{$a}', confidence);
+
+        var warnings = [];
+        if ((result.flags || []).length) {
+            warnings.push(strings.flaggedanswer || 'This answer may be trying to manipulate the AI grader');
+        }
+        if (result.consistency && result.consistency.unstable) {
+            warnings.push(strings.unstablegrade || 'Unstable grade');
+        }
+        var warning = region.querySelector('[data-region="warning"]');
+        warning.textContent = warnings.join('. ');
+        warning.classList.toggle('d-none', warnings.length === 0);
+        region.querySelector('[data-region="explanation"]').textContent = result.explanation || '';
+
+        if (!row.accepted) {
+            row.el.querySelector('[data-field="grade"]').value = result.grade;
+            row.el.querySelector('[data-field="feedback"]').value = result.feedback || '';
+        }
+    };
+
+    /**
+     * Whether the grader flagged the answer as manipulative or gave it grades too far apart.
+     *
+     * @param {Object} row Row
+     * @returns {boolean}
+     */
+    var isFlagged = function(row) {
+        var result = row.result;
+        return !!result && result.success &&
+            ((result.flags || []).length > 0 || !!(result.consistency && result.consistency.unstable));
+    };
+
+    /**
+     * Whether the AI suggestion needs a closer look.
+     *
+     * @param {Object} row Row
+     * @returns {boolean}
+     */
+    var isLowConfidence = function(row) {
+        return !!row.result && row.result.success && (row.result.confidence === 'low' || isFlagged(row));
+    };
+
+    /**
+     * Get the rows whose AI grade is far from the AI grades of the other answers.
+     *
+     * Grades are compared as a fraction of the maximum grade.
+     *
+     * @param {Object} state Workspace state
+     * @returns {Array}
+     */
+    var getOutliers = function(state) {
+        var graded = state.rows.filter(function(row) {
+            return row.result && row.result.success && row.answer.maxgrade > 0;
+        });
+        var fractions = graded.map(function(row) {
+            return row.result.grade / row.answer.maxgrade;
+        });
+        if (fractions.length < 3) {
+            return [];
+        }
+
+        var mean = fractions.reduce(function(total, fraction) {
+            return total + fraction;
+        }, 0) / fractions.length;
+        var deviation = Math.sqrt(fractions.reduce(function(total, fraction) {
+            return total + Math.pow(fraction - mean, 2);
+        }, 0) / fractions.length);
+
+        return graded.filter(function(row, index) {
+            return deviation > 0 && Math.abs(fractions[index] - mean) > OUTLIER_DEVIATIONS * deviation;
+        });
+    };
+
+    /**
+     * Sort and filter the rows as chosen in the toolbar.
+     *
+     * Rows without a suggestion come last when sorting by the suggestion.
+     *
+     * @param {Object} state Workspace state
+     */
+    var applyView = function(state) {
+        if (!state.tbody) {
+            return;
+        }
+
+        var sort = state.root.querySelector('[data-region="sort"]').value;
+        var filter = state.root.querySelector('[data-region="filter"]').value;
+        var outliers = filter === 'outliers' ? getOutliers(state) : [];
+
+        var key = function(row) {
+            var result = row.result && row.result.success ? row.result : null;
+            if (sort === 'gradedesc' || sort === 'gradeasc') {
+                if (!result) {
+                    return Infinity;
+                }
+                var fraction = row.answer.maxgrade > 0 ? result.grade / row.answer.maxgrade : 0;
+                return sort === 'gradedesc' ? -fraction : fraction;
+            }
+            if (sort === 'confidence') {
+                return result ? (isFlagged(row) ? 0 : CONFIDENCE_RANK[result.confidence] || 2) : Infinity;
+            }
+            return 0;
+        };
+
+        state.rows.slice().sort(function(a, b) {
+            // Fall back to the order by name the server gave.
+            return key(a) - key(b) || state.rows.indexOf(a) - state.rows.indexOf(b);
+        }).forEach(function(row) {
+            var shown = filter === 'all' ||
+                (filter === 'low' && isLowConfidence(row)) ||
+                (filter === 'outliers' && outliers.indexOf(row) !== -1);
+            row.el.classList.toggle('d-none', !shown);
+            state.tbody.appendChild(row.el);
+        });
+    };
+
+    /**
+     * Write the grades of the accepted rows, and reject the suggestions of the other rows.
+     *
+     * @param {Object} state Workspace state
+     */
+    var save = function(state) {
+        var strings = state.strings;
+        var accepted = state.rows.filter(function(row) {
+            return row.accepted;
+        });
+        var rejected = state.rows.filter(function(row) {
+            return !row.accepted && row.result && row.result.success && row.result.logid;
+        });
+        if (!accepted.length && !rejected.length) {
+            Notification.alert('', strings.workspacenothingaccepted || 'No answers have been accepted.');
+            return;
+        }
+
+        var missing = accepted.filter(function(row) {
+            return isNaN(parseFloat(row.el.querySelector('[data-field="grade"]').value));
+        });
+        if (missing.length) {
+            Notification.alert('', strings.workspacemissinggrade || 'Enter a grade for every accepted answer.');
+            missing[0].el.querySelector('[data-field="grade"]').focus();
+            return;
+        }
+
+        Ajax.call([{
+            methodname: 'local_aigrading_save_review',
+            args: {
+                cmid: state.options.cmid,
+                slot: state.options.slot,
+                rows: accepted.map(function(row) {
+                    return {
+                        qubaid: row.answer.qubaid,
+                        grade: parseFloat(row.el.querySelector('[data-field="grade"]').value),
+                        feedback: row.el.querySelector('[data-field="feedback"]').value,
+                        logid: row.result && row.result.success ? row.result.logid || 0 : 0
+                    };
+                }),
+                rejected: rejected.map(function(row) {
+                    return row.result.logid;
+                })
+            }
+        }])[0].then(function(result) {
+            state.modal.hide();
+            Notification.addNotification({
+                message: (strings.workspacesaved || '{$a} grades have been saved.').replace('{$a}', result.saved),
+                type: 'success'
+            });
+            // Reload so the grading form shows the saved grades instead of the old ones.
+            setTimeout(function() {
+                window.location.reload();
+            }, 1500);
+            return result;
+        }).catch(Notification.exception);
+    };
+
+    /**
+     * Replace {$a->name} placeholders of a language string.
+     *
+     * @param {string} template Language string
+     * @param {Object} values Placeholder values
+     * @returns {string}
+     */
+    var formatString = function(template, values) {
+        return template.replace(/\{\$a->(\w+)\}/g, function(match, name) {
+            return values.hasOwnProperty(name) ? values[name] : match;
+        });
+    };
+
+    return {
+        open: open
+    };
+});
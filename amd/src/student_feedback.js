@@ -0,0 +1,51 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Moves labelled AI feedback next to the question it belongs to.
+ *
+ * @module
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function() {
+
+    /**
+     * Move each feedback card into its question, and drop the list when it is empty.
+     */
+    var init = function() {
+        var region = document.querySelector('[data-region="local_aigrading-studentfeedback"]');
+        if (!region) {
+            return;
+        }
+
+        region.querySelectorAll('[data-target]').forEach(function(card) {
+            var question = document.getElementById(card.getAttribute('data-target'));
+            var content = question ? question.querySelector('.content') || question : null;
+            if (content) {
+                content.appendChild(card);
+            }
+        });
+
+        if (!region.querySelector('[data-target], [data-region="feedback"]')) {
+            region.remove();
+        }
+    };
+
+    return {
+        init: init
+    };
+});
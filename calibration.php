@@ -0,0 +1,292 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Calibration of the AI grading: teacher-graded exemplars and the agreement check.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use local_aigrading\bulk_grader;
+use local_aigrading\calibration;
+
+require_once(__DIR__ . '/../../config.php');
+
+$cmid = required_param('id', PARAM_INT);
+$questionid = optional_param('questionid', -1, PARAM_INT);
+
+$cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+if (!in_array($cm->modname, ['quiz', 'assign'])) {
+    throw new moodle_exception('invalidcoursemodule');
+}
+$course = get_course($cm->course);
+
+require_login($course, false, $cm);
+$context = context_module::instance($cm->id);
+require_capability('local/aigrading:configure', $context);
+require_capability($cm->modname === 'quiz' ? 'mod/quiz:grade' : 'mod/assign:grade', $context);
+
+$isquiz = $cm->modname === 'quiz';
+if (!$isquiz) {
+    // Assignment exemplars belong to the whole activity.
+    $questionid = 0;
+}
+
+$listurl = new moodle_url('/local/aigrading/calibration.php', ['id' => $cm->id]);
+$url = new moodle_url($listurl, $questionid >= 0 ? ['questionid' => $questionid] : []);
+$PAGE->set_url($url);
+$PAGE->set_title(get_string('calibration', 'local_aigrading'));
+$PAGE->set_heading($course->fullname);
+$PAGE->activityheader->disable();
+
+// Questions of the quiz with a supported type, keyed by question ID.
+$questions = [];
+if ($isquiz) {
+    $questions = \local_aigrading\qtype\factory::get_quiz_questions($cm->instance, $context);
+}
+
+if ($questionid < 0) {
+    // Quiz overview: each supported question has its own exemplars.
+    $table = new html_table();
+    $table->head = [
+        get_string('question'),
+        get_string('exemplars', 'local_aigrading'),
+        get_string('edit'),
+    ];
+    foreach ($questions as $question) {
+        $table->data[] = [
+            get_string('questionslot', 'local_aigrading', (object) [
+                'slot' => $question->slot,
+                'name' => format_string($question->name),
+            ]),
+            count(calibration::get_exemplars($cm->id, $question->questionid)),
+            html_writer::link(new moodle_url($listurl, ['questionid' => $question->questionid]), get_string('edit')),
+        ];
+    }
+
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading(get_string('calibration', 'local_aigrading') . ': ' . format_string($cm->name));
+    echo html_writer::tag('p', get_string('calibration_desc', 'local_aigrading', calibration::MAX_EXEMPLARS));
+    if ($questions) {
+        echo html_writer::table($table);
+    } else {
+        echo $OUTPUT->notification(get_string('nogradablequestions', 'local_aigrading'), 'info');
+    }
+    echo $OUTPUT->footer();
+    exit;
+}
+
+if ($isquiz && !isset($questions[$questionid])) {
+    throw new moodle_exception('error:invalidquestion', 'local_aigrading');
+}
+
+// Handle teacher actions.
+if (data_submitted() && confirm_sesskey()) {
+    $addkey = optional_param('add', '', PARAM_ALPHANUMEXT);
+    $removeid = optional_param('remove', 0, PARAM_INT);
+    $autopick = optional_param('autopick', 0, PARAM_BOOL);
+    $clear = optional_param('clear', 0, PARAM_BOOL);
+    $check = optional_param('check', 0, PARAM_BOOL);
+
+    if ($addkey !== '') {
+        calibration::add_exemplar($cm, $questionid, $addkey);
+        redirect($url, get_string('exemplaradded', 'local_aigrading'), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+
+    if ($removeid) {
+        calibration::remove_exemplar($cm->id, $removeid);
+        redirect($url, get_string('exemplarremoved', 'local_aigrading'), null,
+            \core\output\notification::NOTIFY_INFO);
+    }
+
+    if ($autopick) {
+        $count = calibration::pick_exemplars($cm, $questionid);
+        redirect($url, get_string('exemplarspicked', 'local_aigrading', $count), null,
+            $count ? \core\output\notification::NOTIFY_SUCCESS : \core\output\notification::NOTIFY_WARNING);
+    }
+
+    if ($clear) {
+        calibration::clear_exemplars($cm->id, $questionid);
+        redirect($url, get_string('exemplarscleared', 'local_aigrading'), null,
+            \core\output\notification::NOTIFY_INFO);
+    }
+
+    if ($check) {
+        require_capability('local/aigrading:useaigrading', $context);
+        if (bulk_grader::get_active_job($cm->id, bulk_grader::PURPOSE_CALIBRATE)) {
+            throw new moodle_exception('error:jobrunning', 'local_aigrading');
+        }
+        $job = bulk_grader::create_calibration_job($cm->id, $questionid);
+        redirect($url, $job ? get_string('agreementcheckstarted', 'local_aigrading', $job->total)
+            : get_string('nogradedanswers', 'local_aigrading'), null,
+            $job ? \core\output\notification::NOTIFY_SUCCESS : \core\output\notification::NOTIFY_WARNING);
+    }
+}
+
+$graded = calibration::get_graded($cm, $questionid);
+$exemplarcount = count(calibration::get_exemplars($cm->id, $questionid));
+$job = bulk_grader::get_latest_job($cm->id, $questionid, bulk_grader::PURPOSE_CALIBRATE);
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('calibration', 'local_aigrading') . ': ' . format_string($cm->name));
+if ($isquiz) {
+    echo $OUTPUT->heading(get_string('questionslot', 'local_aigrading', (object) [
+        'slot' => $questions[$questionid]->slot,
+        'name' => format_string($questions[$questionid]->name),
+    ]), 3);
+}
+echo html_writer::tag('p', get_string('calibration_desc', 'local_aigrading', calibration::MAX_EXEMPLARS));
+
+// Agreement check.
+echo $OUTPUT->heading(get_string('agreementreport', 'local_aigrading'), 4);
+echo html_writer::tag('p', get_string('agreementreport_desc', 'local_aigrading', (object) [
+    'sample' => calibration::AGREEMENT_SAMPLE,
+    'tolerance' => calibration::AGREEMENT_TOLERANCE,
+]), ['class' => 'text-muted']);
+
+if ($job && !in_array($job->status, [bulk_grader::JOB_COMPLETED, bulk_grader::JOB_FAILED])) {
+    $status = bulk_grader::get_status($job);
+    echo $OUTPUT->notification(get_string('agreementcheckrunning', 'local_aigrading', (object) [
+        'done' => $status['total'] - $status['remaining'],
+        'total' => $status['total'],
+    ]), 'info');
+} else if ($job) {
+    $results = bulk_grader::get_calibration_results($job);
+    $agreement = calibration::agreement($results);
+    if ($job->status === bulk_grader::JOB_FAILED || $agreement['count'] < $job->total) {
+        echo $OUTPUT->notification(get_string('agreementincomplete', 'local_aigrading', (object) [
+            'count' => $agreement['count'],
+            'total' => $job->total,
+        ]), 'warning');
+    }
+
+    if ($agreement['count']) {
+        echo html_writer::alist([
+            get_string('agreementwithin', 'local_aigrading', (object) [
+                'within' => $agreement['within'],
+                'count' => $agreement['count'],
+                'percent' => format_float($agreement['withinpercent'], 1),
+                'tolerance' => calibration::AGREEMENT_TOLERANCE,
+            ]),
+            get_string('agreementmeandifference', 'local_aigrading', format_float($agreement['meandifference'], 1)),
+            get_string('agreementbias', 'local_aigrading', ($agreement['bias'] > 0 ? '+' : '')
+                . format_float($agreement['bias'], 1)),
+        ]);
+
+        $table = new html_table();
+        $table->head = [
+            get_string('student', 'local_aigrading'),
+            get_string('teachergrade', 'local_aigrading'),
+            get_string('aigrade', 'local_aigrading'),
+            get_string('difference', 'local_aigrading'),
+        ];
+        foreach ($results as $item) {
+            $difference = $item->aigrade - $item->teachergrade;
+            $outside = abs($difference) / $item->maxgrade * 100 > calibration::AGREEMENT_TOLERANCE;
+            $table->data[] = [
+                $item->fullname,
+                format_float($item->teachergrade, 2) . ' / ' . format_float($item->maxgrade, 2),
+                format_float($item->aigrade, 2),
+                html_writer::span(($difference > 0 ? '+' : '') . format_float($difference, 2),
+                    $outside ? 'text-danger font-weight-bold' : ''),
+            ];
+        }
+        echo html_writer::table($table);
+    }
+    echo html_writer::tag('p', get_string('agreementchecked', 'local_aigrading', userdate($job->timecreated)),
+        ['class' => 'text-muted small']);
+} else {
+    echo html_writer::tag('p', get_string('noagreementcheck', 'local_aigrading'));
+}
+
+// Exemplars and the graded answers to pick them from.
+echo $OUTPUT->heading(get_string('exemplars', 'local_aigrading'), 4);
+
+if (!$graded) {
+    echo $OUTPUT->notification(get_string('nogradedanswers', 'local_aigrading'), 'info');
+    echo $OUTPUT->footer();
+    exit;
+}
+
+echo html_writer::start_tag('form', ['method' => 'post', 'action' => $url->out(false)]);
+echo html_writer::empty_tag('input', ['type' => 'hidden', 'name' => 'sesskey', 'value' => sesskey()]);
+
+echo html_writer::start_div('mb-3');
+echo html_writer::tag('button', get_string('exemplarspick', 'local_aigrading', calibration::AUTO_COUNT), [
+    'type' => 'submit',
+    'name' => 'autopick',
+    'value' => 1,
+    'class' => 'btn btn-secondary mr-1',
+]);
+if ($exemplarcount) {
+    echo html_writer::tag('button', get_string('exemplarsclear', 'local_aigrading'), [
+        'type' => 'submit',
+        'name' => 'clear',
+        'value' => 1,
+        'class' => 'btn btn-outline-secondary mr-1',
+    ]);
+}
+if (has_capability('local/aigrading:useaigrading', $context)
+        && !bulk_grader::get_active_job($cm->id, bulk_grader::PURPOSE_CALIBRATE)) {
+    echo html_writer::tag('button', get_string('agreementcheck', 'local_aigrading'), [
+        'type' => 'submit',
+        'name' => 'check',
+        'value' => 1,
+        'class' => 'btn btn-primary',
+    ]);
+}
+echo html_writer::end_div();
+
+$table = new html_table();
+$table->head = [
+    get_string('student', 'local_aigrading'),
+    get_string('teachergrade', 'local_aigrading'),
+    get_string('exemplar', 'local_aigrading'),
+    get_string('actions'),
+];
+foreach ($graded as $row) {
+    if ($row->exemplarid) {
+        $action = html_writer::tag('button', get_string('exemplarremove', 'local_aigrading'), [
+            'type' => 'submit',
+            'name' => 'remove',
+            'value' => $row->exemplarid,
+            'class' => 'btn btn-sm btn-outline-secondary',
+        ]);
+    } else if ($exemplarcount < calibration::MAX_EXEMPLARS) {
+        $action = html_writer::tag('button', get_string('exemplaradd', 'local_aigrading'), [
+            'type' => 'submit',
+            'name' => 'add',
+            'value' => $row->key,
+            'class' => 'btn btn-sm btn-success',
+        ]);
+    } else {
+        $action = '';
+    }
+
+    $table->data[] = [
+        $row->fullname,
+        format_float($row->grade, 2) . ' / ' . format_float($row->maxgrade, 2),
+        $row->exemplarid ? html_writer::span(get_string('exemplar', 'local_aigrading'), 'badge badge-info') : '',
+        $action,
+    ];
+}
+echo html_writer::table($table);
+echo html_writer::end_tag('form');
+
+echo $OUTPUT->footer();
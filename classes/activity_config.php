@@ -0,0 +1,166 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Per-activity and per-question grading configuration.
+ *
+ * A record with questionid 0 holds the defaults for the whole activity
+ * (the only record for assignments). Quiz questions can have their own
+ * record, whose non-empty fields take precedence over the quiz defaults.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class activity_config
+{
+
+    /** @var string Table name */
+    private const TABLE = 'local_aigrading_config';
+
+    /** @var array Fields that can be configured */
+    public const FIELDS = ['rubric', 'modelanswer', 'instructions'];
+
+    /** @var array Auto-apply policy overrides of the activity defaults, empty for the site default */
+    public const POLICY_FIELDS = ['autoapplyconfidence', 'autoapplypassmargin', 'autoapplyminwords'];
+
+    /** @var array Student feedback settings of the activity defaults, empty for the default */
+    public const FEEDBACK_FIELDS = ['feedbackstyle', 'feedbackrelease', 'feedbackreleasedate'];
+
+    /**
+     * Get the stored configuration record.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for the activity defaults
+     * @return \stdClass|null
+     */
+    public static function get(int $cmid, int $questionid = 0): ?\stdClass
+    {
+        global $DB;
+
+        $record = $DB->get_record(self::TABLE, ['cmid' => $cmid, 'questionid' => $questionid]);
+        return $record ?: null;
+    }
+
+    /**
+     * Save the configuration for an activity or question.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for the activity defaults
+     * @param \stdClass $data Object with the configurable fields
+     */
+    public static function save(int $cmid, int $questionid, \stdClass $data): void
+    {
+        global $DB, $USER;
+
+        $record = self::get($cmid, $questionid) ?? (object) [
+            'cmid' => $cmid,
+            'questionid' => $questionid,
+            'timecreated' => time(),
+        ];
+
+        foreach (self::FIELDS as $field) {
+            $record->$field = trim($data->$field ?? '');
+        }
+        if (!$questionid) {
+            foreach (self::POLICY_FIELDS as $field) {
+                $value = trim($data->$field ?? '');
+                $record->$field = $value === '' ? null : $value;
+            }
+            foreach (self::FEEDBACK_FIELDS as $field) {
+                $record->$field = empty($data->$field) ? null : $data->$field;
+            }
+        }
+        $record->usermodified = $USER->id;
+        $record->timemodified = time();
+
+        if (!empty($record->id)) {
+            $DB->update_record(self::TABLE, $record);
+        } else {
+            $DB->insert_record(self::TABLE, $record);
+        }
+    }
+
+    /**
+     * Resolve the grading context to send to the backend.
+     *
+     * An assignment graded with a Moodle rubric or marking guide always uses
+     * that definition. Otherwise explicit values passed by the caller win over
+     * the configured rubric. The configured model answer is added to any
+     * grader information the question already has. Exemplars marked for the
+     * question, or for the assignment, anchor the grading.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for assignments
+     * @param string|null $rubric Rubric given by the caller
+     * @param string|null $graderinfo Grader information from the question
+     * @return array{rubric: ?string, graderinfo: ?string, instructions: string, advancedgrading: ?array,
+     *     exemplars: array}
+     */
+    public static function resolve(int $cmid, int $questionid = 0, ?string $rubric = null, ?string $graderinfo = null): array
+    {
+        $config = self::get_effective($cmid, $questionid);
+
+        $parts = array_filter([trim($graderinfo ?? ''), $config['modelanswer']]);
+        $definition = $questionid ? null : advanced_grading::get_definition($cmid);
+
+        if ($definition) {
+            $rubric = advanced_grading::to_rubric($definition);
+        } else if (empty($rubric)) {
+            $rubric = $config['rubric'] ?: null;
+        }
+
+        // The feedback style of the activity is one more instruction.
+        $instructions = array_filter([$config['instructions'], student_feedback::style_instruction($cmid)]);
+
+        return [
+            'rubric' => $rubric,
+            'graderinfo' => $parts ? implode("\n\n", $parts) : null,
+            'instructions' => implode("\n\n", $instructions),
+            'advancedgrading' => $definition,
+            'exemplars' => calibration::for_prompt($cmid, $questionid),
+        ];
+    }
+
+    /**
+     * Get the effective field values, falling back to the activity defaults.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for the activity defaults
+     * @return array Field name => value
+     */
+    public static function get_effective(int $cmid, int $questionid = 0): array
+    {
+        $records = [self::get($cmid, $questionid)];
+        if ($questionid) {
+            $records[] = self::get($cmid, 0);
+        }
+
+        $effective = array_fill_keys(self::FIELDS, '');
+        foreach (self::FIELDS as $field) {
+            foreach ($records as $record) {
+                if ($record && trim($record->$field ?? '') !== '') {
+                    $effective[$field] = trim($record->$field);
+                    break;
+                }
+            }
+        }
+
+        return $effective;
+    }
+}
@@ -126,6 +126,12 @@ document.addEventListener("DOMContentLoaded", function() {
                                 result.className = "mt-2 alert alert-danger";
                                 result.textContent = response.message;
                             }
+                            if (response.warning) {
+                                var warning = document.createElement("div");
+                                warning.className = "alert alert-warning mt-2 mb-0";
+                                warning.textContent = response.warning;
+                                result.appendChild(warning);
+                            }
                         } catch (e) {
                             result.className = "mt-2 alert alert-danger";
                             result.textContent = "Connection failed: Invalid response from server.";
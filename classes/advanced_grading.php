@@ -0,0 +1,233 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Assignments graded with a Moodle rubric or marking guide.
+ *
+ * The official definition is turned into a structured rubric (see rubric),
+ * so the backend scores each criterion, and the scores are mapped back to
+ * rubric levels or guide scores for the advanced grading form.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class advanced_grading
+{
+
+    /** @var string Moodle rubric */
+    public const METHOD_RUBRIC = 'rubric';
+
+    /** @var string Moodle marking guide */
+    public const METHOD_GUIDE = 'guide';
+
+    /**
+     * Get the rubric or marking guide an assignment is graded with.
+     *
+     * @param int $cmid Course module ID
+     * @return array|null Method and criteria (id, name, levels with id and score, minscore, maxscore),
+     *     or null if the activity is not an assignment graded with a ready rubric or marking guide
+     */
+    public static function get_definition(int $cmid): ?array
+    {
+        global $CFG;
+        require_once($CFG->dirroot . '/grade/grading/lib.php');
+
+        $cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+        if ($cm->modname !== 'assign') {
+            return null;
+        }
+
+        $manager = get_grading_manager(\context_module::instance($cm->id), 'mod_assign', 'submissions');
+        $method = $manager->get_active_method();
+        if (!in_array($method, [self::METHOD_RUBRIC, self::METHOD_GUIDE])) {
+            return null;
+        }
+
+        $controller = $manager->get_controller($method);
+        if (!$controller->is_form_available()) {
+            return null;
+        }
+
+        $definition = $controller->get_definition();
+        $criteria = [];
+
+        if ($method === self::METHOD_RUBRIC) {
+            foreach ($definition->rubric_criteria as $id => $criterion) {
+                $levels = [];
+                foreach ($criterion['levels'] as $levelid => $level) {
+                    $levels[] = [
+                        'id' => (int) $levelid,
+                        'score' => (float) $level['score'],
+                        'description' => self::flatten($level['definition']),
+                    ];
+                }
+                usort($levels, fn($a, $b) => $b['score'] <=> $a['score']);
+
+                $criteria[] = [
+                    'id' => (int) $id,
+                    'name' => self::flatten($criterion['description'])
+                        ?: get_string('criterionnumber', 'local_aigrading', count($criteria) + 1),
+                    'levels' => $levels,
+                    'minscore' => min(array_column($levels, 'score')),
+                    'maxscore' => max(array_column($levels, 'score')),
+                ];
+            }
+        } else {
+            foreach ($definition->guide_criteria as $id => $criterion) {
+                $description = self::flatten($criterion['description'] . ' ' . $criterion['descriptionmarkers']);
+                $criteria[] = [
+                    'id' => (int) $id,
+                    'name' => self::flatten($criterion['shortname']),
+                    'levels' => [
+                        ['id' => 0, 'score' => (float) $criterion['maxscore'], 'description' => $description],
+                    ],
+                    'minscore' => 0.0,
+                    'maxscore' => (float) $criterion['maxscore'],
+                ];
+            }
+        }
+
+        return [
+            'method' => $method,
+            'criteria' => $criteria,
+        ];
+    }
+
+    /**
+     * Write the definition as a structured rubric for the backend.
+     *
+     * @param array $definition Definition from get_definition()
+     * @return string
+     */
+    public static function to_rubric(array $definition): string
+    {
+        $text = '';
+        foreach ($definition['criteria'] as $criterion) {
+            $text .= "## {$criterion['name']}\n";
+            foreach ($criterion['levels'] as $level) {
+                $text .= ($level['score'] + 0) . ": {$level['description']}\n";
+            }
+            $text .= "\n";
+        }
+        return trim($text);
+    }
+
+    /**
+     * Map checked criterion scores to the definition.
+     *
+     * Rubric scores are moved to the nearest level, and the grade is
+     * recalculated the way the rubric or marking guide will calculate it.
+     *
+     * @param array $definition Definition from get_definition()
+     * @param array $result Grading result with the criterion scores
+     * @param float $maxgrade Maximum grade of the assignment
+     * @return array Grading result with criterionid, levelid and levels on each criterion
+     */
+    public static function apply(array $definition, array $result, float $maxgrade): array
+    {
+        if (empty($result['success']) || count($result['criteria'] ?? []) !== count($definition['criteria'])) {
+            return $result;
+        }
+
+        $total = 0;
+        foreach (array_values($definition['criteria']) as $i => $criterion) {
+            $score = &$result['criteria'][$i];
+            $score['criterionid'] = $criterion['id'];
+            $score['levelid'] = 0;
+            $score['levels'] = [];
+
+            if ($definition['method'] === self::METHOD_RUBRIC) {
+                $level = self::nearest_level($criterion['levels'], $score['score']);
+                $score['score'] = $level['score'];
+                $score['levelid'] = $level['id'];
+                $score['levels'] = array_map(fn($level) => ['id' => $level['id'], 'score' => $level['score']],
+                    $criterion['levels']);
+            }
+            $total += $score['score'];
+            unset($score);
+        }
+
+        $minscore = array_sum(array_column($definition['criteria'], 'minscore'));
+        $maxscore = array_sum(array_column($definition['criteria'], 'maxscore'));
+        if ($maxscore > $minscore) {
+            $result['grade'] = round(($total - $minscore) / ($maxscore - $minscore) * $maxgrade, 2);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Build the advanced grading form data for assign::save_grade().
+     *
+     * @param array $definition Definition from get_definition()
+     * @param array $scores Criterion scores mapped by apply()
+     * @return array
+     * @throws \moodle_exception If the scores do not cover every criterion
+     */
+    public static function form_data(array $definition, array $scores): array
+    {
+        $scores = array_column($scores, null, 'criterionid');
+
+        $data = ['criteria' => []];
+        foreach ($definition['criteria'] as $criterion) {
+            if (!isset($scores[$criterion['id']])) {
+                throw new \moodle_exception('error:advancedgradingscores', 'local_aigrading');
+            }
+
+            $score = $scores[$criterion['id']];
+            $data['criteria'][$criterion['id']] = ['remark' => $score['justification']];
+            if ($definition['method'] === self::METHOD_RUBRIC) {
+                $data['criteria'][$criterion['id']]['levelid'] = $score['levelid'];
+            } else {
+                $data['criteria'][$criterion['id']]['score'] = $score['score'];
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Find the level whose score is closest to a criterion score.
+     *
+     * @param array $levels Levels of the criterion
+     * @param float $score Criterion score
+     * @return array
+     */
+    private static function nearest_level(array $levels, float $score): array
+    {
+        $nearest = $levels[0];
+        foreach ($levels as $level) {
+            if (abs($level['score'] - $score) < abs($nearest['score'] - $score)) {
+                $nearest = $level;
+            }
+        }
+        return $nearest;
+    }
+
+    /**
+     * Turn formatted definition text into a single line.
+     *
+     * @param string|null $text
+     * @return string
+     */
+    private static function flatten(?string $text): string
+    {
+        return trim(preg_replace('/\s+/', ' ', html_entity_decode(strip_tags((string) $text), ENT_QUOTES)));
+    }
+}
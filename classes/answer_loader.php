@@ -0,0 +1,114 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Loads what is graded from Moodle, so nothing sent to the backend comes from the browser.
+ *
+ * Quiz answers are read through the question engine: the question text, the
+ * last response, the grader information and the mark the question is worth in
+ * the quiz. Formatting is kept as plain text with line breaks. How the
+ * response and the grader information are read depends on the question type,
+ * see qtype\factory.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class answer_loader
+{
+
+    /**
+     * Load the answer to a question of a quiz attempt.
+     *
+     * @param \stdClass|\cm_info $cm Quiz course module
+     * @param int $qubaid Question usage ID of the attempt
+     * @param int $slot Question slot
+     * @return array{itemid: int, userid: int, qubaid: int, slot: int, questionid: int, qtype: string,
+     *     questiontext: string, answertext: string, document: array, graderinfo: ?string, maxgrade: float} The
+     *     answer text is the text of the document, see submission_document::build()
+     */
+    public static function quiz($cm, int $qubaid, int $slot): array
+    {
+        global $CFG, $DB;
+        require_once($CFG->dirroot . '/question/engine/lib.php');
+
+        // The usage must belong to an attempt at this quiz.
+        $attempt = $DB->get_record('quiz_attempts', ['uniqueid' => $qubaid, 'quiz' => $cm->instance], 'id, userid',
+            MUST_EXIST);
+
+        $quba = \question_engine::load_questions_usage_by_activity($qubaid);
+        if (!in_array($slot, $quba->get_slots())) {
+            throw new \moodle_exception('error:invalidquestion', 'local_aigrading');
+        }
+        $qa = $quba->get_question_attempt($slot);
+        $question = $qa->get_question(false);
+        $adapter = qtype\factory::get_adapter($question->get_type_name());
+        if (!$adapter) {
+            throw new \moodle_exception('error:invalidquestion', 'local_aigrading');
+        }
+
+        $document = $adapter->get_response($qa, $quba->get_owning_context()->id);
+
+        return [
+            'itemid' => (int) $attempt->id,
+            'userid' => (int) $attempt->userid,
+            'qubaid' => $qubaid,
+            'slot' => $slot,
+            'questionid' => (int) $question->id,
+            'qtype' => $question->get_type_name(),
+            'questiontext' => self::to_text($question->questiontext, $question->questiontextformat),
+            'answertext' => $document['text'],
+            'document' => $document,
+            'graderinfo' => $adapter->get_graderinfo($question),
+            'maxgrade' => (float) $qa->get_max_mark(),
+        ];
+    }
+
+    /**
+     * Load the description and maximum grade of an assignment.
+     *
+     * Assignments graded with a scale are suggested out of 100.
+     *
+     * @param \assign $assignment Assignment
+     * @return array{questiontext: string, maxgrade: float}
+     */
+    public static function assignment(\assign $assignment): array
+    {
+        $instance = $assignment->get_instance();
+
+        return [
+            'questiontext' => self::to_text($instance->intro ?? '', $instance->introformat ?? FORMAT_HTML),
+            'maxgrade' => $instance->grade > 0 ? (float) $instance->grade : 100.0,
+        ];
+    }
+
+    /**
+     * Convert formatted text to plain text, keeping paragraphs and lists as line breaks.
+     *
+     * @param string $text Text
+     * @param int $format Text format
+     * @return string
+     */
+    public static function to_text(string $text, int $format): string
+    {
+        if (trim($text) === '') {
+            return '';
+        }
+        return trim(html_to_text(format_text($text, $format, ['para' => false, 'filter' => false]), 0, false));
+    }
+}
@@ -0,0 +1,219 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Audit log of AI grading decisions.
+ *
+ * Every call to the grading backend is recorded with the prompt, the raw
+ * response and the teacher who triggered it. The status is updated when the
+ * suggestion is applied, edited or rejected, so a mark can be traced back
+ * when it is appealed. Recording a suggestion also fires the matching Moodle
+ * event for the standard logs.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class audit_log
+{
+
+    /** @var string Suggestion shown to the teacher, no decision recorded yet */
+    public const STATUS_SUGGESTED = 'suggested';
+
+    /** @var string Suggestion stored in the review queue */
+    public const STATUS_QUEUED = 'queued';
+
+    /** @var string Grade applied as suggested */
+    public const STATUS_APPLIED = 'applied';
+
+    /** @var string Grade applied after the teacher changed it */
+    public const STATUS_EDITED = 'edited';
+
+    /** @var string Suggestion discarded by the teacher */
+    public const STATUS_REJECTED = 'rejected';
+
+    /** @var string The backend did not return a usable grade */
+    public const STATUS_FAILED = 'failed';
+
+    /** @var string Single suggestion requested from the grading page */
+    public const SOURCE_SUGGEST = 'suggest';
+
+    /** @var string Suggestions requested for every answer on the grading page */
+    public const SOURCE_BULK = 'bulk';
+
+    /** @var string Background bulk grading job */
+    public const SOURCE_JOB = 'job';
+
+    /** @var string Agreement check against teacher-graded answers */
+    public const SOURCE_CALIBRATION = 'calibration';
+
+    /** @var string Table name */
+    private const TABLE = 'local_aigrading_log';
+
+    /**
+     * Record a call to the grading backend.
+     *
+     * @param array $item Keys: cmid, maxgrade and where known itemtype, itemid, userid,
+     *                    qubaid, slot, questionid, suggestionid
+     * @param string $answertext Answer text sent to the backend, stored as a hash only
+     * @param array $result Result from the grading service
+     * @param string $source One of the SOURCE_ constants
+     * @param string $status Status if the call succeeded, one of the STATUS_ constants
+     * @return int Log entry ID
+     */
+    public static function record(array $item, string $answertext, array $result, string $source,
+            string $status = self::STATUS_SUGGESTED): int
+    {
+        global $DB, $USER;
+
+        $cm = get_coursemodule_from_id('', $item['cmid'], 0, false, MUST_EXIST);
+        $success = !empty($result['success']);
+
+        $now = time();
+        $record = (object) [
+            'courseid' => $cm->course,
+            'cmid' => $cm->id,
+            'itemtype' => $item['itemtype'] ?? $cm->modname,
+            'itemid' => $item['itemid'] ?? null,
+            'userid' => $item['userid'] ?? null,
+            'qubaid' => $item['qubaid'] ?? null,
+            'slot' => $item['slot'] ?? null,
+            'questionid' => $item['questionid'] ?? null,
+            'suggestionid' => $item['suggestionid'] ?? null,
+            'answerhash' => hash('sha256', $answertext),
+            'prompt' => $result['prompt'] ?? '',
+            'rawresponse' => $result['rawresponse'] ?? '',
+            'grade' => $success ? $result['grade'] : null,
+            'maxgrade' => $item['maxgrade'],
+            'confidence' => $success ? ($result['confidence'] ?? 'medium') : null,
+            'error' => $success ? null : ($result['error'] ?? ''),
+            'flags' => empty($result['flags']) ? null : json_encode($result['flags']),
+            'source' => $source,
+            'status' => $success ? $status : self::STATUS_FAILED,
+            'finalgrade' => $success && $status === self::STATUS_APPLIED ? $result['grade'] : null,
+            'usercreated' => $USER->id,
+            'usermodified' => $USER->id,
+            'timecreated' => $now,
+            'timemodified' => $now,
+        ];
+
+        $record->id = $DB->insert_record(self::TABLE, $record);
+        if ($success) {
+            self::trigger_event($record);
+        }
+
+        return $record->id;
+    }
+
+    /**
+     * Fire the Moodle event for a successful suggestion.
+     *
+     * @param \stdClass $record Log entry
+     */
+    private static function trigger_event(\stdClass $record): void
+    {
+        $other = [
+            'itemtype' => $record->itemtype,
+            'grade' => (float) $record->grade,
+            'maxgrade' => (float) $record->maxgrade,
+            'confidence' => $record->confidence,
+            'source' => $record->source,
+        ];
+        if ($record->status !== self::STATUS_APPLIED) {
+            $other['status'] = $record->status;
+        }
+        if ($record->slot) {
+            $other['slot'] = (int) $record->slot;
+        }
+        if ($record->questionid) {
+            $other['questionid'] = (int) $record->questionid;
+        }
+
+        $params = [
+            'objectid' => $record->id,
+            'context' => \context_module::instance($record->cmid),
+            'relateduserid' => $record->userid,
+            'other' => $other,
+        ];
+
+        if ($record->status === self::STATUS_APPLIED) {
+            $event = event\grade_auto_applied::create($params);
+        } else {
+            $event = event\suggestion_generated::create($params);
+        }
+        $event->add_record_snapshot(self::TABLE, $record);
+        $event->trigger();
+    }
+
+    /**
+     * Get a log entry.
+     *
+     * @param int $id Log entry ID
+     * @return \stdClass
+     */
+    public static function get(int $id): \stdClass
+    {
+        global $DB;
+
+        return $DB->get_record(self::TABLE, ['id' => $id], '*', MUST_EXIST);
+    }
+
+    /**
+     * Record the teacher decision on a suggestion.
+     *
+     * Applying a grade that differs from the suggestion is recorded as edited.
+     *
+     * @param \stdClass $entry Log entry
+     * @param string $status STATUS_APPLIED or STATUS_REJECTED
+     * @param float|null $finalgrade Grade that was applied
+     */
+    public static function set_outcome(\stdClass $entry, string $status, ?float $finalgrade = null): void
+    {
+        global $DB, $USER;
+
+        if ($status === self::STATUS_APPLIED && $finalgrade !== null
+                && abs($finalgrade - (float) $entry->grade) > 0.00001) {
+            $status = self::STATUS_EDITED;
+        }
+
+        $DB->update_record(self::TABLE, (object) [
+            'id' => $entry->id,
+            'status' => $status,
+            'finalgrade' => $status === self::STATUS_REJECTED ? null : ($finalgrade ?? $entry->grade),
+            'usermodified' => $USER->id,
+            'timemodified' => time(),
+        ]);
+    }
+
+    /**
+     * Record the teacher decision on a review queue suggestion.
+     *
+     * @param int $suggestionid Suggestion ID
+     * @param string $status STATUS_APPLIED or STATUS_REJECTED
+     * @param float|null $finalgrade Grade that was applied
+     */
+    public static function set_suggestion_outcome(int $suggestionid, string $status, ?float $finalgrade = null): void
+    {
+        global $DB;
+
+        $entry = $DB->get_record(self::TABLE, ['suggestionid' => $suggestionid]);
+        if ($entry) {
+            self::set_outcome($entry, $status, $finalgrade);
+        }
+    }
+}
@@ -0,0 +1,173 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Decides whether a bulk grading result may be written to the gradebook
+ * without a teacher looking at it first.
+ *
+ * The site settings give the defaults, and the activity configuration can
+ * override each of them. Held results go to the review queue marked as
+ * needing human review.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class auto_apply_policy
+{
+
+    /** @var string Held because the AI was not confident enough */
+    public const HOLD_CONFIDENCE = 'confidence';
+
+    /** @var string Held because the grade is close to the pass mark */
+    public const HOLD_PASSBOUNDARY = 'passboundary';
+
+    /** @var string Held because the answer is too short to grade reliably */
+    public const HOLD_SHORTANSWER = 'shortanswer';
+
+    /** @var string Held because the answer may be manipulating the grader */
+    public const HOLD_FLAGGED = 'flagged';
+
+    /** @var string Held because grading the answer again gave a different grade */
+    public const HOLD_UNSTABLE = 'unstable';
+
+    /** @var array Confidence levels in increasing order */
+    public const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+    /**
+     * Get the policy of an activity.
+     *
+     * @param int $cmid Course module ID
+     * @return array{minconfidence: string, passmargin: float, minwords: int, passfraction: ?float} passmargin is in
+     *     percent of the maximum grade, passfraction is the pass mark as a fraction of the activity's maximum grade
+     */
+    public static function get(int $cmid): array
+    {
+        global $DB;
+
+        $policy = [
+            'minconfidence' => get_config('local_aigrading', 'autoapplyconfidence') ?: 'low',
+            'passmargin' => (float) get_config('local_aigrading', 'autoapplypassmargin'),
+            'minwords' => (int) get_config('local_aigrading', 'autoapplyminwords'),
+        ];
+
+        $config = activity_config::get($cmid);
+        if ($config) {
+            if (!empty($config->autoapplyconfidence)) {
+                $policy['minconfidence'] = $config->autoapplyconfidence;
+            }
+            if ($config->autoapplypassmargin !== null) {
+                $policy['passmargin'] = (float) $config->autoapplypassmargin;
+            }
+            if ($config->autoapplyminwords !== null) {
+                $policy['minwords'] = (int) $config->autoapplyminwords;
+            }
+        }
+
+        // Quiz questions are compared with the quiz pass mark in proportion to their own maximum.
+        $cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+        $gradeitem = $DB->get_record('grade_items', [
+            'courseid' => $cm->course,
+            'itemtype' => 'mod',
+            'itemmodule' => $cm->modname,
+            'iteminstance' => $cm->instance,
+            'itemnumber' => 0,
+        ], 'gradepass, grademax');
+        $policy['passfraction'] = $gradeitem && $gradeitem->gradepass > 0 && $gradeitem->grademax > 0
+            ? $gradeitem->gradepass / $gradeitem->grademax
+            : null;
+
+        return $policy;
+    }
+
+    /**
+     * Find why a result must not be applied automatically.
+     *
+     * @param array $policy Policy from get()
+     * @param array $result Successful result from the grading service
+     * @param string $answertext The graded answer
+     * @param float $maxgrade Maximum grade of the answer
+     * @return array Reasons (type, detail), empty if the result may be applied
+     */
+    public static function hold_reasons(array $policy, array $result, string $answertext, float $maxgrade): array
+    {
+        $reasons = [];
+
+        if (!empty($result['flags'])) {
+            $reasons[] = ['type' => self::HOLD_FLAGGED, 'detail' => ''];
+        }
+
+        if (consistency_check::is_unstable($result)) {
+            $reasons[] = [
+                'type' => self::HOLD_UNSTABLE,
+                'detail' => format_float($result['consistency']['spread'], 2, true, true),
+            ];
+        }
+
+        $confidence = $result['confidence'] ?? 'medium';
+        $level = array_search($confidence, self::CONFIDENCE_LEVELS);
+        if ($level === false || $level < array_search($policy['minconfidence'], self::CONFIDENCE_LEVELS)) {
+            $reasons[] = ['type' => self::HOLD_CONFIDENCE, 'detail' => $confidence];
+        }
+
+        if ($policy['passmargin'] > 0 && $policy['passfraction'] !== null && $maxgrade > 0) {
+            $distance = abs($result['grade'] / $maxgrade - $policy['passfraction']) * 100;
+            if ($distance <= $policy['passmargin']) {
+                $reasons[] = [
+                    'type' => self::HOLD_PASSBOUNDARY,
+                    'detail' => format_float($policy['passfraction'] * $maxgrade, 2, true, true),
+                ];
+            }
+        }
+
+        if ($policy['minwords'] > 0) {
+            $words = count_words($answertext);
+            if ($words < $policy['minwords']) {
+                $reasons[] = ['type' => self::HOLD_SHORTANSWER, 'detail' => (string) $words];
+            }
+        }
+
+        return $reasons;
+    }
+
+    /**
+     * Describe hold reasons for the teacher.
+     *
+     * @param array $reasons Reasons (type, detail)
+     * @return string[]
+     */
+    public static function describe(array $reasons): array
+    {
+        return array_map(fn($reason) => get_string('holdreason_' . $reason['type'], 'local_aigrading', $reason['detail']),
+            $reasons);
+    }
+
+    /**
+     * Options of the minimum confidence settings.
+     *
+     * @return array Level => label
+     */
+    public static function confidence_options(): array
+    {
+        $options = [];
+        foreach (self::CONFIDENCE_LEVELS as $level) {
+            $options[$level] = get_string('autoapplyconfidence_' . $level, 'local_aigrading');
+        }
+        return $options;
+    }
+}
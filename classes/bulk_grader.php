@@ -0,0 +1,790 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+use local_aigrading\provider\factory;
+use local_aigrading\provider\provider;
+use local_aigrading\task\bulk_grade_task;
+
+/**
+ * Background bulk grading jobs.
+ *
+ * A job records every attempt or submission to grade as an item, so the
+ * adhoc task can report progress per item and resume after a restart.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class bulk_grader
+{
+
+    /** @var string Job waiting for cron */
+    public const JOB_QUEUED = 'queued';
+
+    /** @var string Job being processed */
+    public const JOB_RUNNING = 'running';
+
+    /** @var string Job finished */
+    public const JOB_COMPLETED = 'completed';
+
+    /** @var string Job stopped because of an unexpected error */
+    public const JOB_FAILED = 'failed';
+
+    /** @var string Item not processed yet */
+    public const ITEM_PENDING = 'pending';
+
+    /** @var string Grade written to the gradebook */
+    public const ITEM_GRADED = 'graded';
+
+    /** @var string Suggestion stored in the review queue */
+    public const ITEM_QUEUED = 'queued';
+
+    /** @var string Result held for human review by the auto-apply policy */
+    public const ITEM_HELD = 'held';
+
+    /** @var string Item could not be graded */
+    public const ITEM_FAILED = 'failed';
+
+    /** @var string Job that grades ungraded answers */
+    public const PURPOSE_GRADE = 'grade';
+
+    /** @var string Job that grades teacher-graded answers to compare with the teacher's grades */
+    public const PURPOSE_CALIBRATE = 'calibrate';
+
+    /** @var string Jobs table */
+    private const JOBS = 'local_aigrading_jobs';
+
+    /** @var string Job items table */
+    private const ITEMS = 'local_aigrading_job_items';
+
+    /**
+     * Create a job for the ungraded answers of one quiz question, or of all supported questions.
+     *
+     * Which answers need a grade depends on the question type: essays waiting
+     * for manual grading, or short answers the automatic match did not give
+     * full marks. See qtype\adapter::get_grading_states().
+     *
+     * @param int $cmid Course module ID
+     * @param int $slot Question slot, 0 for all supported questions
+     * @param int $questionid Question ID, 0 for all supported questions
+     * @return \stdClass|null The job, or null if there is nothing to grade
+     */
+    public static function create_quiz_job(int $cmid, int $slot = 0, int $questionid = 0): ?\stdClass
+    {
+        global $DB;
+
+        $cm = get_coursemodule_from_id('quiz', $cmid, 0, false, MUST_EXIST);
+
+        if ($slot) {
+            $questions = [(object) ['slot' => $slot, 'questionid' => $questionid]];
+        } else {
+            // Get all questions of a supported type in this quiz.
+            [$qtypesql, $qtypeparams] = $DB->get_in_or_equal(qtype\factory::get_qtypes(), SQL_PARAMS_NAMED, 'qtype');
+            $sql = "SELECT DISTINCT qatt.slot, qatt.questionid
+                    FROM {quiz_attempts} qa
+                    JOIN {question_usages} qu ON qu.id = qa.uniqueid
+                    JOIN {question_attempts} qatt ON qatt.questionusageid = qu.id
+                    JOIN {question} q ON q.id = qatt.questionid
+                    WHERE qa.quiz = :quizid
+                    AND q.qtype {$qtypesql}
+                    ORDER BY qatt.slot";
+            $questions = $DB->get_records_sql($sql, ['quizid' => $cm->instance] + $qtypeparams);
+        }
+
+        // The latest step of the answer must be in a state its question type grades.
+        [$statesql, $stateparams] = qtype\factory::get_grading_sql('q.qtype', 'qas.state');
+
+        $items = [];
+        foreach ($questions as $question) {
+            // Get all ungraded attempts for this question.
+            $attemptsql = "SELECT DISTINCT
+                        qa.id as attemptid,
+                        qa.userid,
+                        qa.uniqueid as qubaid
+                    FROM {quiz_attempts} qa
+                    JOIN {question_usages} qu ON qu.id = qa.uniqueid
+                    JOIN {question_attempts} qatt ON qatt.questionusageid = qu.id AND qatt.slot = :slot
+                    JOIN {question} q ON q.id = qatt.questionid
+                    JOIN {question_attempt_steps} qas ON qas.questionattemptid = qatt.id
+                    WHERE qa.quiz = :quizid
+                    AND qa.state = 'finished'
+                    AND qatt.questionid = :questionid
+                    AND qas.sequencenumber = (
+                        SELECT MAX(qas2.sequencenumber) FROM {question_attempt_steps} qas2
+                         WHERE qas2.questionattemptid = qatt.id
+                    )
+                    AND {$statesql}
+                    AND " . suggestion_queue::not_queued_sql('quiz', 'qa.id', 'qatt.slot') . "
+                    ORDER BY qa.id";
+
+            $attempts = $DB->get_records_sql($attemptsql, [
+                'quizid' => $cm->instance,
+                'slot' => $question->slot,
+                'questionid' => $question->questionid,
+            ] + $stateparams);
+
+            foreach ($attempts as $attempt) {
+                $items[] = (object) [
+                    'userid' => $attempt->userid,
+                    'itemid' => $attempt->attemptid,
+                    'qubaid' => $attempt->qubaid,
+                    'slot' => $question->slot,
+                    'questionid' => $question->questionid,
+                ];
+            }
+        }
+
+        return self::create_job($cmid, 'quiz', $slot, $questionid, $items);
+    }
+
+    /**
+     * Create a job for the ungraded submissions of an assignment.
+     *
+     * @param int $cmid Course module ID
+     * @return \stdClass|null The job, or null if there is nothing to grade
+     */
+    public static function create_assign_job(int $cmid): ?\stdClass
+    {
+        global $DB;
+
+        $cm = get_coursemodule_from_id('assign', $cmid, 0, false, MUST_EXIST);
+
+        // Get all ungraded submissions (both online text and file).
+        $sql = "SELECT DISTINCT s.id, s.userid
+                FROM {assign_submission} s
+                LEFT JOIN {assign_grades} g ON g.assignment = s.assignment
+                    AND g.userid = s.userid AND g.attemptnumber = s.attemptnumber
+                WHERE s.assignment = :assignmentid
+                AND s.status = 'submitted'
+                AND s.latest = 1
+                AND (g.grade IS NULL OR g.grade < 0)
+                AND " . suggestion_queue::not_queued_sql('assign', 's.id', null, 's.timemodified') . "
+                ORDER BY s.id";
+
+        $items = [];
+        foreach ($DB->get_records_sql($sql, ['assignmentid' => $cm->instance]) as $submission) {
+            $items[] = (object) [
+                'userid' => $submission->userid,
+                'itemid' => $submission->id,
+            ];
+        }
+
+        return self::create_job($cmid, 'assign', 0, 0, $items);
+    }
+
+    /**
+     * Create an agreement check: grade a sample of teacher-graded answers without touching their grades.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for assignments
+     * @return \stdClass|null The job, or null if there are no graded answers to compare with
+     */
+    public static function create_calibration_job(int $cmid, int $questionid = 0): ?\stdClass
+    {
+        $cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+
+        $items = [];
+        foreach (calibration::get_held_out($cm, $questionid) as $row) {
+            $item = (object) [
+                'userid' => $row->userid,
+                'itemid' => $row->itemid,
+                'teachergrade' => $row->grade,
+                'maxgrade' => $row->maxgrade,
+            ];
+            if ($cm->modname === 'quiz') {
+                $item->qubaid = $row->qubaid;
+                $item->slot = $row->slot;
+                $item->questionid = $questionid;
+            }
+            $items[] = $item;
+        }
+
+        return self::create_job($cmid, $cm->modname, 0, $questionid, $items, self::PURPOSE_CALIBRATE);
+    }
+
+    /**
+     * Store a job with its items and queue the adhoc task that processes it.
+     *
+     * @param int $cmid Course module ID
+     * @param string $itemtype quiz or assign
+     * @param int $slot Question slot, 0 if not limited to one question
+     * @param int $questionid Question ID, 0 if not limited to one question
+     * @param array $items Items to grade
+     * @param string $purpose One of the PURPOSE_ constants
+     * @return \stdClass|null
+     */
+    private static function create_job(int $cmid, string $itemtype, int $slot, int $questionid, array $items,
+            string $purpose = self::PURPOSE_GRADE): ?\stdClass
+    {
+        global $DB, $USER;
+
+        if (empty($items)) {
+            return null;
+        }
+
+        $now = time();
+        $job = (object) [
+            'cmid' => $cmid,
+            'itemtype' => $itemtype,
+            'slot' => $slot,
+            'questionid' => $questionid,
+            'purpose' => $purpose,
+            'status' => self::JOB_QUEUED,
+            'total' => count($items),
+            'usercreated' => $USER->id,
+            'timecreated' => $now,
+            'timemodified' => $now,
+        ];
+
+        $transaction = $DB->start_delegated_transaction();
+        $job->id = $DB->insert_record(self::JOBS, $job);
+        foreach ($items as $item) {
+            $item->jobid = $job->id;
+            $item->status = self::ITEM_PENDING;
+            $item->timemodified = $now;
+        }
+        $DB->insert_records(self::ITEMS, $items);
+        $transaction->allow_commit();
+
+        self::queue_task($job);
+
+        return $job;
+    }
+
+    /**
+     * Grade the failed items of a finished job again, leaving out those that would fail the same way.
+     *
+     * Items that a stopped job did not reach are graded as well.
+     *
+     * @param \stdClass $job Job record, updated in place
+     * @return int Number of items to grade again
+     */
+    public static function retry_failed(\stdClass $job): int
+    {
+        global $DB;
+
+        if (!in_array($job->status, [self::JOB_COMPLETED, self::JOB_FAILED])) {
+            throw new \moodle_exception('error:jobnotfinished', 'local_aigrading');
+        }
+        if (self::get_active_job($job->cmid, $job->purpose)) {
+            throw new \moodle_exception('error:jobrunning', 'local_aigrading');
+        }
+
+        $failed = $DB->get_records_menu(self::ITEMS, ['jobid' => $job->id, 'status' => self::ITEM_FAILED], '', 'id, reason');
+        $ids = array_keys(array_filter($failed,
+            fn($reason) => grading_exception::is_retryable($reason ?? grading_exception::UNKNOWN)));
+        if ($ids) {
+            [$insql, $params] = $DB->get_in_or_equal($ids, SQL_PARAMS_NAMED);
+            $params += ['status' => self::ITEM_PENDING, 'now' => time()];
+            $DB->execute("UPDATE {" . self::ITEMS . "}
+                             SET status = :status, error = NULL, reason = NULL, timemodified = :now
+                           WHERE id $insql", $params);
+        }
+
+        // Including the items a stopped job did not reach.
+        $total = $DB->count_records(self::ITEMS, ['jobid' => $job->id, 'status' => self::ITEM_PENDING]);
+        if (!$total) {
+            return 0;
+        }
+
+        $job->timecompleted = null;
+        self::set_job_status($job, self::JOB_QUEUED);
+        self::queue_task($job);
+
+        return $total;
+    }
+
+    /**
+     * Queue the task that processes a job, run as the current user.
+     *
+     * @param \stdClass $job Job record
+     */
+    private static function queue_task(\stdClass $job): void
+    {
+        global $USER;
+
+        $task = new bulk_grade_task();
+        $task->set_custom_data(['jobid' => $job->id]);
+        $task->set_userid($USER->id);
+        \core\task\manager::queue_adhoc_task($task);
+    }
+
+    /**
+     * Get a job.
+     *
+     * @param int $jobid Job ID
+     * @return \stdClass
+     */
+    public static function get_job(int $jobid): \stdClass
+    {
+        global $DB;
+
+        return $DB->get_record(self::JOBS, ['id' => $jobid], '*', MUST_EXIST);
+    }
+
+    /**
+     * Get the queued or running job of an activity, if any.
+     *
+     * @param int $cmid Course module ID
+     * @param string $purpose One of the PURPOSE_ constants
+     * @return \stdClass|null
+     */
+    public static function get_active_job(int $cmid, string $purpose = self::PURPOSE_GRADE): ?\stdClass
+    {
+        global $DB;
+
+        [$insql, $params] = $DB->get_in_or_equal([self::JOB_QUEUED, self::JOB_RUNNING], SQL_PARAMS_NAMED);
+        $params += ['cmid' => $cmid, 'purpose' => $purpose];
+        $jobs = $DB->get_records_select(self::JOBS, "cmid = :cmid AND purpose = :purpose AND status $insql", $params,
+            'id DESC', '*', 0, 1);
+
+        return $jobs ? reset($jobs) : null;
+    }
+
+    /**
+     * Get the latest job of an activity or question, whatever its status.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for the whole activity
+     * @param string $purpose One of the PURPOSE_ constants
+     * @return \stdClass|null
+     */
+    public static function get_latest_job(int $cmid, int $questionid, string $purpose): ?\stdClass
+    {
+        global $DB;
+
+        $jobs = $DB->get_records(self::JOBS, ['cmid' => $cmid, 'questionid' => $questionid, 'purpose' => $purpose],
+            'id DESC', '*', 0, 1);
+
+        return $jobs ? reset($jobs) : null;
+    }
+
+    /**
+     * Get the answers an agreement check has graded, with the teacher's and the AI grade.
+     *
+     * @param \stdClass $job Job record
+     * @return array Items (userid, fullname, itemid, slot, teachergrade, aigrade, maxgrade)
+     */
+    public static function get_calibration_results(\stdClass $job): array
+    {
+        global $DB;
+
+        $userfields = \core_user\fields::for_name()->get_sql('u', false, '', '', false)->selects;
+        $sql = "SELECT i.id, i.userid, i.itemid, i.slot, i.teachergrade, i.aigrade, i.maxgrade, {$userfields}
+                  FROM {" . self::ITEMS . "} i
+                  JOIN {user} u ON u.id = i.userid
+                 WHERE i.jobid = :jobid AND i.status = :status AND i.aigrade IS NOT NULL
+              ORDER BY u.lastname, u.firstname, i.id";
+        $items = $DB->get_records_sql($sql, ['jobid' => $job->id, 'status' => self::ITEM_GRADED]);
+        foreach ($items as $item) {
+            $item->fullname = fullname($item);
+        }
+
+        return $items;
+    }
+
+    /**
+     * Get the progress of a job.
+     *
+     * @param \stdClass $job Job record
+     * @return array Keys: jobid, status, finished, total, graded, queued, held, failed, unstable, retryable,
+     *     remaining and failures, see get_failures()
+     */
+    public static function get_status(\stdClass $job): array
+    {
+        global $DB;
+
+        $counts = $DB->get_records_sql_menu(
+            "SELECT status, COUNT(1) FROM {" . self::ITEMS . "} WHERE jobid = :jobid GROUP BY status",
+            ['jobid' => $job->id]
+        );
+
+        $status = [
+            'jobid' => $job->id,
+            'status' => $job->status,
+            'finished' => in_array($job->status, [self::JOB_COMPLETED, self::JOB_FAILED]),
+            'total' => (int) $job->total,
+            'graded' => (int) ($counts[self::ITEM_GRADED] ?? 0),
+            'queued' => (int) ($counts[self::ITEM_QUEUED] ?? 0),
+            'held' => (int) ($counts[self::ITEM_HELD] ?? 0),
+            'failed' => (int) ($counts[self::ITEM_FAILED] ?? 0),
+            'unstable' => $DB->count_records(self::ITEMS, ['jobid' => $job->id, 'unstable' => 1]),
+            'remaining' => (int) ($counts[self::ITEM_PENDING] ?? 0),
+        ] + self::get_failures($job);
+
+        if ($status['finished']) {
+            // Items a stopped job did not reach are graded by a retry as well.
+            $status['retryable'] += $status['remaining'];
+        }
+        return $status;
+    }
+
+    /**
+     * Get the items of a job that could not be graded.
+     *
+     * @param \stdClass $job Job record
+     * @return array{failures: array, retryable: int} Failed items (userid, fullname, itemid, item, reason, reasontext,
+     *     error, retryable) and how many of them can be retried
+     */
+    private static function get_failures(\stdClass $job): array
+    {
+        global $DB;
+
+        $userfields = \core_user\fields::for_name()->get_sql('u', false, '', '', false)->selects;
+        $sql = "SELECT i.id, i.userid, i.itemid, i.slot, i.reason, i.error, q.name AS questionname, {$userfields}
+                  FROM {" . self::ITEMS . "} i
+                  JOIN {user} u ON u.id = i.userid
+             LEFT JOIN {question} q ON q.id = i.questionid
+                 WHERE i.jobid = :jobid AND i.status = :status
+              ORDER BY i.slot, u.lastname, u.firstname, i.id";
+        $items = $DB->get_records_sql($sql, ['jobid' => $job->id, 'status' => self::ITEM_FAILED]);
+
+        $failures = [];
+        foreach ($items as $item) {
+            $reason = $item->reason ?? grading_exception::UNKNOWN;
+            $failures[] = [
+                'userid' => $item->userid,
+                'fullname' => fullname($item),
+                'itemid' => $item->itemid,
+                'item' => $job->itemtype === 'quiz'
+                    ? get_string('failureitem_quiz', 'local_aigrading', (object) [
+                        'attempt' => $item->itemid,
+                        'question' => format_string($item->questionname ?? ''),
+                    ])
+                    : get_string('failureitem_assign', 'local_aigrading', $item->itemid),
+                'reason' => $reason,
+                'reasontext' => grading_exception::describe($reason),
+                'error' => (string) $item->error,
+                'retryable' => grading_exception::is_retryable($reason),
+            ];
+        }
+
+        return [
+            'failures' => $failures,
+            'retryable' => count(array_filter(array_column($failures, 'retryable'))),
+        ];
+    }
+
+    /**
+     * Process all pending items of a job.
+     *
+     * @param int $jobid Job ID
+     */
+    public static function run(int $jobid): void
+    {
+        global $DB;
+
+        $job = $DB->get_record(self::JOBS, ['id' => $jobid]);
+        if (!$job || in_array($job->status, [self::JOB_COMPLETED, self::JOB_FAILED])) {
+            return;
+        }
+
+        self::set_job_status($job, self::JOB_RUNNING);
+
+        try {
+            $service = factory::get_provider();
+            $reviewmode = suggestion_queue::is_review_mode();
+            $policy = auto_apply_policy::get($job->cmid);
+            $questions = [];
+            $stopped = false;
+
+            $items = $DB->get_records(self::ITEMS, ['jobid' => $job->id, 'status' => self::ITEM_PENDING], 'id');
+            foreach ($items as $item) {
+                try {
+                    if ($job->itemtype === 'quiz') {
+                        $status = self::grade_quiz_item($job, $item, $service, $reviewmode, $policy, $questions);
+                    } else {
+                        $status = self::grade_assign_item($job, $item, $service, $reviewmode, $policy);
+                    }
+                    $error = '';
+                    $reason = null;
+                } catch (grading_exception $e) {
+                    $status = self::ITEM_FAILED;
+                    $error = $e->getMessage();
+                    $reason = $e->get_reason();
+                    // The circuit breaker is open: stop instead of failing every remaining item.
+                    $stopped = $reason === grading_exception::BACKEND_UNAVAILABLE;
+                } catch (\Exception $e) {
+                    $status = self::ITEM_FAILED;
+                    $error = $e->getMessage();
+                    $reason = grading_exception::UNKNOWN;
+                }
+
+                $DB->update_record(self::ITEMS, (object) [
+                    'id' => $item->id,
+                    'status' => $status,
+                    'error' => $error,
+                    'reason' => $reason,
+                    'unstable' => (int) !empty($item->unstable),
+                    'aigrade' => $item->aigrade ?? null,
+                    'timemodified' => time(),
+                ]);
+
+                if ($stopped) {
+                    break;
+                }
+            }
+
+            // Items left pending by a stopped job are graded by retry_failed().
+            self::set_job_status($job, $stopped ? self::JOB_FAILED : self::JOB_COMPLETED);
+        } catch (\Throwable $e) {
+            self::set_job_status($job, self::JOB_FAILED);
+            mtrace('AI grading job ' . $job->id . ' failed: ' . $e->getMessage());
+        }
+
+        $status = self::get_status($job);
+        $event = event\bulk_grading_completed::create([
+            'objectid' => $job->id,
+            'context' => \context_module::instance($job->cmid),
+            'other' => [
+                'itemtype' => $job->itemtype,
+                'status' => $status['status'],
+                'total' => $status['total'],
+                'graded' => $status['graded'],
+                'queued' => $status['queued'],
+                'held' => $status['held'],
+                'failed' => $status['failed'],
+            ],
+        ]);
+        $event->add_record_snapshot(self::JOBS, $job);
+        $event->trigger();
+    }
+
+    /**
+     * Grade one quiz attempt.
+     *
+     * @param \stdClass $job Job record
+     * @param \stdClass $item Item record, marked unstable if the grading runs disagreed
+     * @param provider $service Grading service
+     * @param bool $reviewmode Whether to queue the result for review
+     * @param array $policy Auto-apply policy of the activity
+     * @param array $questions Cache of the grading context keyed by question ID
+     * @return string New item status
+     */
+    private static function grade_quiz_item(\stdClass $job, \stdClass $item, provider $service,
+            bool $reviewmode, array $policy, array &$questions): string
+    {
+        $cm = get_coursemodule_from_id('quiz', $job->cmid, 0, false, MUST_EXIST);
+        $answer = answer_loader::quiz($cm, $item->qubaid, $item->slot);
+        $document = $answer['document'];
+        if ($document['text'] === '') {
+            throw submission_document::empty_exception($document);
+        }
+
+        if (!isset($questions[$item->questionid])) {
+            $questions[$item->questionid] = activity_config::resolve($job->cmid, $item->questionid, null,
+                $answer['graderinfo']);
+        }
+        $grading = $questions[$item->questionid];
+
+        $result = $service->suggest_grade($answer['questiontext'], $answer['answertext'], $answer['maxgrade'],
+            $grading['rubric'], $grading['graderinfo'], $grading['instructions'], $item->userid, $grading['exemplars']);
+        $item->unstable = consistency_check::is_unstable($result);
+        $result = self::add_document($result, $document);
+
+        $entry = [
+            'cmid' => $job->cmid,
+            'itemtype' => 'quiz',
+            'itemid' => $item->itemid,
+            'userid' => $item->userid,
+            'qubaid' => $item->qubaid,
+            'slot' => $item->slot,
+            'questionid' => $item->questionid,
+            'answertext' => $answer['answertext'],
+            'maxgrade' => $answer['maxgrade'],
+        ];
+        if ($job->purpose === self::PURPOSE_CALIBRATE) {
+            return self::save_calibration($entry, $item, $result);
+        }
+
+        $apply = function() use ($entry, $item, $result) {
+            // Submit the grade using manual grading. No teacher has read the feedback yet.
+            $feedback = rubric::append_breakdown($result['feedback'], $result['criteria'] ?? []);
+            grade_writer::apply_quiz_grade($item->qubaid, $item->slot, $result['grade'], $entry['maxgrade'],
+                student_feedback::comment($entry, $feedback, false));
+        };
+        return self::save_result($entry, $result, $reviewmode, $policy, $apply);
+    }
+
+    /**
+     * Grade one assignment submission.
+     *
+     * @param \stdClass $job Job record
+     * @param \stdClass $item Item record, marked unstable if the grading runs disagreed
+     * @param provider $service Grading service
+     * @param bool $reviewmode Whether to queue the result for review
+     * @param array $policy Auto-apply policy of the activity
+     * @return string New item status
+     */
+    private static function grade_assign_item(\stdClass $job, \stdClass $item, provider $service,
+            bool $reviewmode, array $policy): string
+    {
+        $assignment = grade_writer::get_assignment($job->cmid);
+        $task = answer_loader::assignment($assignment);
+        $maxgrade = $task['maxgrade'];
+
+        $document = submission_document::build($assignment->get_context(), $item->itemid);
+        if ($document['text'] === '') {
+            // Say which files were skipped and why, such as a scan that could not be read.
+            throw submission_document::empty_exception($document);
+        }
+
+        $grading = activity_config::resolve($job->cmid);
+        $result = $service->suggest_grade(
+            $task['questiontext'],
+            $document['text'],
+            $maxgrade,
+            $grading['rubric'],
+            $grading['graderinfo'],
+            $grading['instructions'],
+            $item->userid,
+            $grading['exemplars']
+        );
+        $item->unstable = consistency_check::is_unstable($result);
+        if ($grading['advancedgrading']) {
+            $result = advanced_grading::apply($grading['advancedgrading'], $result, $maxgrade);
+        }
+        $result = self::add_document($result, $document);
+
+        $entry = [
+            'cmid' => $job->cmid,
+            'itemtype' => 'assign',
+            'itemid' => $item->itemid,
+            'userid' => $item->userid,
+            'answertext' => $document['text'],
+            'maxgrade' => $maxgrade,
+        ];
+        if ($job->purpose === self::PURPOSE_CALIBRATE) {
+            return self::save_calibration($entry, $item, $result);
+        }
+
+        $apply = function() use ($entry, $assignment, $item, $result, $grading) {
+            // Save the grade using assignment API, filling in the rubric or marking guide if there is one.
+            $advancedgrading = $grading['advancedgrading']
+                ? advanced_grading::form_data($grading['advancedgrading'], $result['criteria'] ?? [])
+                : null;
+            $feedback = rubric::append_breakdown($result['feedback'], $result['criteria'] ?? []);
+            grade_writer::apply_assign_grade($assignment, $item->userid, $result['grade'],
+                student_feedback::comment($entry, $feedback, false), $advancedgrading);
+        };
+        return self::save_result($entry, $result, $reviewmode, $policy, $apply);
+    }
+
+    /**
+     * Add the hidden text flags of the files to a result, and tell the reviewer which files the grade is based on.
+     *
+     * @param array $result Result from the grading service
+     * @param array $document Document that was graded, see submission_document::build()
+     * @return array
+     */
+    private static function add_document(array $result, array $document): array
+    {
+        $result['flags'] = array_merge($document['flags'], $result['flags'] ?? []);
+        if ($result['success'] && ($parts = submission_document::describe($document))) {
+            $result['explanation'] = trim($result['explanation'] . "\n\n" . $parts);
+        }
+        return $result;
+    }
+
+    /**
+     * Queue or apply a grading result and record it in the audit log.
+     *
+     * @param array $entry Item details as expected by suggestion_queue::add()
+     * @param array $result Result from the grading service
+     * @param bool $reviewmode Whether to queue the result for review
+     * @param array $policy Auto-apply policy of the activity
+     * @param callable $apply Writes the grade to the gradebook
+     * @return string New item status
+     */
+    private static function save_result(array $entry, array $result, bool $reviewmode, array $policy,
+            callable $apply): string
+    {
+        if (!$result['success']) {
+            audit_log::record($entry, $entry['answertext'], $result, audit_log::SOURCE_JOB);
+            throw new grading_exception($result['failure'] ?? grading_exception::UNKNOWN,
+                get_string('error:gradingfailed', 'local_aigrading', $result['error'] ?? ''));
+        }
+
+        $result['holdreasons'] = auto_apply_policy::hold_reasons($policy, $result, $entry['answertext'],
+            $entry['maxgrade']);
+        if ($result['holdreasons']) {
+            // Marked as needing human review, in review mode as well.
+            $entry['suggestionid'] = suggestion_queue::add($entry, $result);
+            audit_log::record($entry, $entry['answertext'], $result, audit_log::SOURCE_JOB, audit_log::STATUS_QUEUED);
+            return self::ITEM_HELD;
+        }
+
+        if ($reviewmode) {
+            // Hold the suggestion until a teacher has reviewed it.
+            $entry['suggestionid'] = suggestion_queue::add($entry, $result);
+            audit_log::record($entry, $entry['answertext'], $result, audit_log::SOURCE_JOB, audit_log::STATUS_QUEUED);
+            return self::ITEM_QUEUED;
+        }
+
+        $apply();
+        audit_log::record($entry, $entry['answertext'], $result, audit_log::SOURCE_JOB, audit_log::STATUS_APPLIED);
+        return self::ITEM_GRADED;
+    }
+
+    /**
+     * Record the AI grade of a teacher-graded answer, leaving the teacher's grade as it is.
+     *
+     * @param array $entry Item details as expected by audit_log::record()
+     * @param \stdClass $item Item record, given the AI grade on the scale of the teacher's grade
+     * @param array $result Result from the grading service
+     * @return string New item status
+     */
+    private static function save_calibration(array $entry, \stdClass $item, array $result): string
+    {
+        audit_log::record($entry, $entry['answertext'], $result, audit_log::SOURCE_CALIBRATION);
+        if (!$result['success']) {
+            throw new grading_exception($result['failure'] ?? grading_exception::UNKNOWN,
+                get_string('error:gradingfailed', 'local_aigrading', $result['error'] ?? ''));
+        }
+        if ($entry['maxgrade'] <= 0) {
+            throw new grading_exception(grading_exception::NO_MAXGRADE,
+                grading_exception::describe(grading_exception::NO_MAXGRADE));
+        }
+
+        // On the scale of the teacher's grade, in case the maximum grade changed since.
+        $item->aigrade = round($result['grade'] / $entry['maxgrade'] * $item->maxgrade, 5);
+        return self::ITEM_GRADED;
+    }
+
+    /**
+     * Update the status of a job.
+     *
+     * @param \stdClass $job Job record, updated in place
+     * @param string $status New status
+     */
+    private static function set_job_status(\stdClass $job, string $status): void
+    {
+        global $DB;
+
+        $job->status = $status;
+        $job->timemodified = time();
+        if ($status === self::JOB_RUNNING && empty($job->timestarted)) {
+            $job->timestarted = $job->timemodified;
+        }
+        if (in_array($status, [self::JOB_COMPLETED, self::JOB_FAILED])) {
+            $job->timecompleted = $job->timemodified;
+        }
+
+        $DB->update_record(self::JOBS, $job);
+    }
+}
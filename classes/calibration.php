@@ -0,0 +1,336 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Calibration of the AI grading against answers the teacher has graded.
+ *
+ * Teachers mark graded answers as exemplars, or let the plugin pick a spread
+ * of them. The exemplars are sent with every prompt of the activity or
+ * question as anchored examples of how the teacher grades. An agreement check
+ * grades a held-out set of other teacher-graded answers and compares the
+ * suggestions with the teacher's own grades.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class calibration
+{
+
+    /** @var int Most exemplars per activity or question, to keep the prompt short */
+    public const MAX_EXEMPLARS = 5;
+
+    /** @var int Exemplars picked automatically */
+    public const AUTO_COUNT = 3;
+
+    /** @var int Most characters of an exemplar sent to the backend */
+    public const MAX_LENGTH = 2000;
+
+    /** @var int Most answers graded by an agreement check */
+    public const AGREEMENT_SAMPLE = 20;
+
+    /** @var int Difference, in percent of the maximum grade, within which the AI agrees with the teacher */
+    public const AGREEMENT_TOLERANCE = 10;
+
+    /** @var string Table name */
+    private const TABLE = 'local_aigrading_exemplars';
+
+    /**
+     * Get the answers the teacher has graded, latest attempt or submission only.
+     *
+     * Assignments graded with a scale have no points to compare, so they have none.
+     *
+     * @param \stdClass|\cm_info $cm Course module
+     * @param int $questionid Question ID, 0 for assignments
+     * @return array Rows (key, itemtype, itemid, slot, qubaid, userid, fullname, grade, maxgrade, exemplarid)
+     *     keyed by key, best grade first
+     */
+    public static function get_graded($cm, int $questionid = 0): array
+    {
+        global $DB;
+
+        $userfields = \core_user\fields::for_name()->get_sql('u', false, '', '', false)->selects;
+        if ($cm->modname === 'quiz') {
+            $sql = "SELECT qatt.id, qa.id AS itemid, qatt.slot, qa.uniqueid AS qubaid, qa.userid,
+                           qas.fraction * qatt.maxmark AS grade, qatt.maxmark AS maxgrade, {$userfields}
+                      FROM {quiz_attempts} qa
+                      JOIN {question_attempts} qatt ON qatt.questionusageid = qa.uniqueid
+                      JOIN {question_attempt_steps} qas ON qas.questionattemptid = qatt.id
+                      JOIN {user} u ON u.id = qa.userid
+                     WHERE qa.quiz = :quizid
+                       AND qa.state = 'finished'
+                       AND qatt.questionid = :questionid
+                       AND qatt.maxmark > 0
+                       AND qas.fraction IS NOT NULL
+                       AND " . $DB->sql_like('qas.state', ':mangr') . "
+                       AND qas.sequencenumber = (
+                           SELECT MAX(qas2.sequencenumber) FROM {question_attempt_steps} qas2
+                            WHERE qas2.questionattemptid = qatt.id
+                       )";
+            $rows = $DB->get_records_sql($sql, [
+                'quizid' => $cm->instance,
+                'questionid' => $questionid,
+                'mangr' => 'mangr%',
+            ]);
+        } else {
+            $maxgrade = (float) $DB->get_field('assign', 'grade', ['id' => $cm->instance], MUST_EXIST);
+            if ($maxgrade <= 0) {
+                return [];
+            }
+            $sql = "SELECT s.id, s.id AS itemid, 0 AS slot, 0 AS qubaid, s.userid, g.grade, {$userfields}
+                      FROM {assign_submission} s
+                      JOIN {assign_grades} g ON g.assignment = s.assignment
+                           AND g.userid = s.userid AND g.attemptnumber = s.attemptnumber
+                      JOIN {user} u ON u.id = s.userid
+                     WHERE s.assignment = :assignmentid
+                       AND s.status = 'submitted'
+                       AND s.latest = 1
+                       AND g.grade >= 0";
+            $rows = $DB->get_records_sql($sql, ['assignmentid' => $cm->instance]);
+            foreach ($rows as $row) {
+                $row->maxgrade = $maxgrade;
+            }
+        }
+
+        $exemplars = [];
+        foreach (self::get_exemplars($cm->id, $questionid) as $exemplar) {
+            $exemplars[$exemplar->itemid . '-' . $exemplar->slot] = $exemplar->id;
+        }
+
+        $graded = [];
+        foreach ($rows as $row) {
+            $key = $row->itemid . '-' . $row->slot;
+            $graded[$key] = (object) [
+                'key' => $key,
+                'itemtype' => $cm->modname,
+                'itemid' => (int) $row->itemid,
+                'slot' => (int) $row->slot,
+                'qubaid' => (int) $row->qubaid,
+                'userid' => (int) $row->userid,
+                'fullname' => fullname($row),
+                'grade' => round((float) $row->grade, 5),
+                'maxgrade' => (float) $row->maxgrade,
+                'exemplarid' => $exemplars[$key] ?? 0,
+            ];
+        }
+        uasort($graded, fn($a, $b) => $b->grade / $b->maxgrade <=> $a->grade / $a->maxgrade);
+
+        return $graded;
+    }
+
+    /**
+     * Get the exemplars of an activity or question.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for assignments
+     * @return array Exemplar records
+     */
+    public static function get_exemplars(int $cmid, int $questionid = 0): array
+    {
+        global $DB;
+
+        return $DB->get_records(self::TABLE, ['cmid' => $cmid, 'questionid' => $questionid], 'grade DESC, id');
+    }
+
+    /**
+     * Mark a graded answer as an exemplar, with the grade the teacher gave it.
+     *
+     * @param \stdClass|\cm_info $cm Course module
+     * @param int $questionid Question ID, 0 for assignments
+     * @param string $key Key of the answer, see get_graded()
+     */
+    public static function add_exemplar($cm, int $questionid, string $key): void
+    {
+        global $DB, $USER;
+
+        $graded = self::get_graded($cm, $questionid);
+        if (!isset($graded[$key])) {
+            throw new \moodle_exception('error:invalidexemplar', 'local_aigrading');
+        }
+        $row = $graded[$key];
+        if ($row->exemplarid) {
+            return;
+        }
+        if (count(self::get_exemplars($cm->id, $questionid)) >= self::MAX_EXEMPLARS) {
+            throw new \moodle_exception('error:toomanyexemplars', 'local_aigrading', '', self::MAX_EXEMPLARS);
+        }
+
+        $answertext = self::get_answer_text($cm, $row);
+        if ($answertext === '') {
+            throw new \moodle_exception('error:emptyanswer', 'local_aigrading');
+        }
+
+        $DB->insert_record(self::TABLE, (object) [
+            'cmid' => $cm->id,
+            'questionid' => $questionid,
+            'itemtype' => $row->itemtype,
+            'itemid' => $row->itemid,
+            'slot' => $row->slot,
+            'userid' => $row->userid,
+            'answertext' => $answertext,
+            'grade' => $row->grade,
+            'maxgrade' => $row->maxgrade,
+            'usercreated' => $USER->id,
+            'timecreated' => time(),
+        ]);
+    }
+
+    /**
+     * Stop using an answer as an exemplar.
+     *
+     * @param int $cmid Course module ID
+     * @param int $id Exemplar ID
+     */
+    public static function remove_exemplar(int $cmid, int $id): void
+    {
+        global $DB;
+
+        $DB->delete_records(self::TABLE, ['id' => $id, 'cmid' => $cmid]);
+    }
+
+    /**
+     * Remove all exemplars of an activity or question.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for assignments
+     */
+    public static function clear_exemplars(int $cmid, int $questionid = 0): void
+    {
+        global $DB;
+
+        $DB->delete_records(self::TABLE, ['cmid' => $cmid, 'questionid' => $questionid]);
+    }
+
+    /**
+     * Replace the exemplars with a spread of graded answers, from the best grade to the lowest.
+     *
+     * @param \stdClass|\cm_info $cm Course module
+     * @param int $questionid Question ID, 0 for assignments
+     * @return int Number of exemplars picked
+     */
+    public static function pick_exemplars($cm, int $questionid = 0): int
+    {
+        self::clear_exemplars($cm->id, $questionid);
+
+        $graded = array_values(self::get_graded($cm, $questionid));
+        $count = min(self::AUTO_COUNT, count($graded));
+        $picked = 0;
+        for ($i = 0; $i < $count; $i++) {
+            $index = $count > 1 ? (int) round($i * (count($graded) - 1) / ($count - 1)) : 0;
+            try {
+                self::add_exemplar($cm, $questionid, $graded[$index]->key);
+                $picked++;
+            } catch (\moodle_exception $e) {
+                // An empty answer is no example of how the teacher grades.
+                continue;
+            }
+        }
+
+        return $picked;
+    }
+
+    /**
+     * Get the exemplars to send to the backend, without student identifiers.
+     *
+     * @param int $cmid Course module ID
+     * @param int $questionid Question ID, 0 for assignments
+     * @return array Exemplars (answertext, grade, maxgrade)
+     */
+    public static function for_prompt(int $cmid, int $questionid = 0): array
+    {
+        $exemplars = [];
+        foreach (self::get_exemplars($cmid, $questionid) as $exemplar) {
+            $check = injection_guard::check(pseudonymiser::apply($exemplar->answertext, $exemplar->userid));
+            $text = $check['text'];
+            if (\core_text::strlen($text) > self::MAX_LENGTH) {
+                $text = \core_text::substr($text, 0, self::MAX_LENGTH) . '...';
+            }
+            $exemplars[] = [
+                'answertext' => $text,
+                'grade' => round((float) $exemplar->grade, 2),
+                'maxgrade' => round((float) $exemplar->maxgrade, 2),
+            ];
+        }
+
+        return $exemplars;
+    }
+
+    /**
+     * Get a random sample of graded answers that are not exemplars, for the agreement check.
+     *
+     * @param \stdClass|\cm_info $cm Course module
+     * @param int $questionid Question ID, 0 for assignments
+     * @return array Rows, see get_graded()
+     */
+    public static function get_held_out($cm, int $questionid = 0): array
+    {
+        $heldout = array_values(array_filter(self::get_graded($cm, $questionid), fn($row) => !$row->exemplarid));
+        shuffle($heldout);
+
+        return array_slice($heldout, 0, self::AGREEMENT_SAMPLE);
+    }
+
+    /**
+     * Compare the AI grades of an agreement check with the teacher's grades.
+     *
+     * Differences are in percent of the maximum grade, so questions with
+     * different marks can be compared.
+     *
+     * @param array $items Graded items (teachergrade, aigrade, maxgrade)
+     * @return array{count: int, meandifference: float, within: int, withinpercent: float, bias: float}
+     */
+    public static function agreement(array $items): array
+    {
+        $differences = [];
+        foreach ($items as $item) {
+            $differences[] = ($item->aigrade - $item->teachergrade) / $item->maxgrade * 100;
+        }
+        $count = count($differences);
+        if (!$count) {
+            return ['count' => 0, 'meandifference' => 0.0, 'within' => 0, 'withinpercent' => 0.0, 'bias' => 0.0];
+        }
+
+        $absolute = array_map('abs', $differences);
+        $within = count(array_filter($absolute, fn($difference) => $difference <= self::AGREEMENT_TOLERANCE));
+
+        return [
+            'count' => $count,
+            'meandifference' => round(array_sum($absolute) / $count, 1),
+            'within' => $within,
+            'withinpercent' => round($within / $count * 100, 1),
+            'bias' => round(array_sum($differences) / $count, 1),
+        ];
+    }
+
+    /**
+     * Load the answer text of a graded answer.
+     *
+     * @param \stdClass|\cm_info $cm Course module
+     * @param \stdClass $row Row from get_graded()
+     * @return string
+     */
+    private static function get_answer_text($cm, \stdClass $row): string
+    {
+        if ($row->itemtype === 'quiz') {
+            return answer_loader::quiz($cm, $row->qubaid, $row->slot)['answertext'];
+        }
+
+        $document = submission_document::build(\context_module::instance($cm->id), $row->itemid);
+        return trim($document['text']);
+    }
+}
@@ -0,0 +1,186 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Grades answers more than once to measure how reliable the AI grade is.
+ *
+ * Depending on the site setting every answer is graded several times, or a
+ * random sample of answers is graded twice. The median grade is used, and
+ * runs that differ by more than the threshold mark the result as unstable.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class consistency_check
+{
+
+    /** @var string Grade each answer once */
+    public const MODE_OFF = 'off';
+
+    /** @var string Grade every answer several times */
+    public const MODE_ALL = 'all';
+
+    /** @var string Grade a random sample of answers twice */
+    public const MODE_SAMPLE = 'sample';
+
+    /** @var int Most runs per answer, to keep the cost of a grade in check */
+    public const MAX_RUNS = 9;
+
+    /**
+     * How many times to grade the next answer.
+     *
+     * @return int
+     */
+    public static function get_runs(): int
+    {
+        switch (get_config('local_aigrading', 'consistencymode')) {
+            case self::MODE_ALL:
+                $runs = (int) get_config('local_aigrading', 'consistencyruns') ?: 3;
+                return max(2, min(self::MAX_RUNS, $runs));
+            case self::MODE_SAMPLE:
+                $percent = (float) get_config('local_aigrading', 'consistencysample');
+                return random_int(1, 100) <= $percent ? 2 : 1;
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Combine the successful runs of one answer into a single result.
+     *
+     * The feedback and explanation come from the run closest to the median
+     * grade. With a structured rubric each criterion gets its median score
+     * and the grade is derived from those, so the breakdown adds up.
+     *
+     * @param array $results Successful grading results, at least one
+     * @param float $maxgrade Maximum possible grade
+     * @return array Result with consistency (grades, spread, unstable) if there was more than one run
+     */
+    public static function combine(array $results, float $maxgrade): array
+    {
+        $results = array_values($results);
+        if (count($results) < 2) {
+            return $results[0];
+        }
+
+        $grades = array_map(fn($result) => (float) $result['grade'], $results);
+        $median = self::median($grades);
+
+        $closest = 0;
+        foreach ($grades as $i => $grade) {
+            if (abs($grade - $median) < abs($grades[$closest] - $median)) {
+                $closest = $i;
+            }
+        }
+        $result = $results[$closest];
+        $result['grade'] = $median;
+
+        if (!empty($result['criteria'])) {
+            $total = 0;
+            $rubricmax = 0;
+            foreach ($result['criteria'] as $i => $criterion) {
+                $score = self::median(array_map(fn($run) => (float) $run['criteria'][$i]['score'], $results));
+                $result['criteria'][$i]['score'] = $score;
+                $total += $score;
+                $rubricmax += $criterion['maxscore'];
+            }
+            if ($rubricmax > 0) {
+                $result['grade'] = round($total / $rubricmax * $maxgrade, 2);
+            }
+        }
+
+        $spread = max($grades) - min($grades);
+        $threshold = (float) get_config('local_aigrading', 'consistencythreshold') / 100 * $maxgrade;
+        $result['consistency'] = [
+            'grades' => $grades,
+            'spread' => round($spread, 5),
+            'unstable' => $spread > $threshold,
+        ];
+
+        $notes = [get_string('consistencysummary', 'local_aigrading', (object) [
+            'runs' => count($grades),
+            'grades' => implode(', ', array_map(fn($grade) => format_float($grade, 2, true, true), $grades)),
+            'grade' => format_float($result['grade'], 2, true, true),
+        ])];
+        if ($result['consistency']['unstable']) {
+            $notes[] = get_string('consistencyunstable', 'local_aigrading', (object) [
+                'spread' => format_float($spread, 2, true, true),
+                'threshold' => format_float($threshold, 2, true, true),
+            ]);
+        }
+        $result['explanation'] = trim(($result['explanation'] ?? '') . "\n\n" . implode(' ', $notes));
+
+        return $result;
+    }
+
+    /**
+     * Whether the runs of a result disagreed by more than the threshold.
+     *
+     * @param array $result Grading result
+     * @return bool
+     */
+    public static function is_unstable(array $result): bool
+    {
+        return !empty($result['consistency']['unstable']);
+    }
+
+    /**
+     * Describe the runs of a result for the web services.
+     *
+     * @param array $result Grading result
+     * @return array{runs: int, grades: float[], spread: float, unstable: bool}
+     */
+    public static function export(array $result): array
+    {
+        $grades = $result['consistency']['grades'] ?? [];
+        return [
+            'runs' => max(1, count($grades)),
+            'grades' => $grades,
+            'spread' => (float) ($result['consistency']['spread'] ?? 0),
+            'unstable' => self::is_unstable($result),
+        ];
+    }
+
+    /**
+     * Options of the consistency mode setting.
+     *
+     * @return array Mode => label
+     */
+    public static function mode_options(): array
+    {
+        return [
+            self::MODE_OFF => get_string('consistencymode_off', 'local_aigrading'),
+            self::MODE_SAMPLE => get_string('consistencymode_sample', 'local_aigrading'),
+            self::MODE_ALL => get_string('consistencymode_all', 'local_aigrading'),
+        ];
+    }
+
+    /**
+     * Median of a list of numbers.
+     *
+     * @param float[] $values At least one value
+     * @return float
+     */
+    private static function median(array $values): float
+    {
+        sort($values);
+        $middle = intdiv(count($values), 2);
+        return count($values) % 2 ? $values[$middle] : ($values[$middle - 1] + $values[$middle]) / 2;
+    }
+}
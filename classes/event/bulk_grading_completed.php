@@ -0,0 +1,120 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\event;
+
+/**
+ * Event fired when a background bulk grading job has finished.
+ *
+ * @property-read array $other {
+ *      Extra information about the event.
+ *
+ *      - string itemtype: quiz or assign
+ *      - string status: completed or failed
+ *      - int total: number of items in the job
+ *      - int graded: number of grades written to the gradebook
+ *      - int queued: number of suggestions queued for review
+ *      - int held: number of results held for human review by the auto-apply policy
+ *      - int failed: number of items that could not be graded
+ * }
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class bulk_grading_completed extends \core\event\base
+{
+
+    /**
+     * Init method.
+     */
+    protected function init()
+    {
+        $this->data['objecttable'] = 'local_aigrading_jobs';
+        $this->data['crud'] = 'u';
+        $this->data['edulevel'] = self::LEVEL_TEACHING;
+    }
+
+    /**
+     * Returns localised event name.
+     *
+     * @return string
+     */
+    public static function get_name()
+    {
+        return get_string('eventbulkgradingcompleted', 'local_aigrading');
+    }
+
+    /**
+     * Returns non-localised event description.
+     *
+     * @return string
+     */
+    public function get_description()
+    {
+        return "The AI bulk grading job with id '$this->objectid' started by the user with id '$this->userid' " .
+            "finished with status '{$this->other['status']}' in the {$this->other['itemtype']} with course module " .
+            "id '$this->contextinstanceid': {$this->other['graded']} graded, {$this->other['queued']} queued for " .
+            "review, " . ($this->other['held'] ?? 0) . " held for human review and {$this->other['failed']} failed " .
+            "out of {$this->other['total']}.";
+    }
+
+    /**
+     * Returns the activity URL.
+     *
+     * @return \moodle_url
+     */
+    public function get_url()
+    {
+        return new \moodle_url('/mod/' . $this->other['itemtype'] . '/view.php', ['id' => $this->contextinstanceid]);
+    }
+
+    /**
+     * Custom validation.
+     *
+     * @throws \coding_exception
+     */
+    protected function validate_data()
+    {
+        parent::validate_data();
+
+        foreach (['itemtype', 'status', 'total', 'graded', 'queued', 'failed'] as $key) {
+            if (!isset($this->other[$key])) {
+                throw new \coding_exception("The '$key' value must be set in other.");
+            }
+        }
+    }
+
+    /**
+     * Backup/restore mapping of the object ID.
+     *
+     * @return array
+     */
+    public static function get_objectid_mapping()
+    {
+        return ['db' => 'local_aigrading_jobs', 'restore' => \core\event\base::NOT_MAPPED];
+    }
+
+    /**
+     * Backup/restore mapping of the other values.
+     *
+     * @return bool
+     */
+    public static function get_other_mapping()
+    {
+        return false;
+    }
+}
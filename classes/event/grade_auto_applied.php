@@ -0,0 +1,123 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\event;
+
+/**
+ * Event fired when a grade suggested by the grading backend was written to the gradebook
+ * without a teacher reviewing it.
+ *
+ * @property-read array $other {
+ *      Extra information about the event.
+ *
+ *      - string itemtype: quiz or assign
+ *      - float grade: suggested grade
+ *      - float maxgrade: maximum grade
+ *      - string confidence: confidence reported by the backend
+ *      - string source: suggest, bulk or job
+ *      - int slot: (optional) question slot
+ *      - int questionid: (optional) question ID
+ * }
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class grade_auto_applied extends \core\event\base
+{
+
+    /**
+     * Init method.
+     */
+    protected function init()
+    {
+        $this->data['objecttable'] = 'local_aigrading_log';
+        $this->data['crud'] = 'u';
+        $this->data['edulevel'] = self::LEVEL_TEACHING;
+    }
+
+    /**
+     * Returns localised event name.
+     *
+     * @return string
+     */
+    public static function get_name()
+    {
+        return get_string('eventgradeautoapplied', 'local_aigrading');
+    }
+
+    /**
+     * Returns non-localised event description.
+     *
+     * @return string
+     */
+    public function get_description()
+    {
+        return "The AI grade of {$this->other['grade']} out of {$this->other['maxgrade']} was applied to the " .
+            "user with id '$this->relateduserid' in the {$this->other['itemtype']} with course module id " .
+            "'$this->contextinstanceid', triggered by the user with id '$this->userid'.";
+    }
+
+    /**
+     * Returns the audit log entry of the suggestion.
+     *
+     * @return \moodle_url
+     */
+    public function get_url()
+    {
+        return new \moodle_url('/local/aigrading/report.php', ['id' => $this->courseid, 'logid' => $this->objectid]);
+    }
+
+    /**
+     * Custom validation.
+     *
+     * @throws \coding_exception
+     */
+    protected function validate_data()
+    {
+        parent::validate_data();
+
+        if (!isset($this->relateduserid)) {
+            throw new \coding_exception('The \'relateduserid\' must be set.');
+        }
+
+        foreach (['itemtype', 'grade', 'maxgrade', 'confidence', 'source'] as $key) {
+            if (!isset($this->other[$key])) {
+                throw new \coding_exception("The '$key' value must be set in other.");
+            }
+        }
+    }
+
+    /**
+     * Backup/restore mapping of the object ID.
+     *
+     * @return array
+     */
+    public static function get_objectid_mapping()
+    {
+        return ['db' => 'local_aigrading_log', 'restore' => \core\event\base::NOT_MAPPED];
+    }
+
+    /**
+     * Backup/restore mapping of the other values.
+     *
+     * @return bool
+     */
+    public static function get_other_mapping()
+    {
+        return false;
+    }
+}
@@ -20,10 +20,12 @@ use core_external\external_api;
 use core_external\external_function_parameters;
 use core_external\external_single_structure;
 use core_external\external_value;
-use local_aigrading\dali_service;
+use local_aigrading\bulk_grader;
 
 /**
- * External function to auto-grade all ungraded essays for ALL questions in a quiz.
+ * External function to auto-grade all ungraded answers to ALL questions in a quiz.
+ *
+ * Grading runs in an adhoc task; poll local_aigrading_get_job_status for progress.
  *
  * @package    local_aigrading
  * @copyright  2025
@@ -45,15 +47,13 @@ class auto_grade_all extends external_api
     }
 
     /**
-     * Execute the function - grade all ungraded attempts for all essay questions in the quiz.
+     * Execute the function - start a background job grading all supported questions in the quiz.
      *
      * @param int $cmid Course module ID
      * @return array
      */
     public static function execute(int $cmid): array
     {
-        global $DB;
-
         // Validate parameters.
         $params = self::validate_parameters(self::execute_parameters(), [
             'cmid' => $cmid,
@@ -65,107 +65,32 @@ class auto_grade_all extends external_api
         require_capability('local/aigrading:useaigrading', $context);
         require_capability('mod/quiz:grade', $context);
 
-        // Get the quiz.
-        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
-        $quiz = $DB->get_record('quiz', ['id' => $cm->instance], '*', MUST_EXIST);
-
-        // Get all essay questions in this quiz.
-        $sql = "SELECT DISTINCT qatt.slot, qatt.questionid, q.questiontext, q.defaultmark, qe.graderinfo, qe.graderinfoformat
-                FROM {quiz_attempts} qa
-                JOIN {question_usages} qu ON qu.id = qa.uniqueid
-                JOIN {question_attempts} qatt ON qatt.questionusageid = qu.id
-                JOIN {question} q ON q.id = qatt.questionid
-                LEFT JOIN {qtype_essay_options} qe ON qe.questionid = q.id
-                WHERE qa.quiz = :quizid
-                AND q.qtype = 'essay'
-                ORDER BY qatt.slot";
-
-        $questions = $DB->get_records_sql($sql, ['quizid' => $quiz->id]);
-
-        if (empty($questions)) {
+        // Only one job per activity at a time; report the running one instead.
+        $job = bulk_grader::get_active_job($params['cmid']);
+        if ($job) {
             return [
                 'success' => true,
-                'graded' => 0,
-                'failed' => 0,
-                'message' => 'No essay questions found in this quiz.',
+                'jobid' => $job->id,
+                'total' => $job->total,
+                'message' => 'A grading job is already running for this activity.',
             ];
         }
 
-        // Use AI service to grade.
-        $service = new dali_service();
-        $totalGraded = 0;
-        $totalFailed = 0;
-
-        foreach ($questions as $question) {
-            $questiontext = strip_tags($question->questiontext);
-            $maxgrade = $question->defaultmark;
-            $graderinfo = !empty($question->graderinfo) ? strip_tags($question->graderinfo) : '';
-
-            // Get all ungraded attempts for this question.
-            $attemptsql = "SELECT DISTINCT
-                        qa.id as attemptid,
-                        qa.uniqueid as qubaid
-                    FROM {quiz_attempts} qa
-                    JOIN {question_usages} qu ON qu.id = qa.uniqueid
-                    JOIN {question_attempts} qatt ON qatt.questionusageid = qu.id AND qatt.slot = :slot
-                    WHERE qa.quiz = :quizid
-                    AND qa.state = 'finished'
-                    AND qatt.questionid = :questionid
-                    AND EXISTS (
-                        SELECT 1 FROM {question_attempt_steps} qas2 
-                        WHERE qas2.questionattemptid = qatt.id 
-                        AND qas2.state = 'needsgrading'
-                    )
-                    ORDER BY qa.id";
-
-            $attempts = $DB->get_records_sql($attemptsql, [
-                'quizid' => $quiz->id,
-                'slot' => $question->slot,
-                'questionid' => $question->questionid,
-            ]);
-
-            foreach ($attempts as $attempt) {
-                try {
-                    // Load the question usage and get the answer.
-                    $quba = \question_engine::load_questions_usage_by_activity($attempt->qubaid);
-                    $qa = $quba->get_question_attempt($question->slot);
-
-                    // Get the last response (student answer).
-                    $response = $qa->get_last_qt_data();
-                    $answertext = $response['answer'] ?? '';
-
-                    if (empty($answertext)) {
-                        $totalFailed++;
-                        continue;
-                    }
-
-                    // Get AI suggestion.
-                    $result = $service->suggest_grade($questiontext, $answertext, $maxgrade, null, $graderinfo);
-
-                    if ($result['success']) {
-                        // Submit the grade using manual grading.
-                        $quba->process_action($question->slot, [
-                            '-mark' => $result['grade'],
-                            '-maxmark' => $maxgrade,
-                            '-comment' => $result['feedback'],
-                            '-commentformat' => FORMAT_HTML,
-                        ]);
-                        \question_engine::save_questions_usage_by_activity($quba);
-                        $totalGraded++;
-                    } else {
-                        $totalFailed++;
-                    }
-                } catch (\Exception $e) {
-                    $totalFailed++;
-                }
-            }
+        $job = bulk_grader::create_quiz_job($params['cmid']);
+        if (!$job) {
+            return [
+                'success' => true,
+                'jobid' => 0,
+                'total' => 0,
+                'message' => 'No ungraded answers found in this quiz.',
+            ];
         }
 
         return [
             'success' => true,
-            'graded' => $totalGraded,
-            'failed' => $totalFailed,
-            'message' => "Graded $totalGraded attempts across all questions, $totalFailed failed.",
+            'jobid' => $job->id,
+            'total' => $job->total,
+            'message' => "Grading of {$job->total} items has started in the background.",
         ];
     }
 
@@ -178,8 +103,8 @@ class auto_grade_all extends external_api
     {
         return new external_single_structure([
             'success' => new external_value(PARAM_BOOL, 'Whether the request was successful'),
-            'graded' => new external_value(PARAM_INT, 'Number of attempts graded'),
-            'failed' => new external_value(PARAM_INT, 'Number of attempts failed'),
+            'jobid' => new external_value(PARAM_INT, 'Background grading job ID, 0 if there was nothing to grade'),
+            'total' => new external_value(PARAM_INT, 'Number of items in the job'),
             'message' => new external_value(PARAM_RAW, 'Status message'),
         ]);
     }
@@ -20,11 +20,13 @@ use core_external\external_api;
 use core_external\external_function_parameters;
 use core_external\external_single_structure;
 use core_external\external_value;
-use local_aigrading\dali_service;
+use local_aigrading\bulk_grader;
 
 /**
  * External function to auto-grade all ungraded submissions for an assignment.
  *
+ * Grading runs in an adhoc task; poll local_aigrading_get_job_status for progress.
+ *
  * @package    local_aigrading
  * @copyright  2025
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
@@ -45,16 +47,13 @@ class auto_grade_assignment extends external_api
     }
 
     /**
-     * Execute the function - grade all ungraded submissions for the assignment.
+     * Execute the function - start a background job grading all ungraded submissions.
      *
      * @param int $cmid Course module ID
      * @return array
      */
     public static function execute(int $cmid): array
     {
-        global $DB, $CFG;
-        require_once($CFG->dirroot . '/mod/assign/locallib.php');
-
         // Validate parameters.
         $params = self::validate_parameters(self::execute_parameters(), [
             'cmid' => $cmid,
@@ -66,124 +65,32 @@ class auto_grade_assignment extends external_api
         require_capability('local/aigrading:useaigrading', $context);
         require_capability('mod/assign:grade', $context);
 
-        // Get the assignment.
-        $cm = get_coursemodule_from_id('assign', $params['cmid'], 0, false, MUST_EXIST);
-        $course = $DB->get_record('course', ['id' => $cm->course], '*', MUST_EXIST);
-        $assign = $DB->get_record('assign', ['id' => $cm->instance], '*', MUST_EXIST);
-
-        // Create assignment instance.
-        $context = \context_module::instance($cm->id);
-        $assignment = new \assign($context, $cm, $course);
-
-        // Get assignment description for context.
-        $assignmentDescription = strip_tags($assign->intro ?? '');
-
-        // Get all ungraded submissions (both online text and file).
-        $sql = "SELECT DISTINCT s.id, s.userid, s.assignment, s.status
-                FROM {assign_submission} s
-                LEFT JOIN {assign_grades} g ON g.assignment = s.assignment 
-                    AND g.userid = s.userid AND g.attemptnumber = s.attemptnumber
-                WHERE s.assignment = :assignmentid
-                AND s.status = 'submitted'
-                AND s.latest = 1
-                AND (g.grade IS NULL OR g.grade < 0)
-                ORDER BY s.id";
-
-        $submissions = $DB->get_records_sql($sql, ['assignmentid' => $assign->id]);
-
-        if (empty($submissions)) {
+        // Only one job per activity at a time; report the running one instead.
+        $job = bulk_grader::get_active_job($params['cmid']);
+        if ($job) {
             return [
                 'success' => true,
-                'graded' => 0,
-                'failed' => 0,
-                'message' => 'No ungraded submissions found.',
+                'jobid' => $job->id,
+                'total' => $job->total,
+                'message' => 'A grading job is already running for this activity.',
             ];
         }
 
-        // Use AI service and file extractor.
-        $service = new \local_aigrading\dali_service();
-        $extractor = new \local_aigrading\file_extractor();
-        $fs = get_file_storage();
-
-        $totalGraded = 0;
-        $totalFailed = 0;
-        $maxgrade = $assign->grade > 0 ? $assign->grade : 100;
-
-        foreach ($submissions as $submission) {
-            try {
-                $submissionText = '';
-
-                // Try online text first.
-                $onlinetext = $DB->get_record('assignsubmission_onlinetext', [
-                    'submission' => $submission->id
-                ]);
-                if ($onlinetext && !empty($onlinetext->onlinetext)) {
-                    $submissionText = strip_tags($onlinetext->onlinetext);
-                }
-
-                // If no online text, try file submissions.
-                if (empty(trim($submissionText))) {
-                    $files = $fs->get_area_files(
-                        $context->id,
-                        'assignsubmission_file',
-                        'submission_files',
-                        $submission->id,
-                        'sortorder, id',
-                        false
-                    );
-
-                    foreach ($files as $file) {
-                        if ($extractor->is_supported($file->get_mimetype())) {
-                            $result = $extractor->extract($file);
-                            if ($result['success'] && !empty($result['text'])) {
-                                $submissionText = $result['text'];
-                                break; // Use first extractable file.
-                            }
-                        }
-                    }
-                }
-
-                if (empty(trim($submissionText))) {
-                    $totalFailed++;
-                    continue;
-                }
-
-                // Get AI suggestion.
-                $result = $service->suggest_grade(
-                    $assignmentDescription,
-                    $submissionText,
-                    $maxgrade,
-                    null,
-                    ''
-                );
-
-                if ($result['success']) {
-                    // Save the grade using assignment API.
-                    $gradedata = new \stdClass();
-                    $gradedata->grade = $result['grade'];
-                    $gradedata->attemptnumber = -1; // Latest attempt.
-
-                    // Add feedback.
-                    $gradedata->assignfeedbackcomments_editor = [
-                        'text' => $result['feedback'],
-                        'format' => FORMAT_HTML
-                    ];
-
-                    $assignment->save_grade($submission->userid, $gradedata);
-                    $totalGraded++;
-                } else {
-                    $totalFailed++;
-                }
-            } catch (\Exception $e) {
-                $totalFailed++;
-            }
+        $job = bulk_grader::create_assign_job($params['cmid']);
+        if (!$job) {
+            return [
+                'success' => true,
+                'jobid' => 0,
+                'total' => 0,
+                'message' => 'No ungraded submissions found.',
+            ];
         }
 
         return [
             'success' => true,
-            'graded' => $totalGraded,
-            'failed' => $totalFailed,
-            'message' => "Graded $totalGraded submissions, $totalFailed failed.",
+            'jobid' => $job->id,
+            'total' => $job->total,
+            'message' => "Grading of {$job->total} items has started in the background.",
         ];
     }
 
@@ -196,8 +103,8 @@ class auto_grade_assignment extends external_api
     {
         return new external_single_structure([
             'success' => new external_value(PARAM_BOOL, 'Whether the request was successful'),
-            'graded' => new external_value(PARAM_INT, 'Number of submissions graded'),
-            'failed' => new external_value(PARAM_INT, 'Number of submissions failed'),
+            'jobid' => new external_value(PARAM_INT, 'Background grading job ID, 0 if there was nothing to grade'),
+            'total' => new external_value(PARAM_INT, 'Number of items in the job'),
             'message' => new external_value(PARAM_RAW, 'Status message'),
         ]);
     }
@@ -19,12 +19,13 @@ namespace local_aigrading\external;
 use core_external\external_api;
 use core_external\external_function_parameters;
 use core_external\external_single_structure;
-use core_external\external_multiple_structure;
 use core_external\external_value;
-use local_aigrading\dali_service;
+use local_aigrading\bulk_grader;
 
 /**
- * External function to auto-grade all ungraded essays for a quiz question.
+ * External function to auto-grade all ungraded answers to a quiz question.
+ *
+ * Grading runs in an adhoc task; poll local_aigrading_get_job_status for progress.
  *
  * @package    local_aigrading
  * @copyright  2025
@@ -48,7 +49,7 @@ class auto_grade_question extends external_api
     }
 
     /**
-     * Execute the function - grade all ungraded attempts for a question.
+     * Execute the function - start a background job grading all ungraded attempts for a question.
      *
      * @param int $cmid Course module ID
      * @param int $slot Question slot
@@ -57,8 +58,6 @@ class auto_grade_question extends external_api
      */
     public static function execute(int $cmid, int $slot, int $questionid): array
     {
-        global $DB;
-
         // Validate parameters.
         $params = self::validate_parameters(self::execute_parameters(), [
             'cmid' => $cmid,
@@ -72,95 +71,32 @@ class auto_grade_question extends external_api
         require_capability('local/aigrading:useaigrading', $context);
         require_capability('mod/quiz:grade', $context);
 
-        // Get the quiz.
-        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
-        $quiz = $DB->get_record('quiz', ['id' => $cm->instance], '*', MUST_EXIST);
-
-        // Get question info.
-        $question = $DB->get_record('question', ['id' => $params['questionid']], '*', MUST_EXIST);
-        $questiontext = strip_tags($question->questiontext);
-        $maxgrade = $question->defaultmark;
-
-        // Get all ungraded attempts for this question.
-        // We need to find attempts where the question step state is 'needsgrading'.
-        $sql = "SELECT DISTINCT
-                    qa.id as attemptid,
-                    qa.uniqueid as qubaid,
-                    qatt.id as questionattemptid
-                FROM {quiz_attempts} qa
-                JOIN {question_usages} qu ON qu.id = qa.uniqueid
-                JOIN {question_attempts} qatt ON qatt.questionusageid = qu.id AND qatt.slot = :slot
-                WHERE qa.quiz = :quizid
-                AND qa.state = 'finished'
-                AND qatt.questionid = :questionid
-                AND EXISTS (
-                    SELECT 1 FROM {question_attempt_steps} qas2 
-                    WHERE qas2.questionattemptid = qatt.id 
-                    AND qas2.state = 'needsgrading'
-                )
-                ORDER BY qa.id";
-
-        $attempts = $DB->get_records_sql($sql, [
-            'quizid' => $quiz->id,
-            'slot' => $params['slot'],
-            'questionid' => $params['questionid'],
-        ]);
-
-        if (empty($attempts)) {
+        // Only one job per activity at a time; report the running one instead.
+        $job = bulk_grader::get_active_job($params['cmid']);
+        if ($job) {
             return [
                 'success' => true,
-                'graded' => 0,
-                'failed' => 0,
-                'message' => 'No ungraded attempts found. All essays may have been graded already.',
+                'jobid' => $job->id,
+                'total' => $job->total,
+                'message' => 'A grading job is already running for this activity.',
             ];
         }
 
-        // Use AI service to grade each attempt.
-        $service = new dali_service();
-        $graded = 0;
-        $failed = 0;
-
-        foreach ($attempts as $attempt) {
-            try {
-                // Load the question usage and get the answer.
-                $quba = \question_engine::load_questions_usage_by_activity($attempt->qubaid);
-                $qa = $quba->get_question_attempt($params['slot']);
-
-                // Get the last response (student answer).
-                $response = $qa->get_last_qt_data();
-                $answertext = $response['answer'] ?? '';
-
-                if (empty($answertext)) {
-                    $failed++;
-                    continue;
-                }
-
-                // Get AI suggestion.
-                $result = $service->suggest_grade($questiontext, $answertext, $maxgrade);
-
-                if ($result['success']) {
-                    // Submit the grade using manual grading.
-                    $quba->process_action($params['slot'], [
-                        '-mark' => $result['grade'],
-                        '-maxmark' => $maxgrade,
-                        '-comment' => $result['feedback'],
-                        '-commentformat' => FORMAT_HTML,
-                    ]);
-                    \question_engine::save_questions_usage_by_activity($quba);
-                    $graded++;
-                } else {
-                    $failed++;
-                }
-            } catch (\Exception $e) {
-                $failed++;
-            }
+        $job = bulk_grader::create_quiz_job($params['cmid'], $params['slot'], $params['questionid']);
+        if (!$job) {
+            return [
+                'success' => true,
+                'jobid' => 0,
+                'total' => 0,
+                'message' => 'No ungraded attempts found. All answers may have been graded already.',
+            ];
         }
 
         return [
             'success' => true,
-            'graded' => $graded,
-            'failed' => $failed,
-            'message' => "Graded $graded attempts, $failed failed.",
+            'jobid' => $job->id,
+            'total' => $job->total,
+            'message' => "Grading of {$job->total} items has started in the background.",
         ];
     }
 
@@ -173,8 +109,8 @@ class auto_grade_question extends external_api
     {
         return new external_single_structure([
             'success' => new external_value(PARAM_BOOL, 'Whether the request was successful'),
-            'graded' => new external_value(PARAM_INT, 'Number of attempts graded'),
-            'failed' => new external_value(PARAM_INT, 'Number of attempts failed'),
+            'jobid' => new external_value(PARAM_INT, 'Background grading job ID, 0 if there was nothing to grade'),
+            'total' => new external_value(PARAM_INT, 'Number of items in the job'),
             'message' => new external_value(PARAM_RAW, 'Status message'),
         ]);
     }
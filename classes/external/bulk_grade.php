@@ -21,7 +21,12 @@ use core_external\external_function_parameters;
 use core_external\external_single_structure;
 use core_external\external_multiple_structure;
 use core_external\external_value;
-use local_aigrading\dali_service;
+use local_aigrading\activity_config;
+use local_aigrading\audit_log;
+use local_aigrading\consistency_check;
+use local_aigrading\injection_guard;
+use local_aigrading\provider\factory;
+use local_aigrading\rubric;
 
 /**
  * External function to get AI grade suggestions for multiple answers (bulk grading).
@@ -51,6 +56,7 @@ class bulk_grade extends external_api
             ),
             'maxgrade' => new external_value(PARAM_FLOAT, 'Maximum possible grade'),
             'rubric' => new external_value(PARAM_RAW, 'Optional custom rubric', VALUE_DEFAULT, ''),
+            'questionid' => new external_value(PARAM_INT, 'Question ID, 0 for assignments', VALUE_DEFAULT, 0),
         ]);
     }
 
@@ -62,9 +68,10 @@ class bulk_grade extends external_api
      * @param array $answers Array of answers
      * @param float $maxgrade Maximum grade
      * @param string $rubric Optional rubric
+     * @param int $questionid Question ID, 0 for assignments
      * @return array
      */
-    public static function execute(int $cmid, string $questiontext, array $answers, float $maxgrade, string $rubric = ''): array
+    public static function execute(int $cmid, string $questiontext, array $answers, float $maxgrade, string $rubric = '', int $questionid = 0): array
     {
         global $USER;
 
@@ -75,6 +82,7 @@ class bulk_grade extends external_api
             'answers' => $answers,
             'maxgrade' => $maxgrade,
             'rubric' => $rubric,
+            'questionid' => $questionid,
         ]);
 
         // Check capability.
@@ -82,24 +90,40 @@ class bulk_grade extends external_api
         self::validate_context($context);
         require_capability('local/aigrading:useaigrading', $context);
 
-        // Call AI service.
-        $service = new dali_service();
+        // Merge in the rubric, model answer and instructions configured for the activity.
+        $grading = activity_config::resolve($params['cmid'], $params['questionid'], $params['rubric']);
+
+        // Call the configured grading provider.
+        $service = factory::get_provider();
         $results = $service->bulk_grade(
             $params['questiontext'],
             $params['answers'],
             $params['maxgrade'],
-            !empty($params['rubric']) ? $params['rubric'] : null
+            $grading['rubric'],
+            $grading['graderinfo'],
+            $grading['instructions'],
+            $grading['exemplars']
         );
 
         // Format results for return.
         $formattedresults = [];
+        $answertexts = array_column($params['answers'], 'text', 'id');
         foreach ($results as $id => $result) {
+            $logid = audit_log::record([
+                'cmid' => $params['cmid'],
+                'questionid' => $params['questionid'] ?: null,
+                'maxgrade' => $params['maxgrade'],
+            ], $answertexts[$id] ?? '', $result, audit_log::SOURCE_BULK);
+
             $formattedresults[] = [
                 'id' => (string)$id,
+                'logid' => $logid,
                 'success' => $result['success'],
                 'grade' => $result['grade'] ?? 0,
-                'feedback' => $result['feedback'] ?? '',
+                'feedback' => rubric::append_breakdown($result['feedback'] ?? '', $result['criteria'] ?? []),
                 'explanation' => $result['explanation'] ?? '',
+                'flags' => injection_guard::describe($result['flags'] ?? []),
+                'consistency' => consistency_check::export($result),
                 'error' => $result['error'] ?? '',
             ];
         }
@@ -122,10 +146,13 @@ class bulk_grade extends external_api
             'results' => new external_multiple_structure(
                 new external_single_structure([
                     'id' => new external_value(PARAM_RAW, 'Answer identifier'),
+                    'logid' => new external_value(PARAM_INT, 'Audit log entry, used to record the teacher decision'),
                     'success' => new external_value(PARAM_BOOL, 'Whether grading was successful'),
                     'grade' => new external_value(PARAM_FLOAT, 'Suggested grade'),
                     'feedback' => new external_value(PARAM_RAW, 'Feedback for student'),
                     'explanation' => new external_value(PARAM_RAW, 'Explanation for teacher'),
+                    'flags' => suggest_grade::flags_returns(),
+                    'consistency' => suggest_grade::consistency_returns(),
                     'error' => new external_value(PARAM_RAW, 'Error message if any'),
                 ])
             ),
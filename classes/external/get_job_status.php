@@ -0,0 +1,106 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use local_aigrading\bulk_grader;
+
+/**
+ * External function to get the progress of a background grading job.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_job_status extends external_api
+{
+
+    /**
+     * Returns the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters
+    {
+        return new external_function_parameters([
+            'jobid' => new external_value(PARAM_INT, 'Grading job ID'),
+        ]);
+    }
+
+    /**
+     * Execute the function.
+     *
+     * @param int $jobid Grading job ID
+     * @return array
+     */
+    public static function execute(int $jobid): array
+    {
+        // Validate parameters.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'jobid' => $jobid,
+        ]);
+
+        $job = bulk_grader::get_job($params['jobid']);
+
+        // Check capability.
+        $context = \context_module::instance($job->cmid);
+        self::validate_context($context);
+        require_capability('local/aigrading:useaigrading', $context);
+
+        return bulk_grader::get_status($job);
+    }
+
+    /**
+     * Returns the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure
+    {
+        return new external_single_structure([
+            'jobid' => new external_value(PARAM_INT, 'Grading job ID'),
+            'status' => new external_value(PARAM_ALPHA, 'Job status: queued, running, completed or failed'),
+            'finished' => new external_value(PARAM_BOOL, 'Whether the job has stopped'),
+            'total' => new external_value(PARAM_INT, 'Number of items in the job'),
+            'graded' => new external_value(PARAM_INT, 'Number of grades written'),
+            'queued' => new external_value(PARAM_INT, 'Number of suggestions queued for review'),
+            'held' => new external_value(PARAM_INT, 'Number of results held for human review by the auto-apply policy'),
+            'unstable' => new external_value(PARAM_INT, 'Number of results whose grading runs disagreed'),
+            'failed' => new external_value(PARAM_INT, 'Number of items that could not be graded'),
+            'retryable' => new external_value(PARAM_INT, 'Number of failed items that can be graded again'),
+            'remaining' => new external_value(PARAM_INT, 'Number of items still to grade'),
+            'failures' => new external_multiple_structure(
+                new external_single_structure([
+                    'userid' => new external_value(PARAM_INT, 'Student'),
+                    'fullname' => new external_value(PARAM_TEXT, 'Student name'),
+                    'itemid' => new external_value(PARAM_INT, 'Quiz attempt ID or assignment submission ID'),
+                    'item' => new external_value(PARAM_TEXT, 'Description of the attempt or submission'),
+                    'reason' => new external_value(PARAM_ALPHA, 'Reason code: emptyanswer, unsupportedfile, ' .
+                        'extractionerror, timeout, invalidresponse, ratelimit, backenderror, notconfigured or unknown'),
+                    'reasontext' => new external_value(PARAM_TEXT, 'Reason for the teacher'),
+                    'error' => new external_value(PARAM_RAW, 'Error details'),
+                    'retryable' => new external_value(PARAM_BOOL, 'Whether grading the item again may succeed'),
+                ]),
+                'Items that could not be graded'
+            ),
+        ]);
+    }
+}
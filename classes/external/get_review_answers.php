@@ -0,0 +1,101 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use local_aigrading\review_workspace;
+
+/**
+ * External function to list the answers of all students to a quiz question for the review workspace.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_review_answers extends external_api
+{
+
+    /**
+     * Returns the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters
+    {
+        return new external_function_parameters([
+            'cmid' => new external_value(PARAM_INT, 'Course module ID'),
+            'slot' => new external_value(PARAM_INT, 'Question slot number'),
+        ]);
+    }
+
+    /**
+     * Execute the function.
+     *
+     * @param int $cmid Course module ID
+     * @param int $slot Question slot
+     * @return array
+     */
+    public static function execute(int $cmid, int $slot): array
+    {
+        // Validate parameters.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'cmid' => $cmid,
+            'slot' => $slot,
+        ]);
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+
+        // Check capability.
+        $context = \context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('local/aigrading:useaigrading', $context);
+        require_capability('mod/quiz:grade', $context);
+
+        return ['answers' => review_workspace::get_answers($cm, $params['slot'])];
+    }
+
+    /**
+     * Returns the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure
+    {
+        return new external_single_structure([
+            'answers' => new external_multiple_structure(
+                new external_single_structure([
+                    'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+                    'qubaid' => new external_value(PARAM_INT, 'Question usage ID of the attempt'),
+                    'slot' => new external_value(PARAM_INT, 'Question slot'),
+                    'userid' => new external_value(PARAM_INT, 'Student'),
+                    'fullname' => new external_value(PARAM_TEXT, 'Student name'),
+                    'qtype' => new external_value(PARAM_PLUGIN, 'Question type'),
+                    'answertext' => new external_value(PARAM_RAW, 'Answer as it is sent for grading'),
+                    'skipped' => suggest_grade::skipped_returns(),
+                    'mark' => new external_value(PARAM_FLOAT, 'Current mark, null if not graded', VALUE_OPTIONAL),
+                    'maxgrade' => new external_value(PARAM_FLOAT, 'Maximum mark of the question'),
+                    'graded' => new external_value(PARAM_BOOL, 'Whether a teacher has graded the answer'),
+                ]),
+                'Answers of all finished attempts, ordered by student name'
+            ),
+        ]);
+    }
+}
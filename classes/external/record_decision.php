@@ -0,0 +1,109 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_value;
+use local_aigrading\audit_log;
+use local_aigrading\student_feedback;
+
+/**
+ * External function to record what the teacher did with an AI suggestion.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class record_decision extends external_api
+{
+
+    /**
+     * Returns the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters
+    {
+        return new external_function_parameters([
+            'logid' => new external_value(PARAM_INT, 'Audit log entry ID'),
+            'decision' => new external_value(PARAM_ALPHA, 'applied or rejected'),
+            'grade' => new external_value(PARAM_FLOAT, 'Grade put into the grading form', VALUE_DEFAULT, null),
+            'feedback' => new external_value(PARAM_RAW, 'Applied feedback, kept as labelled feedback for the student',
+                VALUE_DEFAULT, ''),
+        ]);
+    }
+
+    /**
+     * Execute the function.
+     *
+     * @param int $logid Audit log entry ID
+     * @param string $decision applied or rejected
+     * @param float|null $grade Grade put into the grading form
+     * @param string $feedback Applied feedback
+     * @return array
+     */
+    public static function execute(int $logid, string $decision, ?float $grade = null, string $feedback = ''): array
+    {
+        // Validate parameters.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'logid' => $logid,
+            'decision' => $decision,
+            'grade' => $grade,
+            'feedback' => $feedback,
+        ]);
+
+        if (!in_array($params['decision'], [audit_log::STATUS_APPLIED, audit_log::STATUS_REJECTED])) {
+            throw new \invalid_parameter_exception('Invalid decision: ' . $params['decision']);
+        }
+
+        $entry = audit_log::get($params['logid']);
+
+        // Check capability.
+        $context = \context_module::instance($entry->cmid);
+        self::validate_context($context);
+        require_capability('local/aigrading:useaigrading', $context);
+
+        // Only suggestions still waiting for a decision can be updated.
+        if ($entry->status !== audit_log::STATUS_SUGGESTED) {
+            return ['success' => false];
+        }
+
+        audit_log::set_outcome($entry, $params['decision'], $params['grade']);
+
+        if ($params['decision'] === audit_log::STATUS_APPLIED && $params['feedback'] !== '') {
+            // The grading form has no place for labelled feedback. A teacher who applied
+            // a single suggestion has read it; answers graded in bulk still need approval.
+            student_feedback::comment((array) $entry, $params['feedback'], $entry->source === audit_log::SOURCE_SUGGEST);
+        }
+
+        return ['success' => true];
+    }
+
+    /**
+     * Returns the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure
+    {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the decision was recorded'),
+        ]);
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_value;
+use local_aigrading\bulk_grader;
+
+/**
+ * External function to grade the failed items of a background grading job again.
+ *
+ * Items that failed for a reason that would not change, such as an empty
+ * answer, are left out.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class retry_failed extends external_api
+{
+
+    /**
+     * Returns the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters
+    {
+        return new external_function_parameters([
+            'jobid' => new external_value(PARAM_INT, 'Grading job ID'),
+        ]);
+    }
+
+    /**
+     * Execute the function.
+     *
+     * @param int $jobid Grading job ID
+     * @return array
+     */
+    public static function execute(int $jobid): array
+    {
+        // Validate parameters.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'jobid' => $jobid,
+        ]);
+
+        $job = bulk_grader::get_job($params['jobid']);
+
+        // Check capability.
+        $context = \context_module::instance($job->cmid);
+        self::validate_context($context);
+        require_capability('local/aigrading:useaigrading', $context);
+        require_capability($job->itemtype === 'quiz' ? 'mod/quiz:grade' : 'mod/assign:grade', $context);
+
+        $total = bulk_grader::retry_failed($job);
+
+        return [
+            'success' => true,
+            'jobid' => $total ? $job->id : 0,
+            'total' => $total,
+            'message' => $total
+                ? get_string('retrystarted', 'local_aigrading', $total)
+                : get_string('retrynothing', 'local_aigrading'),
+        ];
+    }
+
+    /**
+     * Returns the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure
+    {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the request was successful'),
+            'jobid' => new external_value(PARAM_INT, 'Background grading job ID, 0 if nothing can be retried'),
+            'total' => new external_value(PARAM_INT, 'Number of items to grade again'),
+            'message' => new external_value(PARAM_RAW, 'Status message'),
+        ]);
+    }
+}
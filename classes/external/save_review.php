@@ -0,0 +1,105 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use local_aigrading\review_workspace;
+
+/**
+ * External function to write the grades accepted in the review workspace.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class save_review extends external_api
+{
+
+    /**
+     * Returns the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters
+    {
+        return new external_function_parameters([
+            'cmid' => new external_value(PARAM_INT, 'Course module ID'),
+            'slot' => new external_value(PARAM_INT, 'Question slot number'),
+            'rows' => new external_multiple_structure(
+                new external_single_structure([
+                    'qubaid' => new external_value(PARAM_INT, 'Question usage ID of the attempt'),
+                    'grade' => new external_value(PARAM_FLOAT, 'Grade to write'),
+                    'feedback' => new external_value(PARAM_RAW, 'Comment or AI feedback, empty to keep the current comment',
+                        VALUE_DEFAULT, ''),
+                    'logid' => new external_value(PARAM_INT, 'Audit log entry of the AI suggestion, 0 if there is none',
+                        VALUE_DEFAULT, 0),
+                ]),
+                'Accepted rows'
+            ),
+            'rejected' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Audit log entry of an AI suggestion'),
+                'Suggestions that were not accepted', VALUE_DEFAULT, []
+            ),
+        ]);
+    }
+
+    /**
+     * Execute the function.
+     *
+     * @param int $cmid Course module ID
+     * @param int $slot Question slot
+     * @param array $rows Accepted rows
+     * @param int[] $rejected Suggestions that were not accepted
+     * @return array
+     */
+    public static function execute(int $cmid, int $slot, array $rows, array $rejected = []): array
+    {
+        // Validate parameters.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'cmid' => $cmid,
+            'slot' => $slot,
+            'rows' => $rows,
+            'rejected' => $rejected,
+        ]);
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+
+        // Check capability.
+        $context = \context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('local/aigrading:useaigrading', $context);
+        require_capability('mod/quiz:grade', $context);
+
+        return ['saved' => review_workspace::save($cm, $params['slot'], $params['rows'], $params['rejected'])];
+    }
+
+    /**
+     * Returns the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure
+    {
+        return new external_single_structure([
+            'saved' => new external_value(PARAM_INT, 'Number of grades written'),
+        ]);
+    }
+}
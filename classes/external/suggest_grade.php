@@ -18,12 +18,18 @@ namespace local_aigrading\external;
 
 use core_external\external_api;
 use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
 use core_external\external_single_structure;
 use core_external\external_value;
-use local_aigrading\dali_service;
+use local_aigrading\activity_config;
+use local_aigrading\answer_loader;
+use local_aigrading\audit_log;
+use local_aigrading\consistency_check;
+use local_aigrading\injection_guard;
+use local_aigrading\provider\factory;
 
 /**
- * External function to get AI grade suggestion for a single answer.
+ * External function to get AI grade suggestion for a single quiz answer.
  *
  * @package    local_aigrading
  * @copyright  2025
@@ -40,61 +46,118 @@ class suggest_grade extends external_api
     public static function execute_parameters(): external_function_parameters
     {
         return new external_function_parameters([
-            'cmid' => new external_value(PARAM_INT, 'Course module ID'),
-            'questiontext' => new external_value(PARAM_RAW, 'The question text'),
-            'answertext' => new external_value(PARAM_RAW, 'The student answer text'),
-            'maxgrade' => new external_value(PARAM_FLOAT, 'Maximum possible grade'),
-            'rubric' => new external_value(PARAM_RAW, 'Optional custom rubric', VALUE_DEFAULT, ''),
-            'graderinfo' => new external_value(PARAM_RAW, 'Grading information/model answer', VALUE_DEFAULT, ''),
+            'cmid' => new external_value(PARAM_INT, 'Course module ID of the quiz'),
+            'qubaid' => new external_value(PARAM_INT, 'Question usage ID of the quiz attempt'),
+            'slot' => new external_value(PARAM_INT, 'Question slot'),
         ]);
     }
 
     /**
      * Execute the function.
      *
-     * @param int $cmid Course module ID
-     * @param string $questiontext Question text
-     * @param string $answertext Answer text
-     * @param float $maxgrade Maximum grade
-     * @param string $rubric Optional rubric
-     * @param string $graderinfo Optional grading information
+     * The question, the answer and the maximum mark are loaded from the attempt.
+     *
+     * @param int $cmid Course module ID of the quiz
+     * @param int $qubaid Question usage ID of the quiz attempt
+     * @param int $slot Question slot
      * @return array
      */
-    public static function execute(int $cmid, string $questiontext, string $answertext, float $maxgrade, string $rubric = '', string $graderinfo = ''): array
+    public static function execute(int $cmid, int $qubaid, int $slot): array
     {
-        global $USER;
-
         // Validate parameters.
         $params = self::validate_parameters(self::execute_parameters(), [
             'cmid' => $cmid,
-            'questiontext' => $questiontext,
-            'answertext' => $answertext,
-            'maxgrade' => $maxgrade,
-            'rubric' => $rubric,
-            'graderinfo' => $graderinfo,
+            'qubaid' => $qubaid,
+            'slot' => $slot,
         ]);
 
         // Check capability.
         $context = \context_module::instance($params['cmid']);
         self::validate_context($context);
         require_capability('local/aigrading:useaigrading', $context);
+        require_capability('mod/quiz:grade', $context);
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        return self::suggest($cm, $params['qubaid'], $params['slot']);
+    }
 
-        // Call AI service.
-        $service = new dali_service();
+    /**
+     * Suggest a grade for a quiz answer and record it in the audit log.
+     *
+     * The caller checks that the user may grade the quiz.
+     *
+     * @param \stdClass $cm Course module of the quiz
+     * @param int $qubaid Question usage ID of the quiz attempt
+     * @param int $slot Question slot
+     * @param callable|null $listener Stream listener of the grading provider, see provider::set_stream_listener()
+     * @return array See execute_returns()
+     */
+    public static function suggest(\stdClass $cm, int $qubaid, int $slot, ?callable $listener = null): array
+    {
+        $answer = answer_loader::quiz($cm, $qubaid, $slot);
+        $document = $answer['document'];
+
+        if ($document['text'] === '') {
+            return [
+                'success' => false,
+                'logid' => 0,
+                'grade' => 0,
+                'maxgrade' => $answer['maxgrade'],
+                'feedback' => '',
+                'explanation' => '',
+                'confidence' => 'low',
+                'criteria' => [],
+                'parts' => [],
+                'skipped' => $document['skipped'],
+                'flags' => [],
+                'consistency' => consistency_check::export([]),
+                'error' => get_string($document['skipped'] ? 'error:nosubmissiontext' : 'error:emptyanswer',
+                    'local_aigrading'),
+            ];
+        }
+
+        // Merge in the rubric, model answer and instructions configured for the activity.
+        $grading = activity_config::resolve($cm->id, $answer['questionid'], null, $answer['graderinfo']);
+
+        // Call the configured grading provider.
+        $service = factory::get_provider();
+        $service->set_stream_listener($listener);
         $result = $service->suggest_grade(
-            $params['questiontext'],
-            $params['answertext'],
-            $params['maxgrade'],
-            !empty($params['rubric']) ? $params['rubric'] : null,
-            !empty($params['graderinfo']) ? $params['graderinfo'] : null
+            $answer['questiontext'],
+            $answer['answertext'],
+            $answer['maxgrade'],
+            $grading['rubric'],
+            $grading['graderinfo'],
+            $grading['instructions'],
+            $answer['userid'],
+            $grading['exemplars']
         );
+        $result['flags'] = array_merge($document['flags'], $result['flags'] ?? []);
+
+        $logid = audit_log::record([
+            'cmid' => $cm->id,
+            'itemtype' => 'quiz',
+            'itemid' => $answer['itemid'],
+            'userid' => $answer['userid'],
+            'qubaid' => $answer['qubaid'],
+            'slot' => $answer['slot'],
+            'questionid' => $answer['questionid'],
+            'maxgrade' => $answer['maxgrade'],
+        ], $answer['answertext'], $result, audit_log::SOURCE_SUGGEST);
 
         return [
             'success' => $result['success'],
+            'logid' => $logid,
             'grade' => $result['grade'] ?? 0,
+            'maxgrade' => $answer['maxgrade'],
             'feedback' => $result['feedback'] ?? '',
             'explanation' => $result['explanation'] ?? '',
             'confidence' => $result['confidence'] ?? 'medium',
+            'criteria' => $result['criteria'] ?? [],
+            'parts' => $document['parts'],
+            'skipped' => $document['skipped'],
+            'flags' => injection_guard::describe($result['flags']),
+            'consistency' => consistency_check::export($result),
             'error' => $result['error'] ?? '',
         ];
     }
@@ -108,11 +171,114 @@ class suggest_grade extends external_api
     {
         return new external_single_structure([
             'success' => new external_value(PARAM_BOOL, 'Whether the request was successful'),
+            'logid' => new external_value(PARAM_INT, 'Audit log entry, 0 if the backend was not called'),
             'grade' => new external_value(PARAM_FLOAT, 'Suggested grade'),
+            'maxgrade' => new external_value(PARAM_FLOAT, 'Mark the question is worth in the quiz'),
             'feedback' => new external_value(PARAM_RAW, 'Feedback for student'),
             'explanation' => new external_value(PARAM_RAW, 'Explanation for teacher'),
             'confidence' => new external_value(PARAM_ALPHA, 'AI confidence level: high, medium, or low'),
+            'criteria' => self::criteria_returns(),
+            'parts' => self::parts_returns(),
+            'skipped' => self::skipped_returns(),
+            'flags' => self::flags_returns(),
+            'consistency' => self::consistency_returns(),
             'error' => new external_value(PARAM_RAW, 'Error message if any'),
         ]);
     }
+
+    /**
+     * Return structure of the per-criterion scores of a structured rubric.
+     *
+     * @return external_multiple_structure
+     */
+    public static function criteria_returns(): external_multiple_structure
+    {
+        return new external_multiple_structure(
+            new external_single_structure([
+                'name' => new external_value(PARAM_RAW, 'Criterion name'),
+                'score' => new external_value(PARAM_FLOAT, 'Suggested score'),
+                'maxscore' => new external_value(PARAM_FLOAT, 'Maximum score of the criterion'),
+                'justification' => new external_value(PARAM_RAW, 'Why the score was given'),
+                'criterionid' => new external_value(PARAM_INT, 'Criterion of the Moodle rubric or marking guide',
+                    VALUE_OPTIONAL),
+                'levelid' => new external_value(PARAM_INT, 'Suggested level of the Moodle rubric', VALUE_OPTIONAL),
+                'levels' => new external_multiple_structure(
+                    new external_single_structure([
+                        'id' => new external_value(PARAM_INT, 'Level ID'),
+                        'score' => new external_value(PARAM_FLOAT, 'Level score'),
+                    ]),
+                    'Levels of the Moodle rubric criterion', VALUE_OPTIONAL
+                ),
+            ]),
+            'Per-criterion scores, empty unless the rubric is structured'
+        );
+    }
+
+    /**
+     * Return structure of the parts of a submission or quiz answer that were graded.
+     *
+     * @return external_multiple_structure
+     */
+    public static function parts_returns(): external_multiple_structure
+    {
+        return new external_multiple_structure(
+            new external_single_structure([
+                'name' => new external_value(PARAM_RAW, 'Typed answer label or file name'),
+                'type' => new external_value(PARAM_ALPHA, 'onlinetext or file'),
+                'method' => new external_value(PARAM_ALPHANUMEXT, 'How the text was read: onlinetext, ocr or the file format'),
+                'length' => new external_value(PARAM_INT, 'Characters sent for grading'),
+                'originallength' => new external_value(PARAM_INT, 'Characters in the part'),
+                'truncated' => new external_value(PARAM_BOOL, 'Whether the part was cut to fit the length limit'),
+            ]),
+            'Parts of the submission or quiz answer that were graded'
+        );
+    }
+
+    /**
+     * Return structure of the files that could not be graded.
+     *
+     * @return external_multiple_structure
+     */
+    public static function skipped_returns(): external_multiple_structure
+    {
+        return new external_multiple_structure(
+            new external_single_structure([
+                'name' => new external_value(PARAM_RAW, 'File name'),
+                'code' => new external_value(PARAM_ALPHA, 'unsupported, failed or empty'),
+                'reason' => new external_value(PARAM_RAW, 'Why the file was not graded'),
+            ]),
+            'Files that were not graded'
+        );
+    }
+
+    /**
+     * Return structure of the warnings about answers that may be manipulating the grader.
+     *
+     * @return external_multiple_structure
+     */
+    public static function flags_returns(): external_multiple_structure
+    {
+        return new external_multiple_structure(
+            new external_value(PARAM_RAW, 'Warning'),
+            'Why the answer may be manipulating the grader, empty if nothing was found'
+        );
+    }
+
+    /**
+     * Return structure of the grading runs of consistency mode.
+     *
+     * @return external_single_structure
+     */
+    public static function consistency_returns(): external_single_structure
+    {
+        return new external_single_structure([
+            'runs' => new external_value(PARAM_INT, 'How many times the answer was graded'),
+            'grades' => new external_multiple_structure(
+                new external_value(PARAM_FLOAT, 'Grade'),
+                'Grade of each run, empty if the answer was graded once'
+            ),
+            'spread' => new external_value(PARAM_FLOAT, 'Difference between the highest and lowest grade'),
+            'unstable' => new external_value(PARAM_BOOL, 'Whether the runs disagreed by more than the threshold'),
+        ]);
+    }
 }
@@ -20,8 +20,15 @@ use core_external\external_api;
 use core_external\external_function_parameters;
 use core_external\external_single_structure;
 use core_external\external_value;
-use local_aigrading\ai_service;
-use local_aigrading\file_extractor;
+use local_aigrading\activity_config;
+use local_aigrading\advanced_grading;
+use local_aigrading\answer_loader;
+use local_aigrading\audit_log;
+use local_aigrading\consistency_check;
+use local_aigrading\grade_writer;
+use local_aigrading\injection_guard;
+use local_aigrading\provider\factory;
+use local_aigrading\submission_document;
 
 /**
  * External function to suggest grade for a file submission.
@@ -41,123 +48,143 @@ class suggest_grade_file extends external_api
     public static function execute_parameters(): external_function_parameters
     {
         return new external_function_parameters([
-            'cmid' => new external_value(PARAM_INT, 'Course module ID'),
-            'userid' => new external_value(PARAM_INT, 'User ID'),
-            'assignmentdesc' => new external_value(PARAM_RAW, 'Assignment description'),
-            'maxgrade' => new external_value(PARAM_FLOAT, 'Maximum grade'),
+            'cmid' => new external_value(PARAM_INT, 'Course module ID of the assignment'),
+            'userid' => new external_value(PARAM_INT, 'Student ID'),
         ]);
     }
 
     /**
      * Execute the function.
      *
-     * @param int $cmid Course module ID
-     * @param int $userid User ID  
-     * @param string $assignmentdesc Assignment description
-     * @param float $maxgrade Maximum grade
+     * The assignment description, the submission and the maximum grade are loaded from the assignment.
+     *
+     * @param int $cmid Course module ID of the assignment
+     * @param int $userid Student ID
      * @return array
      */
-    public static function execute(int $cmid, int $userid, string $assignmentdesc, float $maxgrade): array
+    public static function execute(int $cmid, int $userid): array
     {
-        global $DB;
-
         // Validate parameters.
         $params = self::validate_parameters(self::execute_parameters(), [
             'cmid' => $cmid,
             'userid' => $userid,
-            'assignmentdesc' => $assignmentdesc,
-            'maxgrade' => $maxgrade,
         ]);
 
         // Check capability.
         $context = \context_module::instance($params['cmid']);
         self::validate_context($context);
         require_capability('local/aigrading:useaigrading', $context);
+        require_capability('mod/assign:grade', $context);
 
-        // Get submission text.
         $cm = get_coursemodule_from_id('assign', $params['cmid'], 0, false, MUST_EXIST);
-        $assign = $DB->get_record('assign', ['id' => $cm->instance], '*', MUST_EXIST);
+        return self::suggest($cm, $params['userid']);
+    }
+
+    /**
+     * Suggest a grade for the latest submission of a student and record it in the audit log.
+     *
+     * The caller checks that the user may grade the assignment.
+     *
+     * @param \stdClass $cm Course module of the assignment
+     * @param int $userid Student ID
+     * @param callable|null $listener Stream listener of the grading provider, see provider::set_stream_listener()
+     * @return array See execute_returns()
+     */
+    public static function suggest(\stdClass $cm, int $userid, ?callable $listener = null): array
+    {
+        global $DB;
+
+        $context = \context_module::instance($cm->id);
+        $assignment = grade_writer::get_assignment($cm->id);
+        $assign = $assignment->get_instance();
+        $task = answer_loader::assignment($assignment);
 
         // Get the latest submission.
         $submission = $DB->get_record_sql(
             "SELECT * FROM {assign_submission} 
              WHERE assignment = :assignid AND userid = :userid AND latest = 1",
-            ['assignid' => $assign->id, 'userid' => $params['userid']]
+            ['assignid' => $assign->id, 'userid' => $userid]
         );
 
         if (!$submission) {
             return [
                 'success' => false,
+                'logid' => 0,
                 'grade' => 0,
+                'maxgrade' => $task['maxgrade'],
                 'feedback' => '',
                 'explanation' => '',
                 'confidence' => 'low',
+                'criteria' => [],
+                'parts' => [],
+                'skipped' => [],
+                'flags' => [],
+                'consistency' => consistency_check::export([]),
                 'error' => 'No submission found.',
             ];
         }
 
-        $submissionText = '';
-
-        // Try online text first.
-        $onlinetext = $DB->get_record('assignsubmission_onlinetext', [
-            'submission' => $submission->id
-        ]);
-        if ($onlinetext && !empty($onlinetext->onlinetext)) {
-            $submissionText = strip_tags($onlinetext->onlinetext);
-        }
+        // Combine the online text and every supported file into one document.
+        $document = submission_document::build($context, $submission->id);
 
-        // If no online text, try file.
-        if (empty(trim($submissionText))) {
-            $fs = get_file_storage();
-            $extractor = new file_extractor();
-
-            $files = $fs->get_area_files(
-                $context->id,
-                'assignsubmission_file',
-                'submission_files',
-                $submission->id,
-                'sortorder, id',
-                false
-            );
-
-            foreach ($files as $file) {
-                if ($extractor->is_supported($file->get_mimetype())) {
-                    $result = $extractor->extract($file);
-                    if ($result['success'] && !empty($result['text'])) {
-                        $submissionText = $result['text'];
-                        break;
-                    }
-                }
-            }
-        }
-
-        if (empty(trim($submissionText))) {
+        if ($document['text'] === '') {
             return [
                 'success' => false,
+                'logid' => 0,
                 'grade' => 0,
+                'maxgrade' => $task['maxgrade'],
                 'feedback' => '',
                 'explanation' => '',
                 'confidence' => 'low',
-                'error' => 'No text content found in submission. Only PDF, DOCX, and TXT files are supported.',
+                'criteria' => [],
+                'parts' => [],
+                'skipped' => $document['skipped'],
+                'flags' => [],
+                'consistency' => consistency_check::export([]),
+                'error' => get_string('error:nosubmissiontext', 'local_aigrading'),
             ];
         }
 
         // Get AI suggestion.
-        $service = new ai_service();
+        $grading = activity_config::resolve($cm->id);
+        $service = factory::get_provider();
+        $service->set_stream_listener($listener);
         $result = $service->suggest_grade(
-            $params['assignmentdesc'],
-            $submissionText,
-            $params['maxgrade'],
-            null,
-            ''
+            $task['questiontext'],
+            $document['text'],
+            $task['maxgrade'],
+            $grading['rubric'],
+            $grading['graderinfo'],
+            $grading['instructions'],
+            $submission->userid,
+            $grading['exemplars']
         );
+        $result['flags'] = array_merge($document['flags'], $result['flags'] ?? []);
+        if ($grading['advancedgrading']) {
+            $result = advanced_grading::apply($grading['advancedgrading'], $result, $task['maxgrade']);
+        }
+
+        $logid = audit_log::record([
+            'cmid' => $cm->id,
+            'itemtype' => 'assign',
+            'itemid' => $submission->id,
+            'userid' => $submission->userid,
+            'maxgrade' => $task['maxgrade'],
+        ], $document['text'], $result, audit_log::SOURCE_SUGGEST);
 
         return [
             'success' => $result['success'],
+            'logid' => $logid,
             'grade' => $result['grade'] ?? 0,
+            'maxgrade' => $task['maxgrade'],
             'feedback' => $result['feedback'] ?? '',
             'explanation' => $result['explanation'] ?? '',
             'confidence' => $result['confidence'] ?? 'medium',
+            'criteria' => $result['criteria'] ?? [],
+            'parts' => $document['parts'],
+            'skipped' => $document['skipped'],
+            'flags' => injection_guard::describe($result['flags']),
+            'consistency' => consistency_check::export($result),
             'error' => $result['error'] ?? '',
         ];
     }
@@ -171,10 +198,17 @@ class suggest_grade_file extends external_api
     {
         return new external_single_structure([
             'success' => new external_value(PARAM_BOOL, 'Whether the request was successful'),
+            'logid' => new external_value(PARAM_INT, 'Audit log entry, 0 if the backend was not called'),
             'grade' => new external_value(PARAM_FLOAT, 'Suggested grade'),
+            'maxgrade' => new external_value(PARAM_FLOAT, 'Maximum grade of the assignment'),
             'feedback' => new external_value(PARAM_RAW, 'Feedback for student'),
             'explanation' => new external_value(PARAM_RAW, 'Explanation for teacher'),
             'confidence' => new external_value(PARAM_ALPHA, 'Confidence level'),
+            'criteria' => suggest_grade::criteria_returns(),
+            'parts' => suggest_grade::parts_returns(),
+            'skipped' => suggest_grade::skipped_returns(),
+            'flags' => suggest_grade::flags_returns(),
+            'consistency' => suggest_grade::consistency_returns(),
             'error' => new external_value(PARAM_RAW, 'Error message if failed'),
         ]);
     }
@@ -34,53 +34,215 @@ class file_extractor
         'application/msword' => 'extract_doc',
         'text/plain' => 'extract_txt',
         'text/html' => 'extract_html',
+        'application/vnd.oasis.opendocument.text' => 'extract_odt',
+        'application/vnd.oasis.opendocument.presentation' => 'extract_odp',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation' => 'extract_pptx',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' => 'extract_xlsx',
+        'text/rtf' => 'extract_rtf',
+        'application/rtf' => 'extract_rtf',
+        'text/markdown' => 'extract_txt',
+        'image/jpeg' => 'extract_image',
+        'image/png' => 'extract_image',
     ];
 
+    /** @var array File extensions whose content type is often reported as generic, with their extractor */
+    private const SUPPORTED_EXTENSIONS = [
+        'md' => 'extract_txt',
+        'markdown' => 'extract_txt',
+        'ipynb' => 'extract_ipynb',
+        'rtf' => 'extract_rtf',
+    ];
+
+    /** @var array Source code file extensions with the language name used for the code block */
+    private const SOURCE_EXTENSIONS = [
+        'py' => 'python',
+        'java' => 'java',
+        'c' => 'c',
+        'h' => 'c',
+        'cpp' => 'cpp',
+        'cc' => 'cpp',
+        'hpp' => 'cpp',
+        'cs' => 'csharp',
+        'js' => 'javascript',
+        'ts' => 'typescript',
+        'php' => 'php',
+        'rb' => 'ruby',
+        'go' => 'go',
+        'rs' => 'rust',
+        'kt' => 'kotlin',
+        'swift' => 'swift',
+        'scala' => 'scala',
+        'r' => 'r',
+        'm' => 'matlab',
+        'sql' => 'sql',
+        'sh' => 'bash',
+        'pl' => 'perl',
+        'hs' => 'haskell',
+        'lua' => 'lua',
+    ];
+
+    /** @var string OpenDocument text namespace */
+    private const NS_ODF_TEXT = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+
+    /** @var string OpenDocument drawing namespace */
+    private const NS_ODF_DRAW = 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0';
+
+    /** @var string DrawingML namespace used for PowerPoint text */
+    private const NS_DRAWINGML = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+
+    /** @var string PresentationML namespace */
+    private const NS_PRESENTATIONML = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+
+    /** @var string SpreadsheetML namespace */
+    private const NS_SPREADSHEETML = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+    /** @var string Office document relationships namespace */
+    private const NS_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    /** @var string Package relationships namespace */
+    private const NS_PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+    /** @var int A PDF with fewer non-blank characters than this is treated as scanned */
+    private const OCR_MIN_TEXT = 20;
+
+    /** @var string Extraction method reported for text recognised by OCR */
+    public const METHOD_OCR = 'ocr';
+
     /** @var int Maximum text length to return */
     private int $maxtextlength;
 
+    /** @var bool Whether OCR is enabled and Tesseract is installed */
+    private bool $ocravailable;
+
+    /** @var string[] Text of the file being extracted that is hidden from readers */
+    private array $hiddentext = [];
+
     /**
      * Constructor.
      */
     public function __construct()
     {
         $this->maxtextlength = (int) get_config('local_aigrading', 'maxtextlength') ?: 50000;
+        $this->ocravailable = self::ocr_available();
+    }
+
+    /**
+     * Check whether OCR is enabled and the Tesseract executable exists.
+     *
+     * @return bool
+     */
+    public static function ocr_available(): bool
+    {
+        return (bool) get_config('local_aigrading', 'ocrenabled') && is_executable(self::get_tesseract_path());
+    }
+
+    /**
+     * Find out which Tesseract version is installed, for the settings page.
+     *
+     * @return string|null Version line, or null if Tesseract cannot be run
+     */
+    public static function detect_ocr(): ?string
+    {
+        $path = self::get_tesseract_path();
+        if (!is_executable($path)) {
+            return null;
+        }
+
+        $output = [];
+        $returncode = 0;
+        exec(escapeshellarg($path) . " --version 2>&1", $output, $returncode);
+
+        return $returncode === 0 && !empty($output) ? trim($output[0]) : null;
+    }
+
+    /**
+     * Configured path of the Tesseract executable.
+     *
+     * @return string
+     */
+    private static function get_tesseract_path(): string
+    {
+        return get_config('local_aigrading', 'pathtotesseract') ?: '/usr/bin/tesseract';
     }
 
     /**
      * Check if a file type is supported.
      *
      * @param string $mimetype MIME type of the file
+     * @param string $filename File name, to recognise Markdown, notebooks and source code by extension
      * @return bool
      */
-    public function is_supported(string $mimetype): bool
+    public function is_supported(string $mimetype, string $filename = ''): bool
     {
-        return isset(self::SUPPORTED_TYPES[$mimetype]);
+        return $this->get_method($mimetype, $filename) !== null;
+    }
+
+    /**
+     * Find the extractor for a file.
+     *
+     * The extension wins over the MIME type, since source code and notebooks
+     * are usually stored as text/plain or application/octet-stream.
+     *
+     * @param string $mimetype MIME type of the file
+     * @param string $filename File name
+     * @return string|null Method name
+     */
+    private function get_method(string $mimetype, string $filename): ?string
+    {
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+
+        if (isset(self::SOURCE_EXTENSIONS[$extension])) {
+            return 'extract_source';
+        }
+
+        $method = self::SUPPORTED_EXTENSIONS[$extension] ?? self::SUPPORTED_TYPES[$mimetype] ?? null;
+        if ($method === 'extract_image' && !$this->ocravailable) {
+            return null;
+        }
+        return $method;
     }
 
     /**
      * Extract text from a stored file.
      *
+     * Image-only PDFs, such as scans of handwritten work, and images are read
+     * with OCR when it is available.
+     *
      * @param \stored_file $file The file to extract text from
-     * @return array ['success' => bool, 'text' => string, 'error' => string]
+     * @return array ['success' => bool, 'text' => string, 'error' => string, 'method' => string, 'hiddentext' => string]
+     *     where method is the extractor used, such as pdf, docx or ocr, and hiddentext is text left
+     *     out because readers cannot see it, such as hidden or white DOCX text
      */
     public function extract(\stored_file $file): array
     {
         $mimetype = $file->get_mimetype();
+        $method = $this->get_method($mimetype, $file->get_filename());
 
-        if (!$this->is_supported($mimetype)) {
+        if ($method === null) {
             return [
                 'success' => false,
                 'text' => '',
                 'error' => "Unsupported file type: $mimetype",
+                'method' => '',
+                'hiddentext' => '',
             ];
         }
 
-        $method = self::SUPPORTED_TYPES[$mimetype];
+        $usedmethod = $method === 'extract_image' ? self::METHOD_OCR : substr($method, strlen('extract_'));
+        $this->hiddentext = [];
 
         try {
             $text = $this->$method($file);
 
+            if ($method === 'extract_pdf' && preg_match_all('/\S/u', $text) < self::OCR_MIN_TEXT) {
+                // No text layer: the PDF is most likely a scan.
+                if (!$this->ocravailable) {
+                    throw new \Exception(get_string('error:scannedpdf', 'local_aigrading'));
+                }
+                $text = $this->ocr_pdf($file);
+                $usedmethod = self::METHOD_OCR;
+            }
+
             // Truncate if too long.
             if (strlen($text) > $this->maxtextlength) {
                 $text = substr($text, 0, $this->maxtextlength) .
@@ -91,12 +253,16 @@ class file_extractor
                 'success' => true,
                 'text' => trim($text),
                 'error' => '',
+                'method' => $usedmethod,
+                'hiddentext' => trim(implode(' ', $this->hiddentext)),
             ];
         } catch (\Exception $e) {
             return [
                 'success' => false,
                 'text' => '',
                 'error' => $e->getMessage(),
+                'method' => $usedmethod,
+                'hiddentext' => '',
             ];
         }
     }
@@ -194,6 +360,8 @@ class file_extractor
     /**
      * Recursively extract text nodes from XML.
      *
+     * Runs that readers cannot see are left out and kept in $hiddentext instead.
+     *
      * @param \SimpleXMLElement $node
      * @param array $text
      */
@@ -201,6 +369,15 @@ class file_extractor
     {
         $nodename = $node->getName();
 
+        if ($nodename === 'r' && isset($node->rPr) && $this->is_hidden_run($node->rPr)) {
+            $hidden = [];
+            foreach ($node->children() as $child) {
+                $this->extract_text_nodes($child, $hidden);
+            }
+            $this->hiddentext[] = implode('', $hidden);
+            return;
+        }
+
         // Paragraph boundary.
         if ($nodename === 'p') {
             $paragraphtext = [];
@@ -225,6 +402,40 @@ class file_extractor
         }
     }
 
+    /**
+     * Check whether the formatting of a DOCX run hides its text.
+     *
+     * Hidden (vanish) text, white text without a background and text smaller
+     * than 2pt are all invisible on screen and in print.
+     *
+     * @param \SimpleXMLElement $rpr Run properties
+     * @return bool
+     */
+    private function is_hidden_run(\SimpleXMLElement $rpr): bool
+    {
+        $value = function(string $name) use ($rpr): ?string {
+            if (!isset($rpr->$name)) {
+                return null;
+            }
+            $attributes = $rpr->$name->attributes('w', true);
+            return isset($attributes['val']) ? strtolower((string) $attributes['val']) : '';
+        };
+
+        $vanish = $value('vanish');
+        if ($vanish !== null && !in_array($vanish, ['0', 'false', 'off'])) {
+            return true;
+        }
+
+        $color = $value('color');
+        if (in_array($color, ['ffffff', 'fff']) && !isset($rpr->highlight) && !isset($rpr->shd)) {
+            return true;
+        }
+
+        // Sizes are in half-points.
+        $size = $value('sz');
+        return $size !== null && $size !== '' && (int) $size < 4;
+    }
+
     /**
      * Extract text from DOC file (old Word format).
      *
@@ -307,6 +518,645 @@ class file_extractor
         return trim($text);
     }
 
+    /**
+     * Extract text from an OpenDocument text file (ODT).
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_odt(\stored_file $file): string
+    {
+        $dom = $this->load_xml($this->read_zip_entries($file, ['content.xml'])['content.xml']);
+        return implode("\n", $this->odf_paragraphs($dom->documentElement));
+    }
+
+    /**
+     * Extract text from an OpenDocument presentation (ODP), slide by slide.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_odp(\stored_file $file): string
+    {
+        $dom = $this->load_xml($this->read_zip_entries($file, ['content.xml'])['content.xml']);
+
+        $slides = [];
+        foreach ($dom->getElementsByTagNameNS(self::NS_ODF_DRAW, 'page') as $i => $page) {
+            $slides[] = "--- Slide " . ($i + 1) . " ---\n" . implode("\n", $this->odf_paragraphs($page));
+        }
+        return implode("\n\n", $slides);
+    }
+
+    /**
+     * Collect the paragraphs and headings below an OpenDocument element.
+     *
+     * @param \DOMNode $node
+     * @return array
+     */
+    private function odf_paragraphs(\DOMNode $node): array
+    {
+        $paragraphs = [];
+        foreach ($node->childNodes as $child) {
+            if (!$child instanceof \DOMElement) {
+                continue;
+            }
+            if ($child->namespaceURI === self::NS_ODF_TEXT && in_array($child->localName, ['p', 'h'])) {
+                $text = trim($this->odf_inline_text($child));
+                if ($text !== '') {
+                    $paragraphs[] = $text;
+                }
+            } else {
+                $paragraphs = array_merge($paragraphs, $this->odf_paragraphs($child));
+            }
+        }
+        return $paragraphs;
+    }
+
+    /**
+     * Text of an OpenDocument paragraph, with its spacing elements.
+     *
+     * @param \DOMNode $node
+     * @return string
+     */
+    private function odf_inline_text(\DOMNode $node): string
+    {
+        $text = '';
+        foreach ($node->childNodes as $child) {
+            if ($child instanceof \DOMText) {
+                $text .= $child->data;
+            } else if ($child instanceof \DOMElement && $child->namespaceURI === self::NS_ODF_TEXT) {
+                switch ($child->localName) {
+                    case 's':
+                        $text .= str_repeat(' ', max(1, (int) $child->getAttributeNS(self::NS_ODF_TEXT, 'c')));
+                        break;
+                    case 'tab':
+                        $text .= "\t";
+                        break;
+                    case 'line-break':
+                        $text .= "\n";
+                        break;
+                    case 'note':
+                        // Footnotes are kept inline, in brackets.
+                        $text .= ' [' . trim($this->odf_inline_text($child)) . ']';
+                        break;
+                    default:
+                        $text .= $this->odf_inline_text($child);
+                }
+            } else if ($child instanceof \DOMElement) {
+                $text .= $this->odf_inline_text($child);
+            }
+        }
+        return $text;
+    }
+
+    /**
+     * Extract text from a PowerPoint presentation (PPTX), slide by slide in presentation order.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_pptx(\stored_file $file): string
+    {
+        return $this->with_zip($file, function(\ZipArchive $zip) {
+            $slidepaths = [];
+
+            $presentation = $zip->getFromName('ppt/presentation.xml');
+            $rels = $this->read_relationships($zip, 'ppt/presentation.xml');
+            if ($presentation !== false) {
+                $dom = $this->load_xml($presentation);
+                foreach ($dom->getElementsByTagNameNS(self::NS_PRESENTATIONML, 'sldId') as $slide) {
+                    $relid = $slide->getAttributeNS(self::NS_RELATIONSHIPS, 'id');
+                    if (isset($rels[$relid])) {
+                        $slidepaths[] = $rels[$relid];
+                    }
+                }
+            }
+
+            // Fall back to the slide file numbers.
+            if (!$slidepaths) {
+                for ($i = 0; $i < $zip->numFiles; $i++) {
+                    $name = $zip->getNameIndex($i);
+                    if (preg_match('#^ppt/slides/slide\d+\.xml$#', $name)) {
+                        $slidepaths[] = $name;
+                    }
+                }
+                natsort($slidepaths);
+            }
+
+            $slides = [];
+            foreach (array_values($slidepaths) as $i => $path) {
+                $content = $zip->getFromName($path);
+                if ($content === false) {
+                    continue;
+                }
+                $paragraphs = [];
+                foreach ($this->load_xml($content)->getElementsByTagNameNS(self::NS_DRAWINGML, 'p') as $paragraph) {
+                    $text = '';
+                    foreach ($paragraph->getElementsByTagNameNS(self::NS_DRAWINGML, 't') as $run) {
+                        $text .= $run->textContent;
+                    }
+                    if (trim($text) !== '') {
+                        $paragraphs[] = trim($text);
+                    }
+                }
+                $slides[] = "--- Slide " . ($i + 1) . " ---\n" . implode("\n", $paragraphs);
+            }
+
+            return implode("\n\n", $slides);
+        });
+    }
+
+    /**
+     * Extract the cell values of an Excel workbook (XLSX), sheet by sheet.
+     *
+     * Cells are separated by tabs, so the columns stay aligned.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_xlsx(\stored_file $file): string
+    {
+        return $this->with_zip($file, function(\ZipArchive $zip) {
+            $workbook = $zip->getFromName('xl/workbook.xml');
+            if ($workbook === false) {
+                throw new \Exception("Failed to read XLSX workbook");
+            }
+
+            $sharedstrings = [];
+            $content = $zip->getFromName('xl/sharedStrings.xml');
+            if ($content !== false) {
+                foreach ($this->load_xml($content)->getElementsByTagNameNS(self::NS_SPREADSHEETML, 'si') as $item) {
+                    $text = '';
+                    foreach ($item->getElementsByTagNameNS(self::NS_SPREADSHEETML, 't') as $run) {
+                        $text .= $run->textContent;
+                    }
+                    $sharedstrings[] = $text;
+                }
+            }
+
+            $rels = $this->read_relationships($zip, 'xl/workbook.xml');
+            $sheets = [];
+            foreach ($this->load_xml($workbook)->getElementsByTagNameNS(self::NS_SPREADSHEETML, 'sheet') as $sheet) {
+                $path = $rels[$sheet->getAttributeNS(self::NS_RELATIONSHIPS, 'id')] ?? null;
+                $content = $path ? $zip->getFromName($path) : false;
+                if ($content === false) {
+                    continue;
+                }
+
+                $rows = [];
+                foreach ($this->load_xml($content)->getElementsByTagNameNS(self::NS_SPREADSHEETML, 'row') as $row) {
+                    $cells = [];
+                    foreach ($row->getElementsByTagNameNS(self::NS_SPREADSHEETML, 'c') as $cell) {
+                        $column = $this->xlsx_column_index($cell->getAttribute('r')) ?? count($cells);
+                        $cells[$column] = $this->xlsx_cell_value($cell, $sharedstrings);
+                    }
+                    if (trim(implode('', $cells)) === '') {
+                        continue;
+                    }
+                    $line = [];
+                    for ($i = 0; $i <= max(array_keys($cells)); $i++) {
+                        $line[] = $cells[$i] ?? '';
+                    }
+                    $rows[] = rtrim(implode("\t", $line));
+                }
+
+                $sheets[] = "--- Sheet: " . $sheet->getAttribute('name') . " ---\n" . implode("\n", $rows);
+            }
+
+            return implode("\n\n", $sheets);
+        });
+    }
+
+    /**
+     * Value of a spreadsheet cell as text.
+     *
+     * @param \DOMElement $cell
+     * @param array $sharedstrings
+     * @return string
+     */
+    private function xlsx_cell_value(\DOMElement $cell, array $sharedstrings): string
+    {
+        $type = $cell->getAttribute('t');
+
+        if ($type === 'inlineStr') {
+            $text = '';
+            foreach ($cell->getElementsByTagNameNS(self::NS_SPREADSHEETML, 't') as $run) {
+                $text .= $run->textContent;
+            }
+            return $text;
+        }
+
+        $value = $cell->getElementsByTagNameNS(self::NS_SPREADSHEETML, 'v')->item(0);
+        if ($value === null) {
+            return '';
+        }
+        $value = $value->textContent;
+
+        switch ($type) {
+            case 's':
+                return $sharedstrings[(int) $value] ?? '';
+            case 'b':
+                return $value ? 'TRUE' : 'FALSE';
+            default:
+                return $value;
+        }
+    }
+
+    /**
+     * Zero-based column index of a cell reference such as "C7".
+     *
+     * @param string $reference
+     * @return int|null
+     */
+    private function xlsx_column_index(string $reference): ?int
+    {
+        if (!preg_match('/^([A-Z]+)\d+$/', $reference, $matches)) {
+            return null;
+        }
+        $index = 0;
+        foreach (str_split($matches[1]) as $letter) {
+            $index = $index * 26 + (ord($letter) - ord('A') + 1);
+        }
+        return $index - 1;
+    }
+
+    /**
+     * Extract text from a Rich Text Format file (RTF).
+     *
+     * Formatting, font and colour tables, pictures and other destinations are dropped.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_rtf(\stored_file $file): string
+    {
+        $rtf = $file->get_content();
+        if (strpos(ltrim($rtf), '{\\rtf') !== 0) {
+            throw new \Exception("Not an RTF file");
+        }
+
+        // Destinations that hold no document text.
+        $skipdestinations = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer',
+            'headerl', 'headerr', 'footerl', 'footerr', 'object', 'listtable', 'listoverridetable', 'themedata',
+            'colorschememapping', 'datastore', 'latentstyles', 'rsidtbl', 'generator', 'xmlnstbl', 'mmathPr'];
+
+        $text = '';
+        $stack = [];
+        $skip = false;
+        $ucskip = 1;
+        $pendingskip = 0;
+        $length = strlen($rtf);
+
+        for ($i = 0; $i < $length; $i++) {
+            $char = $rtf[$i];
+
+            if ($char === '{') {
+                $stack[] = [$skip, $ucskip];
+                continue;
+            }
+            if ($char === '}') {
+                [$skip, $ucskip] = array_pop($stack) ?? [false, 1];
+                continue;
+            }
+            if ($char === "\r" || $char === "\n") {
+                continue;
+            }
+
+            if ($char !== '\\') {
+                if ($pendingskip > 0) {
+                    $pendingskip--;
+                } else if (!$skip) {
+                    $text .= $char;
+                }
+                continue;
+            }
+
+            // Control symbol or control word.
+            $next = $rtf[$i + 1] ?? '';
+            if ($next === '\\' || $next === '{' || $next === '}') {
+                if (!$skip) {
+                    $text .= $next;
+                }
+                $i++;
+                continue;
+            }
+            if ($next === "'") {
+                // Hexadecimal character in the Windows-1252 code page.
+                $hex = substr($rtf, $i + 2, 2);
+                $i += 3;
+                if ($pendingskip > 0) {
+                    $pendingskip--;
+                } else if (!$skip) {
+                    $text .= \core_text::convert(chr(hexdec($hex)), 'windows-1252', 'utf-8');
+                }
+                continue;
+            }
+            if ($next === '*') {
+                // Optional destination that this reader does not know.
+                $skip = true;
+                $i++;
+                continue;
+            }
+            if (!preg_match('/\G\\\\([a-zA-Z]+)(-?\d+)? ?/', $rtf, $matches, 0, $i)) {
+                // Other control symbols, such as \~ or \-.
+                if (!$skip && $next === '~') {
+                    $text .= ' ';
+                }
+                $i++;
+                continue;
+            }
+            $i += strlen($matches[0]) - 1;
+
+            $word = $matches[1];
+            $param = isset($matches[2]) && $matches[2] !== '' ? (int) $matches[2] : null;
+
+            if (in_array($word, $skipdestinations)) {
+                $skip = true;
+            } else if ($skip) {
+                continue;
+            } else if ($word === 'par' || $word === 'line' || $word === 'row') {
+                $text .= "\n";
+            } else if ($word === 'tab' || $word === 'cell') {
+                $text .= "\t";
+            } else if ($word === 'uc') {
+                $ucskip = $param ?? 1;
+            } else if ($word === 'u' && $param !== null) {
+                $text .= \core_text::code2utf8($param < 0 ? $param + 65536 : $param);
+                $pendingskip = $ucskip;
+            }
+        }
+
+        return trim(preg_replace("/\n{3,}/", "\n\n", $text));
+    }
+
+    /**
+     * Extract a Jupyter notebook (IPYNB): cells in order, with the outputs of code cells.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_ipynb(\stored_file $file): string
+    {
+        $notebook = json_decode($file->get_content(), true);
+        if (!is_array($notebook) || !isset($notebook['cells']) || !is_array($notebook['cells'])) {
+            throw new \Exception("Invalid Jupyter notebook");
+        }
+
+        $language = $notebook['metadata']['kernelspec']['language']
+            ?? $notebook['metadata']['language_info']['name'] ?? 'python';
+
+        $cells = [];
+        foreach ($notebook['cells'] as $i => $cell) {
+            $type = $cell['cell_type'] ?? 'code';
+            $source = $this->ipynb_text($cell['source'] ?? '');
+            $text = "--- Cell " . ($i + 1) . " ({$type}) ---\n";
+
+            if ($type !== 'code') {
+                $cells[] = $text . $source;
+                continue;
+            }
+
+            $text .= "```{$language}\n{$source}\n```";
+
+            $outputs = [];
+            foreach ($cell['outputs'] ?? [] as $output) {
+                switch ($output['output_type'] ?? '') {
+                    case 'stream':
+                        $outputs[] = $this->ipynb_text($output['text'] ?? '');
+                        break;
+                    case 'execute_result':
+                    case 'display_data':
+                        if (isset($output['data']['text/plain'])) {
+                            $outputs[] = $this->ipynb_text($output['data']['text/plain']);
+                        } else if ($output['data'] ?? []) {
+                            $outputs[] = '[' . implode(', ', array_keys($output['data'])) . ']';
+                        }
+                        break;
+                    case 'error':
+                        $traceback = $this->ipynb_text(implode("\n", $output['traceback'] ?? []));
+                        // Tracebacks carry terminal colour codes.
+                        $outputs[] = preg_replace('/\x1b\[[0-9;]*m/', '', $traceback)
+                            ?: ($output['ename'] ?? '') . ': ' . ($output['evalue'] ?? '');
+                        break;
+                }
+            }
+            if ($outputs) {
+                $text .= "\nOutput:\n" . rtrim(implode("\n", $outputs));
+            }
+
+            $cells[] = $text;
+        }
+
+        return implode("\n\n", $cells);
+    }
+
+    /**
+     * Notebook text, which is stored either as a string or as a list of lines.
+     *
+     * @param string|array $text
+     * @return string
+     */
+    private function ipynb_text($text): string
+    {
+        return rtrim(is_array($text) ? implode('', $text) : (string) $text);
+    }
+
+    /**
+     * Extract a source code file as a code block labelled with its language.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_source(\stored_file $file): string
+    {
+        $extension = strtolower(pathinfo($file->get_filename(), PATHINFO_EXTENSION));
+        $content = $file->get_content();
+        if (!mb_check_encoding($content, 'UTF-8')) {
+            $content = \core_text::convert($content, 'windows-1252', 'utf-8');
+        }
+
+        return "```" . self::SOURCE_EXTENSIONS[$extension] . "\n" . rtrim($content) . "\n```";
+    }
+
+    /**
+     * Recognise the text of a JPG or PNG image.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function extract_image(\stored_file $file): string
+    {
+        $tempdir = make_temp_directory('aigrading');
+        $tempfile = $tempdir . '/' . uniqid('img_') . '.' . pathinfo($file->get_filename(), PATHINFO_EXTENSION);
+        $file->copy_content_to($tempfile);
+
+        try {
+            return $this->ocr_image($tempfile);
+        } finally {
+            @unlink($tempfile);
+        }
+    }
+
+    /**
+     * Render the pages of a scanned PDF as images and recognise their text.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    private function ocr_pdf(\stored_file $file): string
+    {
+        $tempdir = make_temp_directory('aigrading/' . uniqid('ocr_'));
+        $pdffile = $tempdir . '/input.pdf';
+        $file->copy_content_to($pdffile);
+
+        try {
+            $pdftoppm = get_config('local_aigrading', 'pathtopdftoppm') ?: '/usr/bin/pdftoppm';
+            $maxpages = max(1, (int) get_config('local_aigrading', 'ocrmaxpages') ?: 10);
+
+            $output = [];
+            $returncode = 0;
+            exec(escapeshellarg($pdftoppm) . " -r 300 -gray -png -l " . $maxpages . " " .
+                escapeshellarg($pdffile) . " " . escapeshellarg($tempdir . '/page') . " 2>&1", $output, $returncode);
+
+            if ($returncode !== 0) {
+                throw new \Exception("pdftoppm failed: " . implode("\n", $output));
+            }
+
+            $pages = glob($tempdir . '/page-*.png');
+            natsort($pages);
+
+            $text = [];
+            foreach (array_values($pages) as $i => $page) {
+                $text[] = "--- Page " . ($i + 1) . " ---\n" . $this->ocr_image($page);
+            }
+            return implode("\n\n", $text);
+        } finally {
+            remove_dir($tempdir);
+        }
+    }
+
+    /**
+     * Run Tesseract on an image file.
+     *
+     * @param string $path Image path
+     * @return string
+     */
+    private function ocr_image(string $path): string
+    {
+        $languages = get_config('local_aigrading', 'ocrlanguages') ?: 'eng';
+
+        $output = [];
+        $returncode = 0;
+        exec(escapeshellarg(self::get_tesseract_path()) . " " . escapeshellarg($path) . " stdout -l " .
+            escapeshellarg($languages) . " 2>/dev/null", $output, $returncode);
+
+        if ($returncode !== 0) {
+            throw new \Exception("Tesseract failed with exit code $returncode");
+        }
+
+        return trim(implode("\n", $output));
+    }
+
+    /**
+     * Copy a file to a temporary location, open it as a ZIP archive and pass it to a reader.
+     *
+     * @param \stored_file $file
+     * @param callable $reader Called with the open \ZipArchive, returns the text
+     * @return string
+     */
+    private function with_zip(\stored_file $file, callable $reader): string
+    {
+        $tempdir = make_temp_directory('aigrading');
+        $tempfile = $tempdir . '/' . uniqid('zip_') . '.zip';
+        $file->copy_content_to($tempfile);
+
+        $zip = new \ZipArchive();
+        try {
+            if ($zip->open($tempfile) !== true) {
+                throw new \Exception("Failed to open " . $file->get_filename());
+            }
+            try {
+                return $reader($zip);
+            } finally {
+                $zip->close();
+            }
+        } finally {
+            @unlink($tempfile);
+        }
+    }
+
+    /**
+     * Read entries of a ZIP based document.
+     *
+     * @param \stored_file $file
+     * @param array $names Entry names
+     * @return array Content keyed by entry name
+     */
+    private function read_zip_entries(\stored_file $file, array $names): array
+    {
+        $entries = [];
+        $this->with_zip($file, function(\ZipArchive $zip) use ($names, &$entries) {
+            foreach ($names as $name) {
+                $content = $zip->getFromName($name);
+                if ($content === false) {
+                    throw new \Exception("Failed to read $name");
+                }
+                $entries[$name] = $content;
+            }
+            return '';
+        });
+        return $entries;
+    }
+
+    /**
+     * Read the relationships of an Office Open XML part.
+     *
+     * @param \ZipArchive $zip
+     * @param string $part Part path, for example "xl/workbook.xml"
+     * @return array Target paths keyed by relationship ID
+     */
+    private function read_relationships(\ZipArchive $zip, string $part): array
+    {
+        $dir = dirname($part);
+        $content = $zip->getFromName($dir . '/_rels/' . basename($part) . '.rels');
+        if ($content === false) {
+            return [];
+        }
+
+        $rels = [];
+        foreach ($this->load_xml($content)->getElementsByTagNameNS(self::NS_PACKAGE_RELATIONSHIPS, 'Relationship') as $rel) {
+            $target = $rel->getAttribute('Target');
+            $path = strpos($target, '/') === 0 ? ltrim($target, '/') : $dir . '/' . $target;
+
+            // Resolve "../" segments.
+            $segments = [];
+            foreach (explode('/', $path) as $segment) {
+                if ($segment === '..') {
+                    array_pop($segments);
+                } else if ($segment !== '.' && $segment !== '') {
+                    $segments[] = $segment;
+                }
+            }
+            $rels[$rel->getAttribute('Id')] = implode('/', $segments);
+        }
+        return $rels;
+    }
+
+    /**
+     * Parse an XML document without touching the network.
+     *
+     * @param string $content
+     * @return \DOMDocument
+     */
+    private function load_xml(string $content): \DOMDocument
+    {
+        $dom = new \DOMDocument();
+        if (!@$dom->loadXML($content, LIBXML_NONET)) {
+            throw new \Exception("Failed to parse XML content");
+        }
+        return $dom;
+    }
+
     /**
      * Get list of supported file extensions.
      *
@@ -314,6 +1164,11 @@ class file_extractor
      */
     public static function get_supported_extensions(): array
     {
-        return ['pdf', 'docx', 'doc', 'txt', 'html', 'htm'];
+        return array_merge(
+            ['pdf', 'docx', 'doc', 'txt', 'html', 'htm', 'odt', 'odp', 'pptx', 'xlsx'],
+            self::ocr_available() ? ['jpg', 'jpeg', 'png'] : [],
+            array_keys(self::SUPPORTED_EXTENSIONS),
+            array_keys(self::SOURCE_EXTENSIONS)
+        );
     }
 }
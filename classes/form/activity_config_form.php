@@ -0,0 +1,132 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\form;
+
+use local_aigrading\auto_apply_policy;
+use local_aigrading\rubric;
+use local_aigrading\student_feedback;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * Form for editing the AI grading configuration of an activity or question.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class activity_config_form extends \moodleform
+{
+
+    /**
+     * Form definition.
+     */
+    protected function definition()
+    {
+        $mform = $this->_form;
+
+        $mform->addElement('hidden', 'id');
+        $mform->setType('id', PARAM_INT);
+
+        $mform->addElement('hidden', 'questionid');
+        $mform->setType('questionid', PARAM_INT);
+
+        $mform->addElement('textarea', 'rubric', get_string('activityrubric', 'local_aigrading'),
+            ['rows' => 8, 'cols' => 80]);
+        $mform->setType('rubric', PARAM_RAW);
+        $mform->addHelpButton('rubric', 'activityrubric', 'local_aigrading');
+
+        $mform->addElement('textarea', 'modelanswer', get_string('modelanswer', 'local_aigrading'),
+            ['rows' => 8, 'cols' => 80]);
+        $mform->setType('modelanswer', PARAM_RAW);
+        $mform->addHelpButton('modelanswer', 'modelanswer', 'local_aigrading');
+
+        $mform->addElement('textarea', 'instructions', get_string('gradinginstructions', 'local_aigrading'),
+            ['rows' => 5, 'cols' => 80]);
+        $mform->setType('instructions', PARAM_RAW);
+        $mform->addHelpButton('instructions', 'gradinginstructions', 'local_aigrading');
+
+        // The auto-apply policy belongs to the whole activity.
+        if (!empty($this->_customdata['activitydefaults'])) {
+            $mform->addElement('header', 'autoapplyheading', get_string('autoapplypolicy', 'local_aigrading'));
+
+            $confidence = auto_apply_policy::confidence_options();
+            $sitedefault = $confidence[get_config('local_aigrading', 'autoapplyconfidence') ?: 'low'] ?? '';
+            $mform->addElement('select', 'autoapplyconfidence', get_string('autoapplyconfidence', 'local_aigrading'),
+                ['' => get_string('autoapplysitedefault', 'local_aigrading', $sitedefault)] + $confidence);
+            $mform->addHelpButton('autoapplyconfidence', 'autoapplyconfidence', 'local_aigrading');
+
+            $mform->addElement('text', 'autoapplypassmargin', get_string('autoapplypassmargin', 'local_aigrading'),
+                ['size' => 6]);
+            $mform->setType('autoapplypassmargin', PARAM_RAW_TRIMMED);
+            $mform->addHelpButton('autoapplypassmargin', 'autoapplypassmargin', 'local_aigrading');
+
+            $mform->addElement('text', 'autoapplyminwords', get_string('autoapplyminwords', 'local_aigrading'),
+                ['size' => 6]);
+            $mform->setType('autoapplyminwords', PARAM_RAW_TRIMMED);
+            $mform->addHelpButton('autoapplyminwords', 'autoapplyminwords', 'local_aigrading');
+
+            $mform->addElement('header', 'studentfeedbackheading', get_string('studentfeedbacksettings', 'local_aigrading'));
+
+            $styles = student_feedback::style_options();
+            $sitestyle = $styles[get_config('local_aigrading', 'feedbackstyle') ?: student_feedback::STYLE_ENCOURAGING] ?? '';
+            $mform->addElement('select', 'feedbackstyle', get_string('feedbackstyle', 'local_aigrading'),
+                ['' => get_string('autoapplysitedefault', 'local_aigrading', $sitestyle)] + $styles);
+            $mform->addHelpButton('feedbackstyle', 'feedbackstyle', 'local_aigrading');
+
+            $mform->addElement('select', 'feedbackrelease', get_string('feedbackrelease', 'local_aigrading'),
+                student_feedback::release_options());
+            $mform->addHelpButton('feedbackrelease', 'feedbackrelease', 'local_aigrading');
+
+            $mform->addElement('date_time_selector', 'feedbackreleasedate',
+                get_string('feedbackreleasedate', 'local_aigrading'));
+            $mform->hideIf('feedbackreleasedate', 'feedbackrelease', 'neq', student_feedback::RELEASE_DATE);
+        }
+
+        $this->add_action_buttons();
+    }
+
+    /**
+     * Check that a structured rubric can be parsed and that the policy values are in range.
+     *
+     * @param array $data Submitted data
+     * @param array $files Uploaded files
+     * @return array Errors keyed by element name
+     */
+    public function validation($data, $files)
+    {
+        $errors = parent::validation($data, $files);
+
+        $error = rubric::validate($data['rubric'] ?? '');
+        if ($error !== null) {
+            $errors['rubric'] = $error;
+        }
+
+        $margin = $data['autoapplypassmargin'] ?? '';
+        if ($margin !== '' && (!is_numeric($margin) || $margin < 0 || $margin > 100)) {
+            $errors['autoapplypassmargin'] = get_string('error:autoapplypassmargin', 'local_aigrading');
+        }
+        $words = $data['autoapplyminwords'] ?? '';
+        if ($words !== '' && !ctype_digit((string) $words)) {
+            $errors['autoapplyminwords'] = get_string('error:autoapplyminwords', 'local_aigrading');
+        }
+
+        return $errors;
+    }
+}
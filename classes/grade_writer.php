@@ -0,0 +1,110 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Writes grades and feedback into quiz attempts and assignments.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class grade_writer
+{
+
+    /**
+     * Save a manual grade for a quiz question attempt.
+     *
+     * @param int $qubaid Question usage ID
+     * @param int $slot Question slot
+     * @param float $grade Mark to give
+     * @param float $maxmark Maximum mark the grade is out of
+     * @param string|null $feedback Comment for the student, null to keep the current comment
+     */
+    public static function apply_quiz_grade(int $qubaid, int $slot, float $grade, float $maxmark,
+            ?string $feedback): void
+    {
+        global $CFG;
+        require_once($CFG->dirroot . '/question/engine/lib.php');
+
+        $quba = \question_engine::load_questions_usage_by_activity($qubaid);
+        $format = FORMAT_HTML;
+        if ($feedback === null) {
+            [$feedback, $format] = $quba->get_question_attempt($slot)->get_manual_comment();
+        }
+        $quba->process_action($slot, [
+            '-mark' => $grade,
+            '-maxmark' => $maxmark,
+            '-comment' => (string) $feedback,
+            '-commentformat' => $format ?? FORMAT_HTML,
+        ]);
+        \question_engine::save_questions_usage_by_activity($quba);
+    }
+
+    /**
+     * Save a grade for the latest attempt of an assignment submission.
+     *
+     * @param \assign $assignment Assignment instance
+     * @param int $userid Student user ID
+     * @param float $grade Grade to give
+     * @param string|null $feedback Feedback comment for the student, null to keep the current comment
+     * @param array|null $advancedgrading Rubric or marking guide form data, see advanced_grading::form_data()
+     */
+    public static function apply_assign_grade(\assign $assignment, int $userid, float $grade, ?string $feedback,
+            ?array $advancedgrading = null): void
+    {
+        global $DB;
+
+        $gradedata = new \stdClass();
+        $gradedata->grade = $grade;
+        $gradedata->attemptnumber = -1; // Latest attempt.
+        if ($advancedgrading !== null) {
+            // The assignment takes the grade from the rubric or marking guide instead.
+            $gradedata->advancedgrading = $advancedgrading;
+        }
+
+        // Add feedback.
+        $format = FORMAT_HTML;
+        if ($feedback === null) {
+            $current = $assignment->get_user_grade($userid, false);
+            $comments = $current ? $DB->get_record('assignfeedback_comments', ['grade' => $current->id]) : false;
+            $feedback = $comments ? $comments->commenttext : '';
+            $format = $comments ? $comments->commentformat : FORMAT_HTML;
+        }
+        $gradedata->assignfeedbackcomments_editor = [
+            'text' => $feedback,
+            'format' => $format,
+        ];
+
+        $assignment->save_grade($userid, $gradedata);
+    }
+
+    /**
+     * Create an assignment instance for a course module ID.
+     *
+     * @param int $cmid Course module ID
+     * @return \assign
+     */
+    public static function get_assignment(int $cmid): \assign
+    {
+        global $CFG;
+        require_once($CFG->dirroot . '/mod/assign/locallib.php');
+
+        [$course, $cm] = get_course_and_cm_from_cmid($cmid, 'assign');
+        return new \assign(\context_module::instance($cm->id), $cm, $course);
+    }
+}
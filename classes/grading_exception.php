@@ -0,0 +1,115 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Why an answer could not be graded, and whether trying again may help.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class grading_exception extends \Exception
+{
+
+    /** @var string The student gave no answer */
+    public const EMPTY_ANSWER = 'emptyanswer';
+
+    /** @var string No submitted file is of a supported type */
+    public const UNSUPPORTED_FILE = 'unsupportedfile';
+
+    /** @var string Text could not be extracted from the submitted files */
+    public const EXTRACTION_ERROR = 'extractionerror';
+
+    /** @var string The backend did not answer in time */
+    public const TIMEOUT = 'timeout';
+
+    /** @var string The backend answer was not valid grading JSON */
+    public const INVALID_RESPONSE = 'invalidresponse';
+
+    /** @var string The backend refused the request because of its rate limit */
+    public const RATE_LIMIT = 'ratelimit';
+
+    /** @var string The backend returned an error */
+    public const BACKEND_ERROR = 'backenderror';
+
+    /** @var string The backend failed repeatedly and requests are paused */
+    public const BACKEND_UNAVAILABLE = 'unavailable';
+
+    /** @var string No backend is configured */
+    public const NOT_CONFIGURED = 'notconfigured';
+
+    /** @var string The question or assignment is worth no marks, so grades cannot be compared */
+    public const NO_MAXGRADE = 'nomaxgrade';
+
+    /** @var string The teacher cancelled the request */
+    public const CANCELLED = 'cancelled';
+
+    /** @var string Anything else */
+    public const UNKNOWN = 'unknown';
+
+    /** @var array Reasons that may go away by themselves */
+    private const RETRYABLE = [self::TIMEOUT, self::INVALID_RESPONSE, self::RATE_LIMIT, self::BACKEND_ERROR,
+        self::BACKEND_UNAVAILABLE, self::UNKNOWN];
+
+    /** @var string One of the reason constants */
+    protected string $reason;
+
+    /**
+     * Constructor.
+     *
+     * @param string $reason One of the reason constants
+     * @param string $message Details of the failure
+     */
+    public function __construct(string $reason, string $message)
+    {
+        parent::__construct($message);
+        $this->reason = $reason;
+    }
+
+    /**
+     * Get the reason of the failure.
+     *
+     * @return string
+     */
+    public function get_reason(): string
+    {
+        return $this->reason;
+    }
+
+    /**
+     * Check whether grading the item again may succeed.
+     *
+     * @param string $reason One of the reason constants
+     * @return bool
+     */
+    public static function is_retryable(string $reason): bool
+    {
+        return in_array($reason, self::RETRYABLE);
+    }
+
+    /**
+     * Describe a reason for the teacher.
+     *
+     * @param string $reason One of the reason constants
+     * @return string
+     */
+    public static function describe(string $reason): string
+    {
+        return get_string('failure_' . $reason, 'local_aigrading');
+    }
+}
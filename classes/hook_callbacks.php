@@ -43,13 +43,106 @@ class hook_callbacks
             return;
         }
 
+        // Labelled AI feedback in the quiz review.
+        if (strpos($pagepath, '/mod/quiz/review.php') !== false) {
+            self::add_quiz_feedback($hook);
+            return;
+        }
+
         // Check for assignment grading pages.
         if (strpos($pagepath, '/mod/assign/view.php') !== false) {
+            self::add_assignment_feedback($hook);
             self::handle_assignment_grading();
             return;
         }
     }
 
+    /**
+     * Show the released AI feedback of a quiz attempt in its review.
+     *
+     * @param \core\hook\output\before_footer_html_generation $hook
+     */
+    private static function add_quiz_feedback(\core\hook\output\before_footer_html_generation $hook): void
+    {
+        $attemptid = optional_param('attempt', 0, PARAM_INT);
+        if (!$attemptid || !student_feedback::is_labelled()) {
+            return;
+        }
+
+        // The review page has checked access. Show the feedback only where it shows teacher comments.
+        $attemptobj = \mod_quiz\quiz_attempt::create($attemptid);
+        if ($attemptobj->get_display_options(true)->manualcomment != \question_display_options::VISIBLE) {
+            return;
+        }
+
+        $context = \context_module::instance($attemptobj->get_cmid());
+        $items = [];
+        foreach (student_feedback::get_released_for_attempt($attemptobj->get_cmid(), $attemptid) as $slot => $record) {
+            $items[] = [
+                'target' => 'question-' . $attemptobj->get_uniqueid() . '-' . $slot,
+                'number' => $attemptobj->get_question_number($slot),
+                'feedback' => format_text($record->feedback, FORMAT_PLAIN, ['context' => $context]),
+            ];
+        }
+        self::render_student_feedback($hook, $items);
+    }
+
+    /**
+     * Show the released AI feedback of the current user on the assignment page.
+     *
+     * @param \core\hook\output\before_footer_html_generation $hook
+     */
+    private static function add_assignment_feedback(\core\hook\output\before_footer_html_generation $hook): void
+    {
+        global $USER;
+
+        $cmid = optional_param('id', 0, PARAM_INT);
+        $action = optional_param('action', '', PARAM_ALPHA);
+        if (!$cmid || !in_array($action, ['', 'view']) || !student_feedback::is_labelled()) {
+            return;
+        }
+
+        $assignment = grade_writer::get_assignment($cmid);
+        $submission = $assignment->get_user_submission($USER->id, false);
+        if (!$submission) {
+            return;
+        }
+        // Feedback waits for the marking workflow, like the grade and the teacher comment.
+        if ($assignment->get_instance()->markingworkflow) {
+            $flags = $assignment->get_user_flags($USER->id, false);
+            if (!$flags || $flags->workflowstate !== ASSIGN_MARKING_WORKFLOW_STATE_RELEASED) {
+                return;
+            }
+        }
+
+        $record = student_feedback::get_released_for_submission($cmid, $submission->id);
+        if ($record) {
+            self::render_student_feedback($hook, [[
+                'target' => '',
+                'number' => '',
+                'feedback' => format_text($record->feedback, FORMAT_PLAIN, ['context' => $assignment->get_context()]),
+            ]]);
+        }
+    }
+
+    /**
+     * Add labelled AI feedback to the page.
+     *
+     * @param \core\hook\output\before_footer_html_generation $hook
+     * @param array $items Feedback items for the student_feedback template
+     */
+    private static function render_student_feedback(\core\hook\output\before_footer_html_generation $hook,
+            array $items): void
+    {
+        global $OUTPUT, $PAGE;
+
+        if (!$items) {
+            return;
+        }
+        $hook->add_html($OUTPUT->render_from_template('local_aigrading/student_feedback', ['items' => $items]));
+        $PAGE->requires->js_call_amd('local_aigrading/student_feedback', 'init');
+    }
+
     /**
      * Handle quiz grading page injection.
      */
@@ -74,12 +167,13 @@ class hook_callbacks
             return;
         }
 
-        // Check if API key is configured.
-        $apikey = get_config('local_aigrading', 'apikey');
-        if (empty($apikey)) {
+        // Check if the grading provider is configured.
+        if (!provider\factory::get_provider()->is_configured()) {
             return;
         }
 
+        $cm = get_coursemodule_from_id('quiz', $cmid, 0, false, MUST_EXIST);
+
         // Detect if we're on overview page (no slot) or grading page (has slot).
         $slot = optional_param('slot', 0, PARAM_INT);
         $questionid = optional_param('qid', 0, PARAM_INT);
@@ -93,6 +187,13 @@ class hook_callbacks
                 'questionid' => $questionid,
                 'isoverview' => $isoverview,
                 'isassignment' => false,
+                'qtypes' => qtype\factory::get_qtypes(),
+                'questionids' => array_keys(qtype\factory::get_quiz_questions($cm->instance, $context)),
+                'activejobid' => self::get_active_job_id($cmid),
+                'reviewmode' => suggestion_queue::is_review_mode(),
+                'reviewurl' => self::get_review_url($cmid),
+                'labelledfeedback' => student_feedback::is_labelled(),
+                'streamurl' => self::get_stream_url(),
                 'strings' => self::get_strings(),
             ]
         ]);
@@ -128,9 +229,8 @@ class hook_callbacks
             return;
         }
 
-        // Check if API key is configured.
-        $apikey = get_config('local_aigrading', 'apikey');
-        if (empty($apikey)) {
+        // Check if the grading provider is configured.
+        if (!provider\factory::get_provider()->is_configured()) {
             return;
         }
 
@@ -143,11 +243,52 @@ class hook_callbacks
                 'userid' => $userid,
                 'isassignment' => true,
                 'issubmissionspage' => $issubmissionspage,
+                'activejobid' => self::get_active_job_id($cmid),
+                'reviewmode' => suggestion_queue::is_review_mode(),
+                'reviewurl' => self::get_review_url($cmid),
+                'labelledfeedback' => student_feedback::is_labelled(),
+                'streamurl' => self::get_stream_url(),
                 'strings' => self::get_strings(),
             ]
         ]);
     }
 
+    /**
+     * Get the URL of the review queue for an activity.
+     *
+     * @param int $cmid Course module ID
+     * @return string
+     */
+    private static function get_review_url(int $cmid): string
+    {
+        return (new \moodle_url('/local/aigrading/review.php', ['id' => $cmid]))->out(false);
+    }
+
+    /**
+     * Get the URL that streams single suggestions.
+     *
+     * @return string Empty if suggestions are not streamed
+     */
+    private static function get_stream_url(): string
+    {
+        if (!get_config('local_aigrading', 'streamsuggestions')) {
+            return '';
+        }
+        return (new \moodle_url('/local/aigrading/stream.php'))->out(false);
+    }
+
+    /**
+     * Get the ID of the bulk grading job still running for an activity.
+     *
+     * @param int $cmid Course module ID
+     * @return int Job ID, or 0 if no job is running
+     */
+    private static function get_active_job_id(int $cmid): int
+    {
+        $job = bulk_grader::get_active_job($cmid);
+        return $job ? (int) $job->id : 0;
+    }
+
     /**
      * Get localized strings for JavaScript.
      *
@@ -171,6 +312,72 @@ class hook_callbacks
             'gradeapplied' => get_string('gradeapplied', 'local_aigrading'),
             'allgradesapplied' => get_string('allgradesapplied', 'local_aigrading'),
             'autogradecomplete' => get_string('autogradecomplete', 'local_aigrading'),
+            'autogradeconfirm' => get_string('autogradeconfirm', 'local_aigrading'),
+            'autogradeconfirmreview' => get_string('autogradeconfirmreview', 'local_aigrading'),
+            'queuedforreview' => get_string('queuedforreview', 'local_aigrading'),
+            'openreviewqueue' => get_string('openreviewqueue', 'local_aigrading'),
+            'jobstarting' => get_string('jobstarting', 'local_aigrading'),
+            'jobqueued' => get_string('jobqueued', 'local_aigrading'),
+            'jobprogress' => get_string('jobprogress', 'local_aigrading'),
+            'jobfailed' => get_string('jobfailed', 'local_aigrading'),
+            'heldforreview' => get_string('heldforreview', 'local_aigrading'),
+            'unstableheld' => get_string('unstableheld', 'local_aigrading'),
+            'failedtitle' => get_string('failedtitle', 'local_aigrading'),
+            'student' => get_string('student', 'local_aigrading'),
+            'failureitem' => get_string('failureitem', 'local_aigrading'),
+            'failurereason' => get_string('failurereason', 'local_aigrading'),
+            'retryfailed' => get_string('retryfailed', 'local_aigrading'),
+            'retryable' => get_string('retryable', 'local_aigrading'),
+            'reloadforgrades' => get_string('reloadforgrades', 'local_aigrading'),
+            'rubricscores' => get_string('rubricscores', 'local_aigrading'),
+            'gradedparts' => get_string('gradedparts', 'local_aigrading'),
+            'skippedfiles' => get_string('skippedfiles', 'local_aigrading'),
+            'parttruncated' => get_string('parttruncated', 'local_aigrading'),
+            'partocr' => get_string('partocr', 'local_aigrading'),
+            'flaggedanswer' => get_string('flaggedanswer', 'local_aigrading'),
+            'flaggedanswerreview' => get_string('flaggedanswerreview', 'local_aigrading'),
+            'labelledfeedbacknote' => get_string('labelledfeedbacknote', 'local_aigrading'),
+            'flaggedskipped' => get_string('flaggedskipped', 'local_aigrading'),
+            'unstablegrade' => get_string('unstablegrade', 'local_aigrading'),
+            'unstablegradedetail' => get_string('unstablegradedetail', 'local_aigrading'),
+            'unstableskipped' => get_string('unstableskipped', 'local_aigrading'),
+            'criterion' => get_string('criterion', 'local_aigrading'),
+            'criterionscore' => get_string('criterionscore', 'local_aigrading'),
+            'justification' => get_string('justification', 'local_aigrading'),
+            'rubrictotal' => get_string('rubrictotal', 'local_aigrading'),
+            'rubricbreakdown' => get_string('rubricbreakdown', 'local_aigrading'),
+            'rubricbreakdownline' => get_string('rubricbreakdownline', 'local_aigrading'),
+            'reviewworkspace' => get_string('reviewworkspace', 'local_aigrading'),
+            'workspacegenerate' => get_string('workspacegenerate', 'local_aigrading'),
+            'workspaceacceptshown' => get_string('workspaceacceptshown', 'local_aigrading'),
+            'workspacesort' => get_string('workspacesort', 'local_aigrading'),
+            'workspacesortname' => get_string('workspacesortname', 'local_aigrading'),
+            'workspacesortgradedesc' => get_string('workspacesortgradedesc', 'local_aigrading'),
+            'workspacesortgradeasc' => get_string('workspacesortgradeasc', 'local_aigrading'),
+            'workspacesortconfidence' => get_string('workspacesortconfidence', 'local_aigrading'),
+            'workspacefilter' => get_string('workspacefilter', 'local_aigrading'),
+            'workspacefilterall' => get_string('workspacefilterall', 'local_aigrading'),
+            'workspacefilterlow' => get_string('workspacefilterlow', 'local_aigrading'),
+            'workspacefilteroutliers' => get_string('workspacefilteroutliers', 'local_aigrading'),
+            'workspacekeys' => get_string('workspacekeys', 'local_aigrading'),
+            'workspaceempty' => get_string('workspaceempty', 'local_aigrading'),
+            'workspaceaccept' => get_string('workspaceaccept', 'local_aigrading'),
+            'workspacesuggestion' => get_string('workspacesuggestion', 'local_aigrading'),
+            'workspacegrade' => get_string('workspacegrade', 'local_aigrading'),
+            'workspacecomment' => get_string('workspacecomment', 'local_aigrading'),
+            'workspacecurrentmark' => get_string('workspacecurrentmark', 'local_aigrading'),
+            'workspaceprogress' => get_string('workspaceprogress', 'local_aigrading'),
+            'workspacesave' => get_string('workspacesave', 'local_aigrading'),
+            'workspacesaved' => get_string('workspacesaved', 'local_aigrading'),
+            'workspacenothingaccepted' => get_string('workspacenothingaccepted', 'local_aigrading'),
+            'workspacemissinggrade' => get_string('workspacemissinggrade', 'local_aigrading'),
+            'studentanswer' => get_string('studentanswer', 'local_aigrading'),
+            'confidence' => get_string('confidence', 'local_aigrading'),
+            'streamwaiting' => get_string('streamwaiting', 'local_aigrading'),
+            'streamwriting' => get_string('streamwriting', 'local_aigrading'),
+            'streamcancel' => get_string('streamcancel', 'local_aigrading'),
+            'streamcancelled' => get_string('streamcancelled', 'local_aigrading'),
+            'streamfailed' => get_string('streamfailed', 'local_aigrading'),
         ];
     }
 }
@@ -0,0 +1,133 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Safeguards against student answers that try to steer the AI grader.
+ *
+ * Answers are scanned for instruction-like content and invisible characters
+ * before they are sent, and are fenced with random delimiters in the prompt.
+ * Flagged answers are never graded automatically.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class injection_guard
+{
+
+    /** @var string Flag for text that reads like instructions to the AI */
+    public const FLAG_INSTRUCTIONS = 'instructions';
+
+    /** @var string Flag for zero-width and text direction characters */
+    public const FLAG_INVISIBLE = 'invisible';
+
+    /** @var string Flag for hidden or white text in a document */
+    public const FLAG_HIDDENTEXT = 'hiddentext';
+
+    /** @var string Zero-width, invisible formatting and text direction characters */
+    private const INVISIBLE_PATTERN = '/[\x{200B}-\x{200F}\x{202A}-\x{202E}\x{2060}-\x{2064}\x{2066}-\x{2069}\x{FEFF}]/u';
+
+    /** @var array Patterns of text addressed to the grader rather than answering the question */
+    private const INSTRUCTION_PATTERNS = [
+        // English.
+        '/\b(ignore|disregard|forget|override)\b.{0,30}\b(previous|prior|above|earlier|all|any|your)\b.{0,20}'
+            . '\b(instructions?|prompts?|rules|rubric)\b/iu',
+        '/\b(you are now|from now on you are|act as|pretend to be)\s+(an?\s+|the\s+)?([\w-]+\s+){0,2}'
+            . '(grader|marker|examiner)\b/iu',
+        '/\b(give|award|assign)\b.{0,30}\b(full|maximum|max|perfect|top)\b.{0,10}\b(marks?|score|grade|points)\b/iu',
+        '/\b(system|developer)\s+(prompt|message|instructions?)\b/iu',
+        '/^\s*(system|assistant)\s*:/imu',
+        // Indonesian.
+        '/\b(abaikan|lupakan|hiraukan|jangan ikuti)\b.{0,30}\b(instruksi|perintah|aturan|rubrik|prompt)\b/iu',
+        '/\b(berikan|beri|kasih)\b.{0,20}\b(nilai|skor)\b.{0,20}\b(penuh|maksimal|maksimum|sempurna|tertinggi|100)\b/iu',
+        '/\b(kamu|anda)\s+(adalah|sekarang)\b.{0,40}\b(penilai|guru|asisten|ai)\b/iu',
+        // Imitations of the grading prompt and of the expected JSON answer.
+        '/^\s*#{1,6}\s*(pertanyaan|jawaban siswa|rubrik penilaian|instruksi tambahan|nilai maksimum)\b/imu',
+        '/["\']grade["\']\s*:\s*[\d.]+\s*,\s*["\'](feedback|explanation|confidence)["\']\s*:/iu',
+    ];
+
+    /**
+     * Scan an answer and remove invisible characters from it.
+     *
+     * @param string $text Answer text
+     * @return array{text: string, flags: array} Cleaned text and flags (type, detail)
+     */
+    public static function check(string $text): array
+    {
+        $flags = [];
+
+        $count = preg_match_all(self::INVISIBLE_PATTERN, $text);
+        if ($count) {
+            // They can hide instructions from the teacher and split words to dodge the scan below.
+            $text = preg_replace(self::INVISIBLE_PATTERN, '', $text);
+            $flags[] = ['type' => self::FLAG_INVISIBLE, 'detail' => (string) $count];
+        }
+
+        foreach (self::INSTRUCTION_PATTERNS as $pattern) {
+            if (preg_match($pattern, $text, $matches)) {
+                $flags[] = ['type' => self::FLAG_INSTRUCTIONS, 'detail' => \core_text::substr(trim($matches[0]), 0, 100)];
+            }
+        }
+
+        return [
+            'text' => $text,
+            'flags' => $flags,
+        ];
+    }
+
+    /**
+     * Flag for a file with hidden text.
+     *
+     * @param string $filename File name
+     * @return array
+     */
+    public static function hidden_text_flag(string $filename): array
+    {
+        return ['type' => self::FLAG_HIDDENTEXT, 'detail' => $filename];
+    }
+
+    /**
+     * Wrap an answer in delimiters the student cannot guess, so it cannot close the fence itself.
+     *
+     * @param string $text Answer text
+     * @return array{start: string, end: string, text: string} The delimiters and the fenced answer
+     */
+    public static function fence(string $text): array
+    {
+        $boundary = strtoupper(random_string(12));
+        $start = "<<<JAWABAN_SISWA_{$boundary}>>>";
+        $end = "<<<AKHIR_JAWABAN_SISWA_{$boundary}>>>";
+
+        return [
+            'start' => $start,
+            'end' => $end,
+            'text' => "{$start}\n{$text}\n{$end}",
+        ];
+    }
+
+    /**
+     * Describe flags for the teacher.
+     *
+     * @param array $flags Flags (type, detail)
+     * @return string[]
+     */
+    public static function describe(array $flags): array
+    {
+        return array_map(fn($flag) => get_string('flag_' . $flag['type'], 'local_aigrading', $flag['detail']), $flags);
+    }
+}
@@ -0,0 +1,503 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\privacy;
+
+use core_privacy\local\metadata\collection;
+use core_privacy\local\request\approved_contextlist;
+use core_privacy\local\request\approved_userlist;
+use core_privacy\local\request\contextlist;
+use core_privacy\local\request\transform;
+use core_privacy\local\request\userlist;
+use core_privacy\local\request\writer;
+
+/**
+ * Privacy provider for the AI grading plugin.
+ *
+ * Students are the subject of suggestions, log entries, labelled feedback and bulk job items;
+ * teachers are recorded as the user who asked for a suggestion or reviewed it.
+ * Deleting a teacher keeps the student records but removes the reference.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class provider implements
+    \core_privacy\local\metadata\provider,
+    \core_privacy\local\request\plugin\provider,
+    \core_privacy\local\request\core_userlist_provider
+{
+
+    /** @var array Teacher fields of records that are kept when the teacher is deleted, keyed by table */
+    private const TEACHER_FIELDS = [
+        'local_aigrading_suggestions' => ['usercreated', 'usermodified'],
+        'local_aigrading_log' => ['usercreated', 'usermodified'],
+        'local_aigrading_config' => ['usermodified'],
+        'local_aigrading_feedback' => ['usercreated', 'usermodified'],
+        'local_aigrading_exemplars' => ['usercreated'],
+    ];
+
+    /**
+     * Describe the data sent to the AI backend and stored by the plugin.
+     *
+     * @param collection $collection
+     * @return collection
+     */
+    public static function get_metadata(collection $collection): collection
+    {
+        $collection->add_external_location_link('aigrading_backend', [
+            'questiontext' => 'privacy:metadata:backend:questiontext',
+            'answertext' => 'privacy:metadata:backend:answertext',
+            'files' => 'privacy:metadata:backend:files',
+            'exemplars' => 'privacy:metadata:backend:exemplars',
+        ], 'privacy:metadata:backend');
+
+        $collection->add_database_table('local_aigrading_suggestions', [
+            'userid' => 'privacy:metadata:suggestions:userid',
+            'answertext' => 'privacy:metadata:suggestions:answertext',
+            'grade' => 'privacy:metadata:suggestions:grade',
+            'feedback' => 'privacy:metadata:suggestions:feedback',
+            'explanation' => 'privacy:metadata:suggestions:explanation',
+            'confidence' => 'privacy:metadata:suggestions:confidence',
+            'criteria' => 'privacy:metadata:suggestions:criteria',
+            'flags' => 'privacy:metadata:flags',
+            'holdreasons' => 'privacy:metadata:suggestions:holdreasons',
+            'status' => 'privacy:metadata:suggestions:status',
+            'finalgrade' => 'privacy:metadata:suggestions:finalgrade',
+            'finalfeedback' => 'privacy:metadata:suggestions:finalfeedback',
+            'usercreated' => 'privacy:metadata:usercreated',
+            'usermodified' => 'privacy:metadata:usermodified',
+            'timecreated' => 'privacy:metadata:timecreated',
+            'timemodified' => 'privacy:metadata:timemodified',
+        ], 'privacy:metadata:suggestions');
+
+        $collection->add_database_table('local_aigrading_log', [
+            'userid' => 'privacy:metadata:log:userid',
+            'answerhash' => 'privacy:metadata:log:answerhash',
+            'prompt' => 'privacy:metadata:log:prompt',
+            'rawresponse' => 'privacy:metadata:log:rawresponse',
+            'grade' => 'privacy:metadata:log:grade',
+            'confidence' => 'privacy:metadata:log:confidence',
+            'error' => 'privacy:metadata:log:error',
+            'flags' => 'privacy:metadata:flags',
+            'status' => 'privacy:metadata:log:status',
+            'finalgrade' => 'privacy:metadata:log:finalgrade',
+            'usercreated' => 'privacy:metadata:usercreated',
+            'usermodified' => 'privacy:metadata:usermodified',
+            'timecreated' => 'privacy:metadata:timecreated',
+            'timemodified' => 'privacy:metadata:timemodified',
+        ], 'privacy:metadata:log');
+
+        $collection->add_database_table('local_aigrading_jobs', [
+            'usercreated' => 'privacy:metadata:jobs:usercreated',
+            'status' => 'privacy:metadata:jobs:status',
+            'timecreated' => 'privacy:metadata:timecreated',
+        ], 'privacy:metadata:jobs');
+
+        $collection->add_database_table('local_aigrading_job_items', [
+            'userid' => 'privacy:metadata:jobitems:userid',
+            'status' => 'privacy:metadata:jobitems:status',
+            'error' => 'privacy:metadata:jobitems:error',
+            'reason' => 'privacy:metadata:jobitems:reason',
+            'teachergrade' => 'privacy:metadata:jobitems:teachergrade',
+            'aigrade' => 'privacy:metadata:jobitems:aigrade',
+            'timemodified' => 'privacy:metadata:timemodified',
+        ], 'privacy:metadata:jobitems');
+
+        $collection->add_database_table('local_aigrading_exemplars', [
+            'userid' => 'privacy:metadata:exemplars:userid',
+            'answertext' => 'privacy:metadata:exemplars:answertext',
+            'grade' => 'privacy:metadata:exemplars:grade',
+            'usercreated' => 'privacy:metadata:exemplars:usercreated',
+            'timecreated' => 'privacy:metadata:timecreated',
+        ], 'privacy:metadata:exemplars');
+
+        $collection->add_database_table('local_aigrading_feedback', [
+            'userid' => 'privacy:metadata:feedback:userid',
+            'feedback' => 'privacy:metadata:feedback:feedback',
+            'status' => 'privacy:metadata:feedback:status',
+            'usercreated' => 'privacy:metadata:usercreated',
+            'usermodified' => 'privacy:metadata:feedback:usermodified',
+            'timecreated' => 'privacy:metadata:timecreated',
+            'timemodified' => 'privacy:metadata:timemodified',
+        ], 'privacy:metadata:feedback');
+
+        $collection->add_database_table('local_aigrading_config', [
+            'usermodified' => 'privacy:metadata:config:usermodified',
+            'timemodified' => 'privacy:metadata:timemodified',
+        ], 'privacy:metadata:config');
+
+        return $collection;
+    }
+
+    /**
+     * Get the activities in which the plugin holds data about a user.
+     *
+     * @param int $userid
+     * @return contextlist
+     */
+    public static function get_contexts_for_userid(int $userid): contextlist
+    {
+        $contextlist = new contextlist();
+        $params = ['contextlevel' => CONTEXT_MODULE, 'userid' => $userid];
+
+        foreach (self::get_user_fields() as $table => $fields) {
+            foreach ($fields as $field) {
+                $contextlist->add_from_sql("SELECT ctx.id
+                                              FROM {context} ctx
+                                              JOIN {{$table}} t ON t.cmid = ctx.instanceid
+                                             WHERE ctx.contextlevel = :contextlevel AND t.{$field} = :userid", $params);
+            }
+        }
+
+        $contextlist->add_from_sql("SELECT ctx.id
+                                      FROM {context} ctx
+                                      JOIN {local_aigrading_jobs} j ON j.cmid = ctx.instanceid
+                                      JOIN {local_aigrading_job_items} i ON i.jobid = j.id
+                                     WHERE ctx.contextlevel = :contextlevel AND i.userid = :userid", $params);
+
+        return $contextlist;
+    }
+
+    /**
+     * Get the users the plugin holds data about in an activity.
+     *
+     * @param userlist $userlist
+     */
+    public static function get_users_in_context(userlist $userlist)
+    {
+        $context = $userlist->get_context();
+        if (!$context instanceof \context_module) {
+            return;
+        }
+        $params = ['cmid' => $context->instanceid];
+
+        foreach (self::get_user_fields() as $table => $fields) {
+            foreach ($fields as $field) {
+                $userlist->add_from_sql($field, "SELECT t.{$field}
+                                                   FROM {{$table}} t
+                                                  WHERE t.cmid = :cmid AND t.{$field} > 0", $params);
+            }
+        }
+
+        $userlist->add_from_sql('userid', "SELECT i.userid
+                                             FROM {local_aigrading_job_items} i
+                                             JOIN {local_aigrading_jobs} j ON j.id = i.jobid
+                                            WHERE j.cmid = :cmid", $params);
+    }
+
+    /**
+     * Export the data of a user.
+     *
+     * Students get their suggestions, log entries, job items and exemplars in full;
+     * teachers get the suggestions they asked for or reviewed, without the answers of other students.
+     *
+     * @param approved_contextlist $contextlist
+     */
+    public static function export_user_data(approved_contextlist $contextlist)
+    {
+        global $DB;
+
+        $userid = $contextlist->get_user()->id;
+        foreach ($contextlist->get_contexts() as $context) {
+            if (!$context instanceof \context_module) {
+                continue;
+            }
+            $cmid = $context->instanceid;
+            $writer = writer::with_context($context);
+            $path = [get_string('pluginname', 'local_aigrading')];
+
+            $suggestions = $DB->get_records('local_aigrading_suggestions', ['cmid' => $cmid, 'userid' => $userid], 'id');
+            if ($suggestions) {
+                $writer->export_data(array_merge($path, [get_string('privacy:suggestions', 'local_aigrading')]),
+                    (object) ['suggestions' => array_values(array_map([self::class, 'export_suggestion'], $suggestions))]);
+            }
+
+            $log = $DB->get_records('local_aigrading_log', ['cmid' => $cmid, 'userid' => $userid], 'id');
+            if ($log) {
+                $writer->export_data(array_merge($path, [get_string('privacy:log', 'local_aigrading')]),
+                    (object) ['log' => array_values(array_map([self::class, 'export_log_entry'], $log))]);
+            }
+
+            $feedback = $DB->get_records('local_aigrading_feedback', ['cmid' => $cmid, 'userid' => $userid], 'id');
+            if ($feedback) {
+                $writer->export_data(array_merge($path, [get_string('aifeedback', 'local_aigrading')]),
+                    (object) ['feedback' => array_values(array_map(fn($record) => (object) [
+                        'itemtype' => $record->itemtype,
+                        'slot' => $record->slot ?: null,
+                        'feedback' => $record->feedback,
+                        'status' => $record->status,
+                        'timecreated' => transform::datetime($record->timecreated),
+                        'timemodified' => transform::datetime($record->timemodified),
+                    ], $feedback))]);
+            }
+
+            $items = $DB->get_records_sql("SELECT i.*
+                                             FROM {local_aigrading_job_items} i
+                                             JOIN {local_aigrading_jobs} j ON j.id = i.jobid
+                                            WHERE j.cmid = :cmid AND i.userid = :userid
+                                         ORDER BY i.id", ['cmid' => $cmid, 'userid' => $userid]);
+            if ($items) {
+                $writer->export_data(array_merge($path, [get_string('privacy:jobitems', 'local_aigrading')]),
+                    (object) ['items' => array_values(array_map(fn($item) => (object) [
+                        'status' => $item->status,
+                        'error' => $item->error,
+                        'reason' => $item->reason,
+                        'teachergrade' => $item->teachergrade,
+                        'aigrade' => $item->aigrade,
+                        'timemodified' => transform::datetime($item->timemodified),
+                    ], $items))]);
+            }
+
+            $exemplars = $DB->get_records('local_aigrading_exemplars', ['cmid' => $cmid, 'userid' => $userid], 'id');
+            if ($exemplars) {
+                $writer->export_data(array_merge($path, [get_string('exemplars', 'local_aigrading')]),
+                    (object) ['exemplars' => array_values(array_map(fn($exemplar) => (object) [
+                        'itemtype' => $exemplar->itemtype,
+                        'slot' => $exemplar->slot ?: null,
+                        'answertext' => $exemplar->answertext,
+                        'grade' => $exemplar->grade,
+                        'maxgrade' => $exemplar->maxgrade,
+                        'timecreated' => transform::datetime($exemplar->timecreated),
+                    ], $exemplars))]);
+            }
+
+            self::export_teacher_data($writer, $path, $cmid, $userid);
+        }
+    }
+
+    /**
+     * Export what a teacher did in an activity.
+     *
+     * @param \core_privacy\local\request\content_writer $writer
+     * @param array $path Subcontext of the plugin
+     * @param int $cmid
+     * @param int $userid
+     */
+    private static function export_teacher_data(\core_privacy\local\request\content_writer $writer, array $path,
+            int $cmid, int $userid): void
+    {
+        global $DB;
+
+        $params = ['cmid' => $cmid, 'usercreated' => $userid, 'usermodified' => $userid];
+        $select = 'cmid = :cmid AND (usercreated = :usercreated OR usermodified = :usermodified)';
+
+        $reviewed = [];
+        foreach ($DB->get_records_select('local_aigrading_suggestions', $select, $params, 'id') as $suggestion) {
+            $reviewed[] = (object) [
+                'grade' => $suggestion->grade,
+                'status' => $suggestion->status,
+                'finalgrade' => $suggestion->finalgrade,
+                'requestedbyyou' => transform::yesno($suggestion->usercreated == $userid),
+                'reviewedbyyou' => transform::yesno($suggestion->usermodified == $userid),
+                'timecreated' => transform::datetime($suggestion->timecreated),
+                'timemodified' => transform::datetime($suggestion->timemodified),
+            ];
+        }
+        foreach ($DB->get_records_select('local_aigrading_log', $select, $params, 'id') as $entry) {
+            $reviewed[] = (object) [
+                'grade' => $entry->grade,
+                'status' => $entry->status,
+                'finalgrade' => $entry->finalgrade,
+                'requestedbyyou' => transform::yesno($entry->usercreated == $userid),
+                'reviewedbyyou' => transform::yesno($entry->usermodified == $userid),
+                'timecreated' => transform::datetime($entry->timecreated),
+                'timemodified' => transform::datetime($entry->timemodified),
+            ];
+        }
+        if ($reviewed) {
+            $writer->export_data(array_merge($path, [get_string('privacy:teacherdecisions', 'local_aigrading')]),
+                (object) ['decisions' => $reviewed]);
+        }
+
+        $jobs = $DB->get_records('local_aigrading_jobs', ['cmid' => $cmid, 'usercreated' => $userid], 'id');
+        if ($jobs) {
+            $writer->export_data(array_merge($path, [get_string('privacy:jobs', 'local_aigrading')]),
+                (object) ['jobs' => array_values(array_map(fn($job) => (object) [
+                    'status' => $job->status,
+                    'total' => $job->total,
+                    'timecreated' => transform::datetime($job->timecreated),
+                    'timecompleted' => $job->timecompleted ? transform::datetime($job->timecompleted) : null,
+                ], $jobs))]);
+        }
+
+        $configs = $DB->get_records('local_aigrading_config', ['cmid' => $cmid, 'usermodified' => $userid], 'id');
+        if ($configs) {
+            $writer->export_data(array_merge($path, [get_string('activityconfig', 'local_aigrading')]),
+                (object) ['configurations' => array_values(array_map(fn($config) => (object) [
+                    'questionid' => $config->questionid,
+                    'timemodified' => transform::datetime($config->timemodified),
+                ], $configs))]);
+        }
+    }
+
+    /**
+     * Delete the data of all users in an activity.
+     *
+     * @param \context $context
+     */
+    public static function delete_data_for_all_users_in_context(\context $context)
+    {
+        global $DB;
+
+        if (!$context instanceof \context_module) {
+            return;
+        }
+        $cmid = $context->instanceid;
+
+        $DB->delete_records('local_aigrading_suggestions', ['cmid' => $cmid]);
+        $DB->delete_records('local_aigrading_log', ['cmid' => $cmid]);
+        $DB->delete_records('local_aigrading_feedback', ['cmid' => $cmid]);
+        $DB->delete_records('local_aigrading_exemplars', ['cmid' => $cmid]);
+        $DB->delete_records_select('local_aigrading_job_items',
+            'jobid IN (SELECT id FROM {local_aigrading_jobs} WHERE cmid = :cmid)', ['cmid' => $cmid]);
+        $DB->delete_records('local_aigrading_jobs', ['cmid' => $cmid]);
+        // The configuration belongs to the activity, only the reference to the teacher goes.
+        $DB->set_field('local_aigrading_config', 'usermodified', 0, ['cmid' => $cmid]);
+    }
+
+    /**
+     * Delete the data of a user in the approved activities.
+     *
+     * @param approved_contextlist $contextlist
+     */
+    public static function delete_data_for_user(approved_contextlist $contextlist)
+    {
+        $userid = $contextlist->get_user()->id;
+        foreach ($contextlist->get_contexts() as $context) {
+            if ($context instanceof \context_module) {
+                self::delete_user_data($context->instanceid, [$userid]);
+            }
+        }
+    }
+
+    /**
+     * Delete the data of several users in an activity.
+     *
+     * @param approved_userlist $userlist
+     */
+    public static function delete_data_for_users(approved_userlist $userlist)
+    {
+        $context = $userlist->get_context();
+        if ($context instanceof \context_module && $userlist->get_userids()) {
+            self::delete_user_data($context->instanceid, $userlist->get_userids());
+        }
+    }
+
+    /**
+     * Delete the student records of users and remove them as the teacher of other records.
+     *
+     * Jobs started by a deleted teacher are removed, as they run as that teacher.
+     *
+     * @param int $cmid
+     * @param int[] $userids
+     */
+    private static function delete_user_data(int $cmid, array $userids): void
+    {
+        global $DB;
+
+        [$insql, $inparams] = $DB->get_in_or_equal($userids, SQL_PARAMS_NAMED);
+        $params = ['cmid' => $cmid] + $inparams;
+
+        $DB->delete_records_select('local_aigrading_suggestions', "cmid = :cmid AND userid $insql", $params);
+        $DB->delete_records_select('local_aigrading_log', "cmid = :cmid AND userid $insql", $params);
+        $DB->delete_records_select('local_aigrading_feedback', "cmid = :cmid AND userid $insql", $params);
+        $DB->delete_records_select('local_aigrading_exemplars', "cmid = :cmid AND userid $insql", $params);
+        $DB->delete_records_select('local_aigrading_job_items',
+            "userid $insql AND jobid IN (SELECT id FROM {local_aigrading_jobs} WHERE cmid = :cmid)", $params);
+
+        $jobs = $DB->get_fieldset_select('local_aigrading_jobs', 'id', "cmid = :cmid AND usercreated $insql", $params);
+        if ($jobs) {
+            $DB->delete_records_list('local_aigrading_job_items', 'jobid', $jobs);
+            $DB->delete_records_list('local_aigrading_jobs', 'id', $jobs);
+        }
+
+        foreach (self::TEACHER_FIELDS as $table => $fields) {
+            foreach ($fields as $field) {
+                $DB->set_field_select($table, $field, 0, "cmid = :cmid AND {$field} $insql", $params);
+            }
+        }
+    }
+
+    /**
+     * Fields that refer to a user, keyed by table.
+     *
+     * @return array
+     */
+    private static function get_user_fields(): array
+    {
+        return array_merge_recursive([
+            'local_aigrading_suggestions' => ['userid'],
+            'local_aigrading_log' => ['userid'],
+            'local_aigrading_feedback' => ['userid'],
+            'local_aigrading_exemplars' => ['userid'],
+            'local_aigrading_jobs' => ['usercreated'],
+        ], self::TEACHER_FIELDS);
+    }
+
+    /**
+     * Prepare a suggestion for export to its student.
+     *
+     * @param \stdClass $suggestion
+     * @return \stdClass
+     */
+    private static function export_suggestion(\stdClass $suggestion): \stdClass
+    {
+        return (object) [
+            'itemtype' => $suggestion->itemtype,
+            'answertext' => $suggestion->answertext,
+            'grade' => $suggestion->grade,
+            'maxgrade' => $suggestion->maxgrade,
+            'feedback' => $suggestion->feedback,
+            'explanation' => $suggestion->explanation,
+            'confidence' => $suggestion->confidence,
+            'criteria' => json_decode($suggestion->criteria ?? '', true),
+            'flags' => json_decode($suggestion->flags ?? '', true),
+            'holdreasons' => json_decode($suggestion->holdreasons ?? '', true),
+            'status' => $suggestion->status,
+            'finalgrade' => $suggestion->finalgrade,
+            'finalfeedback' => $suggestion->finalfeedback,
+            'timecreated' => transform::datetime($suggestion->timecreated),
+            'timemodified' => transform::datetime($suggestion->timemodified),
+        ];
+    }
+
+    /**
+     * Prepare a log entry for export to its student.
+     *
+     * @param \stdClass $entry
+     * @return \stdClass
+     */
+    private static function export_log_entry(\stdClass $entry): \stdClass
+    {
+        return (object) [
+            'itemtype' => $entry->itemtype,
+            'source' => $entry->source,
+            'answerhash' => $entry->answerhash,
+            'prompt' => $entry->prompt,
+            'rawresponse' => $entry->rawresponse,
+            'grade' => $entry->grade,
+            'maxgrade' => $entry->maxgrade,
+            'confidence' => $entry->confidence,
+            'error' => $entry->error,
+            'flags' => json_decode($entry->flags ?? '', true),
+            'status' => $entry->status,
+            'finalgrade' => $entry->finalgrade,
+            'timecreated' => transform::datetime($entry->timecreated),
+            'timemodified' => transform::datetime($entry->timemodified),
+        ];
+    }
+}
@@ -0,0 +1,232 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\provider;
+
+use local_aigrading\grading_exception;
+use local_aigrading\injection_guard;
+use local_aigrading\rubric;
+
+/**
+ * Dali backend: the Laravel/Mastra API at /api/moodle/grade, which builds the
+ * prompt itself.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class dali_provider extends base_provider
+{
+
+    /** @var string API key */
+    private string $apikey;
+
+    /** @var string Base URL */
+    private string $baseurl;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        parent::__construct();
+        $this->apikey = get_config('local_aigrading', 'apikey') ?: '';
+        $this->baseurl = get_config('local_aigrading', 'apibaseurl') ?: 'http://localhost:8000';
+    }
+
+    /**
+     * Human readable name of the provider.
+     *
+     * @return string
+     */
+    public function get_name(): string
+    {
+        return get_string('provider_dali', 'local_aigrading');
+    }
+
+    /**
+     * Check if the provider has the settings it needs.
+     *
+     * @return bool
+     */
+    public function is_configured(): bool
+    {
+        return !empty($this->apikey);
+    }
+
+    /**
+     * Build payload for Mastra/Laravel backend.
+     *
+     * The answer and the exemplar answers are fenced like in the chat prompt of the other providers;
+     * answerfence holds the delimiters of the answer, so the backend can tell the model where it starts and ends.
+     *
+     * @param string $questiontext
+     * @param string $answertext
+     * @param float $maxgrade
+     * @param string $rubric
+     * @param string|null $graderinfo
+     * @param string|null $instructions
+     * @param array $exemplars
+     * @return array
+     */
+    protected function build_request(string $questiontext, string $answertext, float $maxgrade, string $rubric,
+        ?string $graderinfo, ?string $instructions, array $exemplars): array
+    {
+        $fence = injection_guard::fence($answertext);
+        $exemplars = array_map(function(array $exemplar): array {
+            $exemplar['answertext'] = injection_guard::fence($exemplar['answertext'])['text'];
+            return $exemplar;
+        }, array_values($exemplars));
+
+        return [
+            'questiontext' => $questiontext,
+            'answertext' => $fence['text'],
+            'answerfence' => ['start' => $fence['start'], 'end' => $fence['end']],
+            'maxgrade' => $maxgrade,
+            'rubric' => $rubric,
+            'graderinfo' => $graderinfo,
+            'instructions' => $instructions,
+            'criteria' => rubric::parse($rubric), // Structured rubric, scored per criterion when set.
+            'exemplars' => $exemplars, // Teacher-graded answers to anchor the grading on.
+            'systemprompt' => $this->systemprompt, // Pass system prompt context if needed by backend.
+        ];
+    }
+
+    /**
+     * Call the Mastra/Laravel API.
+     *
+     * With a stream listener the backend is asked to stream server-sent events:
+     * { "type": "delta", "field": "feedback" or "explanation", "text": "..." } while the text is written,
+     * then { "type": "result", ... } with the same fields as the whole response.
+     *
+     * @param array $request
+     * @return string
+     * @throws \Exception
+     */
+    protected function send(array $request): string
+    {
+        if (!$this->streamlistener) {
+            return $this->post_json($this->get_url(), $this->get_headers(), $request);
+        }
+
+        $fields = [];
+        $result = null;
+        $headers = array_merge(array_diff($this->get_headers(), ['Accept: application/json']),
+            ['Accept: text/event-stream']);
+        $body = $this->post_json($this->get_url(), $headers, $request + ['stream' => true],
+            function(string $data) use (&$fields, &$result): bool {
+                $event = json_decode($data, true);
+                $type = $event['type'] ?? '';
+                $field = $event['field'] ?? '';
+                if ($type === 'result') {
+                    unset($event['type']);
+                    $result = $event;
+                } else if ($type === 'delta' && in_array($field, ['feedback', 'explanation'])) {
+                    $fields[$field] = ($fields[$field] ?? '') . ($event['text'] ?? '');
+                    return ($this->streamlistener)($fields) !== false;
+                }
+                return true;
+            },
+            function() use (&$fields, &$result): void {
+                $fields = [];
+                $result = null;
+            }
+        );
+
+        // A backend that does not stream answers with the whole response.
+        return $result === null ? $body : json_encode($result);
+    }
+
+    /**
+     * Parse the API response.
+     *
+     * Expected format: { "success": true, "grade": 85.0, "feedback": "...", "explanation": "...", "confidence": "high" },
+     * plus "criteria": [{ "criterion": "...", "score": 3, "justification": "..." }] for structured rubrics.
+     *
+     * @param string $response
+     * @param float $maxgrade
+     * @return array
+     */
+    protected function parse_response(string $response, float $maxgrade): array
+    {
+        $decoded = json_decode($response, true);
+
+        if (!is_array($decoded)) {
+            return [
+                'success' => false,
+                'error' => get_string('error:invalidresponse', 'local_aigrading'),
+            ];
+        }
+
+        // Backend errors may come back as 200 OK with an error field.
+        if (empty($decoded['success']) && !isset($decoded['grade']) && isset($decoded['error'])) {
+            return [
+                'success' => false,
+                'error' => is_string($decoded['error']) ? $decoded['error'] : json_encode($decoded['error']),
+                'failure' => grading_exception::BACKEND_ERROR,
+            ];
+        }
+
+        return $this->grade_result($decoded, $maxgrade);
+    }
+
+    /**
+     * Check the connection with a minimal grading request.
+     *
+     * @return array{success: bool, message: string}
+     */
+    public function test_connection(): array
+    {
+        if (!$this->is_configured()) {
+            return [
+                'success' => false,
+                'message' => get_string('testconnection_noapikey', 'local_aigrading'),
+            ];
+        }
+
+        return $this->connection_result($this->request('POST', $this->get_url(), $this->get_headers(), [
+            'questiontext' => 'Test connection',
+            'answertext' => 'Test',
+            'maxgrade' => 100,
+            'rubric' => '',
+            'graderinfo' => '',
+        ]));
+    }
+
+    /**
+     * Grading endpoint.
+     *
+     * @return string
+     */
+    private function get_url(): string
+    {
+        return rtrim($this->baseurl, '/') . '/api/moodle/grade';
+    }
+
+    /**
+     * HTTP headers of every request.
+     *
+     * @return array
+     */
+    private function get_headers(): array
+    {
+        return [
+            'Content-Type: application/json',
+            'X-API-KEY: ' . $this->apikey,
+            'Accept: application/json',
+        ];
+    }
+}
@@ -0,0 +1,71 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\provider;
+
+/**
+ * Creates the grading provider selected in the plugin settings.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class factory
+{
+
+    /** @var string Provider used when none has been selected */
+    public const DEFAULT_PROVIDER = 'dali';
+
+    /** @var array Built-in providers: setting value => class */
+    private const PROVIDERS = [
+        'dali' => dali_provider::class,
+        'openai' => openai_provider::class,
+        'ollama' => ollama_provider::class,
+    ];
+
+    /**
+     * Get the configured provider, or a specific one.
+     *
+     * @param string|null $name Provider name, null for the one selected in the settings
+     * @return provider
+     * @throws \moodle_exception If the provider does not exist
+     */
+    public static function get_provider(?string $name = null): provider
+    {
+        $name = $name ?? (get_config('local_aigrading', 'provider') ?: self::DEFAULT_PROVIDER);
+
+        if (!isset(self::PROVIDERS[$name])) {
+            throw new \moodle_exception('error:unknownprovider', 'local_aigrading', '', $name);
+        }
+
+        $class = self::PROVIDERS[$name];
+        return new $class();
+    }
+
+    /**
+     * Names of the available providers, for the settings page.
+     *
+     * @return array setting value => human readable name
+     */
+    public static function get_provider_options(): array
+    {
+        $options = [];
+        foreach (array_keys(self::PROVIDERS) as $name) {
+            $options[$name] = get_string('provider_' . $name, 'local_aigrading');
+        }
+        return $options;
+    }
+}
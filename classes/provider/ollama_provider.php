@@ -0,0 +1,168 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\provider;
+
+/**
+ * Local model served by Ollama (or any server implementing its /api/chat endpoint).
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class ollama_provider extends base_provider
+{
+
+    /** @var string Base URL */
+    private string $baseurl;
+
+    /** @var string Model */
+    private string $model;
+
+    /** @var float Temperature */
+    private float $temperature;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        parent::__construct();
+        $this->baseurl = get_config('local_aigrading', 'ollama_baseurl') ?: 'http://localhost:11434';
+        $this->model = get_config('local_aigrading', 'ollama_model') ?: '';
+        $this->temperature = (float)(get_config('local_aigrading', 'temperature') ?: 0.3);
+    }
+
+    /**
+     * Human readable name of the provider.
+     *
+     * @return string
+     */
+    public function get_name(): string
+    {
+        return get_string('provider_ollama', 'local_aigrading');
+    }
+
+    /**
+     * Check if the provider has the settings it needs. No API key is needed.
+     *
+     * @return bool
+     */
+    public function is_configured(): bool
+    {
+        return !empty($this->model);
+    }
+
+    /**
+     * Build the chat request body.
+     *
+     * @param string $questiontext
+     * @param string $answertext
+     * @param float $maxgrade
+     * @param string $rubric
+     * @param string|null $graderinfo
+     * @param string|null $instructions
+     * @param array $exemplars
+     * @return array
+     */
+    protected function build_request(string $questiontext, string $answertext, float $maxgrade, string $rubric,
+        ?string $graderinfo, ?string $instructions, array $exemplars): array
+    {
+        return [
+            'model' => $this->model,
+            'messages' => [
+                [
+                    'role' => 'system',
+                    'content' => $this->systemprompt,
+                ],
+                [
+                    'role' => 'user',
+                    'content' => $this->build_user_prompt($questiontext, $answertext, $maxgrade, $rubric,
+                        $graderinfo, $instructions, $exemplars),
+                ],
+            ],
+            'format' => 'json',
+            'stream' => false,
+            'options' => [
+                'temperature' => $this->temperature,
+            ],
+        ];
+    }
+
+    /**
+     * Call the chat endpoint.
+     *
+     * @param array $request
+     * @return string
+     * @throws \Exception
+     */
+    protected function send(array $request): string
+    {
+        return $this->post_json(rtrim($this->baseurl, '/') . '/api/chat', $this->get_headers(), $request);
+    }
+
+    /**
+     * Parse the API response.
+     *
+     * @param string $response
+     * @param float $maxgrade
+     * @return array
+     */
+    protected function parse_response(string $response, float $maxgrade): array
+    {
+        $decoded = json_decode($response, true);
+
+        if (!isset($decoded['message']['content'])) {
+            return [
+                'success' => false,
+                'error' => get_string('error:invalidresponse', 'local_aigrading'),
+            ];
+        }
+
+        return $this->grade_result(json_decode($decoded['message']['content'], true), $maxgrade);
+    }
+
+    /**
+     * Check the connection by listing the installed models.
+     *
+     * @return array{success: bool, message: string}
+     */
+    public function test_connection(): array
+    {
+        if (!$this->is_configured()) {
+            return [
+                'success' => false,
+                'message' => get_string('testconnection_nomodel', 'local_aigrading'),
+            ];
+        }
+
+        return $this->connection_result($this->request('GET', rtrim($this->baseurl, '/') . '/api/tags',
+            $this->get_headers()));
+    }
+
+    /**
+     * HTTP headers of every request.
+     *
+     * @return array
+     */
+    private function get_headers(): array
+    {
+        return [
+            'Content-Type: application/json',
+            'Accept: application/json',
+        ];
+    }
+}
@@ -0,0 +1,202 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\provider;
+
+/**
+ * OpenAI-compatible chat completions API (OpenAI, Azure OpenAI gateways,
+ * OpenRouter, vLLM and similar).
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class openai_provider extends base_provider
+{
+
+    /** @var string API key */
+    private string $apikey;
+
+    /** @var string Base URL */
+    private string $baseurl;
+
+    /** @var string Model */
+    private string $model;
+
+    /** @var int Max tokens */
+    private int $maxtokens;
+
+    /** @var float Temperature */
+    private float $temperature;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        parent::__construct();
+        $this->apikey = get_config('local_aigrading', 'openai_apikey') ?: '';
+        $this->baseurl = get_config('local_aigrading', 'openai_baseurl') ?: 'https://api.openai.com/v1';
+        $this->model = get_config('local_aigrading', 'openai_model') ?: 'gpt-4o-mini';
+        $this->maxtokens = (int)(get_config('local_aigrading', 'maxtokens') ?: 1000);
+        $this->temperature = (float)(get_config('local_aigrading', 'temperature') ?: 0.3);
+    }
+
+    /**
+     * Human readable name of the provider.
+     *
+     * @return string
+     */
+    public function get_name(): string
+    {
+        return get_string('provider_openai', 'local_aigrading');
+    }
+
+    /**
+     * Check if the provider has the settings it needs.
+     *
+     * @return bool
+     */
+    public function is_configured(): bool
+    {
+        return !empty($this->apikey);
+    }
+
+    /**
+     * Build the chat completion request body.
+     *
+     * @param string $questiontext
+     * @param string $answertext
+     * @param float $maxgrade
+     * @param string $rubric
+     * @param string|null $graderinfo
+     * @param string|null $instructions
+     * @param array $exemplars
+     * @return array
+     */
+    protected function build_request(string $questiontext, string $answertext, float $maxgrade, string $rubric,
+        ?string $graderinfo, ?string $instructions, array $exemplars): array
+    {
+        return [
+            'model' => $this->model,
+            'messages' => [
+                [
+                    'role' => 'system',
+                    'content' => $this->systemprompt,
+                ],
+                [
+                    'role' => 'user',
+                    'content' => $this->build_user_prompt($questiontext, $answertext, $maxgrade, $rubric,
+                        $graderinfo, $instructions, $exemplars),
+                ],
+            ],
+            'max_tokens' => $this->maxtokens,
+            'temperature' => $this->temperature,
+            'response_format' => ['type' => 'json_object'],
+        ];
+    }
+
+    /**
+     * Call the chat completions endpoint.
+     *
+     * With a stream listener the completion is streamed as server-sent
+     * events, and the pieces are put back together into one completion.
+     *
+     * @param array $request
+     * @return string
+     * @throws \Exception
+     */
+    protected function send(array $request): string
+    {
+        $url = rtrim($this->baseurl, '/') . '/chat/completions';
+        if (!$this->streamlistener) {
+            return $this->post_json($url, $this->get_headers(), $request);
+        }
+
+        $content = null;
+        $body = $this->post_json($url, $this->get_headers(), $request + ['stream' => true],
+            function(string $data) use (&$content): bool {
+                if ($data === '[DONE]') {
+                    return true;
+                }
+                $delta = json_decode($data, true)['choices'][0]['delta']['content'] ?? null;
+                if (!is_string($delta)) {
+                    return true;
+                }
+                $content .= $delta;
+                return ($this->streamlistener)(self::partial_fields($content)) !== false;
+            },
+            function() use (&$content): void {
+                $content = null;
+            }
+        );
+
+        // A backend that does not stream answers with a whole completion.
+        return $content === null ? $body : json_encode(['choices' => [['message' => ['content' => $content]]]]);
+    }
+
+    /**
+     * Parse the API response.
+     *
+     * @param string $response
+     * @param float $maxgrade
+     * @return array
+     */
+    protected function parse_response(string $response, float $maxgrade): array
+    {
+        $decoded = json_decode($response, true);
+
+        if (!isset($decoded['choices'][0]['message']['content'])) {
+            return [
+                'success' => false,
+                'error' => get_string('error:invalidresponse', 'local_aigrading'),
+            ];
+        }
+
+        return $this->grade_result(json_decode($decoded['choices'][0]['message']['content'], true), $maxgrade);
+    }
+
+    /**
+     * Check the connection by listing the available models.
+     *
+     * @return array{success: bool, message: string}
+     */
+    public function test_connection(): array
+    {
+        if (!$this->is_configured()) {
+            return [
+                'success' => false,
+                'message' => get_string('testconnection_noapikey', 'local_aigrading'),
+            ];
+        }
+
+        return $this->connection_result($this->request('GET', rtrim($this->baseurl, '/') . '/models',
+            $this->get_headers()));
+    }
+
+    /**
+     * HTTP headers of every request.
+     *
+     * @return array
+     */
+    private function get_headers(): array
+    {
+        return [
+            'Content-Type: application/json',
+            'Authorization: Bearer ' . $this->apikey,
+        ];
+    }
+}
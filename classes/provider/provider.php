@@ -0,0 +1,95 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\provider;
+
+/**
+ * A grading backend.
+ *
+ * Providers turn a question, an answer and the grading criteria into a
+ * suggested grade. The site uses the provider selected in the plugin
+ * settings; see factory::get_provider().
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+interface provider
+{
+
+    /**
+     * Human readable name of the provider.
+     *
+     * @return string
+     */
+    public function get_name(): string;
+
+    /**
+     * Check if the provider has the settings it needs.
+     *
+     * @return bool
+     */
+    public function is_configured(): bool;
+
+    /**
+     * Suggest a grade for an answer.
+     *
+     * @param string $questiontext The question text
+     * @param string $answertext The student's answer
+     * @param float $maxgrade Maximum possible grade
+     * @param string|null $rubric Custom rubric (uses default if null)
+     * @param string|null $graderinfo Grading information/model answer from question
+     * @param string|null $instructions Extra grading instructions from the activity configuration
+     * @param int|null $userid Student who wrote the answer, whose identifiers are removed before sending
+     * @param array $exemplars Teacher-graded answers (answertext, grade, maxgrade), see calibration::for_prompt()
+     * @return array{success: bool, grade?: float, feedback?: string, explanation?: string, confidence?: string, error?: string, prompt?: string, rawresponse?: string}
+     */
+    public function suggest_grade(string $questiontext, string $answertext, float $maxgrade, ?string $rubric = null,
+        ?string $graderinfo = null, ?string $instructions = null, ?int $userid = null, array $exemplars = []): array;
+
+    /**
+     * Suggest grades for several answers to the same question.
+     *
+     * @param string $questiontext The question text
+     * @param array $answers Array of answers with keys: id, text and optionally userid
+     * @param float $maxgrade Maximum possible grade
+     * @param string|null $rubric Custom rubric
+     * @param string|null $graderinfo Grading information/model answer
+     * @param string|null $instructions Extra grading instructions
+     * @param array $exemplars Teacher-graded answers, see calibration::for_prompt()
+     * @return array Array of results keyed by answer id
+     */
+    public function bulk_grade(string $questiontext, array $answers, float $maxgrade, ?string $rubric = null,
+        ?string $graderinfo = null, ?string $instructions = null, array $exemplars = []): array;
+
+    /**
+     * Pass the feedback and explanation to a listener while the following suggestions are written.
+     *
+     * Providers that cannot stream call the listener without fields while
+     * they wait, so it can still cancel the request.
+     *
+     * @param callable|null $listener Called with the feedback and explanation written so far, or with no fields
+     *     while waiting; returning false cancels the request. Null to stop streaming.
+     */
+    public function set_stream_listener(?callable $listener): void;
+
+    /**
+     * Check that the backend can be reached with the configured settings.
+     *
+     * @return array{success: bool, message: string}
+     */
+    public function test_connection(): array;
+}
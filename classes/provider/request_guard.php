@@ -0,0 +1,198 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\provider;
+
+use local_aigrading\grading_exception;
+
+/**
+ * Protects the AI backend, and the grading jobs, from each other.
+ *
+ * Requests from all jobs and teachers share a limit on simultaneous requests
+ * and on requests per minute. Transient errors are retried with exponential
+ * backoff, and after repeated failures a circuit breaker refuses requests for
+ * a while, so a job stops instead of failing every remaining student.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class request_guard
+{
+
+    /** @var string Lock type of the request slots */
+    private const LOCK_TYPE = 'local_aigrading_backend';
+
+    /** @var int Longest wait for a request slot, in seconds */
+    private const SLOT_WAIT = 120;
+
+    /** @var int Longest wait for the lock of the circuit breaker, in seconds */
+    private const CIRCUIT_WAIT = 10;
+
+    /** @var int Longest backoff delay, in seconds */
+    private const MAX_DELAY = 60;
+
+    /**
+     * Wait for a request slot.
+     *
+     * @return \core\lock\lock|null Lock to pass to release(), null if requests are not limited
+     * @throws grading_exception If the circuit is open or no slot became free in time
+     */
+    public static function acquire(): ?\core\lock\lock
+    {
+        $cache = self::get_cache();
+        $openuntil = (int) $cache->get('openuntil');
+        if ($openuntil > time()) {
+            throw new grading_exception(grading_exception::BACKEND_UNAVAILABLE,
+                get_string('error:backendunavailable', 'local_aigrading', userdate($openuntil, get_string('strftimetime'))));
+        }
+
+        $factory = \core\lock\lock_config::get_lock_factory(self::LOCK_TYPE);
+        $lock = null;
+
+        $slots = (int) get_config('local_aigrading', 'maxconcurrent');
+        if ($slots > 0) {
+            $giveup = time() + self::SLOT_WAIT;
+            while (!$lock) {
+                for ($i = 1; $i <= $slots && !$lock; $i++) {
+                    $lock = $factory->get_lock('slot' . $i, 0);
+                }
+                if (!$lock) {
+                    if (time() >= $giveup) {
+                        throw new grading_exception(grading_exception::TIMEOUT,
+                            get_string('error:backendbusy', 'local_aigrading'));
+                    }
+                    sleep(1);
+                }
+            }
+        }
+
+        $perminute = (int) get_config('local_aigrading', 'maxrequestsperminute');
+        if ($perminute > 0) {
+            // Hand out start times spaced evenly, across all processes.
+            $throughput = $factory->get_lock('throughput', self::SLOT_WAIT);
+            if (!$throughput) {
+                self::release($lock);
+                throw new grading_exception(grading_exception::TIMEOUT, get_string('error:backendbusy', 'local_aigrading'));
+            }
+            $now = microtime(true);
+            $start = max($now, (float) $cache->get('nextstart'));
+            $cache->set('nextstart', $start + 60 / $perminute);
+            $throughput->release();
+
+            if ($start > $now) {
+                usleep((int) (($start - $now) * 1000000));
+            }
+        }
+
+        return $lock;
+    }
+
+    /**
+     * Free a request slot.
+     *
+     * @param \core\lock\lock|null $lock Lock from acquire()
+     */
+    public static function release(?\core\lock\lock $lock): void
+    {
+        if ($lock) {
+            $lock->release();
+        }
+    }
+
+    /**
+     * How long to wait before trying a failed request again.
+     *
+     * @param int $attempt Number of attempts already made, from 1
+     * @param string|null $retryafter Retry-After header of the response, in seconds or as an HTTP date
+     * @return float|null Seconds to wait, or null if the request must not be retried
+     */
+    public static function retry_delay(int $attempt, ?string $retryafter = null): ?float
+    {
+        if ($attempt > (int) get_config('local_aigrading', 'maxretries')) {
+            return null;
+        }
+
+        if ($retryafter !== null && $retryafter !== '') {
+            $seconds = is_numeric($retryafter) ? (int) $retryafter : strtotime($retryafter) - time();
+            // A backend that asks for a long pause will not recover within this request.
+            return $seconds <= self::MAX_DELAY ? max(0, $seconds) : null;
+        }
+
+        // Exponential backoff with jitter, so that parallel jobs do not retry in step.
+        $base = (float) get_config('local_aigrading', 'retrydelay') ?: 1;
+        $delay = min(self::MAX_DELAY, $base * 2 ** ($attempt - 1));
+        return $delay / 2 + $delay / 2 * random_int(0, 1000) / 1000;
+    }
+
+    /**
+     * Note a successful request, which closes the circuit.
+     */
+    public static function record_success(): void
+    {
+        self::update_circuit(function(\cache $cache) {
+            if ($cache->get('failures')) {
+                $cache->set('failures', 0);
+            }
+        });
+    }
+
+    /**
+     * Note a request that failed after all its retries, and open the circuit when too many failed in a row.
+     */
+    public static function record_failure(): void
+    {
+        $threshold = (int) get_config('local_aigrading', 'circuitthreshold');
+        if ($threshold <= 0) {
+            return;
+        }
+
+        self::update_circuit(function(\cache $cache) use ($threshold) {
+            $failures = (int) $cache->get('failures') + 1;
+            if ($failures >= $threshold) {
+                $cache->set('openuntil', time() + ((int) get_config('local_aigrading', 'circuitcooldown') ?: 300));
+                $failures = 0;
+            }
+            $cache->set('failures', $failures);
+        });
+    }
+
+    /**
+     * Update the failure count of the circuit breaker, one process at a time.
+     *
+     * @param callable $update Called with the cache
+     */
+    private static function update_circuit(callable $update): void
+    {
+        $lock = \core\lock\lock_config::get_lock_factory(self::LOCK_TYPE)->get_lock('circuit', self::CIRCUIT_WAIT);
+        try {
+            // Without the lock an update may be lost, which is still better than dropping it.
+            $update(self::get_cache());
+        } finally {
+            self::release($lock ?: null);
+        }
+    }
+
+    /**
+     * Cache shared by all processes.
+     *
+     * @return \cache
+     */
+    private static function get_cache(): \cache
+    {
+        return \cache::make('local_aigrading', 'backend');
+    }
+}
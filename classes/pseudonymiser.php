@@ -0,0 +1,147 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Removes student names and identifiers from text before it leaves the site.
+ *
+ * Depending on the site setting the name, username, ID number and email
+ * address of the student are replaced with a placeholder or removed. Email
+ * addresses are replaced even when the student is not known.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class pseudonymiser
+{
+
+    /** @var string Send text as it is */
+    public const MODE_OFF = 'off';
+
+    /** @var string Replace identifiers with placeholders */
+    public const MODE_PSEUDONYMISE = 'pseudonymise';
+
+    /** @var string Remove identifiers */
+    public const MODE_STRIP = 'strip';
+
+    /** @var string Placeholder for the student name, in the language of the prompt */
+    private const NAME_PLACEHOLDER = '[NAMA SISWA]';
+
+    /** @var string Placeholder for the username and ID number */
+    private const ID_PLACEHOLDER = '[ID SISWA]';
+
+    /** @var string Placeholder for email addresses */
+    private const EMAIL_PLACEHOLDER = '[EMAIL]';
+
+    /** @var string Email addresses */
+    private const EMAIL_PATTERN = '/[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/u';
+
+    /** @var int Shortest name part that is replaced, so initials do not clobber ordinary words */
+    private const MIN_NAME_LENGTH = 3;
+
+    /**
+     * Remove the identifiers of a student from a text, as set up by the admin.
+     *
+     * @param string $text Text to send
+     * @param int|null $userid Student the text belongs to, if known
+     * @return string
+     */
+    public static function apply(string $text, ?int $userid = null): string
+    {
+        $mode = self::get_mode();
+        if ($mode === self::MODE_OFF || $text === '') {
+            return $text;
+        }
+        $strip = $mode === self::MODE_STRIP;
+
+        $text = preg_replace(self::EMAIL_PATTERN, $strip ? '' : self::EMAIL_PLACEHOLDER, $text);
+
+        foreach (self::get_identifiers($userid) as $value => $placeholder) {
+            $pattern = '/(?<![\p{L}\p{N}])' . preg_quote($value, '/') . '(?![\p{L}\p{N}])/iu';
+            $text = preg_replace($pattern, $strip ? '' : $placeholder, $text);
+        }
+
+        return $text;
+    }
+
+    /**
+     * Get the mode set up by the admin.
+     *
+     * @return string One of the mode constants
+     */
+    public static function get_mode(): string
+    {
+        $mode = get_config('local_aigrading', 'pseudonymise');
+        return in_array($mode, [self::MODE_PSEUDONYMISE, self::MODE_STRIP], true) ? $mode : self::MODE_OFF;
+    }
+
+    /**
+     * Options for the admin setting.
+     *
+     * @return array
+     */
+    public static function mode_options(): array
+    {
+        return [
+            self::MODE_OFF => get_string('pseudonymise_off', 'local_aigrading'),
+            self::MODE_PSEUDONYMISE => get_string('pseudonymise_replace', 'local_aigrading'),
+            self::MODE_STRIP => get_string('pseudonymise_strip', 'local_aigrading'),
+        ];
+    }
+
+    /**
+     * Identifiers of a student, longest first so a full name goes before its parts.
+     *
+     * @param int|null $userid
+     * @return array Placeholders keyed by identifier
+     */
+    private static function get_identifiers(?int $userid): array
+    {
+        global $DB;
+
+        if (!$userid) {
+            return [];
+        }
+        $user = $DB->get_record('user', ['id' => $userid, 'deleted' => 0]);
+        if (!$user) {
+            return [];
+        }
+
+        $identifiers = [];
+        foreach ([$user->username, $user->idnumber] as $id) {
+            if (trim((string) $id) !== '') {
+                $identifiers[trim($id)] = self::ID_PLACEHOLDER;
+            }
+        }
+
+        $names = [fullname($user), fullname($user, true)];
+        foreach (['firstname', 'lastname', 'middlename', 'alternatename'] as $field) {
+            // Name fields can hold several names, such as a double surname.
+            $names = array_merge($names, [$user->$field ?? ''], preg_split('/\s+/u', (string) ($user->$field ?? '')));
+        }
+        foreach ($names as $name) {
+            $name = trim($name);
+            if (\core_text::strlen($name) >= self::MIN_NAME_LENGTH && !isset($identifiers[$name])) {
+                $identifiers[$name] = self::NAME_PLACEHOLDER;
+            }
+        }
+
+        uksort($identifiers, fn($a, $b) => \core_text::strlen($b) <=> \core_text::strlen($a));
+        return $identifiers;
+    }
+}
@@ -0,0 +1,56 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\qtype;
+
+/**
+ * Reads the response to one question type for grading.
+ *
+ * An adapter says which attempts of its question type need a grade, how to
+ * turn the response into a document for the backend and what the question
+ * holds for the grader. The supported types are listed in factory.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+interface adapter
+{
+
+    /**
+     * States of the latest step of an attempt that bulk grading picks up.
+     *
+     * @return string[] Empty if bulk grading skips the question type
+     */
+    public function get_grading_states(): array;
+
+    /**
+     * Build the document of the last response.
+     *
+     * @param \question_attempt $qa Question attempt
+     * @param int $contextid Context the files of the response belong to
+     * @return array Document, see submission_document::build()
+     */
+    public function get_response(\question_attempt $qa, int $contextid): array;
+
+    /**
+     * Get what the question holds for the grader, such as a model answer or the accepted answers.
+     *
+     * @param \question_definition $question Question
+     * @return string|null Plain text, null if there is nothing
+     */
+    public function get_graderinfo(\question_definition $question): ?string;
+}
@@ -0,0 +1,82 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\qtype;
+
+use local_aigrading\answer_loader;
+use local_aigrading\submission_document;
+
+/**
+ * Common behaviour of the question type adapters.
+ *
+ * By default attempts are picked up when they need manual grading, and the
+ * general feedback of the question is passed on to the grader.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+abstract class base_adapter implements adapter
+{
+
+    /**
+     * States of the latest step of an attempt that bulk grading picks up.
+     *
+     * @return string[]
+     */
+    public function get_grading_states(): array
+    {
+        return ['needsgrading'];
+    }
+
+    /**
+     * Get the general feedback, which often holds a worked answer.
+     *
+     * @param \question_definition $question Question
+     * @return string|null
+     */
+    public function get_graderinfo(\question_definition $question): ?string
+    {
+        $feedback = answer_loader::to_text($question->generalfeedback, $question->generalfeedbackformat);
+        return $feedback !== '' ? $feedback : null;
+    }
+
+    /**
+     * Build a document from a typed response and its files.
+     *
+     * @param string $text Response as plain text
+     * @param string $html Response as submitted
+     * @param \stored_file[] $files Files of the response
+     * @return array Document, see submission_document::build()
+     */
+    protected function document(string $text, string $html = '', array $files = []): array
+    {
+        return submission_document::from_answer($text, $html, get_string('submissionpart_answer', 'local_aigrading'),
+            $files);
+    }
+
+    /**
+     * Join the non-empty parts of the grader information.
+     *
+     * @param array $parts Texts
+     * @return string|null
+     */
+    protected function join(array $parts): ?string
+    {
+        $parts = array_filter(array_map('trim', $parts), fn($part) => $part !== '');
+        return $parts ? implode("\n\n", $parts) : null;
+    }
+}
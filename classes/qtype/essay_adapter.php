@@ -0,0 +1,65 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\qtype;
+
+use local_aigrading\answer_loader;
+
+/**
+ * Essay questions: the typed answer and any attachments.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class essay_adapter extends base_adapter
+{
+
+    /**
+     * Build the document of the typed answer and the attachments.
+     *
+     * @param \question_attempt $qa Question attempt
+     * @param int $contextid Context the files of the response belong to
+     * @return array
+     */
+    public function get_response(\question_attempt $qa, int $contextid): array
+    {
+        $answer = (string) $qa->get_last_qt_var('answer', '');
+        $files = !empty($qa->get_question(false)->attachments)
+            ? $qa->get_last_qt_files('attachments', $contextid)
+            : [];
+
+        return $this->document(
+            answer_loader::to_text($answer, (int) $qa->get_last_qt_var('answerformat', FORMAT_HTML)),
+            $answer,
+            $files
+        );
+    }
+
+    /**
+     * Get the information for graders, then the general feedback.
+     *
+     * @param \question_definition $question Question
+     * @return string|null
+     */
+    public function get_graderinfo(\question_definition $question): ?string
+    {
+        return $this->join([
+            answer_loader::to_text($question->graderinfo ?? '', $question->graderinfoformat ?? FORMAT_HTML),
+            parent::get_graderinfo($question) ?? '',
+        ]);
+    }
+}
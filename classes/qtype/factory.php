@@ -0,0 +1,115 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\qtype;
+
+/**
+ * Finds the adapter of a question type.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class factory
+{
+
+    /** @var array Supported question types: qtype => adapter class */
+    private const ADAPTERS = [
+        'essay' => essay_adapter::class,
+        'shortanswer' => shortanswer_adapter::class,
+        'numerical' => numerical_adapter::class,
+        'recordrtc' => recordrtc_adapter::class,
+    ];
+
+    /**
+     * Get the adapter of a question type.
+     *
+     * @param string $qtype Question type name
+     * @return adapter|null Null if the question type is not supported
+     */
+    public static function get_adapter(string $qtype): ?adapter
+    {
+        if (!in_array($qtype, self::get_qtypes())) {
+            return null;
+        }
+
+        $class = self::ADAPTERS[$qtype];
+        return new $class();
+    }
+
+    /**
+     * Names of the supported question types that are installed.
+     *
+     * @return string[]
+     */
+    public static function get_qtypes(): array
+    {
+        global $CFG;
+        require_once($CFG->dirroot . '/question/engine/bank.php');
+
+        return array_values(array_filter(array_keys(self::ADAPTERS),
+            fn($qtype) => \question_bank::is_qtype_installed($qtype)));
+    }
+
+    /**
+     * SQL matching question attempts of a supported type whose latest step needs a grade.
+     *
+     * @param string $qtypefield Field holding the question type
+     * @param string $statefield Field holding the state of the latest step
+     * @return array [sql, params]
+     */
+    public static function get_grading_sql(string $qtypefield, string $statefield): array
+    {
+        global $DB;
+
+        $conditions = [];
+        $params = [];
+        foreach (self::get_qtypes() as $i => $qtype) {
+            $states = self::get_adapter($qtype)->get_grading_states();
+            if (!$states) {
+                continue;
+            }
+            [$insql, $inparams] = $DB->get_in_or_equal($states, SQL_PARAMS_NAMED, 'gradingstate' . $i . '_');
+            $conditions[] = "({$qtypefield} = :gradingqtype{$i} AND {$statefield} {$insql})";
+            $params += ['gradingqtype' . $i => $qtype] + $inparams;
+        }
+
+        if (!$conditions) {
+            return ['1 = 0', []];
+        }
+        return ['(' . implode(' OR ', $conditions) . ')', $params];
+    }
+
+    /**
+     * Get the questions of a quiz that have a supported type.
+     *
+     * @param int $quizid Quiz ID
+     * @param \context_module $context Quiz context
+     * @return \stdClass[] Slots of the quiz structure, keyed by question ID
+     */
+    public static function get_quiz_questions(int $quizid, \context_module $context): array
+    {
+        $qtypes = self::get_qtypes();
+
+        $questions = [];
+        foreach (\mod_quiz\question\bank\qbank_helper::get_question_structure($quizid, $context) as $slot) {
+            if (in_array($slot->qtype, $qtypes)) {
+                $questions[$slot->questionid] = $slot;
+            }
+        }
+        return $questions;
+    }
+}
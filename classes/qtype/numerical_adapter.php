@@ -0,0 +1,83 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\qtype;
+
+/**
+ * Numerical questions whose answer was marked wrong or partially right.
+ *
+ * The accepted answers and their tolerance are passed on to the grader, so it
+ * can give credit for rounding, unit or notation differences.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class numerical_adapter extends base_adapter
+{
+
+    /**
+     * Answers that did not get full marks.
+     *
+     * @return string[]
+     */
+    public function get_grading_states(): array
+    {
+        return ['gradedwrong', 'gradedpartial'];
+    }
+
+    /**
+     * Build the document of the answer and its unit.
+     *
+     * @param \question_attempt $qa Question attempt
+     * @param int $contextid Context the files of the response belong to
+     * @return array
+     */
+    public function get_response(\question_attempt $qa, int $contextid): array
+    {
+        $answer = trim((string) $qa->get_last_qt_var('answer', ''));
+        $unit = trim((string) $qa->get_last_qt_var('unit', ''));
+
+        return $this->document(trim($answer . ' ' . $unit));
+    }
+
+    /**
+     * List the accepted answers with their tolerance and grades, then the general feedback.
+     *
+     * @param \question_definition $question Question
+     * @return string|null
+     */
+    public function get_graderinfo(\question_definition $question): ?string
+    {
+        $lines = [];
+        foreach ($question->answers as $answer) {
+            if ($answer->fraction > 0 && $answer->answer !== '*') {
+                $tolerance = !empty($answer->tolerance) ? ' ± ' . $answer->tolerance : '';
+                $lines[] = '- ' . $answer->answer . $tolerance . ': ' . round($answer->fraction * 100) . '%';
+            }
+        }
+
+        $accepted = '';
+        if ($lines) {
+            $accepted = "Jawaban numerik yang diterima (nilai dalam persen dari nilai maksimum):\n"
+                . implode("\n", $lines) . "\n"
+                . "Pemeriksaan otomatis tidak memberi nilai penuh untuk jawaban ini. Periksa apakah perbedaannya "
+                . "hanya pembulatan, satuan atau cara penulisan angka.";
+        }
+
+        return $this->join([$accepted, parent::get_graderinfo($question) ?? '']);
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\qtype;
+
+use local_aigrading\submission_document;
+
+/**
+ * Audio and video recording questions (qtype_recordrtc).
+ *
+ * The question type saves only the recordings, which cannot be read, so the
+ * answers are never picked up by bulk grading. A single suggestion lists the
+ * recordings as skipped files and says why.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class recordrtc_adapter extends base_adapter
+{
+
+    /**
+     * No state, since there is no text to grade.
+     *
+     * @return string[]
+     */
+    public function get_grading_states(): array
+    {
+        return [];
+    }
+
+    /**
+     * Build a document that lists the recordings as skipped.
+     *
+     * Other files of the response, which the question type does not save
+     * itself, are graded as usual.
+     *
+     * @param \question_attempt $qa Question attempt
+     * @param int $contextid Context the files of the response belong to
+     * @return array
+     */
+    public function get_response(\question_attempt $qa, int $contextid): array
+    {
+        $files = [];
+        $recordings = [];
+        foreach ($qa->get_last_qt_files('recording', $contextid) as $file) {
+            if (preg_match('#^(audio|video)/#', $file->get_mimetype())) {
+                $recordings[] = [
+                    'name' => ltrim($file->get_filepath() . $file->get_filename(), '/'),
+                    'code' => submission_document::SKIPPED_UNSUPPORTED,
+                    'reason' => get_string('skipped_recording', 'local_aigrading'),
+                ];
+            } else {
+                $files[] = $file;
+            }
+        }
+
+        $document = $this->document('', '', $files);
+        $document['skipped'] = array_merge($recordings, $document['skipped']);
+        return $document;
+    }
+}
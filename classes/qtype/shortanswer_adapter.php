@@ -0,0 +1,82 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\qtype;
+
+/**
+ * Short-answer questions whose answer the pattern match marked wrong or partially right.
+ *
+ * The accepted answers are passed on to the grader, so it can give credit
+ * for answers that mean the same but are worded differently.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class shortanswer_adapter extends base_adapter
+{
+
+    /**
+     * Answers the pattern match did not give full marks.
+     *
+     * @return string[]
+     */
+    public function get_grading_states(): array
+    {
+        return ['gradedwrong', 'gradedpartial'];
+    }
+
+    /**
+     * Build the document of the answer.
+     *
+     * @param \question_attempt $qa Question attempt
+     * @param int $contextid Context the files of the response belong to
+     * @return array
+     */
+    public function get_response(\question_attempt $qa, int $contextid): array
+    {
+        return $this->document(trim((string) $qa->get_last_qt_var('answer', '')));
+    }
+
+    /**
+     * List the accepted answers with their grades, then the general feedback.
+     *
+     * @param \question_definition $question Question
+     * @return string|null
+     */
+    public function get_graderinfo(\question_definition $question): ?string
+    {
+        $lines = [];
+        foreach ($question->answers as $answer) {
+            if ($answer->fraction > 0) {
+                $lines[] = '- ' . $answer->answer . ': ' . round($answer->fraction * 100) . '%';
+            }
+        }
+
+        $accepted = '';
+        if ($lines) {
+            $accepted = "Jawaban yang diterima (nilai dalam persen dari nilai maksimum, * cocok dengan teks apa pun):\n"
+                . implode("\n", $lines) . "\n"
+                . "Pencocokan otomatis tidak memberi nilai penuh untuk jawaban ini. Nilai berdasarkan maknanya, "
+                . "misalnya sinonim, salah ketik kecil atau urutan kata yang berbeda.";
+            if (!empty($question->usecase)) {
+                $accepted .= " Huruf besar dan kecil diperhatikan.";
+            }
+        }
+
+        return $this->join([$accepted, parent::get_graderinfo($question) ?? '']);
+    }
+}
@@ -0,0 +1,165 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Loads and saves the answers of all students to one quiz question for the review workspace.
+ *
+ * The workspace lists every finished answer next to its AI suggestion, which
+ * the browser asks for one answer at a time. Grades the teacher accepts are
+ * written together in one save.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class review_workspace
+{
+
+    /**
+     * Get the answers of all finished attempts to a question slot.
+     *
+     * Each answer is read through answer_loader, so the teacher sees the text
+     * that is sent to the grader, including the files of essay answers.
+     *
+     * @param \stdClass|\cm_info $cm Quiz course module
+     * @param int $slot Question slot
+     * @return array Rows (attemptid, qubaid, slot, userid, fullname, qtype, answertext, skipped, mark, maxgrade,
+     *     graded), ordered by student name
+     */
+    public static function get_answers($cm, int $slot): array
+    {
+        global $DB;
+
+        [$qtypesql, $qtypeparams] = $DB->get_in_or_equal(qtype\factory::get_qtypes(), SQL_PARAMS_NAMED, 'qtype');
+        $userfields = \core_user\fields::for_name()->get_sql('u', false, '', '', false)->selects;
+        $sql = "SELECT qa.id AS attemptid, qa.uniqueid AS qubaid, qa.userid, q.qtype,
+                       qatt.maxmark, qas.state, qas.fraction, {$userfields}
+                  FROM {quiz_attempts} qa
+                  JOIN {question_attempts} qatt ON qatt.questionusageid = qa.uniqueid AND qatt.slot = :slot
+                  JOIN {question} q ON q.id = qatt.questionid
+                  JOIN {question_attempt_steps} qas ON qas.questionattemptid = qatt.id
+                  JOIN {user} u ON u.id = qa.userid
+                 WHERE qa.quiz = :quizid
+                   AND qa.state = 'finished'
+                   AND q.qtype {$qtypesql}
+                   AND qas.sequencenumber = (
+                       SELECT MAX(qas2.sequencenumber) FROM {question_attempt_steps} qas2
+                        WHERE qas2.questionattemptid = qatt.id
+                   )
+              ORDER BY u.lastname, u.firstname, qa.attempt";
+        $records = $DB->get_recordset_sql($sql, ['quizid' => $cm->instance, 'slot' => $slot] + $qtypeparams);
+
+        $rows = [];
+        foreach ($records as $record) {
+            $answer = answer_loader::quiz($cm, (int) $record->qubaid, $slot);
+            $rows[] = [
+                'attemptid' => (int) $record->attemptid,
+                'qubaid' => (int) $record->qubaid,
+                'slot' => $slot,
+                'userid' => (int) $record->userid,
+                'fullname' => fullname($record),
+                'qtype' => $record->qtype,
+                'answertext' => $answer['answertext'],
+                'skipped' => $answer['document']['skipped'],
+                'mark' => $record->fraction !== null ? round($record->fraction * $record->maxmark, 5) : null,
+                'maxgrade' => (float) $record->maxmark,
+                // Whether a teacher has already graded the answer.
+                'graded' => strpos($record->state, 'mangr') === 0,
+            ];
+        }
+        $records->close();
+
+        return $rows;
+    }
+
+    /**
+     * Write the grades the teacher accepted.
+     *
+     * A row with a suggestion records the decision in the audit log and its
+     * feedback is approved for students. A row the teacher graded without a
+     * suggestion keeps its comment as the teacher comment. Suggestions the
+     * teacher left unaccepted are recorded as rejected.
+     *
+     * @param \stdClass|\cm_info $cm Quiz course module
+     * @param int $slot Question slot
+     * @param array $rows Rows with qubaid, grade, feedback and logid, 0 if there is no suggestion
+     * @param int[] $rejected Audit log entries of the suggestions that were not accepted
+     * @return int Number of grades written
+     */
+    public static function save($cm, int $slot, array $rows, array $rejected = []): int
+    {
+        global $DB;
+
+        $transaction = $DB->start_delegated_transaction();
+        foreach ($rejected as $logid) {
+            $entry = self::get_entry($cm, $slot, $logid);
+            if ($entry->status === audit_log::STATUS_SUGGESTED) {
+                audit_log::set_outcome($entry, audit_log::STATUS_REJECTED);
+            }
+        }
+        foreach ($rows as $row) {
+            $attempt = $DB->get_record('quiz_attempts',
+                ['uniqueid' => $row['qubaid'], 'quiz' => $cm->instance, 'state' => 'finished'], 'id, userid', MUST_EXIST);
+            $maxmark = (float) $DB->get_field('question_attempts', 'maxmark',
+                ['questionusageid' => $row['qubaid'], 'slot' => $slot], MUST_EXIST);
+            $grade = max(0, min($maxmark, (float) $row['grade']));
+
+            $comment = $row['feedback'] !== '' ? $row['feedback'] : null;
+            if ($row['logid']) {
+                $entry = self::get_entry($cm, $slot, $row['logid'], $row['qubaid']);
+                if ($entry->status === audit_log::STATUS_SUGGESTED) {
+                    audit_log::set_outcome($entry, audit_log::STATUS_APPLIED, $grade);
+                }
+                if ($comment !== null) {
+                    // The teacher has read the feedback in the workspace, which approves it for students.
+                    $comment = student_feedback::comment([
+                        'cmid' => $cm->id,
+                        'itemtype' => 'quiz',
+                        'itemid' => $attempt->id,
+                        'userid' => $attempt->userid,
+                        'slot' => $slot,
+                    ], $comment, true);
+                }
+            }
+
+            grade_writer::apply_quiz_grade($row['qubaid'], $slot, $grade, $maxmark, $comment);
+        }
+        $transaction->allow_commit();
+
+        return count($rows);
+    }
+
+    /**
+     * Get the audit log entry of a suggestion for an answer to the question slot.
+     *
+     * @param \stdClass|\cm_info $cm Quiz course module
+     * @param int $slot Question slot
+     * @param int $logid Audit log entry
+     * @param int|null $qubaid Question usage ID the suggestion must be for, null for any attempt at the quiz
+     * @return \stdClass
+     * @throws \moodle_exception If the suggestion is for another question
+     */
+    private static function get_entry($cm, int $slot, int $logid, ?int $qubaid = null): \stdClass
+    {
+        $entry = audit_log::get($logid);
+        if ($entry->cmid != $cm->id || $entry->slot != $slot || ($qubaid !== null && $entry->qubaid != $qubaid)) {
+            throw new \moodle_exception('error:invalidsuggestion', 'local_aigrading');
+        }
+        return $entry;
+    }
+}
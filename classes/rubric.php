@@ -0,0 +1,261 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Structured rubrics: criteria with scored levels, graded one criterion at a time.
+ *
+ * A rubric is structured when it uses "## " headings for the criteria, each
+ * followed by one line per level in the form "points: description":
+ *
+ *     ## Thesis
+ *     4: Clear, arguable thesis
+ *     2: Thesis present but vague
+ *     0: No thesis
+ *
+ * Any other rubric text is sent to the backend as free text, as before.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class rubric
+{
+
+    /** @var string Pattern of a criterion heading */
+    private const CRITERION_PATTERN = '/^##\s+(.+)$/';
+
+    /** @var string Pattern of a level line */
+    private const LEVEL_PATTERN = '/^[-*]?\s*(\d+(?:[.,]\d+)?)\s*[:=]\s*(.*)$/';
+
+    /**
+     * Check whether a rubric text uses the structured format.
+     *
+     * @param string|null $text Rubric text
+     * @return bool
+     */
+    public static function is_structured(?string $text): bool
+    {
+        foreach (preg_split('/\R/', (string) $text) as $line) {
+            if (preg_match(self::CRITERION_PATTERN, trim($line))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Parse a structured rubric.
+     *
+     * @param string|null $text Rubric text
+     * @return array|null List of criteria with name, levels (points, description) and maxscore,
+     *     or null if the text is not a valid structured rubric
+     */
+    public static function parse(?string $text): ?array
+    {
+        if (!self::is_structured($text) || self::validate($text) !== null) {
+            return null;
+        }
+        return self::read_criteria($text);
+    }
+
+    /**
+     * Validate a rubric text.
+     *
+     * Free-text rubrics are always valid.
+     *
+     * @param string|null $text Rubric text
+     * @return string|null Error message, or null if the rubric is valid
+     */
+    public static function validate(?string $text): ?string
+    {
+        if (!self::is_structured($text)) {
+            return null;
+        }
+
+        $lines = array_values(array_filter(array_map('trim', preg_split('/\R/', $text)), 'strlen'));
+        if (!preg_match(self::CRITERION_PATTERN, $lines[0])) {
+            return get_string('error:rubricbeforecriterion', 'local_aigrading', $lines[0]);
+        }
+
+        foreach (self::read_criteria($text) as $criterion) {
+            if (empty($criterion['levels'])) {
+                return get_string('error:rubricnolevels', 'local_aigrading', $criterion['name']);
+            }
+            if (!empty($criterion['invalid'])) {
+                return get_string('error:rubricinvalidlevel', 'local_aigrading', (object) [
+                    'criterion' => $criterion['name'],
+                    'line' => $criterion['invalid'],
+                ]);
+            }
+            if ($criterion['maxscore'] <= 0) {
+                return get_string('error:rubricnopoints', 'local_aigrading', $criterion['name']);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Describe the criteria for the grading prompt.
+     *
+     * @param array $criteria Parsed criteria
+     * @return string
+     */
+    public static function format_for_prompt(array $criteria): string
+    {
+        $text = '';
+        foreach ($criteria as $criterion) {
+            $text .= "### {$criterion['name']} (maksimum {$criterion['maxscore']} poin)\n";
+            foreach ($criterion['levels'] as $level) {
+                $text .= "- {$level['points']} poin: {$level['description']}\n";
+            }
+            $text .= "\n";
+        }
+        return $text;
+    }
+
+    /**
+     * Check the criterion scores returned by the backend and derive the grade from them.
+     *
+     * Each criterion must be scored between 0 and its maximum, in the order of
+     * the rubric. The grade is the total of the criterion scores scaled to the
+     * maximum grade, whatever overall grade the backend reported.
+     *
+     * @param array $criteria Parsed criteria
+     * @param array $result Successful grading result with the raw criteria from the backend
+     * @param float $maxgrade Maximum possible grade
+     * @return array Grading result with the checked criteria, or a failed result
+     */
+    public static function apply_scores(array $criteria, array $result, float $maxgrade): array
+    {
+        $returned = $result['criteria'] ?? null;
+        if (!is_array($returned) || count($returned) !== count($criteria)) {
+            return self::invalid(get_string('error:criteriacount', 'local_aigrading', count($criteria)));
+        }
+
+        $scores = [];
+        $total = 0;
+        $rubricmax = 0;
+        foreach (array_values($criteria) as $i => $criterion) {
+            $score = $returned[$i]['score'] ?? null;
+            if (!is_numeric($score) || $score < 0 || $score > $criterion['maxscore']) {
+                return self::invalid(get_string('error:criterionscore', 'local_aigrading', (object) [
+                    'criterion' => $criterion['name'],
+                    'max' => $criterion['maxscore'],
+                ]));
+            }
+
+            $scores[] = [
+                'name' => $criterion['name'],
+                'score' => (float) $score,
+                'maxscore' => $criterion['maxscore'],
+                'justification' => (string) ($returned[$i]['justification'] ?? ''),
+            ];
+            $total += $score;
+            $rubricmax += $criterion['maxscore'];
+        }
+
+        $grade = round($total / $rubricmax * $maxgrade, 2);
+        if (isset($result['reportedgrade']) && abs($result['reportedgrade'] - $grade) > 0.01) {
+            $note = get_string('rubrictotalmismatch', 'local_aigrading', (object) [
+                'reported' => $result['reportedgrade'],
+                'grade' => $grade,
+            ]);
+            $result['explanation'] = trim(($result['explanation'] ?? '') . "\n\n" . $note);
+        }
+        unset($result['reportedgrade']);
+
+        $result['grade'] = $grade;
+        $result['criteria'] = $scores;
+        return $result;
+    }
+
+    /**
+     * Append the per-criterion breakdown to the feedback for the student.
+     *
+     * @param string $feedback Overall feedback
+     * @param array $scores Checked criterion scores
+     * @return string
+     */
+    public static function append_breakdown(string $feedback, array $scores): string
+    {
+        if (empty($scores)) {
+            return $feedback;
+        }
+
+        $lines = [get_string('rubricbreakdown', 'local_aigrading')];
+        foreach ($scores as $score) {
+            $lines[] = get_string('rubricbreakdownline', 'local_aigrading', (object) [
+                'name' => $score['name'],
+                'score' => format_float($score['score'], -1),
+                'maxscore' => format_float($score['maxscore'], -1),
+                'justification' => $score['justification'],
+            ]);
+        }
+
+        return trim($feedback . "\n\n" . implode("\n", $lines));
+    }
+
+    /**
+     * Read the criteria and levels, keeping track of lines that are not levels.
+     *
+     * @param string $text Rubric text
+     * @return array
+     */
+    private static function read_criteria(string $text): array
+    {
+        $criteria = [];
+        $current = null;
+
+        foreach (preg_split('/\R/', $text) as $line) {
+            $line = trim($line);
+            if ($line === '') {
+                continue;
+            }
+
+            if (preg_match(self::CRITERION_PATTERN, $line, $matches)) {
+                $criteria[] = ['name' => trim($matches[1]), 'levels' => [], 'maxscore' => 0.0];
+                $current = count($criteria) - 1;
+            } else if ($current === null) {
+                continue;
+            } else if (preg_match(self::LEVEL_PATTERN, $line, $matches)) {
+                $points = (float) str_replace(',', '.', $matches[1]);
+                $criteria[$current]['levels'][] = ['points' => $points, 'description' => trim($matches[2])];
+                $criteria[$current]['maxscore'] = max($criteria[$current]['maxscore'], $points);
+            } else if (empty($criteria[$current]['invalid'])) {
+                $criteria[$current]['invalid'] = $line;
+            }
+        }
+
+        return $criteria;
+    }
+
+    /**
+     * Build a failed result for a response that does not follow the rubric.
+     *
+     * @param string $reason Why the response was rejected
+     * @return array
+     */
+    private static function invalid(string $reason): array
+    {
+        return [
+            'success' => false,
+            'error' => get_string('error:invalidcriteria', 'local_aigrading', $reason),
+        ];
+    }
+}
@@ -0,0 +1,320 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Feedback for students that is shown as AI-generated.
+ *
+ * By default AI feedback is written into the teacher comment of the grade.
+ * When the admin chooses labelled feedback, the comment is left alone and the
+ * feedback is kept here instead, to be shown to the student with a label once
+ * a teacher approves it or, if the activity says so, from a release date.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class student_feedback
+{
+
+    /** @var string Table name */
+    private const TABLE = 'local_aigrading_feedback';
+
+    /** @var string Write AI feedback into the teacher comment */
+    public const MODE_COMMENT = 'comment';
+
+    /** @var string Keep AI feedback apart and show it labelled */
+    public const MODE_LABELLED = 'labelled';
+
+    /** @var string Waiting for a teacher, or for the release date */
+    public const STATUS_PENDING = 'pending';
+
+    /** @var string Approved by a teacher */
+    public const STATUS_APPROVED = 'approved';
+
+    /** @var string Never shown */
+    public const STATUS_WITHHELD = 'withheld';
+
+    /** @var string Shown once a teacher approves it */
+    public const RELEASE_APPROVAL = 'approval';
+
+    /** @var string Shown from the release date of the activity unless withheld */
+    public const RELEASE_DATE = 'date';
+
+    /** @var string Style that starts with what went well */
+    public const STYLE_ENCOURAGING = 'encouraging';
+
+    /** @var string Short, to-the-point style */
+    public const STYLE_CONCISE = 'concise';
+
+    /** @var string Thorough style that ends with next steps */
+    public const STYLE_DETAILED = 'detailed';
+
+    /** @var array Prompt instruction of each style */
+    private const STYLE_INSTRUCTIONS = [
+        self::STYLE_ENCOURAGING => 'Tulis feedback untuk siswa dengan nada yang hangat dan memotivasi: '
+            . 'sebutkan dulu hal yang sudah baik, lalu apa yang perlu diperbaiki.',
+        self::STYLE_CONCISE => 'Tulis feedback untuk siswa secara singkat dan langsung, paling banyak tiga kalimat.',
+        self::STYLE_DETAILED => 'Tulis feedback untuk siswa secara rinci: jelaskan kekuatan dan kekurangan jawaban, '
+            . 'lalu akhiri dengan langkah konkret yang dapat dilakukan siswa berikutnya.',
+    ];
+
+    /**
+     * Whether AI feedback is kept apart from the teacher comment.
+     *
+     * @return bool
+     */
+    public static function is_labelled(): bool
+    {
+        return get_config('local_aigrading', 'studentfeedback') === self::MODE_LABELLED;
+    }
+
+    /**
+     * Options for the admin setting.
+     *
+     * @return array
+     */
+    public static function mode_options(): array
+    {
+        return [
+            self::MODE_COMMENT => get_string('studentfeedback_comment', 'local_aigrading'),
+            self::MODE_LABELLED => get_string('studentfeedback_labelled', 'local_aigrading'),
+        ];
+    }
+
+    /**
+     * Options for the feedback style.
+     *
+     * @return array
+     */
+    public static function style_options(): array
+    {
+        $options = [];
+        foreach (array_keys(self::STYLE_INSTRUCTIONS) as $style) {
+            $options[$style] = get_string('feedbackstyle_' . $style, 'local_aigrading');
+        }
+        return $options;
+    }
+
+    /**
+     * Options for the release of labelled feedback.
+     *
+     * @return array
+     */
+    public static function release_options(): array
+    {
+        return [
+            self::RELEASE_APPROVAL => get_string('feedbackrelease_approval', 'local_aigrading'),
+            self::RELEASE_DATE => get_string('feedbackrelease_date', 'local_aigrading'),
+        ];
+    }
+
+    /**
+     * Prompt instruction for the feedback style of an activity.
+     *
+     * @param int $cmid Course module ID
+     * @return string
+     */
+    public static function style_instruction(int $cmid): string
+    {
+        $config = activity_config::get($cmid);
+        $style = ($config->feedbackstyle ?? '') ?: get_config('local_aigrading', 'feedbackstyle');
+        return self::STYLE_INSTRUCTIONS[$style] ?? self::STYLE_INSTRUCTIONS[self::STYLE_ENCOURAGING];
+    }
+
+    /**
+     * Get when labelled feedback of an activity is shown.
+     *
+     * @param int $cmid Course module ID
+     * @return array{mode: string, date: int} Release mode and, for release by date, the date
+     */
+    public static function get_release(int $cmid): array
+    {
+        $config = activity_config::get($cmid);
+        if (($config->feedbackrelease ?? null) === self::RELEASE_DATE && !empty($config->feedbackreleasedate)) {
+            return ['mode' => self::RELEASE_DATE, 'date' => (int) $config->feedbackreleasedate];
+        }
+        return ['mode' => self::RELEASE_APPROVAL, 'date' => 0];
+    }
+
+    /**
+     * Get the comment to write with a grade, keeping labelled feedback apart.
+     *
+     * @param array $item Item with cmid, itemtype, itemid, userid and, for quizzes, slot
+     * @param string $feedback AI feedback
+     * @param bool $approved Whether a teacher has seen and approved the feedback
+     * @return string|null Comment to write, null to keep the current teacher comment
+     */
+    public static function comment(array $item, string $feedback, bool $approved): ?string
+    {
+        if (!self::is_labelled()) {
+            return $feedback;
+        }
+        if (!empty($item['itemid']) && !empty($item['userid'])) {
+            self::save($item, $feedback, $approved);
+        }
+        return null;
+    }
+
+    /**
+     * Store the labelled feedback of an item, replacing earlier feedback.
+     *
+     * @param array $item Item with cmid, itemtype, itemid, userid and, for quizzes, slot
+     * @param string $feedback AI feedback
+     * @param bool $approved Whether a teacher has seen and approved the feedback
+     */
+    public static function save(array $item, string $feedback, bool $approved): void
+    {
+        global $DB, $USER;
+
+        $key = [
+            'cmid' => $item['cmid'],
+            'itemtype' => $item['itemtype'],
+            'itemid' => $item['itemid'],
+            'slot' => $item['slot'] ?? 0,
+        ];
+        $record = $DB->get_record(self::TABLE, $key) ?: (object) ($key + [
+            'userid' => $item['userid'],
+            'usercreated' => $USER->id,
+            'timecreated' => time(),
+        ]);
+
+        // New feedback needs a new decision.
+        $record->feedback = $feedback;
+        $record->status = $approved ? self::STATUS_APPROVED : self::STATUS_PENDING;
+        $record->usermodified = $approved ? $USER->id : 0;
+        $record->timemodified = time();
+
+        if (!empty($record->id)) {
+            $DB->update_record(self::TABLE, $record);
+        } else {
+            $DB->insert_record(self::TABLE, $record);
+        }
+    }
+
+    /**
+     * Approve or withhold feedback.
+     *
+     * @param \stdClass $record Feedback record
+     * @param string $status STATUS_APPROVED or STATUS_WITHHELD
+     */
+    public static function set_status(\stdClass $record, string $status): void
+    {
+        global $DB, $USER;
+
+        $DB->update_record(self::TABLE, (object) [
+            'id' => $record->id,
+            'status' => $status,
+            'usermodified' => $USER->id,
+            'timemodified' => time(),
+        ]);
+    }
+
+    /**
+     * Get a feedback record of an activity.
+     *
+     * @param int $cmid Course module ID
+     * @param int $id Feedback ID
+     * @return \stdClass
+     */
+    public static function get(int $cmid, int $id): \stdClass
+    {
+        global $DB;
+
+        return $DB->get_record(self::TABLE, ['id' => $id, 'cmid' => $cmid], '*', MUST_EXIST);
+    }
+
+    /**
+     * Get the feedback of an activity with the student names, newest first.
+     *
+     * @param int $cmid Course module ID
+     * @param string|null $status Only feedback with this status
+     * @return array
+     */
+    public static function get_all(int $cmid, ?string $status = null): array
+    {
+        global $DB;
+
+        $userfields = \core_user\fields::for_name()->get_sql('u', false, '', '', false)->selects;
+        $params = ['cmid' => $cmid];
+        $where = 'f.cmid = :cmid';
+        if ($status !== null) {
+            $where .= ' AND f.status = :status';
+            $params['status'] = $status;
+        }
+
+        return $DB->get_records_sql("SELECT f.*, {$userfields}
+                                       FROM {" . self::TABLE . "} f
+                                       JOIN {user} u ON u.id = f.userid
+                                      WHERE {$where}
+                                   ORDER BY f.timemodified DESC, f.id DESC", $params);
+    }
+
+    /**
+     * Whether a student can see the feedback.
+     *
+     * @param \stdClass $record Feedback record
+     * @param array $release Release of the activity, see get_release()
+     * @return bool
+     */
+    public static function is_released(\stdClass $record, array $release): bool
+    {
+        if ($record->status === self::STATUS_APPROVED) {
+            return true;
+        }
+        return $record->status === self::STATUS_PENDING && $release['mode'] === self::RELEASE_DATE
+            && $release['date'] <= time();
+    }
+
+    /**
+     * Get the released feedback of a quiz attempt.
+     *
+     * @param int $cmid Course module ID
+     * @param int $attemptid Quiz attempt ID
+     * @return array Feedback records keyed by slot
+     */
+    public static function get_released_for_attempt(int $cmid, int $attemptid): array
+    {
+        global $DB;
+
+        $release = self::get_release($cmid);
+        $records = $DB->get_records(self::TABLE, ['cmid' => $cmid, 'itemtype' => 'quiz', 'itemid' => $attemptid], 'slot');
+
+        $released = [];
+        foreach ($records as $record) {
+            if (self::is_released($record, $release)) {
+                $released[$record->slot] = $record;
+            }
+        }
+        return $released;
+    }
+
+    /**
+     * Get the released feedback of an assignment submission.
+     *
+     * @param int $cmid Course module ID
+     * @param int $submissionid Assignment submission ID
+     * @return \stdClass|null
+     */
+    public static function get_released_for_submission(int $cmid, int $submissionid): ?\stdClass
+    {
+        global $DB;
+
+        $record = $DB->get_record(self::TABLE, ['cmid' => $cmid, 'itemtype' => 'assign', 'itemid' => $submissionid]);
+        return $record && self::is_released($record, self::get_release($cmid)) ? $record : null;
+    }
+}
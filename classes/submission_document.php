@@ -0,0 +1,252 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Combines the online text and all files of an assignment submission, or the
+ * typed response and files of a quiz answer, into one labelled document for
+ * grading.
+ *
+ * The document is kept within the maximum text length. Short parts are sent in
+ * full and the remaining length is shared between the longer ones.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class submission_document
+{
+
+    /** @var string Part that holds the online text */
+    public const PART_ONLINETEXT = 'onlinetext';
+
+    /** @var string Part that holds the text of a file */
+    public const PART_FILE = 'file';
+
+    /** @var string File skipped because its type is not supported */
+    public const SKIPPED_UNSUPPORTED = 'unsupported';
+
+    /** @var string File skipped because its text could not be extracted */
+    public const SKIPPED_FAILED = 'failed';
+
+    /** @var string File skipped because it has no text */
+    public const SKIPPED_EMPTY = 'empty';
+
+    /** @var string Inline styles that hide online text from the teacher */
+    private const HIDDEN_STYLE_PATTERN = '/style\s*=\s*["\'][^"\']*(display\s*:\s*none|visibility\s*:\s*hidden|'
+        . 'font-size\s*:\s*0(?![.\d]*[1-9])|(?<![-\w])color\s*:\s*(#fff\b|#ffffff\b|white\b))/i';
+
+    /**
+     * Build the document of an assignment submission.
+     *
+     * @param \context $context Assignment context
+     * @param int $submissionid Submission ID
+     * @return array{text: string, parts: array, skipped: array, flags: array} The combined text, the included
+     *     parts (name, type, method, length, originallength, truncated), the skipped files (name, code, reason) and
+     *     the injection_guard flags of parts with hidden text
+     */
+    public static function build(\context $context, int $submissionid): array
+    {
+        global $DB;
+
+        $onlinetext = $DB->get_record('assignsubmission_onlinetext', ['submission' => $submissionid]);
+        $files = get_file_storage()->get_area_files(
+            $context->id,
+            'assignsubmission_file',
+            'submission_files',
+            $submissionid,
+            'sortorder, filepath, filename',
+            false
+        );
+
+        return self::from_answer(
+            $onlinetext ? trim(strip_tags($onlinetext->onlinetext)) : '',
+            $onlinetext ? $onlinetext->onlinetext : '',
+            get_string('submissionpart_onlinetext', 'local_aigrading'),
+            $files
+        );
+    }
+
+    /**
+     * Build the document of a typed answer and the files that came with it.
+     *
+     * @param string $text Answer as plain text
+     * @param string $html Answer as submitted, checked for text hidden by its styles
+     * @param string $label Name of the typed answer
+     * @param \stored_file[] $files Files of the answer
+     * @return array Document, see build()
+     */
+    public static function from_answer(string $text, string $html, string $label, array $files): array
+    {
+        $parts = [];
+        $skipped = [];
+        $flags = [];
+
+        if ($text !== '') {
+            if (preg_match(self::HIDDEN_STYLE_PATTERN, $html)) {
+                $flags[] = injection_guard::hidden_text_flag($label);
+            }
+            $parts[] = [
+                'name' => $label,
+                'type' => self::PART_ONLINETEXT,
+                'method' => self::PART_ONLINETEXT,
+                'text' => $text,
+            ];
+        }
+
+        $extractor = new file_extractor();
+        foreach ($files as $file) {
+            $name = ltrim($file->get_filepath() . $file->get_filename(), '/');
+
+            if (!$extractor->is_supported($file->get_mimetype(), $file->get_filename())) {
+                $skipped[] = [
+                    'name' => $name,
+                    'code' => self::SKIPPED_UNSUPPORTED,
+                    'reason' => get_string('skipped_unsupported', 'local_aigrading', $file->get_mimetype()),
+                ];
+                continue;
+            }
+
+            $result = $extractor->extract($file);
+            if ($result['hiddentext'] !== '') {
+                $flags[] = injection_guard::hidden_text_flag($name);
+            }
+            if (!$result['success']) {
+                $skipped[] = [
+                    'name' => $name,
+                    'code' => self::SKIPPED_FAILED,
+                    'reason' => get_string('skipped_failed', 'local_aigrading', $result['error']),
+                ];
+            } else if ($result['text'] === '') {
+                $skipped[] = [
+                    'name' => $name,
+                    'code' => self::SKIPPED_EMPTY,
+                    'reason' => get_string('skipped_empty', 'local_aigrading'),
+                ];
+            } else {
+                $parts[] = [
+                    'name' => $name,
+                    'type' => self::PART_FILE,
+                    'method' => $result['method'],
+                    'text' => $result['text'],
+                ];
+            }
+        }
+
+        return self::combine($parts, $skipped) + ['flags' => $flags];
+    }
+
+    /**
+     * Get the grading exception for a document with no text, saying which files were skipped and why.
+     *
+     * @param array $document Document from build()
+     * @return grading_exception
+     */
+    public static function empty_exception(array $document): grading_exception
+    {
+        $details = self::describe($document);
+        $codes = array_column($document['skipped'], 'code');
+        if (in_array(self::SKIPPED_FAILED, $codes)) {
+            $reason = grading_exception::EXTRACTION_ERROR;
+        } else if (in_array(self::SKIPPED_UNSUPPORTED, $codes)) {
+            $reason = grading_exception::UNSUPPORTED_FILE;
+        } else {
+            $reason = grading_exception::EMPTY_ANSWER;
+        }
+
+        return new grading_exception($reason, $details
+            ? get_string('error:nosubmissiontextdetails', 'local_aigrading', $details)
+            : get_string('error:nosubmissiontext', 'local_aigrading'));
+    }
+
+    /**
+     * Describe what was graded, for the teacher.
+     *
+     * @param array $document Document from build()
+     * @return string Empty if the submission had a single part, not read with OCR, and nothing was skipped
+     */
+    public static function describe(array $document): string
+    {
+        $ocr = in_array(file_extractor::METHOD_OCR, array_column($document['parts'], 'method'));
+        if (count($document['parts']) <= 1 && empty($document['skipped']) && !$ocr) {
+            return '';
+        }
+
+        $lines = [];
+        if ($document['parts']) {
+            $included = array_map(fn($part) => $part['method'] === file_extractor::METHOD_OCR
+                ? "{$part['name']} (" . get_string('partocr', 'local_aigrading') . ")"
+                : $part['name'], $document['parts']);
+            $lines[] = get_string('submissionparts_included', 'local_aigrading', implode(', ', $included));
+        }
+        if ($document['skipped']) {
+            $skipped = array_map(fn($file) => "{$file['name']} ({$file['reason']})", $document['skipped']);
+            $lines[] = get_string('submissionparts_skipped', 'local_aigrading', implode(', ', $skipped));
+        }
+        return implode("\n", $lines);
+    }
+
+    /**
+     * Label the parts and fit them into the maximum text length.
+     *
+     * @param array $parts Parts with name, type and text
+     * @param array $skipped Skipped files
+     * @return array
+     */
+    private static function combine(array $parts, array $skipped): array
+    {
+        $budget = (int) get_config('local_aigrading', 'maxtextlength') ?: 50000;
+
+        // Share the length out from the shortest part up, so short parts are never cut.
+        $lengths = array_map(fn($part) => \core_text::strlen($part['text']), $parts);
+        $allowed = [];
+        $remaining = count($parts);
+        asort($lengths);
+        foreach ($lengths as $i => $length) {
+            $allowed[$i] = min($length, intdiv($budget, $remaining));
+            $budget -= $allowed[$i];
+            $remaining--;
+        }
+
+        $sections = [];
+        foreach ($parts as $i => $part) {
+            $text = $part['text'];
+            $truncated = $allowed[$i] < $lengths[$i];
+            if ($truncated) {
+                $text = \core_text::substr($text, 0, $allowed[$i]) . "\n\n[... Text truncated due to length limit ...]";
+            }
+
+            $label = $part['type'] === self::PART_FILE
+                ? get_string('submissionpart_file', 'local_aigrading', $part['name'])
+                : $part['name'];
+            $sections[] = "===== {$label} =====\n{$text}";
+
+            unset($parts[$i]['text']);
+            $parts[$i] += [
+                'length' => $allowed[$i],
+                'originallength' => $lengths[$i],
+                'truncated' => $truncated,
+            ];
+        }
+
+        return [
+            'text' => implode("\n\n", $sections),
+            'parts' => array_values($parts),
+            'skipped' => $skipped,
+        ];
+    }
+}
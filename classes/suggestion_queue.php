@@ -0,0 +1,237 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading;
+
+/**
+ * Review queue for AI grade suggestions.
+ *
+ * In review mode bulk grading stores suggestions here instead of writing
+ * them to the gradebook. A teacher then accepts, edits or rejects them.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class suggestion_queue
+{
+
+    /** @var string Suggestion waiting for a teacher decision */
+    public const STATUS_PENDING = 'pending';
+
+    /** @var string Suggestion written to the gradebook */
+    public const STATUS_ACCEPTED = 'accepted';
+
+    /** @var string Suggestion discarded by the teacher */
+    public const STATUS_REJECTED = 'rejected';
+
+    /** @var string Table name */
+    private const TABLE = 'local_aigrading_suggestions';
+
+    /**
+     * Whether bulk grading should queue suggestions instead of applying them.
+     *
+     * @return bool
+     */
+    public static function is_review_mode(): bool
+    {
+        return get_config('local_aigrading', 'bulkmode') === 'review';
+    }
+
+    /**
+     * Store a successful AI result as a pending suggestion.
+     *
+     * @param array $item Keys: cmid, itemtype, itemid, userid, answertext, maxgrade and
+     *                    for quizzes qubaid, slot, questionid
+     * @param array $result Result from the grading service
+     * @return int New suggestion ID
+     */
+    public static function add(array $item, array $result): int
+    {
+        global $DB, $USER;
+
+        $now = time();
+        $record = (object) [
+            'cmid' => $item['cmid'],
+            'itemtype' => $item['itemtype'],
+            'itemid' => $item['itemid'],
+            'userid' => $item['userid'],
+            'qubaid' => $item['qubaid'] ?? null,
+            'slot' => $item['slot'] ?? null,
+            'questionid' => $item['questionid'] ?? null,
+            'answertext' => $item['answertext'],
+            'grade' => $result['grade'],
+            'maxgrade' => $item['maxgrade'],
+            'feedback' => rubric::append_breakdown($result['feedback'] ?? '', $result['criteria'] ?? []),
+            'explanation' => $result['explanation'] ?? '',
+            'confidence' => $result['confidence'] ?? 'medium',
+            'criteria' => !empty($result['criteria']) ? json_encode($result['criteria']) : null,
+            'flags' => !empty($result['flags']) ? json_encode($result['flags']) : null,
+            'holdreasons' => !empty($result['holdreasons']) ? json_encode($result['holdreasons']) : null,
+            'status' => self::STATUS_PENDING,
+            'usercreated' => $USER->id,
+            'usermodified' => $USER->id,
+            'timecreated' => $now,
+            'timemodified' => $now,
+        ];
+
+        return $DB->insert_record(self::TABLE, $record);
+    }
+
+    /**
+     * Get pending suggestions for an activity, with student and question names.
+     *
+     * @param int $cmid Course module ID
+     * @return array
+     */
+    public static function get_pending(int $cmid): array
+    {
+        global $DB;
+
+        $userfields = \core_user\fields::for_name()->get_sql('u', false, '', '', false)->selects;
+
+        $sql = "SELECT s.*, q.name AS questionname, {$userfields}
+                  FROM {" . self::TABLE . "} s
+                  JOIN {user} u ON u.id = s.userid
+             LEFT JOIN {question} q ON q.id = s.questionid
+                 WHERE s.cmid = :cmid AND s.status = :status
+              ORDER BY s.slot, u.lastname, u.firstname, s.id";
+
+        return $DB->get_records_sql($sql, ['cmid' => $cmid, 'status' => self::STATUS_PENDING]);
+    }
+
+    /**
+     * Count pending suggestions for an activity.
+     *
+     * @param int $cmid Course module ID
+     * @return int
+     */
+    public static function count_pending(int $cmid): int
+    {
+        global $DB;
+
+        return $DB->count_records(self::TABLE, ['cmid' => $cmid, 'status' => self::STATUS_PENDING]);
+    }
+
+    /**
+     * Get a pending suggestion belonging to an activity.
+     *
+     * @param int $cmid Course module ID
+     * @param int $id Suggestion ID
+     * @return \stdClass
+     */
+    public static function get_pending_suggestion(int $cmid, int $id): \stdClass
+    {
+        global $DB;
+
+        return $DB->get_record(self::TABLE, [
+            'id' => $id,
+            'cmid' => $cmid,
+            'status' => self::STATUS_PENDING,
+        ], '*', MUST_EXIST);
+    }
+
+    /**
+     * Accept a suggestion and write the (possibly edited) grade to the gradebook.
+     *
+     * @param \stdClass $suggestion Suggestion record
+     * @param float $grade Grade to write
+     * @param string $feedback Feedback to write
+     */
+    public static function accept(\stdClass $suggestion, float $grade, string $feedback): void
+    {
+        global $DB, $USER;
+
+        $grade = max(0, min((float) $suggestion->maxgrade, $grade));
+        // The teacher has read the feedback, which approves it for students.
+        $comment = student_feedback::comment((array) $suggestion, $feedback, true);
+
+        if ($suggestion->itemtype === 'quiz') {
+            grade_writer::apply_quiz_grade($suggestion->qubaid, $suggestion->slot, $grade,
+                $suggestion->maxgrade, $comment);
+        } else {
+            // A rubric or marking guide is filled in with the suggested criterion scores.
+            $definition = advanced_grading::get_definition($suggestion->cmid);
+            $advancedgrading = $definition
+                ? advanced_grading::form_data($definition, json_decode($suggestion->criteria ?? '', true) ?: [])
+                : null;
+
+            $assignment = grade_writer::get_assignment($suggestion->cmid);
+            grade_writer::apply_assign_grade($assignment, $suggestion->userid, $grade, $comment, $advancedgrading);
+        }
+
+        // Browsers submit textarea line breaks as CRLF, so compare the feedback without them.
+        $edited = abs($grade - (float) $suggestion->grade) > 0.00001
+            || trim(str_replace("\r\n", "\n", $feedback)) !== trim(str_replace("\r\n", "\n", (string) $suggestion->feedback));
+        audit_log::set_suggestion_outcome($suggestion->id,
+            $edited ? audit_log::STATUS_EDITED : audit_log::STATUS_APPLIED, $grade);
+
+        $DB->update_record(self::TABLE, (object) [
+            'id' => $suggestion->id,
+            'status' => self::STATUS_ACCEPTED,
+            'finalgrade' => $grade,
+            'finalfeedback' => $feedback,
+            'usermodified' => $USER->id,
+            'timemodified' => time(),
+        ]);
+    }
+
+    /**
+     * Reject a suggestion without touching the gradebook.
+     *
+     * @param \stdClass $suggestion Suggestion record
+     */
+    public static function reject(\stdClass $suggestion): void
+    {
+        global $DB, $USER;
+
+        audit_log::set_suggestion_outcome($suggestion->id, audit_log::STATUS_REJECTED);
+
+        $DB->update_record(self::TABLE, (object) [
+            'id' => $suggestion->id,
+            'status' => self::STATUS_REJECTED,
+            'usermodified' => $USER->id,
+            'timemodified' => time(),
+        ]);
+    }
+
+    /**
+     * SQL fragment excluding items that are waiting for review or whose suggestion a teacher rejected.
+     *
+     * A rejection sticks until the answer changes, so bulk grading does not suggest the same grade again.
+     *
+     * @param string $itemtype quiz or assign
+     * @param string $itemidfield SQL field holding the attempt or submission ID
+     * @param string|null $slotfield SQL field holding the slot (quiz only)
+     * @param string|null $changedfield SQL field holding when the answer last changed, null if it cannot change
+     * @return string
+     */
+    public static function not_queued_sql(string $itemtype, string $itemidfield, ?string $slotfield = null,
+        ?string $changedfield = null): string
+    {
+        $slotwhere = $slotfield ? "AND sq.slot = {$slotfield}" : '';
+        $rejectedwhere = $changedfield ? "AND sq.timecreated >= {$changedfield}" : '';
+
+        return "NOT EXISTS (
+                    SELECT 1 FROM {" . self::TABLE . "} sq
+                    WHERE sq.itemtype = '{$itemtype}'
+                    AND sq.itemid = {$itemidfield}
+                    {$slotwhere}
+                    AND (sq.status = '" . self::STATUS_PENDING . "'
+                        OR (sq.status = '" . self::STATUS_REJECTED . "' {$rejectedwhere}))
+                )";
+    }
+}
@@ -0,0 +1,265 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\table;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/tablelib.php');
+
+/**
+ * Table of audit log entries for a course, with download support.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class audit_log_table extends \table_sql
+{
+
+    /** @var \course_modinfo Course module information */
+    protected \course_modinfo $modinfo;
+
+    /**
+     * Constructor.
+     *
+     * @param \stdClass $course Course
+     * @param int $cmid Only show entries of this course module, 0 for all
+     * @param \moodle_url $baseurl Report URL
+     * @param string $download Download format, empty to display the table
+     */
+    public function __construct(\stdClass $course, int $cmid, \moodle_url $baseurl, string $download = '')
+    {
+        parent::__construct('local_aigrading_audit_log');
+
+        $this->is_downloadable(true);
+        $this->show_download_buttons_at([TABLE_P_BOTTOM]);
+        $this->is_downloading($download, clean_filename('aigrading-auditlog-' . $course->shortname),
+            get_string('auditlog', 'local_aigrading'));
+
+        $this->modinfo = get_fast_modinfo($course);
+
+        $columns = [
+            'timecreated' => get_string('date'),
+            'activity' => get_string('activity'),
+            'student' => get_string('student', 'local_aigrading'),
+            'slot' => get_string('question'),
+            'teacher' => get_string('triggeredby', 'local_aigrading'),
+            'source' => get_string('logsource', 'local_aigrading'),
+            'grade' => get_string('suggestedgrade', 'local_aigrading'),
+            'confidence' => get_string('logconfidence', 'local_aigrading'),
+            'status' => get_string('status'),
+            'finalgrade' => get_string('finalgrade', 'local_aigrading'),
+            'answerhash' => get_string('answerhash', 'local_aigrading'),
+        ];
+        if ($this->is_downloading()) {
+            // The full request and response are only included in exports.
+            $columns += [
+                'prompt' => get_string('logprompt', 'local_aigrading'),
+                'rawresponse' => get_string('lograwresponse', 'local_aigrading'),
+                'error' => get_string('error', 'local_aigrading'),
+            ];
+        } else {
+            $columns['details'] = '';
+        }
+
+        $this->define_columns(array_keys($columns));
+        $this->define_headers(array_values($columns));
+        $this->define_baseurl($baseurl);
+        $this->sortable(true, 'timecreated', SORT_DESC);
+        $this->no_sorting('activity');
+        $this->no_sorting('student');
+        $this->no_sorting('teacher');
+        $this->no_sorting('details');
+        $this->no_sorting('prompt');
+        $this->no_sorting('rawresponse');
+        $this->no_sorting('error');
+        $this->collapsible(false);
+
+        $studentfields = \core_user\fields::for_name()->get_sql('s', false, 'student', '', false)->selects;
+        $teacherfields = \core_user\fields::for_name()->get_sql('t', false, 'teacher', '', false)->selects;
+
+        $where = 'l.courseid = :courseid';
+        $params = ['courseid' => $course->id];
+        if ($cmid) {
+            $where .= ' AND l.cmid = :cmid';
+            $params['cmid'] = $cmid;
+        }
+
+        $this->set_sql(
+            "l.*, {$studentfields}, {$teacherfields}",
+            "{local_aigrading_log} l
+             LEFT JOIN {user} s ON s.id = l.userid
+             LEFT JOIN {user} t ON t.id = l.usercreated",
+            $where,
+            $params
+        );
+        $this->set_count_sql("SELECT COUNT(1) FROM {local_aigrading_log} l WHERE {$where}", $params);
+    }
+
+    /**
+     * Time of the suggestion.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_timecreated($row)
+    {
+        if ($this->is_downloading()) {
+            return userdate($row->timecreated, get_string('strftimedatetimeshort', 'langconfig'));
+        }
+        return userdate($row->timecreated);
+    }
+
+    /**
+     * Quiz or assignment name.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_activity($row)
+    {
+        $cms = $this->modinfo->get_cms();
+        if (!isset($cms[$row->cmid])) {
+            return get_string('deletedactivity', 'local_aigrading');
+        }
+        return format_string($cms[$row->cmid]->name);
+    }
+
+    /**
+     * Student name.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_student($row)
+    {
+        if (empty($row->userid)) {
+            return '-';
+        }
+        return fullname(username_load_fields_from_object(new \stdClass(), $row, 'student'));
+    }
+
+    /**
+     * Teacher who triggered the suggestion.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_teacher($row)
+    {
+        return fullname(username_load_fields_from_object(new \stdClass(), $row, 'teacher'));
+    }
+
+    /**
+     * Question slot.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_slot($row)
+    {
+        return $row->slot ? (string) $row->slot : '-';
+    }
+
+    /**
+     * Where the suggestion was requested.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_source($row)
+    {
+        return get_string('logsource_' . $row->source, 'local_aigrading');
+    }
+
+    /**
+     * Suggested grade.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_grade($row)
+    {
+        if ($row->grade === null) {
+            return '-';
+        }
+        return format_float($row->grade, 2, !$this->is_downloading(), true) . ' / ' .
+            format_float($row->maxgrade, 2, !$this->is_downloading(), true);
+    }
+
+    /**
+     * Grade actually applied.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_finalgrade($row)
+    {
+        if ($row->finalgrade === null) {
+            return '-';
+        }
+        return format_float($row->finalgrade, 2, !$this->is_downloading(), true);
+    }
+
+    /**
+     * Confidence reported by the backend.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_confidence($row)
+    {
+        return $row->confidence ?? '-';
+    }
+
+    /**
+     * Decision recorded for the suggestion.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_status($row)
+    {
+        return get_string('logstatus_' . $row->status, 'local_aigrading');
+    }
+
+    /**
+     * Hash of the answer, shortened on screen.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_answerhash($row)
+    {
+        if ($this->is_downloading()) {
+            return $row->answerhash;
+        }
+        return \html_writer::tag('code', substr($row->answerhash, 0, 12), ['title' => $row->answerhash]);
+    }
+
+    /**
+     * Link to the full log entry.
+     *
+     * @param \stdClass $row
+     * @return string
+     */
+    public function col_details($row)
+    {
+        $url = new \moodle_url('/local/aigrading/report.php', ['id' => $row->courseid, 'logid' => $row->id]);
+        return \html_writer::link($url, get_string('viewdetails', 'local_aigrading'));
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace local_aigrading\task;
+
+use local_aigrading\bulk_grader;
+
+/**
+ * Adhoc task that processes a bulk AI grading job.
+ *
+ * The task runs as the teacher who started the job.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class bulk_grade_task extends \core\task\adhoc_task
+{
+
+    /**
+     * Get the component of the task.
+     *
+     * @return string
+     */
+    public function get_component()
+    {
+        return 'local_aigrading';
+    }
+
+    /**
+     * Run the job.
+     */
+    public function execute()
+    {
+        $data = $this->get_custom_data();
+        bulk_grader::run((int) $data->jobid);
+    }
+}
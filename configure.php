@@ -0,0 +1,147 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Per-activity AI grading configuration (rubric, model answer, instructions).
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use local_aigrading\activity_config;
+use local_aigrading\advanced_grading;
+use local_aigrading\form\activity_config_form;
+use local_aigrading\student_feedback;
+
+require_once(__DIR__ . '/../../config.php');
+
+$cmid = required_param('id', PARAM_INT);
+$questionid = optional_param('questionid', -1, PARAM_INT);
+
+$cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+if (!in_array($cm->modname, ['quiz', 'assign'])) {
+    throw new moodle_exception('invalidcoursemodule');
+}
+$course = get_course($cm->course);
+
+require_login($course, false, $cm);
+$context = context_module::instance($cm->id);
+require_capability('local/aigrading:configure', $context);
+
+$isquiz = $cm->modname === 'quiz';
+if (!$isquiz) {
+    // Assignments only have the activity-wide configuration.
+    $questionid = 0;
+}
+
+$listurl = new moodle_url('/local/aigrading/configure.php', ['id' => $cm->id]);
+$PAGE->set_url(new moodle_url($listurl, $questionid >= 0 ? ['questionid' => $questionid] : []));
+$PAGE->set_title(get_string('activityconfig', 'local_aigrading'));
+$PAGE->set_heading($course->fullname);
+$PAGE->activityheader->disable();
+
+// Questions of the quiz with a supported type, keyed by question ID.
+$questions = [];
+if ($isquiz) {
+    $questions = \local_aigrading\qtype\factory::get_quiz_questions($cm->instance, $context);
+}
+
+if ($questionid < 0) {
+    // Quiz overview: list the quiz defaults and each supported question.
+    $table = new html_table();
+    $table->head = [
+        get_string('question'),
+        get_string('status'),
+        get_string('edit'),
+    ];
+
+    $rows = [0 => get_string('activitydefaults', 'local_aigrading')];
+    foreach ($questions as $question) {
+        $rows[$question->questionid] = get_string('questionslot', 'local_aigrading', (object) [
+            'slot' => $question->slot,
+            'name' => format_string($question->name),
+        ]);
+    }
+
+    foreach ($rows as $id => $label) {
+        $configured = activity_config::get($cm->id, $id) !== null;
+        $table->data[] = [
+            $label,
+            $configured ? get_string('configured', 'local_aigrading') : get_string('notconfigured', 'local_aigrading'),
+            html_writer::link(new moodle_url($listurl, ['questionid' => $id]), get_string('edit')),
+        ];
+    }
+
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading(get_string('activityconfig', 'local_aigrading') . ': ' . format_string($cm->name));
+    echo html_writer::tag('p', get_string('activityconfig_desc', 'local_aigrading'));
+    echo html_writer::table($table);
+    echo $OUTPUT->footer();
+    exit;
+}
+
+if ($questionid && !isset($questions[$questionid])) {
+    throw new moodle_exception('error:invalidquestion', 'local_aigrading');
+}
+
+$returnurl = $isquiz ? $listurl : new moodle_url('/mod/assign/view.php', ['id' => $cm->id]);
+
+$form = new activity_config_form($PAGE->url, ['activitydefaults' => !$questionid]);
+$existing = activity_config::get($cm->id, $questionid);
+$form->set_data([
+    'id' => $cm->id,
+    'questionid' => $questionid,
+    'rubric' => $existing->rubric ?? '',
+    'modelanswer' => $existing->modelanswer ?? '',
+    'instructions' => $existing->instructions ?? '',
+    'autoapplyconfidence' => $existing->autoapplyconfidence ?? '',
+    'autoapplypassmargin' => isset($existing->autoapplypassmargin) ? (string) (float) $existing->autoapplypassmargin : '',
+    'autoapplyminwords' => $existing->autoapplyminwords ?? '',
+    'feedbackstyle' => $existing->feedbackstyle ?? '',
+    'feedbackrelease' => $existing->feedbackrelease ?? student_feedback::RELEASE_APPROVAL,
+    'feedbackreleasedate' => $existing->feedbackreleasedate ?? 0,
+]);
+
+if ($form->is_cancelled()) {
+    redirect($returnurl);
+} else if ($data = $form->get_data()) {
+    activity_config::save($cm->id, $questionid, $data);
+    redirect($returnurl, get_string('activityconfigsaved', 'local_aigrading'), null,
+        \core\output\notification::NOTIFY_SUCCESS);
+}
+
+if ($questionid) {
+    $subheading = get_string('questionslot', 'local_aigrading', (object) [
+        'slot' => $questions[$questionid]->slot,
+        'name' => format_string($questions[$questionid]->name),
+    ]);
+} else {
+    $subheading = get_string('activitydefaults', 'local_aigrading');
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('activityconfig', 'local_aigrading') . ': ' . format_string($cm->name));
+echo $OUTPUT->heading($subheading, 3);
+if ($isquiz && $questionid) {
+    echo html_writer::tag('p', get_string('questionconfig_desc', 'local_aigrading'), ['class' => 'text-muted']);
+}
+if (!$isquiz && ($definition = advanced_grading::get_definition($cm->id))) {
+    echo $OUTPUT->notification(get_string('advancedgradingactive', 'local_aigrading',
+        get_string('pluginname', 'gradingform_' . $definition['method'])), \core\output\notification::NOTIFY_INFO);
+}
+$form->display();
+echo $OUTPUT->footer();
@@ -27,23 +27,23 @@ defined('MOODLE_INTERNAL') || die();
 $functions = [
     'local_aigrading_suggest_grade' => [
         'classname' => 'local_aigrading\external\suggest_grade',
-        'description' => 'Get AI suggestion for grading an essay answer',
-        'type' => 'read',
+        'description' => 'Get AI suggestion for grading an answer of a quiz attempt',
+        'type' => 'write',
         'ajax' => true,
-        'capabilities' => 'local/aigrading:useaigrading',
+        'capabilities' => 'local/aigrading:useaigrading, mod/quiz:grade',
         'loginrequired' => true,
     ],
     'local_aigrading_bulk_grade' => [
         'classname' => 'local_aigrading\external\bulk_grade',
-        'description' => 'Get AI suggestions for grading multiple essay answers',
-        'type' => 'read',
+        'description' => 'Get AI suggestions for grading multiple answers',
+        'type' => 'write',
         'ajax' => true,
         'capabilities' => 'local/aigrading:useaigrading',
         'loginrequired' => true,
     ],
     'local_aigrading_auto_grade_question' => [
         'classname' => 'local_aigrading\external\auto_grade_question',
-        'description' => 'Auto-grade all ungraded essays for a quiz question',
+        'description' => 'Start a background job grading all ungraded answers to a quiz question',
         'type' => 'write',
         'ajax' => true,
         'capabilities' => 'local/aigrading:useaigrading, mod/quiz:grade',
@@ -51,7 +51,7 @@ $functions = [
     ],
     'local_aigrading_auto_grade_all' => [
         'classname' => 'local_aigrading\\external\\auto_grade_all',
-        'description' => 'Auto-grade all ungraded essays for ALL questions in a quiz',
+        'description' => 'Start a background job grading all ungraded answers to ALL questions in a quiz',
         'type' => 'write',
         'ajax' => true,
         'capabilities' => 'local/aigrading:useaigrading, mod/quiz:grade',
@@ -59,7 +59,7 @@ $functions = [
     ],
     'local_aigrading_auto_grade_assignment' => [
         'classname' => 'local_aigrading\\external\\auto_grade_assignment',
-        'description' => 'Auto-grade all ungraded online text submissions for an assignment',
+        'description' => 'Start a background job grading all ungraded submissions for an assignment',
         'type' => 'write',
         'ajax' => true,
         'capabilities' => 'local/aigrading:useaigrading, mod/assign:grade',
@@ -67,10 +67,50 @@ $functions = [
     ],
     'local_aigrading_suggest_grade_file' => [
         'classname' => 'local_aigrading\\external\\suggest_grade_file',
-        'description' => 'Get AI suggestion for grading a file submission',
+        'description' => 'Get AI suggestion for grading an assignment submission',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'local/aigrading:useaigrading, mod/assign:grade',
+        'loginrequired' => true,
+    ],
+    'local_aigrading_get_job_status' => [
+        'classname' => 'local_aigrading\\external\\get_job_status',
+        'description' => 'Get the progress of a background grading job',
         'type' => 'read',
         'ajax' => true,
         'capabilities' => 'local/aigrading:useaigrading',
         'loginrequired' => true,
     ],
+    'local_aigrading_retry_failed' => [
+        'classname' => 'local_aigrading\\external\\retry_failed',
+        'description' => 'Grade the failed items of a finished background grading job again',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'local/aigrading:useaigrading',
+        'loginrequired' => true,
+    ],
+    'local_aigrading_record_decision' => [
+        'classname' => 'local_aigrading\\external\\record_decision',
+        'description' => 'Record whether the teacher applied or dismissed an AI suggestion',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'local/aigrading:useaigrading',
+        'loginrequired' => true,
+    ],
+    'local_aigrading_get_review_answers' => [
+        'classname' => 'local_aigrading\\external\\get_review_answers',
+        'description' => 'List the answers of all students to a quiz question for the review workspace',
+        'type' => 'read',
+        'ajax' => true,
+        'capabilities' => 'local/aigrading:useaigrading, mod/quiz:grade',
+        'loginrequired' => true,
+    ],
+    'local_aigrading_save_review' => [
+        'classname' => 'local_aigrading\\external\\save_review',
+        'description' => 'Write the grades accepted in the review workspace',
+        'type' => 'write',
+        'ajax' => true,
+        'capabilities' => 'local/aigrading:useaigrading, mod/quiz:grade',
+        'loginrequired' => true,
+    ],
 ];
@@ -0,0 +1,152 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Labelled AI feedback for students of a quiz or assignment, for teachers to approve or withhold.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use local_aigrading\student_feedback;
+
+require_once(__DIR__ . '/../../config.php');
+
+$cmid = required_param('id', PARAM_INT);
+
+$cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+if (!in_array($cm->modname, ['quiz', 'assign'])) {
+    throw new moodle_exception('invalidcoursemodule');
+}
+$course = get_course($cm->course);
+
+require_login($course, false, $cm);
+$context = context_module::instance($cm->id);
+require_capability('local/aigrading:useaigrading', $context);
+require_capability($cm->modname === 'quiz' ? 'mod/quiz:grade' : 'mod/assign:grade', $context);
+
+$url = new moodle_url('/local/aigrading/feedback.php', ['id' => $cm->id]);
+$PAGE->set_url($url);
+$PAGE->set_title(get_string('studentfeedbackpage', 'local_aigrading'));
+$PAGE->set_heading($course->fullname);
+$PAGE->activityheader->disable();
+
+// Handle teacher decisions.
+if (data_submitted() && confirm_sesskey()) {
+    $approveid = optional_param('approve', 0, PARAM_INT);
+    $withholdid = optional_param('withhold', 0, PARAM_INT);
+    $approveall = optional_param('approveall', 0, PARAM_BOOL);
+
+    if ($approveid) {
+        student_feedback::set_status(student_feedback::get($cm->id, $approveid), student_feedback::STATUS_APPROVED);
+        redirect($url, get_string('feedbackapproved', 'local_aigrading'), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+
+    if ($withholdid) {
+        student_feedback::set_status(student_feedback::get($cm->id, $withholdid), student_feedback::STATUS_WITHHELD);
+        redirect($url, get_string('feedbackwithheld', 'local_aigrading'), null,
+            \core\output\notification::NOTIFY_INFO);
+    }
+
+    if ($approveall) {
+        $pending = student_feedback::get_all($cm->id, student_feedback::STATUS_PENDING);
+        foreach ($pending as $record) {
+            student_feedback::set_status($record, student_feedback::STATUS_APPROVED);
+        }
+        redirect($url, get_string('feedbackapprovedall', 'local_aigrading', count($pending)), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+}
+
+$release = student_feedback::get_release($cm->id);
+$records = student_feedback::get_all($cm->id);
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('studentfeedbackpage', 'local_aigrading') . ': ' . format_string($cm->name));
+
+if (!student_feedback::is_labelled()) {
+    echo $OUTPUT->notification(get_string('studentfeedbackoff', 'local_aigrading'), 'warning');
+}
+echo html_writer::tag('p', $release['mode'] === student_feedback::RELEASE_DATE
+    ? get_string('feedbackreleasesfrom', 'local_aigrading', userdate($release['date']))
+    : get_string('feedbackreleasesonapproval', 'local_aigrading'));
+
+if (!$records) {
+    echo $OUTPUT->notification(get_string('nostudentfeedback', 'local_aigrading'), 'info');
+    echo $OUTPUT->footer();
+    exit;
+}
+
+$table = new html_table();
+$table->head = [
+    get_string('student', 'local_aigrading'),
+    get_string('feedback', 'local_aigrading'),
+    get_string('status'),
+    get_string('actions'),
+];
+if ($cm->modname === 'quiz') {
+    array_splice($table->head, 1, 0, [get_string('question')]);
+}
+
+$pendingcount = 0;
+foreach ($records as $record) {
+    $released = student_feedback::is_released($record, $release);
+    if ($record->status === student_feedback::STATUS_PENDING) {
+        $pendingcount++;
+    }
+
+    $actions = [];
+    $statuses = ['approve' => student_feedback::STATUS_APPROVED, 'withhold' => student_feedback::STATUS_WITHHELD];
+    foreach ($statuses as $action => $status) {
+        if ($record->status !== $status) {
+            $actions[] = html_writer::tag('button', get_string('feedback' . $action, 'local_aigrading'), [
+                'type' => 'submit',
+                'name' => $action,
+                'value' => $record->id,
+                'class' => 'btn btn-sm ' . ($action === 'approve' ? 'btn-success' : 'btn-outline-secondary') . ' mr-1',
+            ]);
+        }
+    }
+
+    $row = [
+        fullname($record),
+        format_text($record->feedback, FORMAT_PLAIN, ['context' => $context]),
+        get_string('feedbackstatus_' . $record->status, 'local_aigrading')
+            . ($released ? ' ' . html_writer::span(get_string('feedbackvisible', 'local_aigrading'), 'badge badge-success') : ''),
+        implode('', $actions),
+    ];
+    if ($cm->modname === 'quiz') {
+        array_splice($row, 1, 0, [$record->slot]);
+    }
+    $table->data[] = $row;
+}
+
+echo html_writer::start_tag('form', ['method' => 'post', 'action' => $url->out(false)]);
+echo html_writer::empty_tag('input', ['type' => 'hidden', 'name' => 'sesskey', 'value' => sesskey()]);
+if ($pendingcount) {
+    echo html_writer::tag('button', get_string('feedbackapproveall', 'local_aigrading', $pendingcount), [
+        'type' => 'submit',
+        'name' => 'approveall',
+        'value' => 1,
+        'class' => 'btn btn-primary mb-3',
+    ]);
+}
+echo html_writer::table($table);
+echo html_writer::end_tag('form');
+
+echo $OUTPUT->footer();
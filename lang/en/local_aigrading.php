@@ -28,23 +28,147 @@ defined('MOODLE_INTERNAL') || die();
 $string['pluginname'] = 'AI Grading';
 
 // Settings.
+$string['providersettings'] = 'Grading backend';
+$string['providersettings_desc'] = 'Choose which backend grades answers. Every AI grading feature uses this backend; only the settings of the selected backend below are used.';
+$string['provider'] = 'Grading provider';
+$string['provider_desc'] = 'Save the settings before testing the connection.';
+$string['provider_dali'] = 'Dali';
+$string['provider_openai'] = 'OpenAI-compatible API';
+$string['provider_ollama'] = 'Ollama (local model)';
 $string['apisettings'] = 'Dali';
 $string['apisettings_desc'] = 'Configure Dali API connection settings.';
 $string['apikey'] = 'Dali API Key';
 $string['apikey_desc'] = 'Enter your Dali API key.';
 $string['apibaseurl'] = 'Dali API Base URL';
 $string['apibaseurl_desc'] = 'Base URL for Dali API (e.g., https://dali-app.test).';
+$string['openaisettings'] = 'OpenAI-compatible API';
+$string['openaisettings_desc'] = 'Any service implementing the OpenAI chat completions API, such as OpenAI, OpenRouter or a vLLM server.';
+$string['openai_apikey'] = 'API key';
+$string['openai_apikey_desc'] = 'Sent as a Bearer token.';
+$string['openai_baseurl'] = 'API base URL';
+$string['openai_baseurl_desc'] = 'Base URL up to and including the version, e.g. https://api.openai.com/v1.';
 $string['model'] = 'Model';
 $string['model_desc'] = 'OpenAI model to use for grading. Examples: gpt-4o-mini, gpt-4o, gpt-3.5-turbo';
+$string['ollamasettings'] = 'Ollama';
+$string['ollamasettings_desc'] = 'A model served by Ollama on your own infrastructure. No API key is needed.';
+$string['ollama_baseurl'] = 'Ollama URL';
+$string['ollama_baseurl_desc'] = 'Base URL of the Ollama server, e.g. http://localhost:11434.';
+$string['ollama_model'] = 'Ollama model';
+$string['ollama_model_desc'] = 'Name of an installed model, e.g. llama3.1:8b or qwen2.5:14b.';
 
 $string['gradingsettings'] = 'Grading Settings';
-$string['gradingsettings_desc'] = 'Configure how AI grades essay answers.';
+$string['gradingsettings_desc'] = 'Configure how AI grades written answers.';
+$string['bulkmode'] = 'Bulk grading mode';
+$string['bulkmode_desc'] = 'What happens with AI results from bulk auto-grading. In review mode the suggestions are stored as drafts and nothing reaches the gradebook until a teacher accepts them in the review queue. Answers whose suggestion was rejected are left out of later bulk grading until the answer changes.';
+$string['bulkmode_apply'] = 'Apply grades immediately';
+$string['bulkmode_review'] = 'Queue suggestions for teacher review';
+$string['streamsuggestions'] = 'Stream suggestions';
+$string['streamsuggestions_desc'] = 'Show the feedback and explanation of a single suggestion while the AI backend writes them, and let teachers cancel the request. OpenAI-compatible and Dali backends stream; Ollama answers at once when it is done. Turn this off if a proxy between the browser and Moodle buffers responses.';
+$string['autoapplypolicy'] = 'Auto-apply policy';
+$string['autoapplypolicy_desc'] = 'Bulk grading writes a grade to the gradebook only when the result passes every check below. Other results are held in the review queue, marked as needing human review. Each activity can override these defaults in its AI grading configuration.';
+$string['autoapplyconfidence'] = 'Minimum confidence';
+$string['autoapplyconfidence_desc'] = 'Results with a lower AI confidence are held for human review.';
+$string['autoapplyconfidence_help'] = 'Results with a lower AI confidence are held for human review instead of being written to the gradebook.';
+$string['autoapplyconfidence_low'] = 'Low (apply all results)';
+$string['autoapplyconfidence_medium'] = 'Medium or high';
+$string['autoapplyconfidence_high'] = 'High only';
+$string['autoapplypassmargin'] = 'Pass mark margin (%)';
+$string['autoapplypassmargin_desc'] = 'Results within this many percent of the maximum grade from the pass mark of the activity are held for human review. Quiz questions are compared with the quiz pass mark in proportion. 0 turns the check off, and activities without a pass mark are not checked.';
+$string['autoapplypassmargin_help'] = 'Results within this many percent of the maximum grade from the pass mark are held for human review. For example, with a pass mark of 50 out of 100 and a margin of 5, grades from 45 to 55 are held. 0 turns the check off. Leave empty to use the site default.';
+$string['autoapplyminwords'] = 'Minimum words';
+$string['autoapplyminwords_desc'] = 'Answers with fewer words are held for human review. 0 turns the check off.';
+$string['autoapplyminwords_help'] = 'Answers with fewer words are held for human review. 0 turns the check off. Leave empty to use the site default.';
+$string['autoapplysitedefault'] = 'Site default ({$a})';
+$string['consistencysettings'] = 'Consistency check';
+$string['consistencysettings_desc'] = 'The AI can give different grades to the same answer. A consistency check grades answers more than once and compares the grades, which shows how reliable a grade is. Each run is a separate request to the backend, so this multiplies the cost and time of grading.';
+$string['consistencymode'] = 'Consistency mode';
+$string['consistencymode_desc'] = 'Which answers are graded more than once. The median grade is used, and answers whose grades differ by more than the threshold are marked as unstable and held for human review.';
+$string['consistencymode_off'] = 'Off, grade each answer once';
+$string['consistencymode_sample'] = 'Grade a random sample of answers twice';
+$string['consistencymode_all'] = 'Grade every answer several times';
+$string['consistencyruns'] = 'Runs per answer';
+$string['consistencyruns_desc'] = 'How many times each answer is graded when every answer is checked, from 2 to 9.';
+$string['consistencysample'] = 'Sample size (%)';
+$string['consistencysample_desc'] = 'The percentage of answers graded twice when a random sample is checked.';
+$string['consistencythreshold'] = 'Instability threshold (%)';
+$string['consistencythreshold_desc'] = 'Answers whose highest and lowest grade differ by more than this percentage of the maximum grade are marked as unstable. 0 marks any difference.';
+$string['consistencysummary'] = 'Graded {$a->runs} times: {$a->grades}. The median grade {$a->grade} is used.';
+$string['consistencyunstable'] = 'The grades differ by {$a->spread}, more than the {$a->threshold} allowed, so the grade is unstable.';
+$string['needshumanreview'] = 'Needs human review';
+$string['holdreason_flagged'] = 'the answer may be trying to manipulate the AI grader';
+$string['holdreason_confidence'] = 'AI confidence is {$a}';
+$string['holdreason_passboundary'] = 'the grade is close to the pass mark of {$a}';
+$string['holdreason_shortanswer'] = 'the answer has only {$a} words';
+$string['holdreason_unstable'] = 'grading the answer again changed the grade by up to {$a}';
 $string['defaultrubric'] = 'Default Rubric';
 $string['defaultrubric_desc'] = 'Default grading rubric/criteria. This will be used if no specific rubric is provided in the question.';
 $string['systemprompt'] = 'System Prompt';
 $string['systemprompt_desc'] = 'System prompt template for AI grading. Use this to customize how AI evaluates and responds.';
 
+$string['extractionsettings'] = 'Text extraction and OCR';
+$string['extractionsettings_desc'] = 'Scanned PDFs and JPG/PNG photos of paper work have no text layer. With OCR (optical character recognition) their text is read with Tesseract, which must be installed on the server.';
+$string['ocrstatus_found'] = 'Tesseract found: {$a}';
+$string['ocrstatus_missing'] = 'Tesseract was not found at the configured path. Scanned PDFs and images cannot be graded.';
+$string['ocrenabled'] = 'Use OCR';
+$string['ocrenabled_desc'] = 'Read scanned PDFs and JPG/PNG images with Tesseract.';
+$string['pathtotesseract'] = 'Path to Tesseract';
+$string['pathtotesseract_desc'] = 'Full path of the tesseract executable.';
+$string['pathtopdftoppm'] = 'Path to pdftoppm';
+$string['pathtopdftoppm_desc'] = 'Full path of the pdftoppm executable (part of Poppler), used to turn scanned PDF pages into images.';
+$string['ocrlanguages'] = 'OCR languages';
+$string['ocrlanguages_desc'] = 'Tesseract language codes joined with +, for example ind+eng. The language data must be installed.';
+$string['ocrmaxpages'] = 'OCR page limit';
+$string['ocrmaxpages_desc'] = 'Only the first pages of a scanned PDF are read, since OCR is slow.';
+
 // Usage Guide.
+$string['requestsettings'] = 'Backend requests';
+$string['requestsettings_desc'] = 'Timeouts, retries and limits for requests to the AI backend. The limits are shared by all teachers and background grading jobs.';
+$string['requesttimeout'] = 'Request timeout (seconds)';
+$string['requesttimeout_desc'] = 'How long to wait for the backend to grade one answer.';
+$string['connecttimeout'] = 'Connection timeout (seconds)';
+$string['connecttimeout_desc'] = 'How long to wait for a connection to the backend.';
+$string['maxretries'] = 'Retries';
+$string['maxretries_desc'] = 'How many times a request is tried again after a timeout, a rate limit (HTTP 429) or a server error (HTTP 5xx). 0 turns retries off.';
+$string['retrydelay'] = 'First retry delay (seconds)';
+$string['retrydelay_desc'] = 'The delay doubles with each retry, with some randomness so parallel jobs do not retry at the same moment. A Retry-After header from the backend takes precedence.';
+$string['maxconcurrent'] = 'Simultaneous requests';
+$string['maxconcurrent_desc'] = 'Most requests sent to the backend at the same time, across the whole site. 0 for no limit.';
+$string['maxrequestsperminute'] = 'Requests per minute';
+$string['maxrequestsperminute_desc'] = 'Most requests started per minute across the whole site, to stay within the rate limit of the provider. 0 for no limit.';
+$string['circuitthreshold'] = 'Failures before pausing';
+$string['circuitthreshold_desc'] = 'After this many requests in a row fail even with retries, requests to the backend are paused and running grading jobs stop. Stopped jobs can be continued with "Retry failed". 0 never pauses.';
+$string['circuitcooldown'] = 'Pause length';
+$string['circuitcooldown_desc'] = 'How long requests stay paused after the backend failed repeatedly.';
+$string['cabundle'] = 'CA bundle';
+$string['cabundle_desc'] = 'Full path to a file of CA certificates (PEM) used to verify the backend certificate, for example when the backend uses an internal certificate authority. Leave empty to use the certificates Moodle uses for other connections.';
+$string['allowinsecure'] = 'Allow insecure connections (local development only)';
+$string['allowinsecure_desc'] = 'Skip TLS certificate verification and Moodle\'s cURL security settings (blocked hosts and ports) for requests to the backend. Only use this for a backend on a development machine; never on a production site.';
+$string['allowinsecure_warning'] = 'Insecure connections to the AI backend are allowed: TLS certificates are not verified and Moodle\'s cURL security settings are bypassed. Student answers can be read or changed on their way to the backend. Turn off "Allow insecure connections" under "Backend requests" on any site that is not a local development site.';
+$string['allowinsecure_testwarning'] = 'Warning: this test ran with insecure connections allowed. TLS certificates were not verified and Moodle\'s cURL security settings were bypassed.';
+$string['studentfeedbacksettings'] = 'Feedback for students';
+$string['studentfeedbacksettings_desc'] = 'How AI-written feedback reaches students.';
+$string['studentfeedback'] = 'AI feedback for students';
+$string['studentfeedback_desc'] = 'As a grading comment, AI feedback is copied into the feedback comment of the grade as if the teacher wrote it. As labelled feedback, it is kept apart from the teacher\'s comment and shown to students under an "AI feedback" label, once it is released.';
+$string['studentfeedback_comment'] = 'Copy into the grading comment';
+$string['studentfeedback_labelled'] = 'Show separately, labelled as AI feedback';
+$string['feedbackstyle'] = 'Feedback style';
+$string['feedbackstyle_desc'] = 'The tone and length the AI uses for feedback written to students.';
+$string['feedbackstyle_help'] = 'The tone and length the AI uses for feedback written to students in this activity.';
+$string['feedbackstyle_encouraging'] = 'Encouraging';
+$string['feedbackstyle_concise'] = 'Concise';
+$string['feedbackstyle_detailed'] = 'Detailed';
+$string['feedbackrelease'] = 'Release AI feedback';
+$string['feedbackrelease_help'] = 'When students can see labelled AI feedback. Feedback a teacher withheld is never shown. With "On a date", feedback a teacher has not reviewed is shown from that date too.';
+$string['feedbackrelease_approval'] = 'When a teacher approves it';
+$string['feedbackrelease_date'] = 'On a date';
+$string['feedbackreleasedate'] = 'Release date';
+$string['privacysettings'] = 'Privacy';
+$string['privacysettings_desc'] = 'Student answers, question texts and submission files are sent to the selected grading provider, which may be outside your organisation.';
+$string['pseudonymise'] = 'Student identifiers';
+$string['pseudonymise_desc'] = 'What to do with the name, username, ID number and email address of the student, and with any other email address, found in the answer or submission before it is sent to the grading provider. Names shorter than three letters are left alone.';
+$string['pseudonymise_off'] = 'Send as written';
+$string['pseudonymise_replace'] = 'Replace with placeholders';
+$string['pseudonymise_strip'] = 'Remove';
 $string['usageguide'] = '📖 Usage Guide - How to Get Best Results';
 $string['usageguide_desc'] = '<div class="alert alert-info">
 <h5><i class="fa fa-lightbulb-o"></i> Tips for Better AI Grading</h5>
@@ -89,10 +213,15 @@ Equation: 6CO2 + 6H2O + light → C6H12O6 + 6O2
 </pre>
 
 <p><strong>Note:</strong> If "Information for graders" is empty, AI will grade based on general criteria like structure, coherence, and language use. The confidence level will be lower.</p>
+
+<h6>Other question types:</h6>
+<p>Short-answer and numerical answers that did not get full marks from the automatic check can be graded too; the accepted answers and the general feedback are given to the AI. Recording questions cannot be graded, since the recordings are not transcribed; bulk grading skips them and a single suggestion says so.</p>
 </div>';
 
 // Capabilities.
 $string['aigrading:useaigrading'] = 'Use AI grading suggestions';
+$string['aigrading:configure'] = 'Configure AI grading for an activity';
+$string['aigrading:viewauditlog'] = 'View the AI grading audit log';
 
 // UI strings.
 $string['aisuggestgrade'] = 'AI Suggest Grade';
@@ -112,20 +241,321 @@ $string['success'] = 'Success';
 $string['gradeapplied'] = 'Grade has been applied successfully.';
 $string['allgradesapplied'] = 'All grades have been applied successfully.';
 $string['autogradecomplete'] = 'Auto-grading complete: {$a->graded} graded, {$a->failed} failed.';
-$string['autogradeconfirm'] = 'Are you sure you want to auto-grade all ungraded essays for this question? This will apply grades automatically without review.';
+$string['autogradeconfirm'] = 'Are you sure you want to auto-grade all ungraded answers to this question? This will apply grades automatically without review.';
+$string['autogradeconfirmreview'] = 'Generate AI suggestions for all ungraded answers? They will be queued for your review and nothing is written to the gradebook yet.';
+$string['queuedforreview'] = '{$a} suggestions queued for review.';
+$string['openreviewqueue'] = 'Open review queue';
+$string['jobstarting'] = 'Starting grading job...';
+$string['jobqueued'] = 'Waiting for the grading job to start. Grading continues in the background if you leave this page.';
+$string['jobprogress'] = '{$a->done} of {$a->total} processed ({$a->graded} graded, {$a->queued} queued for review, {$a->held} need human review, {$a->failed} failed). Grading continues in the background if you leave this page.';
+$string['heldforreview'] = '{$a} need human review.';
+$string['failedtitle'] = 'Not graded';
+$string['failureitem'] = 'Attempt or submission';
+$string['failureitem_quiz'] = 'Attempt {$a->attempt}, {$a->question}';
+$string['failureitem_assign'] = 'Submission {$a}';
+$string['failurereason'] = 'Reason';
+$string['failure_emptyanswer'] = 'The student gave no answer';
+$string['failure_unsupportedfile'] = 'No file of a supported type';
+$string['failure_extractionerror'] = 'Text could not be extracted from the files';
+$string['failure_timeout'] = 'The AI backend did not answer in time';
+$string['failure_invalidresponse'] = 'The AI backend gave an answer that could not be read';
+$string['failure_ratelimit'] = 'The AI backend rate limit was reached';
+$string['failure_backenderror'] = 'The AI backend returned an error';
+$string['failure_unavailable'] = 'The AI backend is down, grading was paused';
+$string['failure_notconfigured'] = 'The AI backend is not configured';
+$string['failure_nomaxgrade'] = 'The question or assignment has a maximum grade of 0';
+$string['failure_cancelled'] = 'The request was cancelled';
+$string['failure_unknown'] = 'Unexpected error';
+$string['retryable'] = 'can be retried';
+$string['retryfailed'] = 'Retry failed';
+$string['retrystarted'] = 'Grading {$a} items again.';
+$string['retrynothing'] = 'None of the failed items can be retried.';
+$string['reloadforgrades'] = 'Reload the page to see the new grades.';
+$string['jobfailed'] = 'The grading job stopped before it finished. Items that were not processed can be graded with "Retry failed" or by starting a new job.';
+$string['streamwaiting'] = 'Waiting for the AI backend...';
+$string['streamwriting'] = 'The AI backend is writing its suggestion...';
+$string['streamcancel'] = 'Stop';
+$string['streamcancelled'] = 'The suggestion was stopped.';
+$string['streamfailed'] = 'The connection to the server was lost.';
+$string['labelledfeedbacknote'] = 'Applying approves this feedback. It is shown to the student as AI-generated feedback, not in your comment.';
+
+// Activity configuration.
+$string['activityconfig'] = 'AI grading settings';
+$string['activityconfig_desc'] = 'Set a rubric, model answer and extra grading instructions for the whole quiz or for individual questions. Essay, short-answer and numerical questions are supported; recording questions are listed, but their recordings cannot be graded. Question settings take precedence; empty fields fall back to the quiz defaults and then to the site-wide default rubric.';
+$string['activityconfigsaved'] = 'AI grading settings saved.';
+$string['activitydefaults'] = 'Defaults for the whole activity';
+$string['questionslot'] = 'Question {$a->slot}: {$a->name}';
+$string['questionconfig_desc'] = 'Empty fields use the quiz defaults.';
+$string['configured'] = 'Configured';
+$string['notconfigured'] = 'Not configured';
+$string['activityrubric'] = 'Rubric';
+$string['activityrubric_help'] = 'Grading criteria for this activity. Replaces the site-wide default rubric.
+
+To have each criterion scored separately, start every criterion with a "## " heading followed by one line per level in the form "points: description":
+
+    ## Thesis
+    4: Clear, arguable thesis
+    2: Thesis present but vague
+    0: No thesis
+
+The grade is then the total of the criterion scores, scaled to the maximum grade.';
+$string['modelanswer'] = 'Model answer';
+$string['modelanswer_help'] = 'An example of a complete, correct answer. It is sent to the AI together with any "Information for graders" from the question.';
+$string['gradinginstructions'] = 'Extra grading instructions';
+$string['gradinginstructions_help'] = 'Anything else the AI should take into account, for example "Ignore spelling mistakes" or "Lab reports must state a hypothesis".';
+$string['submissionpart_onlinetext'] = 'Online text';
+$string['submissionpart_answer'] = 'Typed answer';
+$string['submissionpart_file'] = 'File: {$a}';
+$string['submissionparts_included'] = 'Graded parts: {$a}';
+$string['submissionparts_skipped'] = 'Skipped files: {$a}';
+$string['skipped_unsupported'] = 'unsupported file type {$a}';
+$string['skipped_failed'] = 'text could not be extracted: {$a}';
+$string['skipped_empty'] = 'no text found';
+$string['skipped_recording'] = 'audio and video recordings are not transcribed, so they cannot be graded';
+$string['gradedparts'] = 'Graded parts of the submission';
+$string['skippedfiles'] = 'Files not graded';
+$string['parttruncated'] = 'shortened to fit the length limit';
+$string['partocr'] = 'read with OCR';
+$string['flag_instructions'] = 'Text addressed to the grader: "{$a}"';
+$string['flag_invisible'] = '{$a} invisible or text direction characters, removed before grading';
+$string['flag_hiddentext'] = 'Hidden or white text in {$a}, left out of grading';
+$string['flaggedanswer'] = 'This answer may be trying to manipulate the AI grader';
+$string['flaggedanswerreview'] = 'Check the answer yourself before applying a grade. Flagged answers are never graded automatically.';
+$string['flaggedskipped'] = '{$a} answers may be trying to manipulate the AI grader and were not graded.';
+$string['unstablegrade'] = 'Unstable grade';
+$string['unstablegradedetail'] = 'Grading this answer {$a->runs} times gave {$a->grades}. Check the answer yourself before applying a grade.';
+$string['unstableskipped'] = '{$a} answers got different grades on each run and were not graded. Grade them one at a time.';
+$string['unstableheld'] = '{$a} got different grades on each run.';
+$string['rubricbreakdown'] = 'Rubric breakdown:';
+$string['rubricbreakdownline'] = '- {$a->name}: {$a->score}/{$a->maxscore}. {$a->justification}';
+$string['rubrictotalmismatch'] = 'The overall grade reported by the AI ({$a->reported}) did not match its criterion scores, so the grade was recalculated from them ({$a->grade}).';
+$string['rubricscores'] = 'Scores per criterion';
+$string['criterion'] = 'Criterion';
+$string['criterionnumber'] = 'Criterion {$a}';
+$string['advancedgradingactive'] = 'This assignment is graded with a {$a}. AI suggestions score its criteria and fill in the grading form, and the rubric below is not used.';
+$string['criterionscore'] = 'Score';
+$string['justification'] = 'Justification';
+$string['rubrictotal'] = 'Total';
+
+// Student feedback.
+$string['studentfeedbackpage'] = 'AI feedback for students';
+$string['studentfeedbackoff'] = 'AI feedback is copied into grading comments on this site, so there is nothing to release here.';
+$string['feedbackreleasesfrom'] = 'Feedback that is not withheld is shown to students from {$a}.';
+$string['feedbackreleasesonapproval'] = 'Students only see feedback you approve.';
+$string['nostudentfeedback'] = 'There is no AI feedback for this activity yet.';
+$string['feedbackapprove'] = 'Approve';
+$string['feedbackwithhold'] = 'Withhold';
+$string['feedbackapproveall'] = 'Approve all pending ({$a})';
+$string['feedbackapproved'] = 'The feedback has been approved.';
+$string['feedbackwithheld'] = 'The feedback has been withheld.';
+$string['feedbackapprovedall'] = '{$a} feedback items have been approved.';
+$string['feedbackstatus_pending'] = 'Pending';
+$string['feedbackstatus_approved'] = 'Approved';
+$string['feedbackstatus_withheld'] = 'Withheld';
+$string['feedbackvisible'] = 'Visible to the student';
+$string['aifeedback'] = 'AI feedback';
+$string['aifeedbacklabel'] = 'Written by AI';
+$string['aifeedbackdisclosure'] = 'This feedback was written by an AI tool and reviewed under your teacher\'s settings. It is not part of your teacher\'s comment.';
+
+// Calibration.
+$string['calibration'] = 'AI grading calibration';
+$string['calibration_desc'] = 'Mark up to {$a} answers you have graded as exemplars. They are sent with every AI grading request as examples of how you grade, so the suggestions follow your standard. Pick answers across the range of grades, and check the result with an agreement check.';
+$string['nogradablequestions'] = 'This quiz has no essay, short-answer, numerical or recording questions.';
+$string['exemplar'] = 'Exemplar';
+$string['exemplars'] = 'Exemplars';
+$string['exemplaradd'] = 'Use as exemplar';
+$string['exemplarremove'] = 'Remove exemplar';
+$string['exemplarspick'] = 'Pick {$a} exemplars automatically';
+$string['exemplarsclear'] = 'Remove all exemplars';
+$string['exemplaradded'] = 'The answer is now an exemplar.';
+$string['exemplarremoved'] = 'The exemplar has been removed.';
+$string['exemplarspicked'] = '{$a} graded answers, from the highest grade to the lowest, are now exemplars.';
+$string['exemplarscleared'] = 'All exemplars have been removed.';
+$string['teachergrade'] = 'Teacher grade';
+$string['aigrade'] = 'AI grade';
+$string['difference'] = 'Difference';
+$string['nogradedanswers'] = 'There are no answers graded by a teacher yet.';
+$string['agreementreport'] = 'Agreement with your grades';
+$string['agreementreport_desc'] = 'The agreement check asks the AI to grade up to {$a->sample} answers you have graded that are not exemplars, and compares its grades with yours. The grades you gave are not changed. An AI grade within {$a->tolerance}% of the maximum grade of yours counts as agreeing.';
+$string['agreementcheck'] = 'Run agreement check';
+$string['agreementcheckstarted'] = 'The agreement check has been queued for {$a} graded answers. Reload this page to see the result.';
+$string['agreementcheckrunning'] = 'The agreement check is running: {$a->done} of {$a->total} answers graded.';
+$string['agreementincomplete'] = 'Only {$a->count} of {$a->total} answers could be graded by the AI.';
+$string['agreementwithin'] = 'The AI agreed with you on {$a->within} of {$a->count} answers ({$a->percent}%), within {$a->tolerance}% of the maximum grade.';
+$string['agreementmeandifference'] = 'Mean difference from your grades: {$a}% of the maximum grade.';
+$string['agreementbias'] = 'Mean AI grade minus your grade: {$a}% of the maximum grade. Positive means the AI grades more generously than you.';
+$string['agreementchecked'] = 'Agreement check started {$a}.';
+$string['noagreementcheck'] = 'No agreement check has been run yet.';
+
+// Review workspace.
+$string['reviewworkspace'] = 'Review workspace';
+$string['workspacegenerate'] = 'Get AI suggestions';
+$string['workspaceacceptshown'] = 'Accept all shown';
+$string['workspacesort'] = 'Sort by';
+$string['workspacesortname'] = 'Student name';
+$string['workspacesortgradedesc'] = 'AI grade, highest first';
+$string['workspacesortgradeasc'] = 'AI grade, lowest first';
+$string['workspacesortconfidence'] = 'Confidence, lowest first';
+$string['workspacefilter'] = 'Show';
+$string['workspacefilterall'] = 'All answers';
+$string['workspacefilterlow'] = 'Low confidence, flagged or unstable';
+$string['workspacefilteroutliers'] = 'Outliers: AI grade far from the others';
+$string['workspacekeys'] = 'Keys: up and down arrows or j and k move between answers, a or space accepts, g edits the grade, c edits the comment, Esc goes back to the answer.';
+$string['workspaceempty'] = 'No finished attempt has answered this question.';
+$string['workspaceaccept'] = 'Accept';
+$string['workspacesuggestion'] = 'AI suggestion';
+$string['workspacegrade'] = 'Grade';
+$string['workspacecomment'] = 'Comment';
+$string['workspacecurrentmark'] = 'Current mark: {$a->mark} / {$a->maxgrade}';
+$string['workspaceprogress'] = 'Getting AI suggestions: {$a->done} of {$a->total}';
+$string['workspacesave'] = 'Save accepted ({$a})';
+$string['workspacesaved'] = '{$a} grades have been saved.';
+$string['workspacenothingaccepted'] = 'No answers have been accepted.';
+$string['workspacemissinggrade'] = 'Enter a grade for every accepted answer.';
+
+// Review queue.
+$string['reviewqueue'] = 'AI grading review queue';
+$string['nopendingsuggestions'] = 'There are no AI suggestions waiting for review.';
+$string['student'] = 'Student';
+$string['studentanswer'] = 'Answer';
+$string['confidence'] = 'Confidence: {$a}';
+$string['accept'] = 'Accept';
+$string['reject'] = 'Reject';
+$string['acceptallhigh'] = 'Accept all high-confidence ({$a})';
+$string['suggestionaccepted'] = 'The suggestion has been accepted and the grade saved.';
+$string['suggestionrejected'] = 'The suggestion has been rejected.';
+$string['suggestionsaccepted'] = '{$a} high-confidence suggestions have been accepted.';
+
+// Audit log.
+$string['auditlog'] = 'AI grading audit log';
+$string['auditlog_desc'] = 'Every AI grading suggestion made in this course, with the request sent to the grading backend, its raw response and what the teacher did with it.';
+$string['auditlogentry'] = 'AI grading audit log entry';
+$string['allactivities'] = 'All activities';
+$string['answerhash'] = 'Answer hash (SHA-256)';
+$string['decidedby'] = 'Last decision';
+$string['deletedactivity'] = 'Deleted activity';
+$string['finalgrade'] = 'Final grade';
+$string['logconfidence'] = 'Confidence';
+$string['logprompt'] = 'Request sent';
+$string['lograwresponse'] = 'Raw response';
+$string['logsource'] = 'Source';
+$string['logsource_suggest'] = 'Single suggestion';
+$string['logsource_bulk'] = 'Bulk suggestion on grading page';
+$string['logsource_job'] = 'Background bulk grading';
+$string['logsource_calibration'] = 'Agreement check';
+$string['logstatus_suggested'] = 'Suggested, no decision';
+$string['logstatus_queued'] = 'Waiting in review queue';
+$string['logstatus_applied'] = 'Applied';
+$string['logstatus_edited'] = 'Applied after editing';
+$string['logstatus_rejected'] = 'Rejected';
+$string['logstatus_failed'] = 'Failed';
+$string['triggeredby'] = 'Triggered by';
+$string['viewdetails'] = 'Details';
+
+// Events.
+$string['eventsuggestiongenerated'] = 'AI grade suggestion generated';
+$string['eventgradeautoapplied'] = 'AI grade applied automatically';
+$string['cachedef_backend'] = 'AI backend request limits and failures';
+$string['eventbulkgradingcompleted'] = 'AI bulk grading completed';
 
 // Error messages.
-$string['error:noapikey'] = 'Dali API key is not configured. Please configure it in plugin settings.';
-$string['error:apierror'] = 'Dali API error: {$a}';
-$string['error:invalidresponse'] = 'Invalid response from Dali. Please try again.';
+$string['error:notconfigured'] = '{$a} is not configured. Please configure it in plugin settings.';
+$string['error:apierror'] = '{$a->provider} error: {$a->message}';
+$string['error:invalidresponse'] = 'Invalid response from the grading backend. Please try again.';
+$string['error:unknownprovider'] = 'Unknown grading provider: {$a}';
 $string['error:nopermission'] = 'You do not have permission to use AI grading.';
+$string['error:invalidquestion'] = 'This question is not a question of this quiz that AI grading supports.';
+$string['error:emptyanswer'] = 'The answer is empty.';
+$string['error:invalidexemplar'] = 'This answer has not been graded by a teacher.';
+$string['error:invalidsuggestion'] = 'This AI suggestion does not belong to this answer.';
+$string['error:toomanyexemplars'] = 'There can be at most {$a} exemplars. Remove one first.';
+$string['error:nosubmissiontext'] = 'The submission has no text that can be graded.';
+$string['error:nosubmissiontextdetails'] = 'The submission has no text that can be graded. {$a}';
+$string['error:autoapplypassmargin'] = 'Enter a percentage from 0 to 100, or leave empty for the site default.';
+$string['error:autoapplyminwords'] = 'Enter a whole number of words, or leave empty for the site default.';
+$string['error:jobnotfinished'] = 'The grading job has not finished yet.';
+$string['error:jobrunning'] = 'Another grading job is running for this activity.';
+$string['error:backendunavailable'] = 'The AI backend failed repeatedly, so requests are paused until {$a}.';
+$string['error:backendbusy'] = 'All request slots for the AI backend stayed busy. Try again later.';
+$string['error:scannedpdf'] = 'The PDF has no text layer, it is probably scanned. Enable OCR in the plugin settings to read it.';
+$string['error:gradingfailed'] = 'Could not grade: {$a}';
+$string['error:rubricbeforecriterion'] = 'A structured rubric must start with a "## " criterion heading, found "{$a}".';
+$string['error:rubricnolevels'] = 'Criterion "{$a}" has no levels. Add lines in the form "points: description".';
+$string['error:rubricinvalidlevel'] = 'Criterion "{$a->criterion}": "{$a->line}" is not a level. Use the form "points: description".';
+$string['error:rubricnopoints'] = 'Criterion "{$a}" needs at least one level worth more than 0 points.';
+$string['error:advancedgradingscores'] = 'The suggestion does not score every criterion of the rubric or marking guide.';
+$string['error:invalidcriteria'] = 'The grading backend did not score the rubric correctly: {$a}';
+$string['error:criteriacount'] = 'expected scores for {$a} criteria.';
+$string['error:criterionscore'] = 'the score for "{$a->criterion}" must be a number between 0 and {$a->max}.';
 
 // Test connection.
 $string['testconnection'] = 'Test Connection';
-$string['testconnection_help'] = 'Click to test if the plugin can connect to the Dali API.';
+$string['testconnection_help'] = 'Click to test if the plugin can connect to the selected grading provider.';
 $string['testconnection_noapikey'] = 'API key is not configured. Please enter an API key first.';
+$string['testconnection_nomodel'] = 'No model is configured. Please enter a model name first.';
 $string['testconnection_curlerror'] = 'Connection failed: {$a}';
-$string['testconnection_success'] = 'Connection successful! The plugin can communicate with the Dali API.';
+$string['testconnection_success'] = 'Connection successful! The plugin can communicate with {$a}.';
 $string['testconnection_unauthorized'] = 'Connection failed: Invalid API key. Please check your API key configuration.';
-$string['testconnection_serviceerror'] = 'Connection failed: Dali service error - {$a}';
+$string['testconnection_serviceerror'] = 'Connection failed: service error - {$a}';
 $string['testconnection_httperror'] = 'Connection failed: HTTP error {$a}';
+
+// Privacy API.
+$string['privacy:metadata:backend'] = 'To suggest a grade, the answer or submission of a student is sent to the AI grading provider selected by the site administrator, such as a self-hosted service or an external AI service. Names and identifiers of the student can be replaced or removed first, depending on the privacy settings of the plugin.';
+$string['privacy:metadata:backend:questiontext'] = 'The question or assignment description that the answer is graded against.';
+$string['privacy:metadata:backend:answertext'] = 'The text of the answer or online text submission.';
+$string['privacy:metadata:backend:files'] = 'The text read from files submitted to the assignment or attached to a quiz answer, including text recognised in scanned pages and images.';
+$string['privacy:metadata:backend:exemplars'] = 'Answers marked as exemplars, with the grade the teacher gave them. They are sent when the answers of other students in the same activity are graded.';
+$string['privacy:metadata:suggestions'] = 'AI grade suggestions waiting for, or given, teacher review.';
+$string['privacy:metadata:suggestions:userid'] = 'The student the suggestion is for.';
+$string['privacy:metadata:suggestions:answertext'] = 'The answer that was graded.';
+$string['privacy:metadata:suggestions:grade'] = 'The grade suggested by the AI.';
+$string['privacy:metadata:suggestions:feedback'] = 'The feedback suggested by the AI.';
+$string['privacy:metadata:suggestions:explanation'] = 'The explanation of the suggestion for the teacher.';
+$string['privacy:metadata:suggestions:confidence'] = 'How confident the AI was about the suggestion.';
+$string['privacy:metadata:suggestions:criteria'] = 'The suggested score for each rubric criterion.';
+$string['privacy:metadata:suggestions:holdreasons'] = 'Why the suggestion was held for human review.';
+$string['privacy:metadata:suggestions:status'] = 'Whether the suggestion was accepted or rejected.';
+$string['privacy:metadata:suggestions:finalgrade'] = 'The grade given when the suggestion was accepted.';
+$string['privacy:metadata:suggestions:finalfeedback'] = 'The feedback given when the suggestion was accepted.';
+$string['privacy:metadata:log'] = 'Audit log of the requests sent to the AI grading provider and of the teacher decisions.';
+$string['privacy:metadata:log:userid'] = 'The student whose answer was graded.';
+$string['privacy:metadata:log:answerhash'] = 'A fingerprint of the answer that was graded.';
+$string['privacy:metadata:log:prompt'] = 'The request sent to the grading provider, including the answer.';
+$string['privacy:metadata:log:rawresponse'] = 'The response of the grading provider.';
+$string['privacy:metadata:log:grade'] = 'The grade suggested by the AI.';
+$string['privacy:metadata:log:confidence'] = 'How confident the AI was about the suggestion.';
+$string['privacy:metadata:log:error'] = 'Why grading failed, if it did.';
+$string['privacy:metadata:log:status'] = 'What the teacher did with the suggestion.';
+$string['privacy:metadata:log:finalgrade'] = 'The grade actually given.';
+$string['privacy:metadata:flags'] = 'Signs that the answer may try to manipulate the AI grader.';
+$string['privacy:metadata:usercreated'] = 'The teacher who asked for the suggestion.';
+$string['privacy:metadata:usermodified'] = 'The teacher who reviewed the suggestion.';
+$string['privacy:metadata:timecreated'] = 'When the record was created.';
+$string['privacy:metadata:timemodified'] = 'When the record was last changed.';
+$string['privacy:metadata:jobs'] = 'Background bulk grading jobs.';
+$string['privacy:metadata:jobs:usercreated'] = 'The teacher who started the job, as whom the job runs.';
+$string['privacy:metadata:jobs:status'] = 'The progress of the job.';
+$string['privacy:metadata:jobitems'] = 'The attempts and submissions of a bulk grading job.';
+$string['privacy:metadata:jobitems:userid'] = 'The student of the attempt or submission.';
+$string['privacy:metadata:jobitems:status'] = 'What happened to the attempt or submission.';
+$string['privacy:metadata:jobitems:error'] = 'Why grading failed, if it did.';
+$string['privacy:metadata:jobitems:reason'] = 'The kind of failure, if grading failed.';
+$string['privacy:metadata:jobitems:teachergrade'] = 'The grade the teacher gave, in an agreement check.';
+$string['privacy:metadata:jobitems:aigrade'] = 'The grade suggested by the AI, in an agreement check.';
+$string['privacy:metadata:exemplars'] = 'Graded answers a teacher marked as examples of how they grade, to guide the AI grading.';
+$string['privacy:metadata:exemplars:userid'] = 'The student who wrote the answer.';
+$string['privacy:metadata:exemplars:answertext'] = 'The answer.';
+$string['privacy:metadata:exemplars:grade'] = 'The grade the teacher gave the answer.';
+$string['privacy:metadata:exemplars:usercreated'] = 'The teacher who marked the answer as an exemplar.';
+$string['privacy:metadata:config'] = 'AI grading configuration of activities and questions.';
+$string['privacy:metadata:config:usermodified'] = 'The teacher who last changed the configuration.';
+$string['privacy:metadata:feedback'] = 'AI feedback kept for students, separately from grading comments.';
+$string['privacy:metadata:feedback:userid'] = 'The student the feedback is for.';
+$string['privacy:metadata:feedback:feedback'] = 'The feedback text.';
+$string['privacy:metadata:feedback:status'] = 'Whether the feedback is pending, approved or withheld.';
+$string['privacy:metadata:feedback:usermodified'] = 'The teacher who last approved or withheld the feedback.';
+$string['privacy:suggestions'] = 'Grade suggestions';
+$string['privacy:log'] = 'Grading log';
+$string['privacy:jobitems'] = 'Bulk grading';
+$string['privacy:jobs'] = 'Bulk grading jobs started';
+$string['privacy:teacherdecisions'] = 'Suggestions requested or reviewed';
@@ -26,3 +26,96 @@ defined('MOODLE_INTERNAL') || die();
 
 // Note: JavaScript injection is now handled via the new Moodle 5 hook callback system.
 // See: classes/hook_callbacks.php and db/hooks.php
+
+/**
+ * Add AI grading links to the quiz and assignment settings navigation.
+ *
+ * @param settings_navigation $settingsnav
+ * @param context $context
+ */
+function local_aigrading_extend_settings_navigation(settings_navigation $settingsnav, context $context)
+{
+    global $PAGE;
+
+    if ($context->contextlevel != CONTEXT_MODULE || empty($PAGE->cm)) {
+        return;
+    }
+
+    if (!in_array($PAGE->cm->modname, ['quiz', 'assign'])) {
+        return;
+    }
+
+    $modulesettings = $settingsnav->find('modulesettings', settings_navigation::TYPE_SETTING);
+    if (!$modulesettings) {
+        return;
+    }
+
+    if (has_capability('local/aigrading:configure', $context)) {
+        $modulesettings->add(
+            get_string('activityconfig', 'local_aigrading'),
+            new moodle_url('/local/aigrading/configure.php', ['id' => $PAGE->cm->id]),
+            navigation_node::TYPE_SETTING,
+            null,
+            'local_aigrading_configure',
+            new pix_icon('i/settings', '')
+        );
+
+        if (has_capability($PAGE->cm->modname === 'quiz' ? 'mod/quiz:grade' : 'mod/assign:grade', $context)) {
+            $modulesettings->add(
+                get_string('calibration', 'local_aigrading'),
+                new moodle_url('/local/aigrading/calibration.php', ['id' => $PAGE->cm->id]),
+                navigation_node::TYPE_SETTING,
+                null,
+                'local_aigrading_calibration',
+                new pix_icon('i/scales', '')
+            );
+        }
+    }
+
+    if (!has_capability('local/aigrading:useaigrading', $context)) {
+        return;
+    }
+
+    $modulesettings->add(
+        get_string('reviewqueue', 'local_aigrading'),
+        new moodle_url('/local/aigrading/review.php', ['id' => $PAGE->cm->id]),
+        navigation_node::TYPE_SETTING,
+        null,
+        'local_aigrading_review',
+        new pix_icon('i/grades', '')
+    );
+
+    if (\local_aigrading\student_feedback::is_labelled()) {
+        $modulesettings->add(
+            get_string('studentfeedbackpage', 'local_aigrading'),
+            new moodle_url('/local/aigrading/feedback.php', ['id' => $PAGE->cm->id]),
+            navigation_node::TYPE_SETTING,
+            null,
+            'local_aigrading_feedback',
+            new pix_icon('i/comments', '')
+        );
+    }
+}
+
+/**
+ * Add the AI grading audit log to the course navigation.
+ *
+ * @param navigation_node $navigation
+ * @param stdClass $course
+ * @param context $context
+ */
+function local_aigrading_extend_navigation_course(navigation_node $navigation, stdClass $course, context $context)
+{
+    if (!has_capability('local/aigrading:viewauditlog', $context)) {
+        return;
+    }
+
+    $navigation->add(
+        get_string('auditlog', 'local_aigrading'),
+        new moodle_url('/local/aigrading/report.php', ['id' => $course->id]),
+        navigation_node::TYPE_SETTING,
+        null,
+        'local_aigrading_auditlog',
+        new pix_icon('i/report', '')
+    );
+}
@@ -0,0 +1,124 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Audit log of AI grading suggestions and decisions for a course.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use local_aigrading\audit_log;
+use local_aigrading\table\audit_log_table;
+
+require_once(__DIR__ . '/../../config.php');
+
+$courseid = required_param('id', PARAM_INT);
+$cmid = optional_param('cmid', 0, PARAM_INT);
+$logid = optional_param('logid', 0, PARAM_INT);
+$download = optional_param('download', '', PARAM_ALPHA);
+
+$course = get_course($courseid);
+
+require_login($course, false);
+$context = context_course::instance($course->id);
+require_capability('local/aigrading:viewauditlog', $context);
+
+$url = new moodle_url('/local/aigrading/report.php', ['id' => $course->id]);
+if ($cmid) {
+    $url->param('cmid', $cmid);
+}
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('auditlog', 'local_aigrading'));
+$PAGE->set_heading($course->fullname);
+
+if ($logid) {
+    // Full details of one entry, including the prompt and raw response.
+    $entry = audit_log::get($logid);
+    if ($entry->courseid != $course->id) {
+        throw new moodle_exception('invalidrecord', 'error', '', 'local_aigrading_log');
+    }
+
+    $student = $entry->userid ? core_user::get_user($entry->userid) : null;
+    $teacher = core_user::get_user($entry->usercreated);
+    $modifier = $entry->usermodified != $entry->usercreated ? core_user::get_user($entry->usermodified) : null;
+    $cms = get_fast_modinfo($course)->get_cms();
+
+    $rows = [
+        get_string('date') => userdate($entry->timecreated),
+        get_string('activity') => isset($cms[$entry->cmid]) ? format_string($cms[$entry->cmid]->name)
+            : get_string('deletedactivity', 'local_aigrading'),
+        get_string('student', 'local_aigrading') => $student ? fullname($student) : '-',
+        get_string('question') => $entry->slot ?: '-',
+        get_string('triggeredby', 'local_aigrading') => $teacher ? fullname($teacher) : '-',
+        get_string('logsource', 'local_aigrading') => get_string('logsource_' . $entry->source, 'local_aigrading'),
+        get_string('suggestedgrade', 'local_aigrading') => $entry->grade === null ? '-'
+            : format_float($entry->grade, 2, true, true) . ' / ' . format_float($entry->maxgrade, 2, true, true),
+        get_string('logconfidence', 'local_aigrading') => $entry->confidence ?? '-',
+        get_string('status') => get_string('logstatus_' . $entry->status, 'local_aigrading'),
+        get_string('finalgrade', 'local_aigrading') => $entry->finalgrade === null ? '-'
+            : format_float($entry->finalgrade, 2, true, true),
+        get_string('decidedby', 'local_aigrading') => $modifier ? fullname($modifier) . ', ' . userdate($entry->timemodified)
+            : userdate($entry->timemodified),
+        get_string('answerhash', 'local_aigrading') => html_writer::tag('code', $entry->answerhash),
+    ];
+    if ($entry->error) {
+        $rows[get_string('error', 'local_aigrading')] = s($entry->error);
+    }
+
+    $table = new html_table();
+    $table->attributes['class'] = 'generaltable';
+    foreach ($rows as $label => $value) {
+        $table->data[] = [html_writer::tag('strong', $label), $value];
+    }
+
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading(get_string('auditlogentry', 'local_aigrading'));
+    echo html_writer::table($table);
+    echo $OUTPUT->heading(get_string('logprompt', 'local_aigrading'), 3);
+    echo html_writer::tag('pre', s($entry->prompt), ['class' => 'border bg-light p-2', 'style' => 'white-space: pre-wrap;']);
+    echo $OUTPUT->heading(get_string('lograwresponse', 'local_aigrading'), 3);
+    echo html_writer::tag('pre', s($entry->rawresponse), ['class' => 'border bg-light p-2', 'style' => 'white-space: pre-wrap;']);
+    echo $OUTPUT->single_button($url, get_string('back'), 'get');
+    echo $OUTPUT->footer();
+    exit;
+}
+
+$table = new audit_log_table($course, $cmid, $url, $download);
+if ($table->is_downloading()) {
+    $table->out(50, false);
+    exit;
+}
+
+// Activities that have log entries, for the filter.
+$activities = [0 => get_string('allactivities', 'local_aigrading')];
+$cms = get_fast_modinfo($course)->get_cms();
+foreach ($DB->get_fieldset_select('local_aigrading_log', 'DISTINCT cmid', 'courseid = ?', [$course->id]) as $id) {
+    if (isset($cms[$id])) {
+        $activities[$id] = format_string($cms[$id]->name);
+    }
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('auditlog', 'local_aigrading'));
+echo html_writer::tag('p', get_string('auditlog_desc', 'local_aigrading'));
+echo $OUTPUT->single_select(new moodle_url('/local/aigrading/report.php', ['id' => $course->id]), 'cmid',
+    $activities, $cmid, null, null, ['label' => get_string('activity')]);
+$table->out(50, false);
+echo $OUTPUT->footer();
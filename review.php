@@ -0,0 +1,138 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Review queue of AI grade suggestions for a quiz or assignment.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use local_aigrading\auto_apply_policy;
+use local_aigrading\injection_guard;
+use local_aigrading\suggestion_queue;
+
+require_once(__DIR__ . '/../../config.php');
+
+$cmid = required_param('id', PARAM_INT);
+
+$cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+if (!in_array($cm->modname, ['quiz', 'assign'])) {
+    throw new moodle_exception('invalidcoursemodule');
+}
+$course = get_course($cm->course);
+
+require_login($course, false, $cm);
+$context = context_module::instance($cm->id);
+require_capability('local/aigrading:useaigrading', $context);
+require_capability($cm->modname === 'quiz' ? 'mod/quiz:grade' : 'mod/assign:grade', $context);
+
+$url = new moodle_url('/local/aigrading/review.php', ['id' => $cm->id]);
+$PAGE->set_url($url);
+$PAGE->set_title(get_string('reviewqueue', 'local_aigrading'));
+$PAGE->set_heading($course->fullname);
+$PAGE->activityheader->disable();
+
+// Handle teacher decisions.
+if (data_submitted() && confirm_sesskey()) {
+    $grades = optional_param_array('grade', [], PARAM_FLOAT);
+    $feedbacks = optional_param_array('feedback', [], PARAM_RAW);
+    $acceptid = optional_param('accept', 0, PARAM_INT);
+    $rejectid = optional_param('reject', 0, PARAM_INT);
+    $acceptallhigh = optional_param('acceptallhigh', 0, PARAM_BOOL);
+
+    if ($acceptid) {
+        $suggestion = suggestion_queue::get_pending_suggestion($cm->id, $acceptid);
+        suggestion_queue::accept(
+            $suggestion,
+            $grades[$acceptid] ?? $suggestion->grade,
+            $feedbacks[$acceptid] ?? $suggestion->feedback
+        );
+        redirect($url, get_string('suggestionaccepted', 'local_aigrading'), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+
+    if ($rejectid) {
+        $suggestion = suggestion_queue::get_pending_suggestion($cm->id, $rejectid);
+        suggestion_queue::reject($suggestion);
+        redirect($url, get_string('suggestionrejected', 'local_aigrading'), null,
+            \core\output\notification::NOTIFY_INFO);
+    }
+
+    if ($acceptallhigh) {
+        $count = 0;
+        foreach (suggestion_queue::get_pending($cm->id) as $suggestion) {
+            if ($suggestion->confidence !== 'high' || !empty($suggestion->flags) || !empty($suggestion->holdreasons)) {
+                // Flagged and held answers always need an individual decision.
+                continue;
+            }
+            suggestion_queue::accept(
+                $suggestion,
+                $grades[$suggestion->id] ?? $suggestion->grade,
+                $feedbacks[$suggestion->id] ?? $suggestion->feedback
+            );
+            $count++;
+        }
+        redirect($url, get_string('suggestionsaccepted', 'local_aigrading', $count), null,
+            \core\output\notification::NOTIFY_SUCCESS);
+    }
+}
+
+$suggestions = [];
+$highcount = 0;
+foreach (suggestion_queue::get_pending($cm->id) as $suggestion) {
+    $flags = injection_guard::describe(json_decode($suggestion->flags ?? '', true) ?: []);
+    $holdreasons = auto_apply_policy::describe(json_decode($suggestion->holdreasons ?? '', true) ?: []);
+    if ($suggestion->confidence === 'high' && !$flags && !$holdreasons) {
+        $highcount++;
+    }
+    $suggestions[] = [
+        'id' => $suggestion->id,
+        'fullname' => fullname($suggestion),
+        'questionname' => $suggestion->questionname ?? '',
+        'answertext' => html_to_text($suggestion->answertext, 0, false),
+        'grade' => format_float($suggestion->grade, 2, false, true),
+        'maxgrade' => format_float($suggestion->maxgrade, 2, false, true),
+        'feedback' => $suggestion->feedback,
+        'explanation' => $suggestion->explanation,
+        'confidence' => $suggestion->confidence,
+        'confidenceHigh' => $suggestion->confidence === 'high',
+        'confidenceMedium' => $suggestion->confidence === 'medium',
+        'confidenceLow' => $suggestion->confidence === 'low',
+        'flagged' => !empty($flags),
+        'flags' => $flags,
+        'held' => !empty($holdreasons),
+        'holdreasons' => implode('; ', $holdreasons),
+    ];
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('reviewqueue', 'local_aigrading') . ': ' . format_string($cm->name));
+
+if (empty($suggestions)) {
+    echo $OUTPUT->notification(get_string('nopendingsuggestions', 'local_aigrading'), 'info');
+} else {
+    echo $OUTPUT->render_from_template('local_aigrading/review_queue', [
+        'actionurl' => $url->out(false),
+        'sesskey' => sesskey(),
+        'isquiz' => $cm->modname === 'quiz',
+        'highcount' => $highcount,
+        'suggestions' => $suggestions,
+    ]);
+}
+
+echo $OUTPUT->footer();
@@ -31,6 +31,37 @@ if ($hassiteconfig) {
     $settings = new admin_settingpage('local_aigrading', get_string('pluginname', 'local_aigrading'));
     $ADMIN->add('localplugins', $settings);
 
+    // Grading provider.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/providerheading',
+        get_string('providersettings', 'local_aigrading'),
+        get_string('providersettings_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_aigrading/provider',
+        get_string('provider', 'local_aigrading'),
+        get_string('provider_desc', 'local_aigrading'),
+        \local_aigrading\provider\factory::DEFAULT_PROVIDER,
+        \local_aigrading\provider\factory::get_provider_options()
+    ));
+
+    if (\local_aigrading\provider\base_provider::allows_insecure()) {
+        $settings->add(new admin_setting_description(
+            'local_aigrading/insecurewarning',
+            '',
+            $OUTPUT->notification(get_string('allowinsecure_warning', 'local_aigrading'),
+                \core\output\notification::NOTIFY_ERROR, false)
+        ));
+    }
+
+    // Test Connection button.
+    $settings->add(new \local_aigrading\admin_setting_testconnection(
+        'local_aigrading/testconnection',
+        get_string('testconnection', 'local_aigrading'),
+        get_string('testconnection_help', 'local_aigrading')
+    ));
+
     // API Settings heading.
     $settings->add(new admin_setting_heading(
         'local_aigrading/apiheading',
@@ -55,23 +86,180 @@ if ($hassiteconfig) {
         PARAM_URL
     ));
 
-    // Test Connection button.
-    $settings->add(new \local_aigrading\admin_setting_testconnection(
-        'local_aigrading/testconnection',
-        get_string('testconnection', 'local_aigrading'),
-        get_string('testconnection_help', 'local_aigrading')
+    // OpenAI-compatible API.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/openaiheading',
+        get_string('openaisettings', 'local_aigrading'),
+        get_string('openaisettings_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configpasswordunmask(
+        'local_aigrading/openai_apikey',
+        get_string('openai_apikey', 'local_aigrading'),
+        get_string('openai_apikey_desc', 'local_aigrading'),
+        ''
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/openai_baseurl',
+        get_string('openai_baseurl', 'local_aigrading'),
+        get_string('openai_baseurl_desc', 'local_aigrading'),
+        'https://api.openai.com/v1',
+        PARAM_URL
     ));
 
-    // Model selection - Hidden/Deprecated as handled by Mastra
-    /*
     $settings->add(new admin_setting_configtext(
-        'local_aigrading/model',
+        'local_aigrading/openai_model',
         get_string('model', 'local_aigrading'),
         get_string('model_desc', 'local_aigrading'),
         'gpt-4o-mini',
         PARAM_TEXT
     ));
-    */
+
+    // Ollama.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/ollamaheading',
+        get_string('ollamasettings', 'local_aigrading'),
+        get_string('ollamasettings_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/ollama_baseurl',
+        get_string('ollama_baseurl', 'local_aigrading'),
+        get_string('ollama_baseurl_desc', 'local_aigrading'),
+        'http://localhost:11434',
+        PARAM_URL
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/ollama_model',
+        get_string('ollama_model', 'local_aigrading'),
+        get_string('ollama_model_desc', 'local_aigrading'),
+        '',
+        PARAM_TEXT
+    ));
+
+    // Backend requests.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/requestsheading',
+        get_string('requestsettings', 'local_aigrading'),
+        get_string('requestsettings_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/requesttimeout',
+        get_string('requesttimeout', 'local_aigrading'),
+        get_string('requesttimeout_desc', 'local_aigrading'),
+        120,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/connecttimeout',
+        get_string('connecttimeout', 'local_aigrading'),
+        get_string('connecttimeout_desc', 'local_aigrading'),
+        10,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/maxretries',
+        get_string('maxretries', 'local_aigrading'),
+        get_string('maxretries_desc', 'local_aigrading'),
+        3,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/retrydelay',
+        get_string('retrydelay', 'local_aigrading'),
+        get_string('retrydelay_desc', 'local_aigrading'),
+        1,
+        PARAM_FLOAT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/maxconcurrent',
+        get_string('maxconcurrent', 'local_aigrading'),
+        get_string('maxconcurrent_desc', 'local_aigrading'),
+        2,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/maxrequestsperminute',
+        get_string('maxrequestsperminute', 'local_aigrading'),
+        get_string('maxrequestsperminute_desc', 'local_aigrading'),
+        0,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/circuitthreshold',
+        get_string('circuitthreshold', 'local_aigrading'),
+        get_string('circuitthreshold_desc', 'local_aigrading'),
+        5,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configduration(
+        'local_aigrading/circuitcooldown',
+        get_string('circuitcooldown', 'local_aigrading'),
+        get_string('circuitcooldown_desc', 'local_aigrading'),
+        5 * MINSECS
+    ));
+
+    $settings->add(new admin_setting_configfile(
+        'local_aigrading/cabundle',
+        get_string('cabundle', 'local_aigrading'),
+        get_string('cabundle_desc', 'local_aigrading'),
+        ''
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'local_aigrading/allowinsecure',
+        get_string('allowinsecure', 'local_aigrading'),
+        get_string('allowinsecure_desc', 'local_aigrading'),
+        0
+    ));
+
+    // Feedback for students.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/studentfeedbackheading',
+        get_string('studentfeedbacksettings', 'local_aigrading'),
+        get_string('studentfeedbacksettings_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_aigrading/studentfeedback',
+        get_string('studentfeedback', 'local_aigrading'),
+        get_string('studentfeedback_desc', 'local_aigrading'),
+        \local_aigrading\student_feedback::MODE_COMMENT,
+        \local_aigrading\student_feedback::mode_options()
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_aigrading/feedbackstyle',
+        get_string('feedbackstyle', 'local_aigrading'),
+        get_string('feedbackstyle_desc', 'local_aigrading'),
+        \local_aigrading\student_feedback::STYLE_ENCOURAGING,
+        \local_aigrading\student_feedback::style_options()
+    ));
+
+    // Privacy.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/privacyheading',
+        get_string('privacysettings', 'local_aigrading'),
+        get_string('privacysettings_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_aigrading/pseudonymise',
+        get_string('pseudonymise', 'local_aigrading'),
+        get_string('pseudonymise_desc', 'local_aigrading'),
+        \local_aigrading\pseudonymiser::MODE_OFF,
+        \local_aigrading\pseudonymiser::mode_options()
+    ));
 
     // Usage Guide heading.
     $settings->add(new admin_setting_heading(
@@ -87,6 +275,95 @@ if ($hassiteconfig) {
         get_string('gradingsettings_desc', 'local_aigrading')
     ));
 
+    // Bulk grading mode.
+    $settings->add(new admin_setting_configselect(
+        'local_aigrading/bulkmode',
+        get_string('bulkmode', 'local_aigrading'),
+        get_string('bulkmode_desc', 'local_aigrading'),
+        'apply',
+        [
+            'apply' => get_string('bulkmode_apply', 'local_aigrading'),
+            'review' => get_string('bulkmode_review', 'local_aigrading'),
+        ]
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'local_aigrading/streamsuggestions',
+        get_string('streamsuggestions', 'local_aigrading'),
+        get_string('streamsuggestions_desc', 'local_aigrading'),
+        1
+    ));
+
+    // Auto-apply policy, which activities can override.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/autoapplyheading',
+        get_string('autoapplypolicy', 'local_aigrading'),
+        get_string('autoapplypolicy_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_aigrading/autoapplyconfidence',
+        get_string('autoapplyconfidence', 'local_aigrading'),
+        get_string('autoapplyconfidence_desc', 'local_aigrading'),
+        'low',
+        \local_aigrading\auto_apply_policy::confidence_options()
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/autoapplypassmargin',
+        get_string('autoapplypassmargin', 'local_aigrading'),
+        get_string('autoapplypassmargin_desc', 'local_aigrading'),
+        0,
+        PARAM_FLOAT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/autoapplyminwords',
+        get_string('autoapplyminwords', 'local_aigrading'),
+        get_string('autoapplyminwords_desc', 'local_aigrading'),
+        0,
+        PARAM_INT
+    ));
+
+    // Consistency check.
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/consistencyheading',
+        get_string('consistencysettings', 'local_aigrading'),
+        get_string('consistencysettings_desc', 'local_aigrading')
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'local_aigrading/consistencymode',
+        get_string('consistencymode', 'local_aigrading'),
+        get_string('consistencymode_desc', 'local_aigrading'),
+        \local_aigrading\consistency_check::MODE_OFF,
+        \local_aigrading\consistency_check::mode_options()
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/consistencyruns',
+        get_string('consistencyruns', 'local_aigrading'),
+        get_string('consistencyruns_desc', 'local_aigrading'),
+        3,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/consistencysample',
+        get_string('consistencysample', 'local_aigrading'),
+        get_string('consistencysample_desc', 'local_aigrading'),
+        10,
+        PARAM_INT
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/consistencythreshold',
+        get_string('consistencythreshold', 'local_aigrading'),
+        get_string('consistencythreshold_desc', 'local_aigrading'),
+        10,
+        PARAM_FLOAT
+    ));
+
     // Default Rubric.
     $defaultrubric = "Kriteria penilaian:
 - 90-100: Jawaban lengkap, contoh relevan, penjelasan jelas dan terstruktur
@@ -131,4 +408,59 @@ Pastikan:
         $defaultprompt
     ));
 
+    // Text extraction and OCR.
+    $ocrdesc = get_string('extractionsettings_desc', 'local_aigrading');
+    if ($ADMIN->fulltree) {
+        // Only run Tesseract when the settings page itself is shown.
+        $version = \local_aigrading\file_extractor::detect_ocr();
+        $ocrdesc .= $OUTPUT->notification(
+            $version ? get_string('ocrstatus_found', 'local_aigrading', $version)
+                : get_string('ocrstatus_missing', 'local_aigrading'),
+            $version ? \core\output\notification::NOTIFY_SUCCESS : \core\output\notification::NOTIFY_WARNING,
+            false
+        );
+    }
+    $settings->add(new admin_setting_heading(
+        'local_aigrading/extractionheading',
+        get_string('extractionsettings', 'local_aigrading'),
+        $ocrdesc
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'local_aigrading/ocrenabled',
+        get_string('ocrenabled', 'local_aigrading'),
+        get_string('ocrenabled_desc', 'local_aigrading'),
+        1
+    ));
+
+    $settings->add(new admin_setting_configexecutable(
+        'local_aigrading/pathtotesseract',
+        get_string('pathtotesseract', 'local_aigrading'),
+        get_string('pathtotesseract_desc', 'local_aigrading'),
+        '/usr/bin/tesseract'
+    ));
+
+    $settings->add(new admin_setting_configexecutable(
+        'local_aigrading/pathtopdftoppm',
+        get_string('pathtopdftoppm', 'local_aigrading'),
+        get_string('pathtopdftoppm_desc', 'local_aigrading'),
+        '/usr/bin/pdftoppm'
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/ocrlanguages',
+        get_string('ocrlanguages', 'local_aigrading'),
+        get_string('ocrlanguages_desc', 'local_aigrading'),
+        'ind+eng',
+        '/^[a-zA-Z_]+(\+[a-zA-Z_]+)*$/'
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'local_aigrading/ocrmaxpages',
+        get_string('ocrmaxpages', 'local_aigrading'),
+        get_string('ocrmaxpages_desc', 'local_aigrading'),
+        10,
+        PARAM_INT
+    ));
+
 }
@@ -0,0 +1,94 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Stream a single AI grade suggestion to the suggestion modal as server-sent events.
+ *
+ * Sends "partial" events with the feedback and explanation written so far, then a "result" event with the
+ * suggestion as returned by the suggest_grade or suggest_grade_file web service, or a "failure" event.
+ * Closing the connection stops the request to the AI backend.
+ *
+ * @package    local_aigrading
+ * @copyright  2025
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use local_aigrading\external\suggest_grade;
+use local_aigrading\external\suggest_grade_file;
+
+define('AJAX_SCRIPT', true);
+define('NO_OUTPUT_BUFFERING', true);
+
+require_once(__DIR__ . '/../../config.php');
+
+$cmid = required_param('cmid', PARAM_INT);
+$qubaid = optional_param('qubaid', 0, PARAM_INT);
+$slot = optional_param('slot', 0, PARAM_INT);
+$userid = optional_param('userid', 0, PARAM_INT);
+
+$cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+if (!in_array($cm->modname, ['quiz', 'assign'])) {
+    throw new moodle_exception('invalidcoursemodule');
+}
+
+require_login($cm->course, false, $cm);
+require_sesskey();
+$context = context_module::instance($cm->id);
+require_capability('local/aigrading:useaigrading', $context);
+require_capability($cm->modname === 'quiz' ? 'mod/quiz:grade' : 'mod/assign:grade', $context);
+
+// A suggestion can take minutes, other pages of the session must not wait for it.
+\core\session\manager::write_close();
+core_php_time_limit::raise();
+// Keep running after the browser goes away, so the request is stopped and logged properly.
+ignore_user_abort(true);
+
+header('Content-Type: text/event-stream; charset=utf-8');
+header('Cache-Control: no-cache');
+header('X-Accel-Buffering: no');
+
+$send = function(string $event, array $data): void {
+    echo "event: {$event}\ndata: " . json_encode($data) . "\n\n";
+    flush();
+};
+
+$lastpartial = 0;
+$lastsent = time();
+$listener = function(array $fields) use ($send, &$lastpartial, &$lastsent): bool {
+    if ($fields && microtime(true) - $lastpartial >= 0.2) {
+        $send('partial', $fields);
+        $lastpartial = microtime(true);
+        $lastsent = time();
+    } else if (time() - $lastsent >= 2) {
+        // Only writing tells whether the browser is still there.
+        echo ": keepalive\n\n";
+        flush();
+        $lastsent = time();
+    }
+    return !connection_aborted();
+};
+
+try {
+    if ($cm->modname === 'quiz') {
+        $result = suggest_grade::suggest($cm, $qubaid, $slot, $listener);
+        $send('result', suggest_grade::clean_returnvalue(suggest_grade::execute_returns(), $result));
+    } else {
+        $result = suggest_grade_file::suggest($cm, $userid, $listener);
+        $send('result', suggest_grade_file::clean_returnvalue(suggest_grade_file::execute_returns(), $result));
+    }
+} catch (Exception $e) {
+    $send('failure', ['message' => $e->getMessage()]);
+}
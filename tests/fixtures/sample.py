@@ -0,0 +1,3 @@
+def mean(values):
+    return sum(values) / len(values)
+